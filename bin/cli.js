@@ -31,6 +31,19 @@ import {
   validateConfiguration
 } from '../lib/presets.js';
 import {  detectTeammateTool, enableTeammateTool } from '../lib/parallel-execution.js';
+import { analyzeProjectState, formatSuggestions } from '../lib/context-awareness.js';
+import {
+  runDoctor,
+  formatDoctorResults,
+  getMcpInstallState,
+  MCP_SERVER_NAME,
+  MCP_SERVER_PACKAGE,
+  MCP_SETUP_COMMAND
+} from '../lib/doctor.js';
+import { AgentfulServer, DEFAULT_HOST, DEFAULT_PORT } from '../lib/server/index.js';
+import { ApiKeyStore, ServerAuth } from '../lib/server/auth.js';
+import { runCIAgent, DEFAULT_SUMMARY_FILE } from '../lib/ci/index.js';
+import { runAgent, formatRunJSON, RunExitCode, AgentRunStatus, RUN_MODES } from '../lib/run.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -76,8 +89,12 @@ function showHelp() {
   console.log('');
   console.log('COMMANDS:');
   console.log(`  ${colors.green}init${colors.reset}         Install agentful (all components by default)`);
-  console.log(`  ${colors.green}status${colors.reset}       Show agentful status and generated files`);
+  console.log(`  ${colors.green}status${colors.reset}       Show feature progress, gates, decisions and worktrees (--json)`);
+  console.log(`  ${colors.green}doctor${colors.reset}       Check state files, hooks, agents and MCP setup (--fix, --json)`);
+  console.log(`  ${colors.green}run${colors.reset}          Run an agent from the terminal: run <agent> "<task>"`);
   console.log(`  ${colors.green}presets${colors.reset}      Show installation options`);
+  console.log(`  ${colors.green}server${colors.reset}       Start the remote execution server`);
+  console.log(`  ${colors.green}ci${colors.reset}           Run an agent against the PR/MR diff in CI`);
   console.log(`  ${colors.green}help${colors.reset}         Show this help message`);
   console.log(`  ${colors.green}--version${colors.reset}    Show version`);
   console.log('');
@@ -89,6 +106,38 @@ function showHelp() {
   console.log(`  ${colors.yellow}--gates=<list>${colors.reset}          Custom quality gates (comma-separated)`);
   console.log(`  ${colors.yellow}--skip-mcp${colors.reset}              Skip automatic MCP server setup`);
   console.log('');
+  console.log('SERVER OPTIONS (optional):');
+  console.log(`  ${colors.yellow}--port=<port>${colors.reset}           Port to listen on (default: ${DEFAULT_PORT})`);
+  console.log(`  ${colors.yellow}--host=<host>${colors.reset}           Host to bind (default: ${DEFAULT_HOST})`);
+  console.log(`  ${colors.yellow}--concurrency=<n>${colors.reset}       Max concurrent agent executions`);
+  console.log(`  ${colors.yellow}--insecure${colors.reset}              Allow a non-loopback host without authentication`);
+  console.log('');
+  console.log('DOCTOR OPTIONS:');
+  console.log(`  ${colors.yellow}--fix${colors.reset}                   Recover state files (with backups) and restore hook scripts`);
+  console.log(`  ${colors.yellow}--json${colors.reset}                  Print the results as JSON (exit code 1 on problems)`);
+  console.log(`  ${colors.yellow}--preset=<name>${colors.reset}         Preset whose agents must be installed (default: default)`);
+  console.log('');
+  console.log('RUN OPTIONS:');
+  console.log(`  ${colors.yellow}--json${colors.reset}                  Print a JSON result instead of streaming output`);
+  console.log(`  ${colors.yellow}--timeout=<seconds>${colors.reset}     Fail with exit code 124 after this long`);
+  console.log(`  ${colors.yellow}--files=<list>${colors.reset}          Files to include in the context (comma-separated)`);
+  console.log(`  ${colors.yellow}--mode=<mode>${colors.reset}           ${RUN_MODES.join(' or ')} (default: subprocess)`);
+  console.log(`  ${colors.dim}Exit codes: 0 success, 1 failure, 124 timeout, 130 cancelled${colors.reset}`);
+  console.log('');
+  console.log('CI OPTIONS:');
+  console.log(`  ${colors.yellow}--agent=<name>${colors.reset}          Agent to run (required)`);
+  console.log(`  ${colors.yellow}--task=<text>${colors.reset}           Task (default: review the changes)`);
+  console.log(`  ${colors.yellow}--base=<ref>${colors.reset}            Base ref to diff against (detected on GitHub/GitLab)`);
+  console.log(`  ${colors.yellow}--summary=<path>${colors.reset}        Markdown summary file (default: ${DEFAULT_SUMMARY_FILE})`);
+  console.log(`  ${colors.yellow}--comments${colors.reset}              Post findings as PR/MR review comments`);
+  console.log(`  ${colors.yellow}--dry-run${colors.reset}               With --comments, write the API requests to disk instead`);
+  console.log('');
+  console.log('SERVER KEYS:');
+  console.log(`  ${colors.bright}agentful server keys create --name=<name> [--agents=<list>]${colors.reset}`);
+  console.log(`  ${colors.bright}agentful server keys list [--all]${colors.reset}`);
+  console.log(`  ${colors.bright}agentful server keys revoke <id|name>${colors.reset}`);
+  console.log(`  ${colors.dim}Webhooks can sign requests instead: set AGENTFUL_WEBHOOK_SECRET on the server${colors.reset}`);
+  console.log('');
   console.log('EXAMPLES:');
   console.log(`  ${colors.dim}# Install agentful (all components - recommended)${colors.reset}`);
   console.log(`  ${colors.bright}agentful init${colors.reset}`);
@@ -156,7 +205,9 @@ function parseFlags(args) {
 
   for (const arg of args) {
     if (arg.startsWith('--')) {
-      const [key, value] = arg.slice(2).split('=');
+      // Split on the first '=' only: values such as --task may contain '='
+      const [key, ...rest] = arg.slice(2).split('=');
+      const value = rest.join('=');
       if (value) {
         flags[key] = value;
       } else {
@@ -184,40 +235,8 @@ function checkGitignore() {
   }
 }
 
-const MCP_SERVER_NAME = 'agentful';
-const MCP_SERVER_PACKAGE = '@itz4blitz/agentful-mcp-server';
-const MCP_SETUP_COMMAND = `claude mcp add ${MCP_SERVER_NAME} -- npx -y ${MCP_SERVER_PACKAGE}`;
-
-function parseMcpInstallState() {
-  const result = spawnSync('claude', ['mcp', 'list'], {
-    encoding: 'utf8'
-  });
-
-  if (result.error) {
-    return {
-      ok: false,
-      reason: result.error.code === 'ENOENT' ? 'claude-not-found' : result.error.message
-    };
-  }
-
-  if (result.status !== 0) {
-    return {
-      ok: false,
-      reason: (result.stderr || result.stdout || '').trim() || 'claude mcp list failed'
-    };
-  }
-
-  const output = `${result.stdout || ''}\n${result.stderr || ''}`;
-  const installed = new RegExp(`^\\s*${MCP_SERVER_NAME}(\\s|$)`, 'm').test(output);
-
-  return {
-    ok: true,
-    installed
-  };
-}
-
 function ensureAgentfulMcpInstalled() {
-  const state = parseMcpInstallState();
+  const state = getMcpInstallState();
   if (!state.ok) {
     return {
       status: 'unavailable',
@@ -247,7 +266,7 @@ function ensureAgentfulMcpInstalled() {
     };
   }
 
-  const verify = parseMcpInstallState();
+  const verify = getMcpInstallState();
   if (!verify.ok || !verify.installed) {
     return {
       status: 'failed',
@@ -476,86 +495,362 @@ async function init(args) {
   }
 }
 
-function showStatus() {
+/**
+ * Show project status (feature progress, gates, decisions, worktrees, drift)
+ * @param {string[]} args - CLI arguments after 'status'
+ */
+function showStatus(args) {
+  const flags = parseFlags(args);
   const targetDir = process.cwd();
-  const agentfulDir = path.join(targetDir, '.agentful');
 
-  if (!fs.existsSync(agentfulDir)) {
-    log(colors.red, 'agentful not initialized in this directory!');
-    log(colors.dim, 'Run: npx @itz4blitz/agentful init');
+  if (!fs.existsSync(path.join(targetDir, '.agentful'))) {
+    if (flags.json) {
+      console.log(JSON.stringify({ error: 'agentful not initialized in this directory' }, null, 2));
+    } else {
+      log(colors.red, 'agentful not initialized in this directory!');
+      log(colors.dim, 'Run: npx @itz4blitz/agentful init');
+    }
     process.exit(1);
   }
 
+  const status = analyzeProjectState(targetDir);
+
+  if (flags.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
   showBanner();
   log(colors.bright, 'Agentful Status:');
   console.log('');
 
-  // Helper to read JSON safely
-  const readJSON = (filepath) => {
-    try {
-      return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf-8')) : null;
-    } catch {
-      return null;
+  log(colors.green, 'Project:');
+  log(colors.dim, `  Phase: ${status.currentPhase}${status.currentTask ? ` (${status.currentTask})` : ''}`);
+  log(colors.dim, `  Product spec: ${status.hasProductSpec ? 'yes' : 'missing'}`);
+  log(colors.dim, `  Agents: ${status.agents.length} ${status.agents.length === 0 ? '(run /agentful-generate)' : ''}`);
+  log(colors.dim, `  Skills: ${status.skills.length} ${status.skills.length === 0 ? '(run /agentful-generate)' : ''}`);
+  console.log('');
+
+  if (status.totalFeatures > 0) {
+    log(colors.green, `Features: ${status.completionPercent}% complete (${status.completedFeatures}/${status.totalFeatures})`);
+    for (const feature of status.features) {
+      log(feature.complete ? colors.green : colors.dim, `  ${feature.complete ? '✓' : '○'} ${feature.id} ${feature.progress}% (${feature.status})`);
     }
-  };
+    console.log('');
+  }
 
-  // Read state files
-  const state = readJSON(path.join(agentfulDir, 'state.json'));
-  const completion = readJSON(path.join(agentfulDir, 'completion.json'));
-  const decisions = readJSON(path.join(agentfulDir, 'decisions.json'));
-
-  // Display state
-  if (state) {
-    log(colors.green, 'State:');
-    log(colors.dim, `  Initialized: ${state.initialized || 'N/A'}`);
-    const agentCount = state.agents?.length || 0;
-    const skillCount = state.skills?.length || 0;
-    log(colors.dim, `  Agents: ${agentCount} ${agentCount === 0 ? '(run /agentful-generate)' : ''}`);
-    log(colors.dim, `  Skills: ${skillCount} ${skillCount === 0 ? '(run /agentful-generate)' : ''}`);
+  const gates = Object.entries(status.gates);
+  if (gates.length > 0) {
+    log(colors.green, 'Quality Gates:');
+    for (const [gate, passing] of gates) {
+      if (passing === true) {
+        log(colors.green, `  ✓ ${gate}`);
+      } else if (passing === false) {
+        log(colors.red, `  ✗ ${gate}`);
+      } else {
+        log(colors.dim, `  - ${gate} (not run)`);
+      }
+    }
     console.log('');
   }
 
-  // Display completion
-  if (completion) {
-    const agentComp = Object.keys(completion.agents || {}).length;
-    const skillComp = Object.keys(completion.skills || {}).length;
-    if (agentComp > 0 || skillComp > 0) {
-      log(colors.green, `Completions: ${agentComp} agents, ${skillComp} skills`);
-      console.log('');
+  if (status.pendingDecisionCount > 0) {
+    log(colors.yellow, `Decisions: ${status.pendingDecisionCount} pending (run /agentful-decide)`);
+    for (const decision of status.pendingDecisions) {
+      log(colors.dim, `  ${decision.id ? `[${decision.id}] ` : ''}${decision.question}`);
     }
+    console.log('');
   }
 
-  // Display decisions
-  if (decisions?.decisions?.length > 0) {
-    log(colors.yellow, `Decisions: ${decisions.decisions.length} pending`);
+  if (status.worktrees.length > 0) {
+    log(colors.green, `Worktrees: ${status.worktrees.length} active`);
+    for (const worktree of status.worktrees) {
+      log(colors.dim, `  ${worktree.name} (${worktree.branch || 'no branch'})${worktree.purpose ? ` - ${worktree.purpose}` : ''}`);
+    }
     console.log('');
   }
 
-  // Check generated files
-  const claudeDir = path.join(targetDir, '.claude');
-  const agentFiles = fs.existsSync(path.join(claudeDir, 'agents'))
-    ? fs.readdirSync(path.join(claudeDir, 'agents')).filter(f => f.endsWith('.md'))
-    : [];
-  const skillFiles = fs.existsSync(path.join(claudeDir, 'skills'))
-    ? fs.readdirSync(path.join(claudeDir, 'skills')).filter(f => f.endsWith('.md'))
-    : [];
-
-  if (agentFiles.length > 0) {
-    log(colors.green, `Generated: ${agentFiles.length} agent(s), ${skillFiles.length} skill(s)`);
+  if (status.architectureIssues.length > 0) {
+    log(colors.yellow, 'Architecture:');
+    for (const issue of status.architectureIssues) {
+      log(colors.yellow, `  ${issue}`);
+    }
     console.log('');
   }
 
-  // Next actions
-  log(colors.bright, 'Claude Code Commands:');
-  log(colors.cyan, '  /agentful-generate  - Analyze codebase & generate specialized agents');
-  log(colors.cyan, '  /agentful-start     - Begin structured product development');
-  log(colors.cyan, '  /agentful-status    - Check progress and completion percentage');
-  log(colors.cyan, '  /agentful-validate  - Run quality gates (tests, lint, security)');
-  log(colors.cyan, '  /agentful-decide    - Answer pending decisions');
-  log(colors.cyan, '  /agentful-product   - Analyze product specification');
-  log(colors.cyan, '  /agentful-analyze   - Validate agentful configuration');
-  log(colors.cyan, '  /agentful           - Natural language conversation');
-  console.log('');
+  if (status.suggestedActions.length > 0) {
+    console.log(formatSuggestions(status.suggestedActions, { maxSuggestions: 3 }));
+    console.log('');
+  }
+}
+
+/**
+ * Validate (and with --fix, repair) the project setup
+ * @param {string[]} args - CLI arguments after 'doctor'
+ */
+function doctor(args) {
+  const flags = parseFlags(args);
+  const targetDir = process.cwd();
+
+  if (!fs.existsSync(path.join(targetDir, '.agentful')) && !flags.fix) {
+    if (flags.json) {
+      console.log(JSON.stringify({ ok: false, error: 'agentful not initialized in this directory' }, null, 2));
+    } else {
+      log(colors.red, 'agentful not initialized in this directory!');
+      log(colors.dim, 'Run: npx @itz4blitz/agentful init');
+    }
+    process.exit(1);
+  }
+
+  let results;
+  try {
+    results = runDoctor(targetDir, {
+      fix: Boolean(flags.fix),
+      preset: typeof flags.preset === 'string' ? flags.preset : undefined
+    });
+  } catch (error) {
+    log(colors.red, error.message);
+    process.exit(1);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(formatDoctorResults(results));
+    console.log('');
+    if (!results.ok && !flags.fix) {
+      log(colors.dim, 'Run agentful doctor --fix to repair state files (backups are kept next to them)');
+    }
+  }
+
+  if (!results.ok) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Manage remote execution server API keys
+ * @param {string[]} args - CLI arguments after 'server keys'
+ */
+function serverKeys(args) {
+  const flags = parseFlags(args);
+  const [action, target] = args.filter(arg => !arg.startsWith('--'));
+  const store = new ApiKeyStore(process.cwd());
+
+  switch (action) {
+  case 'create': {
+    const agents = typeof flags.agents === 'string' ? parseArrayFlag(flags.agents) : ['*'];
+    const { key, record } = store.create({ name: flags.name, agents });
+    log(colors.green, `Created key ${record.id} (${record.name}) for agents: ${record.agents.join(', ')}`);
+    console.log('');
+    console.log(`  ${key}`);
+    console.log('');
+    log(colors.yellow, 'Store this key now - it cannot be shown again.');
+    log(colors.dim, 'Send it as: Authorization: Bearer <key>');
+    break;
+  }
+
+  case 'list': {
+    const keys = store.list({ includeRevoked: Boolean(flags.all) });
+    if (keys.length === 0) {
+      log(colors.dim, 'No API keys. Create one with: agentful server keys create --name=<name>');
+      break;
+    }
+    for (const record of keys) {
+      const status = record.revokedAt ? `${colors.red}revoked${colors.reset}` : `${colors.green}active${colors.reset}`;
+      console.log(`  ${record.id}  ${record.name.padEnd(20)} ${record.prefix}...  agents: ${record.agents.join(',')}  ${status}  ${colors.dim}${record.createdAt}${colors.reset}`);
+    }
+    break;
+  }
+
+  case 'revoke': {
+    if (!target) {
+      log(colors.red, 'Usage: agentful server keys revoke <id|name>');
+      process.exit(1);
+    }
+    const record = store.revoke(target);
+    log(colors.green, `Revoked key ${record.id} (${record.name})`);
+    break;
+  }
+
+  default:
+    log(colors.red, action ? `Unknown keys command: ${action}` : 'Missing keys command');
+    log(colors.dim, 'Usage: agentful server keys create|list|revoke');
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the remote execution server until interrupted
+ * @param {string[]} args - CLI arguments after 'server'
+ */
+async function server(args) {
+  if (args[0] === 'keys') {
+    serverKeys(args.slice(1));
+    return;
+  }
+
+  const flags = parseFlags(args);
+
+  const port = flags.port !== undefined ? Number(flags.port) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    log(colors.red, `Invalid --port: ${flags.port}`);
+    process.exit(1);
+  }
+
+  const concurrency = flags.concurrency !== undefined ? Number(flags.concurrency) : undefined;
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    log(colors.red, `Invalid --concurrency: ${flags.concurrency}`);
+    process.exit(1);
+  }
+
+  const host = typeof flags.host === 'string' ? flags.host : DEFAULT_HOST;
+  const loopback = ['127.0.0.1', 'localhost', '::1'].includes(host);
+  const auth = new ServerAuth({ projectRoot: process.cwd() });
+
+  if (!loopback && !auth.isEnabled() && !flags.insecure) {
+    log(colors.red, `Refusing to bind to ${host} without authentication.`);
+    log(colors.dim, 'Create a key with: agentful server keys create --name=<name>');
+    log(colors.dim, 'or set AGENTFUL_WEBHOOK_SECRET, or pass --insecure');
+    process.exit(1);
+  }
+
+  const instance = new AgentfulServer({ port, host, concurrency, auth, projectRoot: process.cwd() });
+
+  instance.on('request', ({ method, path: requestPath, status, duration }) => {
+    log(colors.dim, `${method} ${requestPath} ${status} ${duration}ms`);
+  });
+
+  const { url } = await instance.start();
+  log(colors.green, `agentful server listening on ${url}`);
+  if (auth.isEnabled()) {
+    log(colors.dim, 'Authentication: API keys and signed requests required');
+  } else {
+    log(colors.yellow, `Warning: no authentication - anyone who can reach ${host} can run agents`);
+  }
+
+  const shutdown = async () => {
+    log(colors.dim, 'Shutting down...');
+    await instance.stop();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Run an agent from the terminal and exit with a code reflecting the outcome
+ * @param {string[]} args - CLI arguments after 'run'
+ */
+async function run(args) {
+  const flags = parseFlags(args);
+  const [agent, ...taskWords] = args.filter(arg => !arg.startsWith('--'));
+  const task = taskWords.join(' ');
+
+  if (!agent || !task) {
+    log(colors.red, 'Usage: agentful run <agent> "<task>" [--json] [--timeout=<seconds>] [--files=<list>] [--mode=<mode>]');
+    process.exit(RunExitCode.FAILURE);
+  }
+
+  const timeout = flags.timeout !== undefined ? Number(flags.timeout) : undefined;
+  if (timeout !== undefined && (!Number.isFinite(timeout) || timeout <= 0)) {
+    log(colors.red, `Invalid --timeout: ${flags.timeout} (seconds)`);
+    process.exit(RunExitCode.FAILURE);
+  }
+
+  const controller = new AbortController();
+  const interrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(RunExitCode.CANCELLED);
+    }
+    if (!flags.json) {
+      log(colors.dim, '\nCancelling... (press Ctrl+C again to exit immediately)');
+    }
+    controller.abort();
+  };
+  process.on('SIGINT', interrupt);
+  process.on('SIGTERM', interrupt);
+
+  let outcome;
+  let streamed = false;
+  try {
+    outcome = await runAgent({
+      agent,
+      task,
+      projectRoot: process.cwd(),
+      files: typeof flags.files === 'string' ? parseArrayFlag(flags.files) : [],
+      mode: typeof flags.mode === 'string' ? flags.mode : undefined,
+      timeout: timeout !== undefined ? timeout * 1000 : undefined,
+      signal: controller.signal,
+      onChunk: flags.json ? undefined : (chunk) => {
+        streamed = true;
+        process.stdout.write(chunk);
+      }
+    });
+  } catch (error) {
+    log(colors.red, error.message);
+    process.exit(RunExitCode.FAILURE);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(formatRunJSON(outcome), null, 2));
+  } else if (outcome.status === AgentRunStatus.COMPLETED) {
+    const output = outcome.result.output || '';
+    if (!streamed) {
+      process.stdout.write(output);
+    }
+    if (!output.endsWith('\n')) {
+      process.stdout.write('\n');
+    }
+  } else if (outcome.status === AgentRunStatus.CANCELLED) {
+    console.error(`${colors.yellow}Agent ${agent} cancelled${colors.reset}`);
+  } else {
+    const verb = outcome.status === AgentRunStatus.TIMEOUT ? 'timed out' : 'failed';
+    console.error(`${colors.red}Agent ${agent} ${verb}: ${outcome.error.message}${colors.reset}`);
+  }
+
+  process.exit(outcome.exitCode);
+}
+
+/**
+ * Run an agent against the change under review and write a markdown summary
+ * @param {string[]} args - CLI arguments after 'ci'
+ */
+async function ci(args) {
+  const flags = parseFlags(args);
+
+  if (typeof flags.agent !== 'string') {
+    log(colors.red, 'Usage: agentful ci --agent=<name> [--task=<text>] [--base=<ref>] [--summary=<path>] [--comments [--dry-run]]');
+    process.exit(1);
+  }
+
+  const run = await runCIAgent({
+    agent: flags.agent,
+    task: typeof flags.task === 'string' ? flags.task : undefined,
+    base: typeof flags.base === 'string' ? flags.base : undefined,
+    summaryFile: typeof flags.summary === 'string' ? flags.summary : undefined,
+    comments: Boolean(flags.comments),
+    dryRun: Boolean(flags['dry-run']),
+    projectRoot: process.cwd()
+  });
+
+  log(colors.dim, `CI: ${run.environment.provider}, diff: ${run.diff}`);
+
+  if (run.review && !run.review.error) {
+    const where = run.review.dryRun
+      ? `written to ${path.relative(process.cwd(), run.review.file)}`
+      : 'posted';
+    log(colors.dim, `Review comments ${where}: ${run.review.inline} inline, ${run.review.outside} in the summary`);
+  }
+
+  if (run.success) {
+    console.log(run.result.output || '');
+    log(colors.green, `Summary written to ${path.relative(process.cwd(), run.summaryPath)}`);
+  } else {
+    log(colors.red, `Agent ${flags.agent} failed: ${run.error.message}`);
+    log(colors.dim, `Summary written to ${path.relative(process.cwd(), run.summaryPath)}`);
+    process.exit(1);
+  }
 }
 
 // Main CLI
@@ -580,13 +875,29 @@ async function main() {
     break;
 
   case 'status':
-    showStatus();
+    showStatus(args.slice(1));
     break;
 
   case 'presets':
     showPresets();
     break;
 
+  case 'run':
+    await run(args.slice(1));
+    break;
+
+  case 'doctor':
+    doctor(args.slice(1));
+    break;
+
+  case 'server':
+    await server(args.slice(1));
+    break;
+
+  case 'ci':
+    await ci(args.slice(1));
+    break;
+
   case 'help':
   case '--help':
   case '-h':
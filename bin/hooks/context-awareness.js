@@ -130,10 +130,15 @@ export function analyzeProjectState(projectRoot = process.cwd()) {
   if (fileExists(decisionsPath)) {
     const decisions = readJSON(decisionsPath);
 
-    if (decisions && decisions.pending) {
-      state.pendingDecisionCount = decisions.pending.length;
-      state.hasPendingDecisions = state.pendingDecisionCount > 0;
-    }
+    // Current layout is { decisions: [{ status }] }; older projects have { pending: [] }
+    const pending = [
+      ...(Array.isArray(decisions?.pending) ? decisions.pending : []),
+      ...(Array.isArray(decisions?.decisions)
+        ? decisions.decisions.filter(decision => (decision?.status || 'pending') === 'pending')
+        : [])
+    ];
+    state.pendingDecisionCount = pending.length;
+    state.hasPendingDecisions = state.pendingDecisionCount > 0;
   }
 
   // Determine blocking issues
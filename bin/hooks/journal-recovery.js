@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Journal Recovery Module
+ *
+ * Finishes multiWrite() batches a crash interrupted, from their journal entries
+ * in .agentful/.journal. This is the only implementation: lib/atomic.js
+ * re-exports recoverJournal() from here. It must stay self-contained, since
+ * hooks are copied into projects without lib/.
+ * Used by the session-start hook.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+const JOURNAL_DIR = path.join('.agentful', '.journal');
+const JOURNAL_STALE = 10 * 60 * 1000;
+const LOCK_STALE = 30000;
+
+/**
+ * Whether a process on this host is running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether the process that recorded { pid, hostname } may still be running
+ */
+function isOwnerAlive(owner) {
+  if (!Number.isInteger(owner?.pid)) {
+    return false;
+  }
+  return owner.hostname !== os.hostname() || isProcessAlive(owner.pid);
+}
+
+/**
+ * Take the entry's lockfile (same format as lib/file-lock.js) without waiting
+ * Returns a release function, or null if another live process holds it
+ */
+async function tryLock(entryPath) {
+  const lockPath = `${entryPath}.lock`;
+  const token = randomUUID();
+  const holder = JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString(), token });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(lockPath, holder, { flag: 'wx' });
+      return async () => {
+        const current = await fs.readFile(lockPath, 'utf8').catch(() => null);
+        if (current === holder) {
+          await fs.rm(lockPath, { force: true });
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    let existing;
+    try {
+      const content = await fs.readFile(lockPath, 'utf8');
+      existing = { content, holder: JSON.parse(content), stat: await fs.stat(lockPath) };
+    } catch {
+      return null; // Being written or released; leave it to its holder
+    }
+    const acquiredAt = Date.parse(existing.holder?.acquiredAt) || existing.stat.mtimeMs;
+    if (Date.now() - acquiredAt <= LOCK_STALE && isOwnerAlive(existing.holder)) {
+      return null;
+    }
+    // Stale: remove it unless it changed meanwhile, then try once more
+    if (await fs.readFile(lockPath, 'utf8').catch(() => null) === existing.content) {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+  return null;
+}
+
+/**
+ * fsync a directory so renames and unlinks in it survive a crash
+ */
+async function syncDirectory(dirPath) {
+  let handle;
+  try {
+    handle = await fs.open(dirPath, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Directories can't be opened or fsynced on some platforms (e.g. Windows)
+    if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL', 'EBADF'].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * SHA-256 of a file's content, or null if it doesn't exist
+ */
+async function fileHash(filePath) {
+  try {
+    return createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether every file of a batch has its new content, in place or in an intact temp file
+ */
+async function canRollForward(operations) {
+  for (const op of operations) {
+    if (await fileHash(op.tempPath) !== op.hash && await fileHash(op.path) !== op.hash) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Move the remaining temporary files of a batch into place
+ */
+async function rollForward(operations, durable) {
+  for (const op of operations) {
+    if (await fileHash(op.tempPath) === op.hash) {
+      await fs.rename(op.tempPath, op.path);
+    } else {
+      // Already renamed before the crash
+      await fs.rm(op.tempPath, { force: true });
+    }
+  }
+
+  if (durable) {
+    for (const dir of new Set(operations.map(op => path.dirname(op.path)))) {
+      await syncDirectory(dir);
+    }
+  }
+}
+
+/**
+ * Restore every file of a batch from the journal's backups
+ */
+async function rollBack(operations, durable) {
+  for (const op of operations) {
+    await fs.rm(op.tempPath, { force: true });
+    if (op.existed) {
+      const restorePath = `${op.path}.tmp.${Date.now()}.${Math.random().toString(36).substring(2, 15)}`;
+      const handle = await fs.open(restorePath, 'w');
+      try {
+        await handle.writeFile(Buffer.from(op.backup, 'base64'));
+        if (durable) {
+          await handle.sync();
+        }
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(restorePath, op.path);
+    } else {
+      await fs.rm(op.path, { force: true });
+    }
+  }
+
+  if (durable) {
+    for (const dir of new Set(operations.map(op => path.dirname(op.path)))) {
+      await syncDirectory(dir);
+    }
+  }
+}
+
+/**
+ * Finishes multiWrite() batches that were interrupted by a crash, using their
+ * journal entries in .agentful/.journal. A batch whose new content is intact
+ * (in place or in its temporary files) is rolled forward; any other batch, or
+ * one that was already rolling back, is restored to its original content.
+ * Run it at session start, before anything reads the state files.
+ *
+ * Entries whose process is still running are skipped, since that process is
+ * still renaming files; so are entries another process is recovering, which
+ * holds the entry's lock (same format as lib/file-lock.js) meanwhile.
+ *
+ * @param {string} projectRoot - Project root directory (default: process.cwd())
+ * @param {object} options - Optional recovery options
+ * @param {boolean} options.durable - fsync recovered files (default: false)
+ * @param {number} options.stale - Recover entries of running processes once they are this
+ *   many ms old, in case the pid was reused (default: 600000)
+ * @returns {Promise<{recovered: Array<{id: string, action: 'rolled_forward'|'rolled_back', files: string[]}>, skipped: Array<{id: string, reason: string}>, errors: Array<{id: string, error: string}>}>}
+ *   Batches whose recovery failed keep their journal entry and are retried next time
+ *
+ * @example
+ * const { recovered, errors } = await recoverJournal(process.cwd());
+ * for (const batch of recovered) {
+ *   console.log(`${batch.action}: ${batch.files.join(', ')}`);
+ * }
+ */
+export async function recoverJournal(projectRoot = process.cwd(), options = {}) {
+  const { durable = false, stale = JOURNAL_STALE } = options;
+  const journalDir = path.join(path.resolve(projectRoot), JOURNAL_DIR);
+  const results = { recovered: [], skipped: [], errors: [] };
+
+  let names;
+  try {
+    names = await fs.readdir(journalDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return results;
+    }
+    throw error;
+  }
+
+  // Entry ids start with a timestamp: recover older batches first
+  for (const name of names.sort()) {
+    const entryPath = path.join(journalDir, name);
+
+    if (!name.endsWith('.json')) {
+      // A journal write that never completed: its batch never touched a target.
+      // A recent one may still be being written.
+      if (name.includes('.tmp.')) {
+        const stat = await fs.stat(entryPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > stale) {
+          await fs.rm(entryPath, { force: true });
+        }
+      }
+      continue;
+    }
+
+    const id = path.basename(name, '.json');
+    let release = null;
+    try {
+      release = await tryLock(entryPath);
+      if (!release) {
+        results.skipped.push({ id, reason: 'Being recovered by another process' });
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue; // Recovered by another process meanwhile
+        }
+        throw error;
+      }
+      if (!Array.isArray(entry.operations)) {
+        throw new Error('Journal entry has no operations');
+      }
+
+      if (isOwnerAlive(entry) && Date.now() - Date.parse(entry.createdAt) < stale) {
+        results.skipped.push({ id, reason: `Batch is still being written by process ${entry.pid}` });
+        continue;
+      }
+
+      const forward = entry.status === 'committing' && await canRollForward(entry.operations);
+      if (forward) {
+        await rollForward(entry.operations, durable);
+      } else {
+        await rollBack(entry.operations, durable);
+      }
+
+      await fs.rm(entryPath, { force: true });
+      if (durable) {
+        await syncDirectory(journalDir);
+      }
+      results.recovered.push({
+        id,
+        action: forward ? 'rolled_forward' : 'rolled_back',
+        files: entry.operations.map(op => op.path)
+      });
+    } catch (error) {
+      results.errors.push({ id, error: error.message });
+    } finally {
+      await release?.();
+    }
+  }
+
+  return results;
+}
@@ -10,7 +10,7 @@
 import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,7 +21,7 @@ try {
   // Import from same directory (bin/hooks/)
   const modulePath = path.join(__dirname, './context-awareness.js');
   if (fs.existsSync(modulePath)) {
-    contextModule = await import(modulePath);
+    contextModule = await import(pathToFileURL(modulePath).href);
   }
 } catch (error) {
   // Silently fail - we'll show basic status instead
@@ -89,7 +89,34 @@ function detectParallelExecution() {
   }
 }
 
+/**
+ * Finish state writes a crash interrupted, before anything reads .agentful/
+ */
+async function recoverStateJournal() {
+  try {
+    const modulePath = path.join(__dirname, './journal-recovery.js');
+    if (!fs.existsSync(modulePath)) {
+      return;
+    }
+    const { recoverJournal } = await import(pathToFileURL(modulePath).href);
+    const { recovered, errors } = await recoverJournal(process.cwd());
+
+    for (const batch of recovered) {
+      const action = batch.action === 'rolled_forward' ? 'Completed' : 'Rolled back';
+      console.log(`🔧 ${action} an interrupted state write (${batch.files.map(file => path.basename(file)).join(', ')})`);
+    }
+    for (const { id, error } of errors) {
+      console.log(`⚠️  Could not recover state write ${id}: ${error}`);
+    }
+  } catch (error) {
+    if (process.env.VERBOSE) {
+      console.log(`   Journal recovery error: ${error.message}`);
+    }
+  }
+}
+
 // Main execution
+await recoverStateJournal();
 const detection = detectParallelExecution();
 
 // Basic parallel execution status
@@ -1,6 +1,80 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { createHash } from 'crypto';
+import { withLock } from './file-lock.js';
+// Self-contained so the session-start hook can run it without lib/
+import { recoverJournal } from '../bin/hooks/journal-recovery.js';
+
+// Write-ahead journals of in-flight multiWrite() batches, relative to the project root
+const JOURNAL_DIR = path.join('.agentful', '.journal');
+
+/**
+ * Unique temporary path next to a target file
+ * Using the same directory ensures rename is atomic (same filesystem)
+ * @private
+ */
+function tempPathFor(targetPath) {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 15);
+  return `${targetPath}.tmp.${timestamp}.${random}`;
+}
+
+/**
+ * Write a temporary file, flushing it to disk when durable
+ * @private
+ */
+async function writeTempFile(tempPath, content, { encoding, mode, durable }) {
+  const writeOptions = { encoding };
+  if (mode !== undefined) {
+    writeOptions.mode = mode;
+  }
+
+  if (!durable) {
+    await fs.writeFile(tempPath, content, writeOptions);
+    return;
+  }
+
+  const handle = await fs.open(tempPath, 'w', mode);
+  try {
+    await handle.writeFile(content, { encoding });
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+  await handle.close();
+}
+
+/**
+ * fsync a directory so renames and unlinks in it survive a crash
+ * @private
+ */
+async function syncDirectory(dirPath) {
+  let handle;
+  try {
+    handle = await fs.open(dirPath, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Directories can't be opened or fsynced on some platforms (e.g. Windows)
+    if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL', 'EBADF'].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * SHA-256 of file content
+ * @private
+ */
+function contentHash(content, encoding = 'utf8') {
+  return createHash('sha256')
+    .update(Buffer.isBuffer(content) ? content : Buffer.from(String(content), encoding))
+    .digest('hex');
+}
 
 /**
  * Atomically writes content to a file using a temporary file and rename operation.
@@ -11,14 +85,20 @@ import os from 'os';
  * @param {object} options - Optional write options
  * @param {string} options.encoding - File encoding (default: 'utf8')
  * @param {number} options.mode - File mode (permissions)
+ * @param {boolean} options.durable - fsync the file and its directory so the write survives
+ *   a power loss or OS crash, not just an interrupted process (default: false)
  * @returns {Promise<void>}
  * @throws {Error} If parent directory doesn't exist or write fails
  *
  * @example
  * await atomicWrite('/path/to/file.json', JSON.stringify(data));
+ *
+ * @example
+ * // Flush to disk before returning
+ * await atomicWrite('/path/to/state.json', JSON.stringify(state), { durable: true });
  */
 async function atomicWrite(filePath, content, options = {}) {
-  const { encoding = 'utf8', mode } = options;
+  const { encoding = 'utf8', mode, durable = false } = options;
 
   // Normalize the path
   const targetPath = path.resolve(filePath);
@@ -35,21 +115,13 @@ async function atomicWrite(filePath, content, options = {}) {
   }
 
   // Generate unique temporary file name in the same directory as target
-  // Using same directory ensures rename is atomic (same filesystem)
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substring(2, 15);
-  const tempPath = `${targetPath}.tmp.${timestamp}.${random}`;
+  const tempPath = tempPathFor(targetPath);
 
   let tempFileCreated = false;
 
   try {
     // Write to temporary file
-    const writeOptions = { encoding };
-    if (mode !== undefined) {
-      writeOptions.mode = mode;
-    }
-
-    await fs.writeFile(tempPath, content, writeOptions);
+    await writeTempFile(tempPath, content, { encoding, mode, durable });
     tempFileCreated = true;
 
     // Atomically move temporary file to target location
@@ -78,6 +150,10 @@ async function atomicWrite(filePath, content, options = {}) {
     }
 
     tempFileCreated = false; // Successfully moved, no cleanup needed
+
+    if (durable) {
+      await syncDirectory(targetDir);
+    }
   } catch (error) {
     // Clean up temporary file if it was created
     if (tempFileCreated) {
@@ -100,14 +176,20 @@ async function atomicWrite(filePath, content, options = {}) {
 /**
  * Atomically updates a file by reading it, applying a transformation function,
  * and writing the result back atomically. This ensures read-modify-write consistency.
+ * The update holds the file's advisory lock (see ./file-lock.js), so concurrent
+ * updates from other processes are serialized instead of lost.
  *
  * @param {string} filePath - The file path to update
  * @param {function(string): string|Promise<string>} updateFn - Function that receives current content and returns new content
  * @param {object} options - Optional read/write options
  * @param {string} options.encoding - File encoding (default: 'utf8')
  * @param {boolean} options.createIfMissing - Create file with empty content if it doesn't exist (default: false)
+ * @param {boolean|object} options.lock - Lock options for acquireLock() ({ timeout, retryInterval, stale }),
+ *   or false to update without the lock (default: true)
+ * @param {boolean} options.durable - fsync the result, see atomicWrite() (default: false)
  * @returns {Promise<void>}
- * @throws {Error} If file doesn't exist (unless createIfMissing is true) or update fails
+ * @throws {Error} If file doesn't exist (unless createIfMissing is true), update fails or
+ *   the lock is not acquired in time (code 'ELOCKED')
  *
  * @example
  * // Update JSON file
@@ -124,13 +206,33 @@ async function atomicWrite(filePath, content, options = {}) {
  * });
  */
 async function atomicUpdate(filePath, updateFn, options = {}) {
-  const { encoding = 'utf8', createIfMissing = false } = options;
+  const { lock = true } = options;
 
   if (typeof updateFn !== 'function') {
     throw new Error('updateFn must be a function');
   }
 
   const targetPath = path.resolve(filePath);
+  if (lock === false) {
+    return updateUnlocked(targetPath, updateFn, options);
+  }
+
+  try {
+    await fs.access(path.dirname(targetPath));
+  } catch {
+    // Nothing to lock; report the missing file or directory as before
+    return updateUnlocked(targetPath, updateFn, options);
+  }
+
+  return withLock(targetPath, () => updateUnlocked(targetPath, updateFn, options), lock === true ? {} : lock);
+}
+
+/**
+ * Read-modify-write of atomicUpdate() without the lock
+ * @private
+ */
+async function updateUnlocked(targetPath, updateFn, options) {
+  const { encoding = 'utf8', createIfMissing = false, durable = false } = options;
   let currentContent = '';
 
   // Read current content
@@ -165,14 +267,53 @@ async function atomicUpdate(filePath, updateFn, options = {}) {
   }
 
   // Write atomically
-  await atomicWrite(targetPath, newContent, { encoding });
+  await atomicWrite(targetPath, newContent, { encoding, durable });
+}
+
+/**
+ * Path of a new multiWrite() journal entry, or null if the project has no
+ * .agentful directory to keep it in
+ * @private
+ */
+async function newJournalPath(projectRoot) {
+  const root = path.resolve(projectRoot);
+  try {
+    await fs.access(path.join(root, '.agentful'));
+  } catch {
+    return null;
+  }
+
+  const journalDir = path.join(root, JOURNAL_DIR);
+  await fs.mkdir(journalDir, { recursive: true });
+  const id = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+  return path.join(journalDir, `${id}.json`);
+}
+
+/**
+ * Remove a finished journal entry
+ * @private
+ */
+async function removeJournal(journalPath, durable) {
+  await fs.rm(journalPath, { force: true });
+  if (durable) {
+    await syncDirectory(path.dirname(journalPath));
+  }
 }
 
 /**
  * Performs multiple atomic write operations in an all-or-nothing fashion.
  * If any write fails, all successful writes are rolled back to their original state.
  *
+ * In a project with a .agentful directory the batch is recorded in a write-ahead
+ * journal (.agentful/.journal/<id>.json) with the original content of every file,
+ * before any target is replaced. If the process dies mid-batch, recoverJournal()
+ * rolls the batch forward or back.
+ *
  * @param {Array<{path: string, content: string|Buffer, encoding?: string}>} operations - Array of write operations
+ * @param {object} options - Optional write options
+ * @param {boolean} options.durable - fsync files, directories and the journal, see atomicWrite() (default: false)
+ * @param {boolean} options.journal - Record the batch in the journal (default: true)
+ * @param {string} options.projectRoot - Project whose .agentful/.journal is used (default: process.cwd())
  * @returns {Promise<void>}
  * @throws {Error} If any operation fails (after rollback)
  *
@@ -182,8 +323,17 @@ async function atomicUpdate(filePath, updateFn, options = {}) {
  *   { path: '/path/to/file2.json', content: JSON.stringify(data2) },
  *   { path: '/path/to/file3.txt', content: 'text data' }
  * ]);
+ *
+ * @example
+ * // Keep state and completion consistent across crashes and power loss
+ * await multiWrite([
+ *   { path: '.agentful/state.json', content: JSON.stringify(state, null, 2) },
+ *   { path: '.agentful/completion.json', content: JSON.stringify(completion, null, 2) }
+ * ], { durable: true, projectRoot });
  */
-async function multiWrite(operations) {
+async function multiWrite(operations, options = {}) {
+  const { durable = false, journal = true, projectRoot = process.cwd() } = options;
+
   if (!Array.isArray(operations)) {
     throw new Error('operations must be an array');
   }
@@ -209,6 +359,8 @@ async function multiWrite(operations) {
   // Create backup information for rollback
   const backups = [];
   const tempFiles = [];
+  let journalPath = null;
+  let journalEntry = null;
   let successfulWrites = 0;
 
   try {
@@ -254,15 +406,33 @@ async function multiWrite(operations) {
       }
 
       // Create temporary file
-      const timestamp = Date.now();
-      const random = Math.random().toString(36).substring(2, 15);
-      const tempPath = `${targetPath}.tmp.${timestamp}.${random}`;
+      const tempPath = tempPathFor(targetPath);
 
-      await fs.writeFile(tempPath, op.content, { encoding });
+      await writeTempFile(tempPath, op.content, { encoding, durable });
       tempFiles.push({ tempPath, targetPath, encoding });
     }
 
-    // Phase 3: Atomically move all temp files to targets
+    // Phase 3: Journal the batch; from here on a crash is recoverable
+    journalPath = journal ? await newJournalPath(projectRoot) : null;
+    if (journalPath) {
+      journalEntry = {
+        id: path.basename(journalPath, '.json'),
+        pid: process.pid,
+        hostname: os.hostname(),
+        createdAt: new Date().toISOString(),
+        status: 'committing',
+        operations: tempFiles.map(({ tempPath, targetPath, encoding }, i) => ({
+          path: targetPath,
+          tempPath,
+          hash: contentHash(operations[i].content, encoding),
+          existed: backups[i].existed,
+          backup: backups[i].existed ? backups[i].content.toString('base64') : null
+        }))
+      };
+      await atomicWrite(journalPath, JSON.stringify(journalEntry, null, 2), { durable });
+    }
+
+    // Phase 4: Atomically move all temp files to targets
     for (const { tempPath, targetPath } of tempFiles) {
       try {
         await fs.rename(tempPath, targetPath);
@@ -282,6 +452,12 @@ async function multiWrite(operations) {
       successfulWrites++;
     }
 
+    if (durable) {
+      for (const dir of new Set(tempFiles.map(({ targetPath }) => path.dirname(targetPath)))) {
+        await syncDirectory(dir);
+      }
+    }
+
     // Success - clear temp file tracking
     tempFiles.length = 0;
 
@@ -292,6 +468,18 @@ async function multiWrite(operations) {
 
     const rollbackErrors = [];
 
+    // If the rollback itself is interrupted, recovery must finish it rather than roll forward
+    if (journalEntry) {
+      try {
+        await atomicWrite(journalPath, JSON.stringify({ ...journalEntry, status: 'rolling_back' }, null, 2), { durable });
+      } catch (journalError) {
+        rollbackErrors.push({
+          path: journalPath,
+          error: journalError.message
+        });
+      }
+    }
+
     // Restore files that were successfully written
     for (let i = 0; i < successfulWrites; i++) {
       const backup = backups[i];
@@ -335,16 +523,25 @@ async function multiWrite(operations) {
       throw new Error(
         `Multi-write operation failed and rollback encountered errors:\n` +
         `Original error: ${error.message}\n` +
-        `Rollback errors:\n${rollbackDetails}`
+        `Rollback errors:\n${rollbackDetails}` +
+        (journalEntry ? '\nThe journal was kept; run recoverJournal() to finish the rollback' : '')
       );
     }
 
+    if (journalPath) {
+      await removeJournal(journalPath, durable);
+    }
     throw new Error(`Multi-write operation failed and was rolled back: ${error.message}`);
   }
+
+  if (journalPath) {
+    await removeJournal(journalPath, durable);
+  }
 }
 
 export {
   atomicWrite,
   atomicUpdate,
-  multiWrite
+  multiWrite,
+  recoverJournal
 };
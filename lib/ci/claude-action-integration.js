@@ -0,0 +1,136 @@
+/**
+ * Agent Definitions for Claude Code Integrations
+ *
+ * Loads agent definitions from `.claude/agents/<name>.md` - the same files
+ * claude-code-action and Claude Code use. A definition is markdown with
+ * optional YAML frontmatter:
+ *
+ * ```markdown
+ * ---
+ * name: reviewer
+ * description: Reviews code for quality and security
+ * tools: Read, Grep, Glob
+ * model: sonnet
+ * ---
+ * You are the reviewer agent...
+ * ```
+ *
+ * @module ci/claude-action-integration
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Default agents directory (relative to the project root)
+ */
+export const DEFAULT_AGENTS_DIR = '.claude/agents';
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Parse agent markdown into metadata and instructions
+ *
+ * `tools` is normalized to an array (frontmatter usually has a
+ * comma-separated string). Unknown frontmatter keys are kept.
+ *
+ * @param {string} content - Agent markdown
+ * @param {string} [fallbackName] - Name used when the frontmatter has none
+ * @returns {{ metadata: Object, instructions: string }}
+ * @throws {Error} If the frontmatter is not valid YAML or not a mapping
+ */
+export function parseAgentDefinition(content, fallbackName) {
+  const match = FRONTMATTER_PATTERN.exec(content);
+  let frontmatter = {};
+
+  if (match) {
+    try {
+      frontmatter = yaml.load(match[1]) ?? {};
+    } catch (error) {
+      throw new Error(`Invalid agent frontmatter: ${error.message}`);
+    }
+    if (typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+      throw new Error('Invalid agent frontmatter: expected key/value pairs');
+    }
+  }
+
+  const tools = typeof frontmatter.tools === 'string'
+    ? frontmatter.tools.split(',').map(tool => tool.trim()).filter(Boolean)
+    : frontmatter.tools;
+
+  return {
+    metadata: {
+      ...frontmatter,
+      name: frontmatter.name ? String(frontmatter.name) : fallbackName,
+      description: frontmatter.description ?? null,
+      tools: Array.isArray(tools) ? tools.map(String) : [],
+      model: frontmatter.model ?? null
+    },
+    instructions: (match ? content.slice(match[0].length) : content).trim()
+  };
+}
+
+/**
+ * Load an agent definition
+ *
+ * @param {string} agentName - Agent name (file name without .md)
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @param {Object} [options={}]
+ * @param {string} [options.agentsDir='.claude/agents'] - Agents directory, relative to projectRoot
+ * @returns {Promise<Object>} { metadata, instructions, path }
+ * @throws {Error} If the name is invalid, the file is missing or the frontmatter is invalid
+ */
+export async function loadAgentDefinition(agentName, projectRoot = process.cwd(), options = {}) {
+  if (typeof agentName !== 'string' || !/^[\w-]+$/.test(agentName)) {
+    throw new Error(`Invalid agent name: ${agentName}`);
+  }
+
+  const agentsDir = path.resolve(projectRoot, options.agentsDir || DEFAULT_AGENTS_DIR);
+  const filePath = path.join(agentsDir, `${agentName}.md`);
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const available = await listAgents(projectRoot, options);
+      throw new Error(
+        `Agent not found: ${agentName} (looked for ${path.relative(projectRoot, filePath)}). ` +
+        (available.length > 0 ? `Available agents: ${available.join(', ')}` : 'No agents found - run /agentful-generate')
+      );
+    }
+    throw error;
+  }
+
+  try {
+    return { ...parseAgentDefinition(content, agentName), path: filePath };
+  } catch (error) {
+    throw new Error(`${path.relative(projectRoot, filePath)}: ${error.message}`);
+  }
+}
+
+/**
+ * List agent names
+ *
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @param {Object} [options={}]
+ * @param {string} [options.agentsDir='.claude/agents'] - Agents directory, relative to projectRoot
+ * @returns {Promise<string[]>} Agent names, sorted
+ */
+export async function listAgents(projectRoot = process.cwd(), options = {}) {
+  const agentsDir = path.resolve(projectRoot, options.agentsDir || DEFAULT_AGENTS_DIR);
+
+  try {
+    const files = await fs.promises.readdir(agentsDir);
+    return files.filter(file => file.endsWith('.md')).map(file => file.slice(0, -3)).sort();
+  } catch {
+    return [];
+  }
+}
+
+export default {
+  parseAgentDefinition,
+  loadAgentDefinition,
+  listAgents
+};
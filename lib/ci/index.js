@@ -0,0 +1,40 @@
+/**
+ * CI Integration
+ *
+ * Agent definition loading shared with claude-code-action, a runner that
+ * reviews pull/merge request diffs from GitHub Actions, GitLab CI or any
+ * other CI, and posting of reviewer findings as line-level review comments.
+ *
+ * @module ci
+ */
+
+export {
+  DEFAULT_AGENTS_DIR,
+  parseAgentDefinition,
+  loadAgentDefinition,
+  listAgents
+} from './claude-action-integration.js';
+
+export {
+  CIProvider,
+  DEFAULT_SUMMARY_FILE,
+  DEFAULT_CI_TASK,
+  detectCIEnvironment,
+  resolveDiffSpec,
+  formatCISummary,
+  runCIAgent
+} from './runner.js';
+
+export {
+  SEVERITIES,
+  REVIEW_FINDINGS_SCHEMA,
+  DRY_RUN_FILE,
+  normalizeFindings,
+  parseDiffLines,
+  partitionFindings,
+  formatFinding,
+  buildGitHubReview,
+  buildGitLabDiscussions,
+  buildReviewRequests,
+  postReviewComments
+} from './review-comments.js';
@@ -0,0 +1,394 @@
+/**
+ * Review Comments
+ *
+ * Turns structured reviewer findings into line-level review comments:
+ *
+ * - GitHub: one Pull Request Review (POST /repos/:repo/pulls/:number/reviews)
+ *   with an inline comment per finding
+ * - GitLab: one MR discussion per finding (POST /projects/:id/merge_requests/:iid/discussions)
+ *   plus a summary note
+ *
+ * Findings on lines outside the diff cannot be attached to a line, so they
+ * are listed in the review body / summary note instead; so is every finding
+ * when the diff lines are unknown, since GitHub rejects the whole review if
+ * one comment is off the diff. In dry-run mode the requests are written to
+ * disk instead of being sent (and no API token is needed).
+ *
+ * @module ci/review-comments
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { validateSchema, formatSchemaErrors } from '../core/json-schema.js';
+import { CIProvider } from './runner.js';
+
+/**
+ * Finding severities, most severe first
+ */
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+/**
+ * Output schema reviewer agents are asked to follow
+ */
+export const REVIEW_FINDINGS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'findings'],
+  properties: {
+    summary: { type: 'string' },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['file', 'line', 'severity', 'message'],
+        properties: {
+          file: { type: 'string', minLength: 1, description: 'Path relative to the repository root' },
+          line: { type: 'integer', minimum: 1, description: 'Line number in the new version of the file' },
+          severity: { enum: SEVERITIES },
+          message: { type: 'string', minLength: 1 },
+          suggestion: { type: 'string', description: 'Replacement code for the line (optional)' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * File dry-run requests are written to (inside the output directory)
+ */
+export const DRY_RUN_FILE = 'review-requests.json';
+
+/**
+ * Validate reviewer output and sort findings by severity
+ *
+ * @param {Object} data - Reviewer output matching REVIEW_FINDINGS_SCHEMA
+ * @returns {{ summary: string, findings: Object[] }}
+ * @throws {Error} If the output does not match the schema
+ */
+export function normalizeFindings(data) {
+  const { valid, errors } = validateSchema(data, REVIEW_FINDINGS_SCHEMA);
+  if (!valid) {
+    throw new Error(`Invalid review findings:\n${formatSchemaErrors(errors)}`);
+  }
+
+  const findings = data.findings
+    .map(finding => ({ ...finding, file: finding.file.replace(/^\.?\//, '') }))
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+      || a.file.localeCompare(b.file)
+      || a.line - b.line);
+
+  return { summary: data.summary, findings };
+}
+
+/**
+ * Lines that can carry a review comment: added and context lines on the new
+ * side of each hunk
+ *
+ * @param {Object[]} files - [{ path, text }] from collectGitDiff()
+ * @returns {Map<string, Set<number>>} path -> new-side line numbers
+ */
+export function parseDiffLines(files) {
+  const lines = new Map();
+
+  for (const file of files) {
+    const commentable = new Set();
+    let line = null;
+
+    for (const text of file.text.split('\n')) {
+      const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(text);
+      if (hunk) {
+        line = Number(hunk[1]);
+      } else if (line !== null) {
+        if (text.startsWith('+') || text.startsWith(' ')) {
+          commentable.add(line++);
+        } else if (!text.startsWith('-') && !text.startsWith('\\')) {
+          line = null;
+        }
+      }
+    }
+
+    lines.set(file.path, commentable);
+  }
+
+  return lines;
+}
+
+/**
+ * Split findings into inline comments and findings that are not on a diff line
+ *
+ * @param {Object[]} findings - Normalized findings
+ * @param {Map<string, Set<number>>|null} diffLines - From parseDiffLines(); null (unknown) puts
+ *   every finding outside
+ * @returns {{ inline: Object[], outside: Object[] }}
+ */
+export function partitionFindings(findings, diffLines) {
+  const inline = [];
+  const outside = [];
+
+  for (const finding of findings) {
+    if (diffLines?.get(finding.file)?.has(finding.line)) {
+      inline.push(finding);
+    } else {
+      outside.push(finding);
+    }
+  }
+
+  return { inline, outside };
+}
+
+/**
+ * Markdown body of one finding
+ *
+ * @param {Object} finding - Finding
+ * @returns {string}
+ */
+export function formatFinding(finding) {
+  const body = [`**${finding.severity.toUpperCase()}**: ${finding.message}`];
+  if (finding.suggestion) {
+    body.push('', '```suggestion', finding.suggestion, '```');
+  }
+  return body.join('\n');
+}
+
+/**
+ * Markdown summary with the findings that could not be attached to a line
+ * @private
+ */
+function formatSummary(summary, findings, outside) {
+  const counts = SEVERITIES
+    .map(severity => [severity, findings.filter(finding => finding.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+
+  const body = [
+    '### agentful review',
+    '',
+    summary.trim() || '_No summary_',
+    '',
+    counts.length > 0 ? `Findings: ${counts.join(', ')}` : 'No findings.'
+  ];
+
+  if (outside.length > 0) {
+    body.push('', 'Outside the diff:', '');
+    for (const finding of outside) {
+      body.push(`- \`${finding.file}:${finding.line}\` **${finding.severity.toUpperCase()}**: ${finding.message}`);
+    }
+  }
+
+  return body.join('\n');
+}
+
+/**
+ * Build the GitHub Pull Request Review request body
+ *
+ * @param {Object} params
+ * @param {string} params.summary - Review summary
+ * @param {Object[]} params.findings - Normalized findings
+ * @param {Map<string, Set<number>>|null} [params.diffLines] - Commentable lines
+ * @param {string} [params.commitId] - Head commit the review applies to
+ * @returns {Object} Request body
+ */
+export function buildGitHubReview({ summary, findings, diffLines = null, commitId }) {
+  const { inline, outside } = partitionFindings(findings, diffLines);
+
+  const review = {
+    event: 'COMMENT',
+    body: formatSummary(summary, findings, outside),
+    comments: inline.map(finding => ({
+      path: finding.file,
+      line: finding.line,
+      side: 'RIGHT',
+      body: formatFinding(finding)
+    }))
+  };
+
+  if (commitId) {
+    review.commit_id = commitId;
+  }
+
+  return review;
+}
+
+/**
+ * Build the GitLab discussion and note request bodies
+ *
+ * @param {Object} params
+ * @param {string} params.summary - Review summary
+ * @param {Object[]} params.findings - Normalized findings
+ * @param {Map<string, Set<number>>|null} [params.diffLines] - Commentable lines
+ * @param {Object} params.diffRefs - { baseSha, startSha, headSha } of the merge request
+ * @returns {{ discussions: Object[], note: Object }}
+ */
+export function buildGitLabDiscussions({ summary, findings, diffLines = null, diffRefs }) {
+  const { inline, outside } = partitionFindings(findings, diffLines);
+
+  return {
+    discussions: inline.map(finding => ({
+      body: formatFinding(finding),
+      position: {
+        position_type: 'text',
+        base_sha: diffRefs.baseSha,
+        start_sha: diffRefs.startSha,
+        head_sha: diffRefs.headSha,
+        old_path: finding.file,
+        new_path: finding.file,
+        new_line: finding.line
+      }
+    })),
+    note: { body: formatSummary(summary, findings, outside) }
+  };
+}
+
+/**
+ * Build the HTTP requests that post a review
+ *
+ * @param {Object} params
+ * @param {Object} params.environment - From detectCIEnvironment()
+ * @param {Object} [params.env=process.env] - Environment (API URLs and tokens)
+ * @param {string} params.summary - Review summary
+ * @param {Object[]} params.findings - Normalized findings
+ * @param {Map<string, Set<number>>|null} [params.diffLines] - Commentable lines
+ * @param {boolean} [params.dryRun=false] - Requests are only written to disk: API tokens are optional
+ * @returns {Object[]} [{ method, url, headers, body }]
+ * @throws {Error} If the provider is unsupported or required variables are missing
+ */
+export function buildReviewRequests({ environment, env = process.env, summary, findings, diffLines = null, dryRun = false }) {
+  if (environment.provider === CIProvider.GITHUB) {
+    const token = env.GITHUB_TOKEN;
+    requireValues({
+      ...(!dryRun && { GITHUB_TOKEN: token }),
+      GITHUB_REPOSITORY: environment.repository,
+      'pull request number': environment.changeId
+    });
+
+    const api = (env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+    return [{
+      method: 'POST',
+      url: `${api}/repos/${environment.repository}/pulls/${environment.changeId}/reviews`,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${token}`,
+        'X-GitHub-Api-Version': '2022-11-28'
+      },
+      body: buildGitHubReview({ summary, findings, diffLines, commitId: environment.headSha })
+    }];
+  }
+
+  if (environment.provider === CIProvider.GITLAB) {
+    const token = env.GITLAB_TOKEN;
+    requireValues({
+      ...(!dryRun && { GITLAB_TOKEN: token }),
+      CI_API_V4_URL: env.CI_API_V4_URL,
+      CI_PROJECT_ID: env.CI_PROJECT_ID,
+      CI_MERGE_REQUEST_IID: environment.changeId,
+      CI_MERGE_REQUEST_DIFF_BASE_SHA: environment.baseSha,
+      CI_COMMIT_SHA: environment.headSha
+    });
+
+    const mergeRequest = `${env.CI_API_V4_URL.replace(/\/$/, '')}/projects/${encodeURIComponent(env.CI_PROJECT_ID)}/merge_requests/${environment.changeId}`;
+    const headers = { 'PRIVATE-TOKEN': token };
+    const { discussions, note } = buildGitLabDiscussions({
+      summary,
+      findings,
+      diffLines,
+      // start_sha is the target branch head; only merged results pipelines expose it
+      diffRefs: {
+        baseSha: environment.baseSha,
+        startSha: env.CI_MERGE_REQUEST_TARGET_BRANCH_SHA || environment.baseSha,
+        headSha: environment.headSha
+      }
+    });
+
+    return [
+      { method: 'POST', url: `${mergeRequest}/notes`, headers, body: note },
+      ...discussions.map(body => ({ method: 'POST', url: `${mergeRequest}/discussions`, headers, body }))
+    ];
+  }
+
+  throw new Error('Review comments need GitHub Actions (pull_request) or GitLab CI (merge request pipeline)');
+}
+
+/**
+ * Post review comments, or write the requests to disk in dry-run mode
+ *
+ * @param {Object} params - See buildReviewRequests()
+ * @param {boolean} [params.dryRun=false] - Write requests to `<outputDir>/review-requests.json` instead of sending
+ * @param {string} [params.outputDir] - Directory for the dry-run file (required when dryRun)
+ * @param {Function} [params.fetch=globalThis.fetch] - fetch implementation
+ * @returns {Promise<Object>} { dryRun, requests, responses, inline, outside, file? }
+ * @throws {Error} On missing configuration or a failed API request
+ */
+export async function postReviewComments(params) {
+  const { dryRun = false, outputDir, fetch: fetchImpl = globalThis.fetch, diffLines = null, findings } = params;
+  const requests = buildReviewRequests(params);
+  const { inline, outside } = partitionFindings(findings, diffLines);
+
+  if (dryRun) {
+    if (!outputDir) {
+      throw new Error('Dry-run review comments need an outputDir');
+    }
+    const file = path.join(outputDir, DRY_RUN_FILE);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(requests.map(redactRequest), null, 2) + '\n', 'utf-8');
+    return { dryRun: true, requests, responses: [], inline: inline.length, outside: outside.length, file };
+  }
+
+  const responses = [];
+  for (const request of requests) {
+    const response = await fetchImpl(request.url, {
+      method: request.method,
+      headers: { ...request.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(request.body)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`${request.method} ${request.url} failed with ${response.status}: ${text.slice(0, 500)}`);
+    }
+    responses.push({ status: response.status, body: parseResponse(text) });
+  }
+
+  return { dryRun: false, requests, responses, inline: inline.length, outside: outside.length };
+}
+
+/**
+ * Request with credentials replaced, for writing to disk
+ * @private
+ */
+function redactRequest(request) {
+  const headers = Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [
+    name,
+    /^(authorization|private-token)$/i.test(name) ? '[redacted]' : value
+  ]));
+  return { ...request, headers };
+}
+
+/**
+ * @private
+ */
+function parseResponse(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * @private
+ */
+function requireValues(values) {
+  const missing = Object.entries(values).filter(([, value]) => value === undefined || value === null || value === '');
+  if (missing.length > 0) {
+    throw new Error(`Cannot post review comments - missing: ${missing.map(([name]) => name).join(', ')}`);
+  }
+}
+
+export default {
+  normalizeFindings,
+  parseDiffLines,
+  partitionFindings,
+  buildGitHubReview,
+  buildGitLabDiscussions,
+  buildReviewRequests,
+  postReviewComments
+};
@@ -0,0 +1,329 @@
+/**
+ * CI Runner
+ *
+ * Runs a named agent against a pull/merge request diff in CI and writes the
+ * outcome to a markdown summary. Detects GitHub Actions and GitLab CI from
+ * their environment variables; anywhere else it diffs the working tree
+ * against a base ref you pass.
+ *
+ * @module ci/runner
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { collectGitDiff } from '../core/prompt-context.js';
+import {
+  REVIEW_FINDINGS_SCHEMA,
+  normalizeFindings,
+  parseDiffLines,
+  postReviewComments
+} from './review-comments.js';
+
+/**
+ * Supported CI providers
+ */
+export const CIProvider = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab',
+  LOCAL: 'local',
+};
+
+/**
+ * Default summary file (relative to the project root)
+ */
+export const DEFAULT_SUMMARY_FILE = '.agentful/ci/summary.md';
+
+/**
+ * Default task when none is given
+ */
+export const DEFAULT_CI_TASK = 'Review the changes in this pull request. Report bugs, security issues and missing tests.';
+
+/**
+ * Detect the CI environment
+ *
+ * `sha` is the commit CI checked out (a merge commit for GitHub pull
+ * requests); `headSha` is the head commit of the pull/merge request, read
+ * from the GitHub event payload.
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} { provider, repository, sha, headSha, baseRef, baseSha, headRef, changeId, eventName, runUrl, stepSummary }
+ */
+export function detectCIEnvironment(env = process.env) {
+  if (env.GITHUB_ACTIONS === 'true') {
+    const pullRequest = /^refs\/pull\/(\d+)\//.exec(env.GITHUB_REF || '');
+    return {
+      provider: CIProvider.GITHUB,
+      repository: env.GITHUB_REPOSITORY || null,
+      sha: env.GITHUB_SHA || null,
+      headSha: readGitHubEvent(env.GITHUB_EVENT_PATH)?.pull_request?.head?.sha || null,
+      baseRef: env.GITHUB_BASE_REF || null,
+      baseSha: null,
+      headRef: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || null,
+      changeId: pullRequest ? Number(pullRequest[1]) : null,
+      eventName: env.GITHUB_EVENT_NAME || null,
+      runUrl: env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+        ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+        : null,
+      stepSummary: env.GITHUB_STEP_SUMMARY || null
+    };
+  }
+
+  if (env.GITLAB_CI === 'true') {
+    return {
+      provider: CIProvider.GITLAB,
+      repository: env.CI_PROJECT_PATH || null,
+      sha: env.CI_COMMIT_SHA || null,
+      headSha: env.CI_COMMIT_SHA || null,
+      baseRef: env.CI_MERGE_REQUEST_TARGET_BRANCH_NAME || null,
+      baseSha: env.CI_MERGE_REQUEST_DIFF_BASE_SHA || null,
+      headRef: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME || null,
+      changeId: env.CI_MERGE_REQUEST_IID ? Number(env.CI_MERGE_REQUEST_IID) : null,
+      eventName: env.CI_PIPELINE_SOURCE || null,
+      runUrl: env.CI_JOB_URL || null,
+      stepSummary: null
+    };
+  }
+
+  return {
+    provider: CIProvider.LOCAL,
+    repository: null,
+    sha: null,
+    headSha: null,
+    baseRef: null,
+    baseSha: null,
+    headRef: null,
+    changeId: null,
+    eventName: null,
+    runUrl: null,
+    stepSummary: null
+  };
+}
+
+/**
+ * Read the GitHub Actions event payload
+ * @private
+ */
+function readGitHubEvent(eventPath) {
+  if (!eventPath) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(eventPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out which diff the agent should review
+ *
+ * An explicit base wins; otherwise the merge-request base SHA (GitLab), then
+ * the target branch (`origin/<base>...HEAD`), then HEAD (uncommitted changes).
+ *
+ * @param {Object} environment - From detectCIEnvironment()
+ * @param {string} [base] - Explicit base ref
+ * @returns {string} Diff spec for the executor's `context.diff`
+ */
+export function resolveDiffSpec(environment, base) {
+  if (base) {
+    return base.includes('..') ? base : `${base}...HEAD`;
+  }
+  if (environment.baseSha) {
+    return `${environment.baseSha}...HEAD`;
+  }
+  if (environment.baseRef) {
+    return `origin/${environment.baseRef}...HEAD`;
+  }
+  return 'HEAD';
+}
+
+/**
+ * Format the markdown summary of a CI run
+ *
+ * @param {Object} run
+ * @param {string} run.agent - Agent name
+ * @param {string} run.task - Task
+ * @param {Object} run.environment - From detectCIEnvironment()
+ * @param {string} run.diff - Diff spec
+ * @param {Object} [run.result] - Execution result
+ * @param {Error|string} [run.error] - Failure
+ * @param {number} [run.duration] - Duration in ms
+ * @param {Object} [run.review] - Review comment outcome from runCIAgent()
+ * @returns {string} Markdown
+ */
+export function formatCISummary({ agent, task, environment, diff, result, error, duration, review }) {
+  const lines = [
+    `## agentful: ${agent} ${error ? 'failed' : 'finished'}`,
+    ''
+  ];
+
+  const details = [
+    ['Agent', `\`${agent}\``],
+    ['Task', task.replace(/\s*\n\s*/g, ' ')],
+    ['Diff', `\`${diff}\``],
+    ['CI', environment.provider],
+    environment.changeId !== null && ['Change', `${environment.provider === CIProvider.GITLAB ? '!' : '#'}${environment.changeId}`],
+    environment.sha && ['Commit', `\`${environment.sha.slice(0, 12)}\``],
+    duration !== undefined && ['Duration', `${(duration / 1000).toFixed(1)}s`],
+    typeof result?.costUsd === 'number' && ['Cost', `$${result.costUsd.toFixed(4)}`],
+    environment.runUrl && ['Run', environment.runUrl],
+    review && ['Review comments', formatReviewOutcome(review)]
+  ].filter(Boolean);
+
+  lines.push('| | |', '|---|---|');
+  for (const [label, value] of details) {
+    lines.push(`| ${label} | ${String(value).replace(/\|/g, '\\|')} |`);
+  }
+  lines.push('');
+
+  if (error) {
+    lines.push('### Error', '', '```', error.message || String(error), '```', '');
+  }
+
+  if (result || !error) {
+    lines.push('### Result', '', (result?.output || '').trim() || '_No output_', '');
+    if (result?.data !== undefined && result?.data !== null) {
+      lines.push('<details><summary>Structured output</summary>', '', '```json', JSON.stringify(result.data, null, 2), '```', '', '</details>', '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * One-line description of the review comment outcome
+ * @private
+ */
+function formatReviewOutcome(review) {
+  if (review.error) {
+    return `failed: ${review.error}`;
+  }
+  const counts = `${review.inline} inline, ${review.outside} in the summary`;
+  return review.dryRun ? `${counts} (dry run: ${review.file})` : `${counts} (posted)`;
+}
+
+/**
+ * Run an agent against the change under review and write a summary
+ *
+ * The summary is written to `summaryFile` and, on GitHub Actions, appended
+ * to the job summary ($GITHUB_STEP_SUMMARY).
+ *
+ * The diff is collected before the agent runs: if git cannot produce it
+ * (usually a shallow checkout without the base branch) the run fails
+ * without starting the agent, rather than reviewing nothing.
+ *
+ * With `comments`, the agent must answer with REVIEW_FINDINGS_SCHEMA and its
+ * findings are posted as line-level review comments (see ./review-comments.js).
+ * A failure to post fails the run.
+ *
+ * @param {Object} options
+ * @param {string} options.agent - Agent name
+ * @param {string} [options.task] - Task (defaults to a review task)
+ * @param {string} [options.base] - Base ref to diff against (detected if omitted)
+ * @param {string} [options.projectRoot=process.cwd()] - Project root directory
+ * @param {string} [options.summaryFile='.agentful/ci/summary.md'] - Summary path (relative to projectRoot)
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {Object} [options.executor] - Executor (a ClaudeExecutor is created if omitted)
+ * @param {Object} [options.executorOptions] - Options for the created executor
+ * @param {Object} [options.execOptions] - execute() options (timeout, outputSchema, ...)
+ * @param {boolean} [options.comments=false] - Post findings as review comments
+ * @param {boolean} [options.dryRun=false] - Write the review requests next to the summary instead of posting
+ * @param {Function} [options.fetch] - fetch implementation for the review API
+ * @returns {Promise<Object>} { success, environment, diff, result, error, review, summaryPath, summary }
+ */
+export async function runCIAgent(options) {
+  const {
+    agent,
+    task = DEFAULT_CI_TASK,
+    base,
+    projectRoot = process.cwd(),
+    summaryFile = DEFAULT_SUMMARY_FILE,
+    env = process.env,
+    comments = false,
+    dryRun = false
+  } = options;
+  const execOptions = comments
+    ? { outputSchema: REVIEW_FINDINGS_SCHEMA, ...options.execOptions }
+    : { ...options.execOptions };
+
+  if (typeof agent !== 'string' || agent === '') {
+    throw new Error('runCIAgent requires an agent name');
+  }
+
+  const environment = detectCIEnvironment(env);
+  const diff = resolveDiffSpec(environment, base);
+
+  const started = Date.now();
+  let result = null;
+  let error = null;
+  let diffLines = null;
+
+  try {
+    diffLines = parseDiffLines(collectGitDiff(projectRoot, diff));
+  } catch (caught) {
+    error = new Error(
+      `Cannot diff ${diff}: ${caught.message}\n` +
+      'Fetch the base branch first (actions/checkout with fetch-depth: 0, or git fetch origin <branch>) or pass --base=<ref>'
+    );
+  }
+
+  if (!error) {
+    let executor = options.executor;
+    if (!executor) {
+      const { ClaudeExecutor } = await import('../core/claude-executor.js');
+      executor = new ClaudeExecutor({ projectRoot, ...options.executorOptions });
+      // Failures are reported through the rejected execute() promise
+      executor.on('error', () => {});
+    }
+
+    try {
+      result = await executor.execute(agent, task, { diff }, execOptions);
+    } catch (caught) {
+      error = caught;
+    }
+  }
+
+  const summaryPath = path.resolve(projectRoot, summaryFile);
+  let review = null;
+
+  if (comments && !error) {
+    try {
+      const { summary: reviewSummary, findings } = normalizeFindings(result.data);
+      review = await postReviewComments({
+        environment,
+        env,
+        summary: reviewSummary,
+        findings,
+        diffLines,
+        dryRun,
+        outputDir: path.dirname(summaryPath),
+        fetch: options.fetch
+      });
+    } catch (caught) {
+      review = { error: caught.message };
+      error = new Error(`Review comments failed: ${caught.message}`);
+    }
+  }
+
+  const summary = formatCISummary({ agent, task, environment, diff, result, error, review, duration: Date.now() - started });
+
+  fs.mkdirSync(path.dirname(summaryPath), { recursive: true });
+  fs.writeFileSync(summaryPath, summary, 'utf-8');
+
+  if (environment.stepSummary) {
+    try {
+      fs.appendFileSync(environment.stepSummary, `${summary}\n`, 'utf-8');
+    } catch {
+      // The job summary is a convenience; the summary file is the record
+    }
+  }
+
+  return { success: !error, environment, diff, result, error, review, summaryPath, summary };
+}
+
+export default {
+  detectCIEnvironment,
+  resolveDiffSpec,
+  formatCISummary,
+  runCIAgent
+};
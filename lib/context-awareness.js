@@ -38,8 +38,63 @@ function fileExists(filePath) {
   }
 }
 
+/**
+ * List directory entries matching a predicate (empty if the directory is missing)
+ */
+function listEntries(dirPath, predicate) {
+  try {
+    if (!fs.existsSync(dirPath)) return [];
+    return (fs.readdirSync(dirPath, { withFileTypes: true }) || [])
+      .filter(predicate)
+      .map(entry => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Normalize a completion.json feature entry
+ *
+ * Features record `status` and `progress`; older files used `completion`.
+ */
+function normalizeFeature(id, feature) {
+  const progress = Number(feature?.progress ?? feature?.completion ?? (feature?.status === 'complete' ? 100 : 0)) || 0;
+  const complete = feature?.status === 'complete' || progress >= 100;
+
+  return {
+    id,
+    status: feature?.status || (complete ? 'complete' : progress > 0 ? 'in_progress' : 'pending'),
+    progress: complete ? 100 : Math.max(0, Math.min(100, Math.round(progress))),
+    complete
+  };
+}
+
+/**
+ * Pending decisions from decisions.json
+ *
+ * Supports both layouts: `{ decisions: [{ status }] }` and the
+ * `{ pending, resolved }` layout written by `agentful init`.
+ */
+function pendingDecisionsOf(decisions) {
+  const pending = [
+    ...(Array.isArray(decisions?.pending) ? decisions.pending : []),
+    ...(Array.isArray(decisions?.decisions)
+      ? decisions.decisions.filter(decision => (decision?.status || 'pending') === 'pending')
+      : [])
+  ];
+
+  return pending.map(decision => ({
+    id: decision?.id ?? null,
+    question: decision?.question || decision?.title || '',
+    createdAt: decision?.created_at || decision?.createdAt || decision?.timestamp || null
+  }));
+}
+
 /**
  * Analyze project state and return context
+ *
+ * The result is plain JSON (it backs `agentful status --json`).
  */
 export function analyzeProjectState(projectRoot = process.cwd()) {
   const state = {
@@ -50,11 +105,19 @@ export function analyzeProjectState(projectRoot = process.cwd()) {
     hasPendingDecisions: false,
     architectureValid: true,
     architectureIssues: [],
+    architectureDrift: null,
     currentPhase: 'idle',
+    currentTask: null,
     completionPercent: 0,
     totalFeatures: 0,
     completedFeatures: 0,
+    features: [],
+    gates: {},
     pendingDecisionCount: 0,
+    pendingDecisions: [],
+    worktrees: [],
+    agents: [],
+    skills: [],
     blockingIssues: [],
     suggestedActions: []
   };
@@ -92,6 +155,18 @@ export function analyzeProjectState(projectRoot = process.cwd()) {
       } catch (error) {
         // Ignore stat errors
       }
+
+      // Drift recorded by the architect-drift-detector hook
+      if (arch.needs_reanalysis) {
+        state.architectureDrift = {
+          reasons: Array.isArray(arch.drift_reasons) ? arch.drift_reasons : [],
+          detectedAt: arch.drift_detected_at || null
+        };
+        state.architectureValid = false;
+        state.architectureIssues.push(
+          `Architecture drift detected${state.architectureDrift.reasons.length > 0 ? ` (${state.architectureDrift.reasons.join(', ')})` : ''}`
+        );
+      }
     } else {
       state.architectureValid = false;
       state.architectureIssues.push('Invalid JSON format');
@@ -105,6 +180,7 @@ export function analyzeProjectState(projectRoot = process.cwd()) {
     const stateData = readJSON(statePath);
     if (stateData) {
       state.currentPhase = stateData.current_phase || 'idle';
+      state.currentTask = stateData.current_task || null;
     }
   }
 
@@ -115,14 +191,18 @@ export function analyzeProjectState(projectRoot = process.cwd()) {
     const completion = readJSON(completionPath);
 
     if (completion && completion.features) {
-      const features = Object.values(completion.features);
-      state.totalFeatures = features.length;
-      state.completedFeatures = features.filter(f => f.completion >= 100).length;
+      state.features = Object.entries(completion.features).map(([id, feature]) => normalizeFeature(id, feature));
+      state.totalFeatures = state.features.length;
+      state.completedFeatures = state.features.filter(feature => feature.complete).length;
 
       if (state.totalFeatures > 0) {
         state.completionPercent = Math.round((state.completedFeatures / state.totalFeatures) * 100);
       }
     }
+
+    if (completion && completion.gates && typeof completion.gates === 'object') {
+      state.gates = { ...completion.gates };
+    }
   }
 
   // Check decisions
@@ -130,12 +210,31 @@ export function analyzeProjectState(projectRoot = process.cwd()) {
   if (fileExists(decisionsPath)) {
     const decisions = readJSON(decisionsPath);
 
-    if (decisions && decisions.pending) {
-      state.pendingDecisionCount = decisions.pending.length;
+    if (decisions) {
+      state.pendingDecisions = pendingDecisionsOf(decisions);
+      state.pendingDecisionCount = state.pendingDecisions.length;
       state.hasPendingDecisions = state.pendingDecisionCount > 0;
     }
   }
 
+  // Check worktrees tracked by the worktree service
+  const worktrees = readJSON(path.join(projectRoot, '.agentful/worktrees.json'));
+  if (worktrees && Array.isArray(worktrees.active)) {
+    state.worktrees = worktrees.active.map(worktree => ({
+      name: worktree.name,
+      branch: worktree.branch || null,
+      path: worktree.path || null,
+      purpose: worktree.purpose || null,
+      createdAt: worktree.created_at || null,
+      lastActivity: worktree.last_activity || null
+    }));
+  }
+
+  // Generated agents (.md files) and skills (one directory each)
+  state.agents = listEntries(path.join(projectRoot, '.claude/agents'), entry => entry.isFile() && entry.name.endsWith('.md'))
+    .map(name => name.replace(/\.md$/, ''));
+  state.skills = listEntries(path.join(projectRoot, '.claude/skills'), entry => entry.isDirectory());
+
   // Determine blocking issues
   if (!state.hasProductSpec) {
     state.blockingIssues.push('No product specification found');
@@ -0,0 +1,223 @@
+/**
+ * Budget Limits
+ *
+ * Enforces token and dollar ceilings on executions:
+ *
+ * - Per execution: `maxCostUsd` and `maxTokens` executor options
+ * - Per project per day: `.agentful/budget.json`
+ *
+ * ```json
+ * { "daily_cost_usd": 25, "daily_tokens": 5000000 }
+ * ```
+ *
+ * Daily spend is read from `daily_usage` in `.agentful/agent-metrics.json`,
+ * which usage.js updates after every execution. Tokens are input + output.
+ *
+ * @module core/budget
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getStateFile } from '../state-validator.js';
+import { DEFAULT_PRICING, estimateCost } from './usage.js';
+
+/**
+ * Budget configuration file inside .agentful/
+ */
+export const BUDGET_FILE = 'budget.json';
+
+/**
+ * Which ceiling was hit
+ */
+export const BudgetLimit = {
+  MAX_COST_USD: 'max_cost_usd',
+  MAX_TOKENS: 'max_tokens',
+  DAILY_COST_USD: 'daily_cost_usd',
+  DAILY_TOKENS: 'daily_tokens',
+};
+
+/**
+ * Key for a day's usage bucket (UTC date)
+ *
+ * @param {Date} [date=new Date()] - Date
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Load the project budget from .agentful/budget.json
+ *
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} { daily_cost_usd, daily_tokens } or null if not configured
+ * @throws {Error} If the file exists but is not a valid JSON object
+ */
+export function loadBudgetConfig(projectRoot) {
+  const filePath = path.join(projectRoot, '.agentful', BUDGET_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid .agentful/${BUDGET_FILE}: ${error.message}`);
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`Invalid .agentful/${BUDGET_FILE}: must be a JSON object`);
+  }
+
+  return {
+    daily_cost_usd: typeof config.daily_cost_usd === 'number' ? config.daily_cost_usd : null,
+    daily_tokens: typeof config.daily_tokens === 'number' ? config.daily_tokens : null,
+  };
+}
+
+/**
+ * Get today's recorded spend for a project
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Date} [date=new Date()] - Day to read
+ * @returns {Object} { cost_usd, tokens }
+ */
+export function getDailySpend(projectRoot, date = new Date()) {
+  const metrics = getStateFile(projectRoot, 'agent-metrics.json');
+  const day = metrics.valid ? metrics.data.daily_usage?.[getDayKey(date)] : null;
+
+  return {
+    cost_usd: day?.cost_usd || 0,
+    tokens: (day?.input_tokens || 0) + (day?.output_tokens || 0),
+  };
+}
+
+/**
+ * Format a budget_exceeded event as an error message
+ *
+ * @param {Object} details - { limit, max, actual }
+ * @returns {string} Message
+ */
+export function formatBudgetExceeded(details) {
+  const isCost = details.limit === BudgetLimit.MAX_COST_USD || details.limit === BudgetLimit.DAILY_COST_USD;
+  const format = (value) => (isCost ? `$${value.toFixed(4)}` : `${value} tokens`);
+
+  return `Budget exceeded: ${details.limit} limit of ${format(details.max)} reached (${format(details.actual)})`;
+}
+
+/**
+ * Tracks spend for one execution against its limits
+ */
+export class BudgetTracker {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxCostUsd] - Per-execution dollar ceiling
+   * @param {number} [options.maxTokens] - Per-execution token ceiling
+   * @param {Object} [options.daily] - { daily_cost_usd, daily_tokens } project ceilings
+   * @param {Object} [options.spentToday] - { cost_usd, tokens } already spent today
+   * @param {Object} [options.pricing] - Price overrides for cost estimation
+   */
+  constructor(options = {}) {
+    this.maxCostUsd = options.maxCostUsd ?? null;
+    this.maxTokens = options.maxTokens ?? null;
+    this.daily = options.daily || null;
+    this.spentToday = options.spentToday || { cost_usd: 0, tokens: 0 };
+    this.pricing = { ...DEFAULT_PRICING, ...options.pricing };
+
+    // Spend from earlier attempts of the same execution (retries)
+    this.committed = { cost_usd: 0, tokens: 0 };
+  }
+
+  /**
+   * Create a tracker from executor options, or null if no limits apply
+   *
+   * @param {Object} options - Executor options (projectRoot, maxCostUsd, maxTokens, pricing)
+   * @returns {BudgetTracker|null}
+   */
+  static fromOptions(options) {
+    const daily = loadBudgetConfig(options.projectRoot);
+    const hasDaily = daily && (daily.daily_cost_usd !== null || daily.daily_tokens !== null);
+
+    if (options.maxCostUsd == null && options.maxTokens == null && !hasDaily) {
+      return null;
+    }
+
+    return new BudgetTracker({
+      maxCostUsd: options.maxCostUsd,
+      maxTokens: options.maxTokens,
+      daily: hasDaily ? daily : null,
+      spentToday: hasDaily ? getDailySpend(options.projectRoot) : undefined,
+      pricing: options.pricing,
+    });
+  }
+
+  /**
+   * Measure usage in tokens and dollars
+   *
+   * @param {Object} [usage] - { inputTokens, outputTokens, costUsd? }
+   * @param {string} [model] - Model ID for cost estimation
+   * @returns {Object} { cost_usd, tokens } (cost_usd is null if unknown)
+   */
+  measure(usage, model) {
+    if (!usage) {
+      return { cost_usd: 0, tokens: 0 };
+    }
+
+    const tokens = (usage.inputTokens || 0) + (usage.outputTokens || 0);
+    const cost = typeof usage.costUsd === 'number' ? usage.costUsd : estimateCost(usage, model, this.pricing);
+
+    return { cost_usd: cost, tokens };
+  }
+
+  /**
+   * Add a finished attempt's usage to the execution total
+   *
+   * @param {Object} [usage] - Usage of the finished attempt
+   * @param {string} [model] - Model ID
+   */
+  commit(usage, model) {
+    const spent = this.measure(usage, model);
+    this.committed.cost_usd += spent.cost_usd || 0;
+    this.committed.tokens += spent.tokens;
+  }
+
+  /**
+   * Check current usage against all limits
+   *
+   * @param {Object} [usage] - Usage of the running attempt so far
+   * @param {string} [model] - Model ID
+   * @returns {Object|null} { limit, max, actual } for the first ceiling hit, or null
+   */
+  check(usage, model) {
+    const current = this.measure(usage, model);
+    const tokens = this.committed.tokens + current.tokens;
+    const cost = current.cost_usd === null ? null : this.committed.cost_usd + current.cost_usd;
+
+    const checks = [
+      [BudgetLimit.MAX_TOKENS, this.maxTokens, tokens],
+      [BudgetLimit.MAX_COST_USD, this.maxCostUsd, cost],
+      [BudgetLimit.DAILY_TOKENS, this.daily?.daily_tokens, this.spentToday.tokens + tokens],
+      [BudgetLimit.DAILY_COST_USD, this.daily?.daily_cost_usd, this.spentToday.cost_usd + (cost ?? this.committed.cost_usd)],
+    ];
+
+    for (const [limit, max, actual] of checks) {
+      // Per-execution limits only trip once something was spent; daily limits also block new runs
+      if (max != null && actual !== null && actual >= max && (actual > 0 || limit.startsWith('daily'))) {
+        return { limit, max, actual: Math.round(actual * 1_000_000) / 1_000_000 };
+      }
+    }
+
+    return null;
+  }
+}
+
+export default {
+  BUDGET_FILE,
+  BudgetLimit,
+  BudgetTracker,
+  loadBudgetConfig,
+  getDailySpend,
+  getDayKey,
+  formatBudgetExceeded
+};
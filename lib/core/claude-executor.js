@@ -4,7 +4,7 @@
  * Consolidates three different Claude invocation methods:
  * 1. Task API - Use Claude Code's Task() API (preferred, works in slash commands)
  * 2. Subprocess - Spawn claude CLI with -p flag (for server/pipeline)
- * 3. API - Direct Anthropic API calls (future, not yet implemented)
+ * 3. API - Direct Messages API calls over HTTP (see ./providers.js)
  *
  * Provides streaming execution with real-time progress updates,
  * question detection, error handling, and retry logic.
@@ -16,8 +16,25 @@ import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
 import { randomUUID } from 'crypto';
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
 import { loadAgentDefinition } from '../ci/claude-action-integration.js';
+import { createProvider } from './providers.js';
+import { StreamJsonParser, StreamEventType } from './stream-json-parser.js';
+import { buildUsageRecord, recordUsage, estimateTokens } from './usage.js';
+import { BudgetTracker, formatBudgetExceeded } from './budget.js';
+import { ExecutionJournal } from './execution-journal.js';
+import { recordAnsweredQuestion } from './decisions.js';
+import { FixtureStore, FixtureMode, FixtureTiming } from './fixtures.js';
+import { packContext } from './prompt-context.js';
+import { isTemplateEnabled, buildTemplateData, renderTemplate } from './prompt-template.js';
+import { formatSchemaErrors } from './json-schema.js';
+import {
+  assertOutputSchema,
+  buildSchemaInstructions,
+  buildSchemaFeedback,
+  parseStructuredOutput
+} from './output-schema.js';
 
 /**
  * Execution modes
@@ -32,11 +49,21 @@ export const ExecutionMode = {
  * Execution states
  */
 export const ExecutionState = {
+  QUEUED: 'queued',
   PENDING: 'pending',
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
   CANCELLED: 'cancelled',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+};
+
+/**
+ * Subprocess output formats
+ */
+export const OutputFormat = {
+  TEXT: 'text',
+  STREAM_JSON: 'stream-json',
 };
 
 /**
@@ -54,6 +81,26 @@ const MAX_TASK_LENGTH = 10 * 1024;
  */
 const DEFAULT_TIMEOUT = 10 * 60 * 1000;
 
+/**
+ * Default time to wait for an answer in interactive mode (5 minutes)
+ */
+const DEFAULT_QUESTION_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Find a question at the end of an assistant turn
+ *
+ * A turn that ends by asking something is waiting for input; questions
+ * earlier in the text are usually rhetorical.
+ *
+ * @param {string} text - Final assistant text of a turn
+ * @returns {string|null} The question line, or null
+ */
+function extractTrailingQuestion(text) {
+  const lines = (text || '').trim().split('\n');
+  const last = lines[lines.length - 1].trim();
+  return last.endsWith('?') ? last : null;
+}
+
 /**
  * Output Parser
  *
@@ -130,7 +177,7 @@ class OutputParser {
  * Provides consistent interface for executing agents across different modes:
  * - Task API: Uses Claude Code's Task() API (for slash commands)
  * - Subprocess: Spawns claude CLI with -p flag (for server/pipeline)
- * - API: Direct Anthropic API calls (future)
+ * - API: Direct Messages API calls through a pluggable HTTP provider
  *
  * @extends EventEmitter
  * @emits chunk - Streaming output chunk
@@ -140,6 +187,12 @@ class OutputParser {
  * @emits complete - Execution completed
  * @emits retry - Retry attempt starting
  * @emits cancelled - Execution cancelled
+ * @emits text - Assistant text block (stream-json output format)
+ * @emits tool_use - Tool invocation by the agent (stream-json output format)
+ * @emits tool_result - Tool result returned to the agent (stream-json output format)
+ * @emits result - Final result with usage and cost (stream-json output format)
+ * @emits budget_exceeded - Token or dollar ceiling hit; execution is cancelled
+ * @emits answer - Answer delivered to a question via answer()
  */
 export class ClaudeExecutor extends EventEmitter {
   /**
@@ -155,6 +208,37 @@ export class ClaudeExecutor extends EventEmitter {
    * @param {number} [options.maxOutputSize=1048576] - Maximum output size
    * @param {boolean} [options.streamOutput=true] - Stream output as chunks
    * @param {number} [options.maxRetries=2] - Maximum retry attempts
+   * @param {string} [options.outputFormat='text'] - Subprocess output format: 'text' (regex parsing)
+   *   or 'stream-json' (typed events from `claude --output-format stream-json`); defaults to
+   *   'stream-json' when interactive
+   * @param {boolean} [options.interactive=false] - Keep stdin open (`--input-format stream-json`) so
+   *   answer() can reply to questions while the execution is running
+   * @param {number} [options.questionTimeout=300000] - Interactive mode: how long to wait for an
+   *   answer before closing stdin and letting the run finish
+   * @param {Object|string} [options.provider] - API mode provider: 'anthropic', 'openai', 'ollama',
+   *   or a custom provider instance (defaults to AGENTFUL_PROVIDER, then 'anthropic')
+   * @param {string} [options.apiKey] - API key for API mode (defaults to the provider's env var)
+   * @param {string} [options.apiBaseUrl] - API base URL (defaults to the provider's env var)
+   * @param {string} [options.model] - Model ID for API mode
+   * @param {number} [options.maxOutputTokens=8192] - max_tokens per API response
+   * @param {boolean} [options.recordUsage=true] - Append token usage and cost to .agentful/agent-metrics.json
+   * @param {Object} [options.pricing] - Price overrides (USD per million tokens) keyed by model prefix,
+   *   merged over DEFAULT_PRICING from usage.js
+   * @param {number} [options.maxCostUsd] - Cancel an execution once its cost reaches this many USD
+   * @param {number} [options.maxTokens] - Cancel an execution once it uses this many input + output tokens
+   * @param {boolean} [options.journal] - Write executions to .agentful/executions/ (default: enabled
+   *   when the project has a .agentful directory)
+   * @param {Object|false} [options.journalRetention] - { maxAge, maxCount } for journals of finished
+   *   runs, pruned on startup (defaults to DEFAULT_RETENTION from execution-journal.js; false keeps all)
+   * @param {string} [options.fixtures] - Subprocess fixtures: 'record' saves each run, 'replay' serves
+   *   saved runs instead of spawning claude (defaults to AGENTFUL_FIXTURES)
+   * @param {string} [options.fixturesDir] - Fixture directory (defaults to AGENTFUL_FIXTURES_DIR, then
+   *   .agentful/fixtures)
+   * @param {string} [options.fixtureTiming='instant'] - Replay chunks 'instant'ly or with 'recorded' delays
+   * @param {number} [options.maxContextTokens=32000] - Token budget for requirements, diffs and
+   *   inlined files in the prompt
+   * @param {boolean} [options.templates=false] - Render agent instructions as Handlebars templates
+   *   (agents can opt in or out with `template:` in their frontmatter)
    */
   constructor(options = {}) {
     super();
@@ -169,6 +253,12 @@ export class ClaudeExecutor extends EventEmitter {
       maxOutputSize: options.maxOutputSize || MAX_OUTPUT_SIZE,
       streamOutput: options.streamOutput !== false,
       maxRetries: options.maxRetries || 2,
+      outputFormat: options.outputFormat || (options.interactive ? OutputFormat.STREAM_JSON : OutputFormat.TEXT),
+      interactive: options.interactive === true,
+      questionTimeout: options.questionTimeout || DEFAULT_QUESTION_TIMEOUT,
+      recordUsage: options.recordUsage !== false,
+      fixtures: process.env.AGENTFUL_FIXTURES || null,
+      fixtureTiming: FixtureTiming.INSTANT,
       ...options,
     };
 
@@ -180,7 +270,55 @@ export class ClaudeExecutor extends EventEmitter {
       );
     }
 
+    // Validate output format
+    if (!Object.values(OutputFormat).includes(this.options.outputFormat)) {
+      throw new Error(
+        `Invalid output format: ${this.options.outputFormat}. ` +
+        `Must be one of: ${Object.values(OutputFormat).join(', ')}`
+      );
+    }
+
+    if (this.options.interactive && this.options.outputFormat !== OutputFormat.STREAM_JSON) {
+      throw new Error(`Interactive mode requires outputFormat '${OutputFormat.STREAM_JSON}'`);
+    }
+
+    // Record/replay fixtures (subprocess mode only)
+    this.fixtures = null;
+    if (this.options.fixtures) {
+      if (!Object.values(FixtureMode).includes(this.options.fixtures)) {
+        throw new Error(
+          `Invalid fixtures mode: ${this.options.fixtures}. ` +
+          `Must be one of: ${Object.values(FixtureMode).join(', ')}`
+        );
+      }
+      if (this.options.mode !== ExecutionMode.SUBPROCESS) {
+        throw new Error(`Fixtures are only supported in ${ExecutionMode.SUBPROCESS} mode`);
+      }
+      this.fixtures = new FixtureStore(
+        this.options.fixturesDir ||
+        process.env.AGENTFUL_FIXTURES_DIR ||
+        path.join(this.options.projectRoot, '.agentful', 'fixtures')
+      );
+    }
+
     this.activeExecutions = new Map();
+
+    // Durable history; runs left unfinished by a dead process are marked interrupted
+    this.journal = null;
+    this.recoveredExecutions = [];
+
+    const agentfulDir = path.join(this.options.projectRoot, '.agentful');
+    if (this.options.journal === true || (this.options.journal !== false && existsSync(agentfulDir))) {
+      this.journal = new ExecutionJournal(this.options.projectRoot);
+      try {
+        this.recoveredExecutions = this.journal.recoverInterrupted();
+        if (this.options.journalRetention !== false) {
+          this.journal.prune(this.options.journalRetention);
+        }
+      } catch {
+        // Unreadable journal directory - history is best effort
+      }
+    }
   }
 
   /**
@@ -189,19 +327,36 @@ export class ClaudeExecutor extends EventEmitter {
    * @param {string} agentName - Name of the agent
    * @param {string} task - Task description
    * @param {Object} [context={}] - Additional context
-   * @param {Object} [context.files] - Files to include in context
+   * @param {Array<string|Object>} [context.files] - Files to include in context: paths are listed
+   *   (inlined with context.inlineFiles), { path, startLine?, endLine? } objects are inlined
+   * @param {boolean} [context.inlineFiles] - Embed the contents of files given as paths
+   * @param {boolean|string|Object} [context.diff] - Include `git diff` hunks: true (vs HEAD), a ref or
+   *   range, or { base?, staged?, paths? }
+   * @param {number} [context.maxContextTokens] - Override the context token budget
    * @param {Object} [context.requirements] - Requirements to include
    * @param {Object} [context.variables] - Variables to interpolate
+   * @param {string} [context.feature] - Feature being worked on (for usage roll-ups)
    * @param {Object} [options={}] - Execution options
    * @param {number} [options.timeout] - Override default timeout
    * @param {boolean} [options.streamOutput] - Override streaming setting
+   * @param {number} [options.maxCostUsd] - Override per-execution dollar ceiling
+   * @param {number} [options.maxTokens] - Override per-execution token ceiling
+   * @param {string} [options.executionId] - Use this execution ID instead of generating one
+   * @param {string} [options.resumeSessionId] - Resume this Claude session (`--resume`); the task is
+   *   sent as-is instead of a full agent prompt
+   * @param {Object} [options.outputSchema] - JSON Schema the result must match. The agent is asked
+   *   for a fenced JSON block, which is validated (one retry with the errors fed back) and returned
+   *   as `result.data`
    * @returns {Promise<Object>} Execution result
    */
   async execute(agentName, task, context = {}, options = {}) {
     // Validate inputs
     this._validateTask(task);
+    if (options.outputSchema !== undefined) {
+      assertOutputSchema(options.outputSchema);
+    }
 
-    const executionId = randomUUID();
+    const executionId = options.executionId || randomUUID();
     const execOptions = { ...this.options, ...options };
 
     // Initialize execution context
@@ -214,104 +369,342 @@ export class ClaudeExecutor extends EventEmitter {
       endTime: null,
       retries: 0,
       output: '',
+      outputSize: 0,
+      outputTruncated: false,
       error: null,
       exitCode: null,
     };
 
     this.activeExecutions.set(executionId, execContext);
+    this._journal(execContext, 'start', execContext, { mode: this.options.mode });
+
+    let prompt = null;
 
     try {
-      // Load agent definition
-      const agentDef = await this.loadAgent(agentName);
-      execContext.agentMetadata = agentDef.metadata;
+      // Retry loop - attempts share the same execution ID and retry counter
+      for (;;) {
+        try {
+          // Daily budget may already be spent before anything runs
+          execContext.budget ??= BudgetTracker.fromOptions(execOptions);
+          this._checkBudget(execContext, execOptions);
+          if (execContext.budgetExceeded) {
+            throw new Error(formatBudgetExceeded(execContext.budgetExceeded));
+          }
 
-      // Build full prompt
-      const prompt = await this.buildFullPrompt(agentDef, task, context);
+          // Load agent definition
+          const agentDef = await this.loadAgent(agentName);
+          execContext.agentMetadata = agentDef.metadata;
 
-      // Update state
-      execContext.state = ExecutionState.RUNNING;
+          // Build full prompt (a resumed session already has the agent instructions)
+          if (execOptions.resumeSessionId) {
+            prompt = task;
+            execContext.contextManifest = null;
+          } else {
+            ({ prompt, manifest: execContext.contextManifest } = await this.buildPromptWithManifest(agentDef, task, context));
+          }
+          if (execOptions.outputSchema) {
+            prompt += buildSchemaInstructions(execOptions.outputSchema) + (execContext.schemaFeedback || '');
+          }
+          this._journal(execContext, 'prompt', executionId, prompt);
 
-      // Execute based on mode
-      let result;
-      switch (this.options.mode) {
-        case ExecutionMode.TASK_API:
-          result = await this.executeViaTaskAPI(execContext, agentDef, prompt, context, execOptions);
-          break;
+          // Update state
+          execContext.state = ExecutionState.RUNNING;
+          this._journal(execContext, 'transition', executionId, ExecutionState.RUNNING, {
+            attempt: execContext.retries + 1
+          });
+          execContext.output = '';
+          execContext.outputSize = 0;
+          execContext.outputTruncated = false;
+          execContext.model = execOptions.model || null;
+          execContext.promptTokens = estimateTokens(prompt);
+          execContext.reportedUsage = null;
+          execContext.liveUsage = null;
+
+          // Execute based on mode
+          let result;
+          switch (this.options.mode) {
+            case ExecutionMode.TASK_API:
+              result = await this.executeViaTaskAPI(execContext, agentDef, prompt, context, execOptions);
+              break;
+
+            case ExecutionMode.SUBPROCESS:
+              result = await this._executeViaSubprocessInternal(execContext, agentDef, prompt, context, execOptions);
+              break;
+
+            case ExecutionMode.API:
+              result = await this.executeViaAPI(execContext, agentDef, prompt, context, execOptions);
+              break;
+
+            default:
+              throw new Error(`Unsupported execution mode: ${this.options.mode}`);
+          }
 
-        case ExecutionMode.SUBPROCESS:
-          result = await this._executeViaSubprocessInternal(execContext, agentDef, prompt, context, execOptions);
-          break;
+          // Ceiling hit on the final usage report, after the run had already finished
+          if (execContext.budgetExceeded) {
+            throw new Error(formatBudgetExceeded(execContext.budgetExceeded));
+          }
 
-        case ExecutionMode.API:
-          result = await this.executeViaAPI(execContext, agentDef, prompt, context, execOptions);
-          break;
+          // Structured output contract - one retry with the validation errors fed back
+          if (execOptions.outputSchema) {
+            const parsed = parseStructuredOutput(result.output, execOptions.outputSchema);
+
+            if (!parsed.valid && !execContext.schemaFeedback) {
+              execContext.schemaFeedback = buildSchemaFeedback(parsed);
+              execContext.budget?.commit(execContext.liveUsage, execContext.model);
+              execContext.liveUsage = null;
+
+              const message = 'Output did not match outputSchema';
+              this._journal(execContext, 'retry', executionId, {
+                attempt: execContext.retries,
+                error: message,
+                reason: 'output_schema'
+              });
+
+              this.emit('retry', {
+                executionId,
+                attempt: execContext.retries,
+                maxRetries: execOptions.maxRetries,
+                delay: 0,
+                error: message,
+                reason: 'output_schema',
+                validationErrors: parsed.errors,
+              });
+
+              continue;
+            }
 
-        default:
-          throw new Error(`Unsupported execution mode: ${this.options.mode}`);
-      }
+            if (!parsed.valid) {
+              const error = new Error(`Output did not match outputSchema:\n${formatSchemaErrors(parsed.errors)}`);
+              error.validationErrors = parsed.errors;
+              throw error;
+            }
 
-      // Update execution context
-      execContext.state = ExecutionState.COMPLETED;
-      execContext.endTime = Date.now();
-      execContext.output = result.output;
+            result.data = parsed.data;
+          }
 
-      this.emit('complete', {
-        executionId,
-        duration: execContext.endTime - execContext.startTime,
-        result,
-      });
+          // Update execution context
+          execContext.state = ExecutionState.COMPLETED;
+          execContext.endTime = Date.now();
+          execContext.output = result.output;
+
+          const usage = this._recordUsage(execContext, result, prompt, context, execOptions);
+          result.usage = {
+            inputTokens: usage.input_tokens,
+            outputTokens: usage.output_tokens,
+            cacheReadInputTokens: usage.cache_read_input_tokens,
+            cacheCreationInputTokens: usage.cache_creation_input_tokens,
+            estimated: usage.estimated,
+          };
+          result.costUsd = usage.cost_usd;
+          result.contextManifest = execContext.contextManifest;
+
+          this._journal(execContext, 'end', executionId, {
+            state: ExecutionState.COMPLETED,
+            exitCode: result.exitCode,
+            sessionId: execContext.sessionId
+          });
 
-      return result;
+          this.emit('complete', {
+            executionId,
+            duration: execContext.endTime - execContext.startTime,
+            result,
+          });
 
-    } catch (error) {
-      // Check if we should retry
-      if (execContext.retries < execOptions.maxRetries && this._isRetryableError(error)) {
-        execContext.retries++;
-        const delay = Math.pow(2, execContext.retries) * 1000; // Exponential backoff
+          return result;
 
-        this.emit('retry', {
-          executionId,
-          attempt: execContext.retries,
-          maxRetries: execOptions.maxRetries,
-          delay,
-          error: error.message,
-        });
+        } catch (caught) {
+          const budgetExceeded = execContext.budgetExceeded;
+          const cancelled = execContext.state === ExecutionState.CANCELLED || Boolean(budgetExceeded);
 
-        await this._sleep(delay);
+          // Budget cancellation surfaces as the budget error, not the kill/abort error
+          const error = budgetExceeded ? new Error(formatBudgetExceeded(budgetExceeded)) : caught;
 
-        // Retry execution
-        return this.execute(agentName, task, context, options);
-      }
+          // Check if we should retry
+          if (!cancelled && execContext.retries < execOptions.maxRetries && this._isRetryableError(error)) {
+            execContext.budget?.commit(execContext.liveUsage, execContext.model);
+            execContext.liveUsage = null;
+            execContext.retries++;
+            const backoff = Math.pow(2, execContext.retries) * 1000; // Exponential backoff
+            // Providers set retryAfter (seconds) from a 429/503 Retry-After header
+            const delay = Number.isFinite(error.retryAfter) ? Math.max(error.retryAfter * 1000, backoff) : backoff;
 
-      // Update execution context with error
-      execContext.state = ExecutionState.FAILED;
-      execContext.endTime = Date.now();
-      execContext.error = error.message;
+            this._journal(execContext, 'retry', executionId, {
+              attempt: execContext.retries,
+              error: error.message
+            });
 
-      this.emit('error', {
-        executionId,
-        error: error.message,
-        duration: execContext.endTime - execContext.startTime,
-      });
+            this.emit('retry', {
+              executionId,
+              attempt: execContext.retries,
+              maxRetries: execOptions.maxRetries,
+              delay,
+              error: error.message,
+            });
 
-      throw error;
+            await this._sleep(delay);
+            continue;
+          }
+
+          // Update execution context with error
+          if (budgetExceeded) {
+            execContext.state = ExecutionState.BUDGET_EXCEEDED;
+          } else if (!cancelled) {
+            execContext.state = ExecutionState.FAILED;
+          }
+          execContext.endTime = Date.now();
+          execContext.error = error.message;
+
+          // Failed runs still consume tokens once the prompt was sent
+          if (prompt !== null) {
+            this._recordUsage(execContext, null, prompt, context, execOptions);
+          }
+
+          this._journal(execContext, 'end', executionId, {
+            state: execContext.state,
+            exitCode: execContext.exitCode,
+            error: error.message,
+            reason: budgetExceeded ? 'budget_exceeded' : (cancelled ? 'cancelled' : null),
+            sessionId: execContext.sessionId
+          });
+
+          this.emit('error', {
+            executionId,
+            error: error.message,
+            duration: execContext.endTime - execContext.startTime,
+          });
 
+          throw error;
+        }
+      }
     } finally {
-      // Clean up after delay to allow status queries
+      // Clean up after delay to allow status queries (without keeping the process alive)
       setTimeout(() => {
         this.activeExecutions.delete(executionId);
-      }, 60000); // Keep for 1 minute
+      }, 60000).unref(); // Keep for 1 minute
     }
   }
 
   /**
-   * Load agent definition from .claude/agents/
+   * Write to the execution journal, if enabled
+   *
+   * Journal failures never fail the execution.
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {string} method - ExecutionJournal method name
+   * @param {...*} args - Method arguments
+   */
+  _journal(execContext, method, ...args) {
+    if (!this.journal || (method !== 'start' && !execContext.journaled)) {
+      return;
+    }
+
+    try {
+      this.journal[method](...args);
+      execContext.journaled = true;
+    } catch {
+      // Ignore journal write errors
+    }
+  }
+
+  /**
+   * Build a usage record and persist it to agent-metrics.json
+   *
+   * Metrics failures never fail the execution.
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {Object|null} result - Execution result (null on failure)
+   * @param {string|null} prompt - Prompt that was sent
+   * @param {Object} context - Execution context passed to execute()
+   * @param {Object} options - Execution options
+   * @returns {Object} Usage record
+   */
+  _recordUsage(execContext, result, prompt, context, options) {
+    const record = buildUsageRecord({
+      execContext,
+      result,
+      prompt,
+      context,
+      options,
+      usage: execContext.liveUsage,
+    });
+    execContext.usage = record;
+
+    if (options.recordUsage) {
+      try {
+        recordUsage(options.projectRoot, record);
+      } catch {
+        // Ignore metrics write errors
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Update running usage for an execution and enforce budget limits
+   *
+   * Without a reported usage, tokens are estimated from prompt and output length.
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {Object|null} usage - Usage reported by the CLI or provider, if any
+   * @param {Object} options - Execution options
+   */
+  _updateUsage(execContext, usage, options) {
+    if (usage) {
+      execContext.reportedUsage = usage;
+    }
+
+    execContext.liveUsage = execContext.reportedUsage || {
+      inputTokens: execContext.promptTokens || 0,
+      outputTokens: estimateTokens(execContext.output),
+      estimated: true,
+    };
+
+    this._checkBudget(execContext, options);
+  }
+
+  /**
+   * Cancel the execution and emit budget_exceeded if a ceiling was hit
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {Object} options - Execution options
+   */
+  _checkBudget(execContext, options) {
+    if (!execContext.budget || execContext.budgetExceeded) {
+      return;
+    }
+
+    const exceeded = execContext.budget.check(execContext.liveUsage, execContext.model || options.model);
+    if (!exceeded) {
+      return;
+    }
+
+    execContext.budgetExceeded = exceeded;
+
+    this.emit('budget_exceeded', {
+      executionId: execContext.id,
+      limit: exceeded.limit,
+      max: exceeded.max,
+      actual: exceeded.actual,
+      usage: execContext.liveUsage,
+      timestamp: Date.now()
+    });
+
+    this.cancel(execContext.id);
+  }
+
+  /**
+   * Load agent definition from the agents directory (.claude/agents/ by default)
    *
    * @param {string} agentName - Name of the agent
    * @returns {Promise<Object>} Agent definition with metadata and instructions
    */
   async loadAgent(agentName) {
-    return loadAgentDefinition(agentName, this.options.projectRoot);
+    return loadAgentDefinition(agentName, this.options.projectRoot, { agentsDir: this.options.agentsDir });
   }
 
   /**
@@ -319,10 +712,41 @@ export class ClaudeExecutor extends EventEmitter {
    *
    * @param {Object} agentDef - Agent definition
    * @param {string} task - Task description
-   * @param {Object} context - Additional context
+   * @param {Object} context - Additional context (see execute())
    * @returns {Promise<string>} Complete prompt
    */
   async buildFullPrompt(agentDef, task, context = {}) {
+    return (await this.buildPromptWithManifest(agentDef, task, context)).prompt;
+  }
+
+  /**
+   * Build full prompt and report which context made it in
+   *
+   * Requirements, git diffs and inlined files are packed into the context
+   * token budget in that order (see ./prompt-context.js). Agent instructions
+   * are rendered as a template when enabled (see ./prompt-template.js).
+   *
+   * @param {Object} agentDef - Agent definition
+   * @param {string} task - Task description
+   * @param {Object} context - Additional context (see execute())
+   * @returns {Promise<Object>} { prompt, manifest } where manifest is
+   *   { budgetTokens, usedTokens, items: [{ type, path?, status, tokens, originalTokens, reason? }] }
+   * @throws {Error} If the agent template uses an unknown variable
+   */
+  async buildPromptWithManifest(agentDef, task, context = {}) {
+    const instructions = isTemplateEnabled(agentDef.metadata, this.options.templates)
+      ? renderTemplate(
+        agentDef.instructions,
+        buildTemplateData(this.options.projectRoot, { agent: agentDef.metadata.name, task, context }),
+        { projectRoot: this.options.projectRoot, agent: agentDef.metadata.name }
+      )
+      : agentDef.instructions;
+
+    const { sections, manifest } = packContext(context, {
+      root: this.options.workingDir,
+      maxContextTokens: this.options.maxContextTokens
+    });
+
     let prompt = `# Task for ${agentDef.metadata.name} Agent
 
 ${task}
@@ -330,21 +754,7 @@ ${task}
 `;
 
     // Add context sections
-    if (context.files && Array.isArray(context.files)) {
-      prompt += `## Relevant Files
-
-${context.files.map(f => `- ${f}`).join('\n')}
-
-`;
-    }
-
-    if (context.requirements) {
-      prompt += `## Requirements
-
-${context.requirements}
-
-`;
-    }
+    prompt += sections.files + sections.diff + sections.requirements;
 
     if (context.variables && Object.keys(context.variables).length > 0) {
       prompt += `## Variables
@@ -359,10 +769,10 @@ ${Object.entries(context.variables).map(([k, v]) => `- ${k}: ${v}`).join('\n')}
 
 # Agent Instructions
 
-${agentDef.instructions}
+${instructions}
 `;
 
-    return prompt;
+    return { prompt, manifest };
   }
 
   /**
@@ -404,7 +814,11 @@ ${agentDef.instructions}
   }
 
   /**
-   * Execute via Anthropic API
+   * Execute via the Messages API
+   *
+   * Streams the response through an HTTP provider and emits the same
+   * chunk/progress/question/error events as subprocess mode. HTTP errors
+   * carry their status code so 429/5xx responses are retried by execute().
    *
    * @param {Object} execContext - Execution context
    * @param {Object} agentDef - Agent definition
@@ -414,45 +828,403 @@ ${agentDef.instructions}
    * @returns {Promise<Object>} Execution result
    */
   async executeViaAPI(execContext, agentDef, prompt, context, options) {
-    // Direct API execution not yet implemented
-    // This would require ANTHROPIC_API_KEY and direct fetch calls
+    const provider = createProvider(options);
+    const abortController = new AbortController();
+    let timedOut = false;
 
-    throw new Error(
-      'Direct API execution not yet implemented. ' +
-      'Use task-api or subprocess mode instead. ' +
-      'To implement API mode, add Anthropic API key and implement API client.'
-    );
+    execContext.abortController = abortController;
+    execContext.parser = new OutputParser();
+    execContext.model = provider.model || execContext.model;
+    execContext.provider = provider.name;
+
+    const timeoutHandle = setTimeout(() => {
+      timedOut = true;
+      abortController.abort();
+    }, options.timeout);
+
+    try {
+      const response = await provider.execute(prompt, {
+        signal: abortController.signal,
+        onText: (text) => this._handleOutputChunk(execContext, text, options),
+        onUsage: (usage) => this._updateUsage(execContext, usage, options),
+      });
 
-    // Future implementation:
-    // const apiKey = process.env.ANTHROPIC_API_KEY;
-    // if (!apiKey) {
-    //   throw new Error('ANTHROPIC_API_KEY environment variable not set');
-    // }
-    //
-    // const response = await fetch('https://api.anthropic.com/v1/messages', {
-    //   method: 'POST',
-    //   headers: {
-    //     'Content-Type': 'application/json',
-    //     'x-api-key': apiKey,
-    //     'anthropic-version': '2023-06-01',
-    //   },
-    //   body: JSON.stringify({
-    //     model: 'claude-sonnet-4',
-    //     max_tokens: 4096,
-    //     messages: [{ role: 'user', content: prompt }],
-    //   }),
-    // });
-    //
-    // if (!response.ok) {
-    //   throw new Error(`API error: ${response.status} ${response.statusText}`);
-    // }
-    //
-    // const result = await response.json();
-    // return {
-    //   success: true,
-    //   output: result.content[0].text,
-    //   mode: ExecutionMode.API,
-    // };
+      if (execContext.outputTruncated) {
+        execContext.output += '\n\n[Note: Output was truncated due to size limit]';
+      }
+
+      return {
+        success: true,
+        output: execContext.output,
+        mode: ExecutionMode.API,
+        truncated: execContext.outputTruncated,
+        provider: provider.name,
+        model: response.model,
+        usage: response.usage,
+        stopReason: response.stopReason,
+      };
+
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        if (timedOut) {
+          throw new Error(`Execution timeout after ${options.timeout}ms`);
+        }
+        throw new Error('Execution cancelled');
+      }
+      throw error;
+
+    } finally {
+      clearTimeout(timeoutHandle);
+      execContext.abortController = null;
+    }
+  }
+
+  /**
+   * Append text to the execution output and emit a chunk event
+   *
+   * Enforces the output size limit on execContext.output.
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {string} chunk - Output text
+   * @param {Object} options - Execution options
+   * @returns {boolean} False if the output limit was already reached
+   */
+  _appendOutput(execContext, chunk, options) {
+    // Check output size limit
+    if (execContext.outputSize >= options.maxOutputSize) {
+      return false;
+    }
+
+    const remainingSpace = options.maxOutputSize - execContext.outputSize;
+    const chunkToAdd = chunk.length <= remainingSpace
+      ? chunk
+      : chunk.substring(0, remainingSpace) + '\n[Output truncated - limit reached]';
+
+    execContext.output += chunkToAdd;
+    execContext.outputSize += chunk.length;
+    this._journal(execContext, 'output', execContext.id, chunkToAdd);
+
+    if (chunk.length > remainingSpace) {
+      execContext.outputTruncated = true;
+    }
+
+    // Emit chunk if streaming enabled
+    if (options.streamOutput) {
+      this.emit('chunk', { executionId: execContext.id, chunk: chunkToAdd, text: chunkToAdd });
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a plain-text output chunk and emit chunk/progress/question/error events
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {string} chunk - Output chunk
+   * @param {Object} options - Execution options
+   */
+  _handleOutputChunk(execContext, chunk, options) {
+    if (!this._appendOutput(execContext, chunk, options)) {
+      return;
+    }
+
+    this._updateUsage(execContext, null, options);
+
+    // Parse for structured events
+    const events = execContext.parser.parse(chunk);
+
+    if (events.progress) {
+      this._emitProgress(execContext, events.progress);
+    }
+
+    if (events.question) {
+      this._askQuestion(execContext, events.question.text, events.question.timestamp);
+    }
+
+    if (events.error) {
+      this.emit('error', {
+        executionId: execContext.id,
+        message: events.error.message,
+        timestamp: events.error.timestamp
+      });
+    }
+  }
+
+  /**
+   * Handle a typed event from the stream-json parser
+   *
+   * Only explicit progress markers are read from assistant text; questions
+   * and errors come from the structured stream rather than regex guesses.
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {Object} event - Event from StreamJsonParser
+   * @param {Object} options - Execution options
+   */
+  _handleStreamEvent(execContext, event, options) {
+    const executionId = execContext.id;
+
+    switch (event.type) {
+      case StreamEventType.SYSTEM:
+        if (event.sessionId) {
+          execContext.sessionId = event.sessionId;
+        }
+        if (event.model) {
+          execContext.model = event.model;
+        }
+        break;
+
+      case StreamEventType.USAGE:
+        this._updateUsage(execContext, event.usage, options);
+        break;
+
+      case StreamEventType.TEXT: {
+        this._appendOutput(execContext, event.text, options);
+        this.emit('text', { executionId, text: event.text, timestamp: Date.now() });
+
+        const { progress } = execContext.textParser.parse(event.text);
+        if (progress) {
+          this._emitProgress(execContext, progress);
+        }
+        break;
+      }
+
+      case StreamEventType.TOOL_USE:
+        this.emit('tool_use', {
+          executionId,
+          id: event.id,
+          name: event.name,
+          input: event.input,
+          timestamp: Date.now()
+        });
+        break;
+
+      case StreamEventType.TOOL_RESULT:
+        this.emit('tool_result', {
+          executionId,
+          toolUseId: event.toolUseId,
+          content: event.content,
+          isError: event.isError,
+          timestamp: Date.now()
+        });
+        break;
+
+      case StreamEventType.RESULT:
+        execContext.streamResult = event;
+        if (event.sessionId) {
+          execContext.sessionId = event.sessionId;
+        }
+        this.emit('result', { executionId, ...event, timestamp: Date.now() });
+        this._updateUsage(execContext, { ...event.usage, costUsd: event.costUsd }, options);
+        this._handleTurnEnd(execContext, event, options);
+        break;
+
+      case StreamEventType.RAW:
+        this._appendOutput(execContext, event.text, options);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handle the end of an assistant turn (stream-json result message)
+   *
+   * A turn ending in a question emits a question event. In interactive mode
+   * stdin stays open for answer() until the question timeout; otherwise
+   * stdin is closed so the CLI exits.
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {Object} event - Result event
+   * @param {Object} options - Execution options
+   */
+  _handleTurnEnd(execContext, event, options) {
+    const question = event.isError ? null : extractTrailingQuestion(event.text);
+
+    if (question) {
+      this._askQuestion(execContext, question, Date.now());
+    }
+
+    if (!execContext.stdinOpen) {
+      return;
+    }
+
+    if (question) {
+      clearTimeout(execContext.questionTimer);
+      execContext.questionTimer = setTimeout(() => this._closeInput(execContext), options.questionTimeout);
+    } else {
+      this._closeInput(execContext);
+    }
+  }
+
+  /**
+   * Record a pending question and emit a question event
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {string} text - Question text
+   * @param {number} timestamp - When the question was detected
+   */
+  _askQuestion(execContext, text, timestamp) {
+    execContext.pendingQuestion = {
+      id: randomUUID(),
+      text,
+      askedAt: new Date(timestamp).toISOString()
+    };
+
+    this._journal(execContext, 'question', execContext.id, {
+      questionId: execContext.pendingQuestion.id,
+      text
+    });
+
+    this.emit('question', {
+      executionId: execContext.id,
+      questionId: execContext.pendingQuestion.id,
+      text,
+      sessionId: execContext.sessionId || null,
+      timestamp
+    });
+  }
+
+  /**
+   * Send a user message to an interactive session
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {string} text - Message text
+   */
+  _writeUserMessage(execContext, text) {
+    execContext.process.stdin.write(JSON.stringify({
+      type: 'user',
+      message: { role: 'user', content: [{ type: 'text', text }] }
+    }) + '\n');
+  }
+
+  /**
+   * Close stdin of an interactive session so the CLI can exit
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   */
+  _closeInput(execContext) {
+    clearTimeout(execContext.questionTimer);
+    if (execContext.stdinOpen) {
+      execContext.stdinOpen = false;
+      execContext.process?.stdin.end();
+    }
+  }
+
+  /**
+   * Answer a question asked by an agent
+   *
+   * Interactive executions that are still running receive the answer on
+   * stdin. Finished executions with a Claude session (stream-json output)
+   * are resumed with `--resume <sessionId>` and the answer as the prompt.
+   * Each answer is recorded in .agentful/decisions.json as a resolved decision.
+   *
+   * @param {string} executionId - Execution that asked the question
+   * @param {string} text - Answer text
+   * @returns {Promise<Object>} { executionId, delivery: 'stdin'|'resume', question, decisionId, result? }
+   */
+  async answer(executionId, text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Answer must be a non-empty string');
+    }
+
+    const execution = this.activeExecutions.get(executionId);
+    const journaled = execution ? null : this._readJournal(executionId);
+
+    if (!execution && !journaled) {
+      throw new Error(`Execution not found: ${executionId}`);
+    }
+
+    const agent = (execution || journaled).agent;
+    const question = execution ? execution.pendingQuestion : journaled.pendingQuestion;
+    const sessionId = execution ? execution.sessionId : journaled.sessionId;
+
+    const record = () => {
+      const qa = { questionId: question?.id || null, text };
+      if (execution) {
+        execution.pendingQuestion = null;
+        this._journal(execution, 'answer', executionId, qa);
+      } else {
+        try {
+          this.journal.answer(executionId, qa);
+        } catch {
+          // Ignore journal write errors
+        }
+      }
+
+      let decisionId = null;
+      try {
+        decisionId = recordAnsweredQuestion(this.options.projectRoot, {
+          question: question?.text || null,
+          answer: text,
+          agent,
+          executionId,
+          askedAt: question?.askedAt
+        }).decision?.id || null;
+      } catch {
+        // Ignore decision write errors
+      }
+      return decisionId;
+    };
+
+    // Running interactive session - feed the answer on stdin
+    if (execution?.process && execution.stdinOpen) {
+      clearTimeout(execution.questionTimer);
+      this._writeUserMessage(execution, text);
+
+      const decisionId = record();
+      this.emit('answer', { executionId, questionId: question?.id || null, text, delivery: 'stdin', timestamp: Date.now() });
+
+      return { executionId, delivery: 'stdin', question: question?.text || null, decisionId };
+    }
+
+    if (execution && [ExecutionState.PENDING, ExecutionState.RUNNING].includes(execution.state)) {
+      throw new Error(
+        `Execution ${executionId} is still running and not accepting input. ` +
+        'Use interactive: true to answer running executions'
+      );
+    }
+
+    if (!sessionId || this.options.mode !== ExecutionMode.SUBPROCESS) {
+      throw new Error(
+        `Cannot answer execution ${executionId}: no Claude session to resume ` +
+        `(run it with outputFormat: '${OutputFormat.STREAM_JSON}')`
+      );
+    }
+
+    // Finished - resume the session with the answer
+    const decisionId = record();
+    this.emit('answer', { executionId, questionId: question?.id || null, text, delivery: 'resume', timestamp: Date.now() });
+
+    const result = await this.execute(agent, text, {}, {
+      resumeSessionId: sessionId,
+      outputFormat: OutputFormat.STREAM_JSON
+    });
+
+    return { executionId, delivery: 'resume', question: question?.text || null, decisionId, result };
+  }
+
+  /**
+   * Emit a progress event
+   *
+   * @private
+   * @param {Object} execContext - Execution context
+   * @param {Object} progress - { percentage, raw }
+   */
+  _emitProgress(execContext, progress) {
+    this.emit('progress', {
+      executionId: execContext.id,
+      percentage: progress.percentage,
+      message: progress.raw,
+      timestamp: Date.now()
+    });
   }
 
   /**
@@ -462,25 +1234,58 @@ ${agentDef.instructions}
    */
   async _executeViaSubprocessInternal(execContext, agentDef, prompt, context, options) {
     return new Promise((resolve, reject) => {
-      const args = ['-p', prompt];
+      const streamJson = options.outputFormat === OutputFormat.STREAM_JSON;
+      const interactive = streamJson && options.interactive;
+
+      // Interactive sessions receive the prompt (and later answers) on stdin
+      const args = interactive ? ['-p'] : ['-p', prompt];
+
+      if (interactive) {
+        args.push('--input-format', 'stream-json');
+      }
+
+      if (streamJson) {
+        // stream-json requires --verbose in print mode
+        args.push('--output-format', 'stream-json', '--verbose');
+      }
+
+      if (options.resumeSessionId) {
+        args.push('--resume', options.resumeSessionId);
+      }
 
       if (options.timeout) {
         args.push('--timeout', options.timeout.toString());
       }
 
-      const proc = spawn(options.claudeCommand, args, {
-        cwd: options.workingDir,
-        env: {
-          ...process.env,
-          CLAUDE_NON_INTERACTIVE: '1', // Disable interactive prompts
-        },
-      });
+      const fixture = { agent: execContext.agent, prompt, args, outputFormat: options.outputFormat };
+      const proc = this.options.fixtures === FixtureMode.REPLAY
+        ? this.fixtures.replay(fixture, { timing: options.fixtureTiming })
+        : spawn(options.claudeCommand, args, {
+          cwd: options.workingDir,
+          env: {
+            ...process.env,
+            CLAUDE_NON_INTERACTIVE: '1', // Disable interactive prompts
+          },
+        });
 
-      execContext.process = proc;
-      execContext.parser = new OutputParser();
+      if (this.options.fixtures === FixtureMode.RECORD) {
+        this.fixtures.record(proc, fixture);
+      }
 
-      let outputSize = 0;
-      let outputTruncated = false;
+      execContext.process = proc;
+      execContext.parser = streamJson ? new StreamJsonParser() : new OutputParser();
+      execContext.textParser = new OutputParser();
+      execContext.streamResult = null;
+      execContext.stdinOpen = interactive;
+
+      // The CLI may exit before reading stdin
+      proc.stdin.on('error', () => {});
+
+      if (interactive) {
+        this._writeUserMessage(execContext, prompt);
+      } else {
+        proc.stdin.end();
+      }
 
       // Setup timeout
       const timeoutHandle = setTimeout(() => {
@@ -490,54 +1295,12 @@ ${agentDef.instructions}
 
       // Capture stdout
       proc.stdout.on('data', (data) => {
-        const chunk = data.toString();
-
-        // Check output size limit
-        if (outputSize < options.maxOutputSize) {
-          const remainingSpace = options.maxOutputSize - outputSize;
-          const chunkToAdd = chunk.length <= remainingSpace
-            ? chunk
-            : chunk.substring(0, remainingSpace) + '\n[Output truncated - limit reached]';
-
-          execContext.output += chunkToAdd;
-          outputSize += chunk.length;
-
-          if (chunk.length > remainingSpace) {
-            outputTruncated = true;
-          }
-
-          // Emit chunk if streaming enabled
-          if (options.streamOutput) {
-            this.emit('chunk', { executionId: execContext.id, chunk: chunkToAdd, text: chunkToAdd });
-          }
-
-          // Parse for structured events
-          const events = execContext.parser.parse(chunk);
-
-          if (events.progress) {
-            this.emit('progress', {
-              executionId: execContext.id,
-              percentage: events.progress.percentage,
-              message: events.progress.raw,
-              timestamp: Date.now()
-            });
-          }
-
-          if (events.question) {
-            this.emit('question', {
-              executionId: execContext.id,
-              text: events.question.text,
-              timestamp: events.question.timestamp
-            });
-          }
-
-          if (events.error) {
-            this.emit('error', {
-              executionId: execContext.id,
-              message: events.error.message,
-              timestamp: events.error.timestamp
-            });
+        if (streamJson) {
+          for (const event of execContext.parser.parse(data.toString())) {
+            this._handleStreamEvent(execContext, event, options);
           }
+        } else {
+          this._handleOutputChunk(execContext, data.toString(), options);
         }
       });
 
@@ -561,21 +1324,49 @@ ${agentDef.instructions}
       // Handle process exit
       proc.on('close', (code) => {
         clearTimeout(timeoutHandle);
+        clearTimeout(execContext.questionTimer);
+        execContext.stdinOpen = false;
         execContext.exitCode = code;
         execContext.process = null;
 
-        if (outputTruncated) {
+        if (streamJson) {
+          for (const event of execContext.parser.flush()) {
+            this._handleStreamEvent(execContext, event, options);
+          }
+        }
+
+        const streamResult = execContext.streamResult;
+
+        // The result message carries the final answer; streamed text includes intermediate turns
+        if (streamResult?.text !== null && streamResult?.text !== undefined) {
+          execContext.outputTruncated = streamResult.text.length > options.maxOutputSize;
+          execContext.output = streamResult.text.substring(0, options.maxOutputSize);
+        }
+
+        if (execContext.outputTruncated) {
           execContext.output += '\n\n[Note: Output was truncated due to size limit]';
         }
 
-        if (code === 0) {
-          resolve({
+        if (streamResult?.isError) {
+          reject(new Error(`Claude reported an error (${streamResult.subtype || 'error'}): ${streamResult.text || 'No error details'}`));
+        } else if (code === 0) {
+          const result = {
             success: true,
             output: execContext.output,
             exitCode: code,
             mode: ExecutionMode.SUBPROCESS,
-            truncated: outputTruncated,
-          });
+            truncated: execContext.outputTruncated,
+          };
+
+          if (streamResult) {
+            result.sessionId = streamResult.sessionId;
+            result.model = streamResult.model;
+            result.usage = streamResult.usage;
+            result.costUsd = streamResult.costUsd;
+            result.numTurns = streamResult.numTurns;
+          }
+
+          resolve(result);
         } else {
           reject(new Error(`Claude exited with code ${code}`));
         }
@@ -878,11 +1669,13 @@ ${agentDef.instructions}
   cancel(executionId) {
     const execution = this.activeExecutions.get(executionId);
     if (!execution) {
-      return false;
+      // Not started yet - remove it from the attached ExecutionQueue
+      return this.queue?.isQueued(executionId) ? this.queue.cancel(executionId) : false;
     }
 
     if (execution.process) {
       execution.state = ExecutionState.CANCELLED;
+      this._journal(execution, 'transition', executionId, ExecutionState.CANCELLED);
       execution.process.kill('SIGTERM');
 
       // Force kill after timeout
@@ -895,19 +1688,29 @@ ${agentDef.instructions}
       return true;
     }
 
+    if (execution.abortController) {
+      execution.state = ExecutionState.CANCELLED;
+      this._journal(execution, 'transition', executionId, ExecutionState.CANCELLED);
+      execution.abortController.abort();
+      return true;
+    }
+
     return false;
   }
 
   /**
    * Get execution status
    *
+   * Falls back to the queue for waiting executions and to the journal for
+   * executions that finished more than a minute ago or in an earlier process.
+   *
    * @param {string} executionId - Execution ID
    * @returns {Object|null} Execution status or null if not found
    */
   getExecutionStatus(executionId) {
     const execution = this.activeExecutions.get(executionId);
     if (!execution) {
-      return null;
+      return this.queue?.getStatus(executionId) || this._readJournal(executionId);
     }
 
     const duration = execution.endTime
@@ -924,19 +1727,84 @@ ${agentDef.instructions}
       duration,
       exitCode: execution.exitCode,
       outputLength: execution.output.length,
-      errorLength: execution.error.length
+      errorLength: (execution.error || '').length,
+      sessionId: execution.sessionId || null,
+      pendingQuestion: execution.pendingQuestion || null
     };
   }
 
   /**
    * List all active executions
    *
+   * Includes executions waiting in an attached ExecutionQueue (state 'queued'),
+   * in the order they will start, followed by running and recently finished ones.
+   *
    * @returns {Object[]} Array of execution statuses
    */
   listActiveExecutions() {
-    return Array.from(this.activeExecutions.keys()).map(id =>
+    const queued = this.queue ? this.queue.list() : [];
+    const active = Array.from(this.activeExecutions.keys()).map(id =>
       this.getExecutionStatus(id)
     );
+    return [...queued, ...active];
+  }
+
+  /**
+   * List executions, including history from the journal
+   *
+   * Without a journal only in-memory executions (running or finished within
+   * the last minute) are available.
+   *
+   * @param {Object} [filter={}] - Filters
+   * @param {Date|string|number} [filter.since] - Only executions started at or after this time
+   * @param {string} [filter.agent] - Only this agent
+   * @param {string} [filter.state] - Only this state (e.g. 'failed', 'queued')
+   * @returns {Object[]} Execution statuses, queued first, then newest first
+   */
+  listExecutions(filter = {}) {
+    const since = filter.since !== undefined ? new Date(filter.since).getTime() : null;
+    const matches = (status) =>
+      (since === null || status.startTime === null || status.startTime >= since)
+      && (!filter.agent || status.agent === filter.agent)
+      && (!filter.state || status.state === filter.state);
+
+    const queued = (this.queue ? this.queue.list() : []).filter(matches);
+
+    let executions;
+    if (this.journal) {
+      try {
+        executions = this.journal.list(filter);
+      } catch {
+        executions = null;
+      }
+    }
+
+    if (!executions) {
+      executions = Array.from(this.activeExecutions.keys())
+        .map(id => this.getExecutionStatus(id))
+        .filter(matches)
+        .sort((a, b) => b.startTime - a.startTime);
+    }
+
+    return [...queued, ...executions];
+  }
+
+  /**
+   * Read an execution status from the journal
+   *
+   * @private
+   * @param {string} executionId - Execution ID
+   * @returns {Object|null} Status or null
+   */
+  _readJournal(executionId) {
+    if (!this.journal) {
+      return null;
+    }
+    try {
+      return this.journal.read(executionId);
+    } catch {
+      return null;
+    }
   }
 
   /**
@@ -984,11 +1852,22 @@ ${agentDef.instructions}
    * @returns {boolean} True if retryable
    */
   _isRetryableError(error) {
+    // Output schema failures already had their retry
+    if (error.validationErrors) {
+      return false;
+    }
+
+    // HTTP errors from API providers: rate limits and server errors
+    if (error.status === 429 || error.status >= 500) {
+      return true;
+    }
+
     const retryablePatterns = [
       /timeout/i,
       /ECONNREFUSED/i,
       /ETIMEDOUT/i,
       /rate limit/i,
+      /overloaded/i,
       /429/,
     ];
 
@@ -0,0 +1,90 @@
+/**
+ * Decision Recording
+ *
+ * Records questions asked by agents during an execution, and the answers
+ * given through ClaudeExecutor.answer(), as resolved decisions in
+ * `.agentful/decisions.json`.
+ *
+ * @module core/decisions
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { updateStateFile } from '../state-validator.js';
+
+/**
+ * Next sequential decision ID (decision-001, decision-002, ...)
+ *
+ * @param {Object[]} decisions - Existing decisions
+ * @returns {string} Decision ID
+ */
+export function nextDecisionId(decisions) {
+  let max = 0;
+  for (const decision of decisions) {
+    const match = /^decision-(\d+)$/.exec(decision?.id || '');
+    if (match) {
+      max = Math.max(max, parseInt(match[1], 10));
+    }
+  }
+  return `decision-${String(max + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Record an answered agent question as a resolved decision
+ *
+ * IDs also account for a legacy `{ pending, resolved }` file that has not been
+ * migrated yet; the answer is only written to `decisions`, which the 1.1
+ * migration merges those lists into.
+ * Does nothing if the project has no .agentful directory.
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} qa - Question and answer
+ * @param {string|null} qa.question - Question text (null if none was detected)
+ * @param {string} qa.answer - Answer given
+ * @param {string} qa.agent - Agent that asked
+ * @param {string} qa.executionId - Execution the question came from
+ * @param {string} [qa.askedAt] - When the question was asked (ISO timestamp)
+ * @returns {Object} Result with { success, message, decision? }
+ */
+export function recordAnsweredQuestion(projectRoot, qa) {
+  if (!fs.existsSync(path.join(projectRoot, '.agentful'))) {
+    return { success: false, message: 'No .agentful directory' };
+  }
+
+  const now = new Date().toISOString();
+  let decision = null;
+
+  const result = updateStateFile(projectRoot, 'decisions.json', (current) => {
+    const decisions = Array.isArray(current.decisions) ? current.decisions : [];
+
+    decision = {
+      id: nextDecisionId([
+        ...decisions,
+        ...(Array.isArray(current.pending) ? current.pending : []),
+        ...(Array.isArray(current.resolved) ? current.resolved : [])
+      ]),
+      question: qa.question || '(answer given without a detected question)',
+      context: `Asked by ${qa.agent} agent during execution ${qa.executionId}`,
+      options: [],
+      status: 'resolved',
+      resolution: qa.answer,
+      created_at: qa.askedAt || now,
+      resolved_at: now,
+      agent: qa.agent,
+      execution_id: qa.executionId
+    };
+
+    return {
+      ...current,
+      decisions: [...decisions, decision],
+      lastUpdated: now
+    };
+  });
+
+  return { ...result, decision: result.success ? decision : undefined };
+}
+
+export default {
+  nextDecisionId,
+  recordAnsweredQuestion
+};
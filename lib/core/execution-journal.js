@@ -0,0 +1,564 @@
+/**
+ * Execution Journal
+ *
+ * Append-only record of every execution, one JSONL file per execution in
+ * `.agentful/executions/<executionId>.jsonl`. Entries:
+ *
+ * - { type: 'start', id, agent, task, mode, pid, hostname, timestamp }
+ * - { type: 'prompt', hash, length, timestamp }
+ * - { type: 'state', state, timestamp, ...details }
+ * - { type: 'output', text, timestamp }
+ * - { type: 'retry', attempt, error, reason, timestamp }
+ * - { type: 'question', questionId, text, timestamp }
+ * - { type: 'answer', questionId, text, timestamp }
+ * - { type: 'end', state, exitCode, error, reason, sessionId, timestamp }
+ *
+ * Appends are synchronous so the journal is complete up to the last write
+ * if the process crashes, except for output chunks: those are buffered and
+ * written together every OUTPUT_FLUSH_INTERVAL ms, once OUTPUT_FLUSH_SIZE
+ * characters are pending, or before the execution's next entry.
+ *
+ * Unfinished runs are indexed by a marker file, `running/<executionId>.json`
+ * ({ pid, hostname }), written with the start entry and removed with the end
+ * entry, so recovering interrupted runs does not read every journal. Old
+ * journals of finished runs are pruned by prune().
+ *
+ * @module core/execution-journal
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { isOwnerAlive } from '../file-lock.js';
+
+/**
+ * Journal directory inside .agentful/
+ */
+export const JOURNAL_DIR = 'executions';
+
+/**
+ * Reason recorded for runs whose process died before finishing
+ */
+export const INTERRUPTED_REASON = 'interrupted';
+
+/**
+ * Directory inside the journal directory indexing unfinished runs
+ */
+const RUNNING_DIR = 'running';
+
+/**
+ * Buffered output is written at least this often (ms)...
+ */
+const OUTPUT_FLUSH_INTERVAL = 1000;
+
+/**
+ * ...or as soon as this many characters are pending
+ */
+const OUTPUT_FLUSH_SIZE = 64 * 1024;
+
+/**
+ * Default retention for prune(): finished runs are kept for 30 days, at most 1000 of them
+ */
+export const DEFAULT_RETENTION = {
+  maxAge: 30 * 24 * 60 * 60 * 1000,
+  maxCount: 1000
+};
+
+/**
+ * Hash a prompt for the journal (the prompt itself is not stored)
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {string} sha256 hex digest
+ */
+export function hashPrompt(prompt) {
+  return createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Execution Journal
+ */
+export class ExecutionJournal {
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot) {
+    this.dir = path.join(projectRoot, '.agentful', JOURNAL_DIR);
+    this.runningDir = path.join(this.dir, RUNNING_DIR);
+    this.pendingOutput = new Map();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Path of an execution's journal file
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {string}
+   * @throws {Error} If the ID could escape the journal directory
+   */
+  filePath(executionId) {
+    if (typeof executionId !== 'string' || !/^[\w-]+$/.test(executionId)) {
+      throw new Error(`Invalid execution ID: ${executionId}`);
+    }
+    return path.join(this.dir, `${executionId}.jsonl`);
+  }
+
+  /**
+   * Path of an unfinished execution's marker file
+   * @private
+   */
+  _markerPath(executionId) {
+    return path.join(this.runningDir, `${path.basename(this.filePath(executionId), '.jsonl')}.json`);
+  }
+
+  /**
+   * Append an entry to an execution's journal
+   *
+   * Start entries add the execution to the index of unfinished runs, end
+   * entries remove it.
+   *
+   * @param {string} executionId - Execution ID
+   * @param {Object} entry - Entry (type plus fields)
+   */
+  append(executionId, entry) {
+    this.flush(executionId);
+    this._write(executionId, [{ ...entry, timestamp: entry.timestamp || new Date().toISOString() }]);
+
+    if (entry.type === 'start') {
+      fs.mkdirSync(this.runningDir, { recursive: true });
+      fs.writeFileSync(this._markerPath(executionId), JSON.stringify({ pid: entry.pid, hostname: entry.hostname }), 'utf-8');
+    } else if (entry.type === 'end') {
+      fs.rmSync(this._markerPath(executionId), { force: true });
+    }
+  }
+
+  /**
+   * Write entries to an execution's journal file
+   * @private
+   */
+  _write(executionId, entries) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(
+      this.filePath(executionId),
+      entries.map(entry => JSON.stringify(entry) + '\n').join(''),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Write buffered output chunks
+   *
+   * @param {string} [executionId] - Only this execution's output (default: all)
+   */
+  flush(executionId) {
+    const ids = executionId === undefined ? [...this.pendingOutput.keys()] : [executionId];
+
+    for (const id of ids) {
+      const pending = this.pendingOutput.get(id);
+      if (!pending) {
+        continue;
+      }
+      this.pendingOutput.delete(id);
+      this._write(id, [{ type: 'output', text: pending.text, timestamp: pending.timestamp }]);
+    }
+
+    if (this.pendingOutput.size === 0 && this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Record the start of an execution
+   *
+   * @param {Object} execContext - Executor execution context
+   * @param {Object} [details={}] - Extra fields (e.g. mode)
+   */
+  start(execContext, details = {}) {
+    this.append(execContext.id, {
+      type: 'start',
+      id: execContext.id,
+      agent: execContext.agent,
+      task: execContext.task,
+      ...details,
+      pid: process.pid,
+      hostname: os.hostname(),
+      timestamp: new Date(execContext.startTime).toISOString()
+    });
+  }
+
+  /**
+   * Record the hash of the prompt sent for an execution
+   *
+   * @param {string} executionId - Execution ID
+   * @param {string} prompt - Prompt text
+   */
+  prompt(executionId, prompt) {
+    this.append(executionId, { type: 'prompt', hash: hashPrompt(prompt), length: prompt.length });
+  }
+
+  /**
+   * Record a state transition
+   *
+   * @param {string} executionId - Execution ID
+   * @param {string} state - New state
+   * @param {Object} [details={}] - Extra fields (e.g. attempt)
+   */
+  transition(executionId, state, details = {}) {
+    this.append(executionId, { type: 'state', state, ...details });
+  }
+
+  /**
+   * Record an output chunk
+   *
+   * Chunks are buffered and written as one entry (see flush()).
+   *
+   * @param {string} executionId - Execution ID
+   * @param {string} text - Output text
+   */
+  output(executionId, text) {
+    this.filePath(executionId); // Reject invalid IDs now, not at flush time
+
+    const pending = this.pendingOutput.get(executionId);
+    if (pending) {
+      pending.text += text;
+    } else {
+      this.pendingOutput.set(executionId, { text, timestamp: new Date().toISOString() });
+    }
+
+    if (this.pendingOutput.get(executionId).text.length >= OUTPUT_FLUSH_SIZE) {
+      this.flush(executionId);
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        try {
+          this.flush();
+        } catch {
+          // Journal writes are best effort
+        }
+      }, OUTPUT_FLUSH_INTERVAL);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Record a retry after a failed attempt
+   *
+   * @param {string} executionId - Execution ID
+   * @param {Object} details - { attempt, error, reason? } (reason 'output_schema' for contract retries)
+   */
+  retry(executionId, details) {
+    this.append(executionId, {
+      type: 'retry',
+      attempt: details.attempt,
+      error: details.error,
+      reason: details.reason ?? null
+    });
+  }
+
+  /**
+   * Record a question asked by the agent
+   *
+   * @param {string} executionId - Execution ID
+   * @param {Object} details - { questionId, text }
+   */
+  question(executionId, details) {
+    this.append(executionId, { type: 'question', questionId: details.questionId, text: details.text });
+  }
+
+  /**
+   * Record an answer given through ClaudeExecutor.answer()
+   *
+   * @param {string} executionId - Execution ID
+   * @param {Object} details - { questionId, text }
+   */
+  answer(executionId, details) {
+    this.append(executionId, { type: 'answer', questionId: details.questionId, text: details.text });
+  }
+
+  /**
+   * Record the end of an execution
+   *
+   * @param {string} executionId - Execution ID
+   * @param {Object} details - { state, exitCode?, error?, reason?, sessionId? }
+   */
+  end(executionId, details) {
+    this.append(executionId, {
+      type: 'end',
+      state: details.state,
+      exitCode: details.exitCode ?? null,
+      error: details.error ?? null,
+      reason: details.reason ?? null,
+      sessionId: details.sessionId ?? null
+    });
+  }
+
+  /**
+   * Read raw journal entries for an execution
+   *
+   * Skips a trailing partial line left by a crash mid-write.
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {Object[]|null} Entries, or null if there is no journal
+   */
+  readEntries(executionId) {
+    const filePath = this.filePath(executionId);
+    this.flush(executionId);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Partial write
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Rebuild an execution's status from its journal
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {Object|null} Status (same shape as ClaudeExecutor.getExecutionStatus plus
+   *   error, reason, promptHash, sessionId, transitions, pendingQuestion) or null if not found
+   */
+  read(executionId) {
+    const entries = this.readEntries(executionId);
+    if (!entries || entries.length === 0 || entries[0].type !== 'start') {
+      return null;
+    }
+
+    const start = entries[0];
+    const status = {
+      id: start.id,
+      agent: start.agent,
+      task: start.task,
+      mode: start.mode || null,
+      state: 'pending',
+      startTime: Date.parse(start.timestamp),
+      endTime: null,
+      duration: null,
+      exitCode: null,
+      outputLength: 0,
+      errorLength: 0,
+      error: null,
+      reason: null,
+      promptHash: null,
+      sessionId: null,
+      pendingQuestion: null,
+      retries: 0,
+      pid: start.pid,
+      hostname: start.hostname,
+      transitions: [],
+      finished: false,
+    };
+
+    for (const entry of entries.slice(1)) {
+      switch (entry.type) {
+        case 'prompt':
+          status.promptHash = entry.hash;
+          break;
+        case 'state':
+          status.state = entry.state;
+          status.transitions.push({ state: entry.state, timestamp: entry.timestamp });
+          // Each attempt starts with fresh output
+          if (entry.state === 'running') {
+            status.outputLength = 0;
+          }
+          break;
+        case 'output':
+          status.outputLength += entry.text.length;
+          break;
+        case 'retry':
+          status.retries = entry.attempt;
+          break;
+        case 'question':
+          status.pendingQuestion = { id: entry.questionId, text: entry.text, askedAt: entry.timestamp };
+          break;
+        case 'answer':
+          status.pendingQuestion = null;
+          break;
+        case 'end':
+          status.state = entry.state;
+          status.endTime = Date.parse(entry.timestamp);
+          status.exitCode = entry.exitCode;
+          status.error = entry.error;
+          status.errorLength = (entry.error || '').length;
+          status.reason = entry.reason;
+          status.sessionId = entry.sessionId ?? null;
+          status.finished = true;
+          break;
+        default:
+          break;
+      }
+    }
+
+    status.duration = (status.endTime || Date.now()) - status.startTime;
+
+    return status;
+  }
+
+  /**
+   * Concatenate the recorded output of an execution's last attempt
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {string|null} Output, or null if not found
+   */
+  readOutput(executionId) {
+    const entries = this.readEntries(executionId);
+    if (!entries) {
+      return null;
+    }
+
+    let output = '';
+    for (const entry of entries) {
+      if (entry.type === 'state' && entry.state === 'running') {
+        output = '';
+      } else if (entry.type === 'output') {
+        output += entry.text;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * List executions from the journal, newest first
+   *
+   * @param {Object} [filter={}] - Filters
+   * @param {Date|string|number} [filter.since] - Only executions started at or after this time
+   * @param {string} [filter.agent] - Only this agent
+   * @param {string} [filter.state] - Only this state
+   * @returns {Object[]} Statuses from read()
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const since = filter.since !== undefined ? new Date(filter.since).getTime() : null;
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => this.read(path.basename(file, '.jsonl')))
+      .filter(status => status
+        && (since === null || status.startTime >= since)
+        && (!filter.agent || status.agent === filter.agent)
+        && (!filter.state || status.state === filter.state))
+      .sort((a, b) => b.startTime - a.startTime);
+  }
+
+  /**
+   * Unfinished runs from the index, as { id, pid, hostname }
+   *
+   * Journals written before the index existed are scanned once to build it.
+   *
+   * @private
+   * @returns {Object[]}
+   */
+  _unfinished() {
+    if (!fs.existsSync(this.runningDir)) {
+      if (!fs.existsSync(this.dir)) {
+        return [];
+      }
+      fs.mkdirSync(this.runningDir, { recursive: true });
+      return this.list()
+        .filter(status => !status.finished)
+        .map(({ id, pid, hostname }) => {
+          fs.writeFileSync(this._markerPath(id), JSON.stringify({ pid, hostname }), 'utf-8');
+          return { id, pid, hostname };
+        });
+    }
+
+    const unfinished = [];
+    for (const file of fs.readdirSync(this.runningDir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        unfinished.push({ id: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(this.runningDir, file), 'utf-8')) });
+      } catch {
+        // Marker being written
+      }
+    }
+    return unfinished;
+  }
+
+  /**
+   * Mark runs whose owning process died as failed
+   *
+   * Only runs in the index of unfinished runs are checked. Runs started on
+   * another host are left alone since their process cannot be checked.
+   *
+   * @returns {string[]} IDs of executions marked interrupted
+   */
+  recoverInterrupted() {
+    const recovered = [];
+
+    for (const { id, pid, hostname } of this._unfinished()) {
+      if (pid === process.pid || isOwnerAlive({ pid, hostname })) {
+        continue;
+      }
+
+      // The process may have died between its end entry and removing the marker
+      const status = this.read(id);
+      if (!status || status.finished) {
+        fs.rmSync(this._markerPath(id), { force: true });
+        continue;
+      }
+
+      this.end(id, {
+        state: 'failed',
+        error: `Process ${pid} exited before the execution finished`,
+        reason: INTERRUPTED_REASON
+      });
+      recovered.push(id);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Delete journals of finished runs past the retention limits
+   *
+   * Age is taken from the journal file's last write; unfinished runs are kept.
+   *
+   * @param {Object} [retention=DEFAULT_RETENTION] - Limits
+   * @param {number} [retention.maxAge] - Delete journals last written more than this many ms ago
+   * @param {number} [retention.maxCount] - Keep at most this many journals, newest first
+   * @returns {string[]} IDs of the deleted journals
+   */
+  prune(retention = DEFAULT_RETENTION) {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const { maxAge, maxCount } = retention;
+    const unfinished = new Set(this._unfinished().map(run => run.id));
+
+    const journals = fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => ({ id: path.basename(file, '.jsonl'), mtime: fs.statSync(path.join(this.dir, file)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    const now = Date.now();
+    const pruned = [];
+    journals.forEach(({ id, mtime }, index) => {
+      const expired = (maxAge !== undefined && now - mtime > maxAge) || (maxCount !== undefined && index >= maxCount);
+      if (expired && !unfinished.has(id)) {
+        fs.rmSync(path.join(this.dir, `${id}.jsonl`), { force: true });
+        pruned.push(id);
+      }
+    });
+
+    return pruned;
+  }
+}
+
+export default ExecutionJournal;
@@ -0,0 +1,501 @@
+/**
+ * Execution Queue
+ *
+ * Concurrency-limited scheduler on top of ClaudeExecutor. Executions are
+ * queued by priority; within a priority level agents take turns
+ * (round-robin) and each agent's executions run in FIFO order, so one busy
+ * agent cannot starve the others.
+ *
+ * @module core/execution-queue
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import os from 'os';
+import { ExecutionState } from './claude-executor.js';
+
+/**
+ * Priority levels (highest first)
+ */
+export const Priority = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low',
+};
+
+const PRIORITY_ORDER = [Priority.HIGH, Priority.NORMAL, Priority.LOW];
+
+/**
+ * Concurrency profiles
+ *
+ * Mirrors the per-process memory limits of the profiles in
+ * scripts/resource-monitor.js: concurrency is how many claude processes fit
+ * in half of system memory at that limit, capped at the CPU count.
+ */
+export const CONCURRENCY_PROFILES = {
+  conservative: { memoryLimitMB: 2048 },
+  aggressive: { memoryLimitMB: 1024 },
+  monitoring: { memoryLimitMB: null },
+};
+
+/**
+ * Compute default concurrency for a profile
+ *
+ * @param {string} [profile='conservative'] - Profile name
+ * @returns {number} Max concurrent executions (at least 1)
+ */
+export function getDefaultConcurrency(profile = 'conservative') {
+  const config = CONCURRENCY_PROFILES[profile];
+  if (!config) {
+    throw new Error(
+      `Unknown concurrency profile: ${profile}. ` +
+      `Must be one of: ${Object.keys(CONCURRENCY_PROFILES).join(', ')}`
+    );
+  }
+
+  const cpus = os.cpus().length || 1;
+
+  if (!config.memoryLimitMB) {
+    return cpus;
+  }
+
+  const availableMB = (os.totalmem() / (1024 * 1024)) / 2;
+  const byMemory = Math.floor(availableMB / config.memoryLimitMB);
+
+  return Math.max(1, Math.min(cpus, byMemory));
+}
+
+/**
+ * Execution Queue
+ *
+ * @extends EventEmitter
+ * @emits queued - Execution added to the queue
+ * @emits position - Queue position of a waiting execution changed
+ * @emits started - Execution left the queue and started running
+ * @emits finished - Execution finished (success or failure)
+ * @emits cancelled - Queued execution was cancelled before it started
+ * @emits idle - Queue is empty and nothing is running
+ */
+export class ExecutionQueue extends EventEmitter {
+  /**
+   * Create a new execution queue
+   *
+   * @param {ClaudeExecutor} executor - Executor that runs the executions
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.concurrency] - Max concurrent executions (defaults from profile)
+   * @param {string} [options.profile='conservative'] - Concurrency profile: 'conservative',
+   *   'aggressive' or 'monitoring'
+   */
+  constructor(executor, options = {}) {
+    super();
+
+    if (!executor || typeof executor.execute !== 'function') {
+      throw new Error('ExecutionQueue requires an executor with an execute() method');
+    }
+
+    this.executor = executor;
+    this.concurrency = options.concurrency || getDefaultConcurrency(options.profile);
+
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${this.concurrency}. Must be a positive integer`);
+    }
+
+    // priority -> Map(agent -> item[])
+    this.lanes = new Map(PRIORITY_ORDER.map(priority => [priority, new Map()]));
+    // priority -> agent names in round-robin order
+    this.turns = new Map(PRIORITY_ORDER.map(priority => [priority, []]));
+
+    this.items = new Map();
+    this.running = new Set();
+    this.positions = new Map();
+
+    // Let the executor report queued items and cancel them
+    executor.queue = this;
+  }
+
+  /**
+   * Queue an execution
+   *
+   * @param {string} agentName - Name of the agent
+   * @param {string} task - Task description
+   * @param {Object} [context={}] - Additional context (see ClaudeExecutor.execute)
+   * @param {Object} [options={}] - Execution options (see ClaudeExecutor.execute)
+   * @param {string} [options.priority='normal'] - Priority level
+   * @returns {Promise<Object>} Execution result; the promise has an `executionId` property
+   */
+  enqueue(agentName, task, context = {}, options = {}) {
+    const { priority = Priority.NORMAL, ...execOptions } = options;
+
+    if (!PRIORITY_ORDER.includes(priority)) {
+      throw new Error(
+        `Invalid priority: ${priority}. ` +
+        `Must be one of: ${PRIORITY_ORDER.join(', ')}`
+      );
+    }
+
+    const item = {
+      id: execOptions.executionId || randomUUID(),
+      agent: agentName,
+      task,
+      context,
+      options: execOptions,
+      priority,
+      queuedAt: Date.now(),
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+    promise.executionId = item.id;
+
+    this.items.set(item.id, item);
+
+    const lane = this.lanes.get(priority);
+    if (!lane.has(agentName)) {
+      lane.set(agentName, []);
+      this.turns.get(priority).push(agentName);
+    }
+    lane.get(agentName).push(item);
+
+    const position = this._order().indexOf(item) + 1;
+    this.positions.set(item.id, position);
+
+    this.emit('queued', {
+      executionId: item.id,
+      agent: agentName,
+      priority,
+      position,
+      timestamp: item.queuedAt
+    });
+
+    // Higher-priority items push others back
+    this._emitPositions();
+    this._drain();
+
+    return promise;
+  }
+
+  /**
+   * Cancel a queued or running execution
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {boolean} True if cancelled
+   */
+  cancel(executionId) {
+    const item = this.items.get(executionId);
+    if (!item) {
+      return false;
+    }
+
+    if (this.running.has(executionId)) {
+      return this.executor.cancel(executionId);
+    }
+
+    const queue = this.lanes.get(item.priority).get(item.agent);
+    queue.splice(queue.indexOf(item), 1);
+    this._removeEmptyLane(item.priority, item.agent);
+
+    this.items.delete(executionId);
+    this.positions.delete(executionId);
+
+    this.emit('cancelled', { executionId, agent: item.agent, timestamp: Date.now() });
+    item.reject(new Error('Execution cancelled'));
+
+    this._emitPositions();
+    this._checkIdle();
+
+    return true;
+  }
+
+  /**
+   * Check whether an execution is waiting in the queue
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {boolean}
+   */
+  isQueued(executionId) {
+    return this.items.has(executionId) && !this.running.has(executionId);
+  }
+
+  /**
+   * Get the 1-based queue position of a waiting execution
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {number|null} Position, or null if not queued
+   */
+  getPosition(executionId) {
+    const index = this._order().findIndex(item => item.id === executionId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Get status of a queued execution (same shape as ClaudeExecutor.getExecutionStatus)
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {Object|null} Status or null if not queued
+   */
+  getStatus(executionId) {
+    if (!this.isQueued(executionId)) {
+      return null;
+    }
+    return this._toStatus(this.items.get(executionId), this.getPosition(executionId));
+  }
+
+  /**
+   * List queued executions in the order they will start
+   *
+   * @returns {Object[]} Queued execution statuses
+   */
+  list() {
+    return this._order().map((item, index) => this._toStatus(item, index + 1));
+  }
+
+  /**
+   * Change max concurrency (starts waiting executions if raised)
+   *
+   * @param {number} concurrency - New limit
+   */
+  setConcurrency(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${concurrency}. Must be a positive integer`);
+    }
+    this.concurrency = concurrency;
+    this._drain();
+  }
+
+  /**
+   * Number of waiting executions
+   * @returns {number}
+   */
+  get size() {
+    return this.items.size - this.running.size;
+  }
+
+  /**
+   * Number of running executions
+   * @returns {number}
+   */
+  get activeCount() {
+    return this.running.size;
+  }
+
+  /**
+   * Resolve once the queue is empty and nothing is running
+   *
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.items.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+
+  /**
+   * Start executions while there is capacity
+   * @private
+   */
+  _drain() {
+    let started = false;
+
+    while (this.running.size < this.concurrency) {
+      const item = this._dequeue();
+      if (!item) {
+        break;
+      }
+      started = true;
+      this._start(item);
+    }
+
+    if (started) {
+      this._emitPositions();
+    }
+  }
+
+  /**
+   * Run an item through the executor
+   * @private
+   */
+  _start(item) {
+    this.running.add(item.id);
+    this.positions.delete(item.id);
+
+    this.emit('started', {
+      executionId: item.id,
+      agent: item.agent,
+      priority: item.priority,
+      waitMs: Date.now() - item.queuedAt,
+      timestamp: Date.now()
+    });
+
+    // Called synchronously so the executor registers the ID before anyone can observe a gap
+    this.executor.execute(item.agent, item.task, item.context, {
+      ...item.options,
+      executionId: item.id
+    })
+      .then(
+        (result) => {
+          this._finish(item, true);
+          item.resolve(result);
+        },
+        (error) => {
+          this._finish(item, false, error);
+          item.reject(error);
+        }
+      );
+  }
+
+  /**
+   * Record completion and start the next execution
+   * @private
+   */
+  _finish(item, success, error = null) {
+    this.running.delete(item.id);
+    this.items.delete(item.id);
+
+    this.emit('finished', {
+      executionId: item.id,
+      agent: item.agent,
+      success,
+      error: error ? error.message : null,
+      timestamp: Date.now()
+    });
+
+    this._drain();
+    this._checkIdle();
+  }
+
+  /**
+   * Take the next item: highest priority first, agents in turn within a priority
+   * @private
+   */
+  _dequeue() {
+    for (const priority of PRIORITY_ORDER) {
+      const turns = this.turns.get(priority);
+      if (turns.length === 0) {
+        continue;
+      }
+
+      const agent = turns.shift();
+      const queue = this.lanes.get(priority).get(agent);
+      const item = queue.shift();
+
+      if (queue.length > 0) {
+        turns.push(agent);
+      } else {
+        this.lanes.get(priority).delete(agent);
+      }
+
+      return item;
+    }
+
+    return null;
+  }
+
+  /**
+   * Waiting items in the order _dequeue() would return them
+   * @private
+   */
+  _order() {
+    const order = [];
+
+    for (const priority of PRIORITY_ORDER) {
+      const lane = this.lanes.get(priority);
+      const queues = this.turns.get(priority).map(agent => lane.get(agent));
+      const depth = Math.max(0, ...queues.map(queue => queue.length));
+
+      for (let round = 0; round < depth; round++) {
+        for (const queue of queues) {
+          if (round < queue.length) {
+            order.push(queue[round]);
+          }
+        }
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Emit position events for waiting items whose position changed
+   * @private
+   */
+  _emitPositions() {
+    const order = this._order();
+
+    order.forEach((item, index) => {
+      const position = index + 1;
+      if (this.positions.get(item.id) === position) {
+        return;
+      }
+
+      this.positions.set(item.id, position);
+      this.emit('position', {
+        executionId: item.id,
+        agent: item.agent,
+        position,
+        queueLength: order.length,
+        timestamp: Date.now()
+      });
+    });
+  }
+
+  /**
+   * Drop an agent from a priority level once its queue is empty
+   * @private
+   */
+  _removeEmptyLane(priority, agent) {
+    const lane = this.lanes.get(priority);
+    if (lane.get(agent)?.length === 0) {
+      lane.delete(agent);
+      const turns = this.turns.get(priority);
+      turns.splice(turns.indexOf(agent), 1);
+    }
+  }
+
+  /**
+   * Emit idle when nothing is queued or running
+   * @private
+   */
+  _checkIdle() {
+    if (this.items.size === 0) {
+      this.emit('idle');
+    }
+  }
+
+  /**
+   * Build a status object for a waiting item
+   * @private
+   */
+  _toStatus(item, position) {
+    return {
+      id: item.id,
+      agent: item.agent,
+      task: item.task,
+      state: ExecutionState.QUEUED,
+      priority: item.priority,
+      position,
+      queuedAt: item.queuedAt,
+      startTime: null,
+      endTime: null,
+      duration: Date.now() - item.queuedAt,
+      exitCode: null,
+      outputLength: 0,
+      errorLength: 0
+    };
+  }
+}
+
+/**
+ * Create an execution queue for an executor
+ *
+ * @param {ClaudeExecutor} executor - Executor instance
+ * @param {Object} [options={}] - Queue options
+ * @returns {ExecutionQueue}
+ */
+export function createExecutionQueue(executor, options = {}) {
+  return new ExecutionQueue(executor, options);
+}
+
+export default ExecutionQueue;
@@ -0,0 +1,277 @@
+/**
+ * Execution Fixtures
+ *
+ * Record-and-replay for subprocess executions so code built on
+ * ClaudeExecutor can be tested without a `claude` binary or network.
+ *
+ * - record: runs the real CLI and saves the prompt, every stdout/stderr
+ *   chunk (base64, since a chunk can end mid-character) with its delay, and
+ *   the exit code
+ * - replay: serves a saved fixture through a stand-in child process, so the
+ *   executor emits the same events as it did while recording
+ *
+ * Fixtures are JSON files named `<agent>-<hash>.json`, where the hash is
+ * taken over the normalized prompt (whitespace collapsed, UUIDs and ISO
+ * timestamps masked) so incidental differences still find the recording.
+ *
+ * @module core/fixtures
+ */
+
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Fixture modes
+ */
+export const FixtureMode = {
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+/**
+ * Replay timing
+ */
+export const FixtureTiming = {
+  INSTANT: 'instant',
+  RECORDED: 'recorded',
+};
+
+/**
+ * Fixture file format version
+ */
+export const FIXTURE_VERSION = 1;
+
+/**
+ * Normalize a prompt before hashing
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {string} Normalized prompt
+ */
+export function normalizePrompt(prompt) {
+  return prompt
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash of a normalized prompt
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {string} sha256 hex digest
+ */
+export function hashNormalizedPrompt(prompt) {
+  return createHash('sha256').update(normalizePrompt(prompt)).digest('hex');
+}
+
+/**
+ * Stand-in for a claude child process that plays back a fixture
+ *
+ * Emits the recorded stdout/stderr chunks and then `close` with the
+ * recorded exit code. Input written to stdin is ignored.
+ *
+ * @extends EventEmitter
+ */
+export class ReplayProcess extends EventEmitter {
+  /**
+   * @param {Object} fixture - Fixture from FixtureStore.load()
+   * @param {Object} [options={}]
+   * @param {string} [options.timing='instant'] - 'instant' or 'recorded' (honor chunk delays)
+   */
+  constructor(fixture, options = {}) {
+    super();
+
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.stdin = {
+      write: () => true,
+      end: () => {},
+      on() { return this; },
+    };
+    this.pid = undefined;
+    this.killed = false;
+
+    this.chunks = [...fixture.chunks];
+    this.exitCode = fixture.exitCode;
+    this.timing = options.timing || FixtureTiming.INSTANT;
+    this.timer = null;
+
+    // Start after the caller has attached its listeners
+    this._schedule();
+  }
+
+  /**
+   * Stop playback and close like a killed process
+   *
+   * @returns {boolean}
+   */
+  kill() {
+    if (this.killed) {
+      return false;
+    }
+    this.killed = true;
+    clearTimeout(this.timer);
+    setImmediate(() => this.emit('close', null));
+    return true;
+  }
+
+  /**
+   * Emit the next chunk (or close) after its delay
+   * @private
+   */
+  _schedule() {
+    const next = this.chunks.shift();
+    const delay = next && this.timing === FixtureTiming.RECORDED ? next.delay : 0;
+
+    this.timer = setTimeout(() => {
+      if (this.killed) {
+        return;
+      }
+      if (!next) {
+        this.emit('close', this.exitCode);
+        return;
+      }
+      // Hand-written fixtures may store plain text
+      const data = Buffer.from(next.data, next.encoding || 'utf8');
+      (next.stream === 'stderr' ? this.stderr : this.stdout).emit('data', data);
+      this._schedule();
+    }, delay);
+  }
+}
+
+/**
+ * Fixture Store
+ *
+ * Reads and writes fixtures in one directory.
+ */
+export class FixtureStore {
+  /**
+   * @param {string} dir - Fixture directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Path of the fixture for an agent and prompt
+   *
+   * @param {string} agent - Agent name
+   * @param {string} prompt - Prompt text
+   * @returns {string}
+   */
+  filePath(agent, prompt) {
+    const safeAgent = String(agent).replace(/[^\w-]/g, '_');
+    return path.join(this.dir, `${safeAgent}-${hashNormalizedPrompt(prompt).slice(0, 16)}.json`);
+  }
+
+  /**
+   * Load the fixture for an agent and prompt
+   *
+   * @param {string} agent - Agent name
+   * @param {string} prompt - Prompt text
+   * @returns {Object|null} Fixture, or null if none was recorded
+   * @throws {Error} If the fixture file is not valid JSON
+   */
+  load(agent, prompt) {
+    const filePath = this.filePath(agent, prompt);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid fixture ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a fixture
+   *
+   * @param {Object} fixture - Fixture (agent and prompt are required)
+   * @returns {string} Path written
+   */
+  save(fixture) {
+    const filePath = this.filePath(fixture.agent, fixture.prompt);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2) + '\n', 'utf-8');
+    return filePath;
+  }
+
+  /**
+   * Capture a running process into a fixture, saved when it closes
+   *
+   * @param {ChildProcess} proc - Spawned claude process
+   * @param {Object} meta - { agent, prompt, args, outputFormat }
+   * @param {Function} [onSaved] - Called with the fixture path, or with an error
+   */
+  record(proc, meta, onSaved = () => {}) {
+    const chunks = [];
+    let last = Date.now();
+
+    const capture = (stream) => (data) => {
+      const now = Date.now();
+      chunks.push({ stream, delay: now - last, encoding: 'base64', data: Buffer.from(data).toString('base64') });
+      last = now;
+    };
+
+    proc.stdout.on('data', capture('stdout'));
+    proc.stderr.on('data', capture('stderr'));
+
+    proc.on('close', (code) => {
+      // Killed runs (timeout, cancel) are not worth replaying
+      if (code === null) {
+        return;
+      }
+
+      try {
+        onSaved(this.save({
+          version: FIXTURE_VERSION,
+          agent: meta.agent,
+          promptHash: hashNormalizedPrompt(meta.prompt),
+          prompt: meta.prompt,
+          args: meta.args.map(arg => (arg === meta.prompt ? '<prompt>' : arg)),
+          outputFormat: meta.outputFormat,
+          recordedAt: new Date().toISOString(),
+          exitCode: code,
+          chunks
+        }));
+      } catch (error) {
+        onSaved(error);
+      }
+    });
+  }
+
+  /**
+   * Create a process that replays the fixture for an agent and prompt
+   *
+   * @param {Object} meta - { agent, prompt, outputFormat }
+   * @param {Object} [options={}] - ReplayProcess options
+   * @returns {ReplayProcess}
+   * @throws {Error} If there is no fixture or it was recorded with another output format
+   */
+  replay(meta, options = {}) {
+    const fixture = this.load(meta.agent, meta.prompt);
+
+    if (!fixture) {
+      throw new Error(
+        `No fixture for agent '${meta.agent}' (prompt hash ${hashNormalizedPrompt(meta.prompt).slice(0, 16)}) ` +
+        `in ${this.dir}. Record one with fixtures: '${FixtureMode.RECORD}'`
+      );
+    }
+
+    if (fixture.outputFormat !== meta.outputFormat) {
+      throw new Error(
+        `Fixture ${this.filePath(meta.agent, meta.prompt)} was recorded with outputFormat ` +
+        `'${fixture.outputFormat}', not '${meta.outputFormat}'`
+      );
+    }
+
+    return new ReplayProcess(fixture, options);
+  }
+}
+
+export default FixtureStore;
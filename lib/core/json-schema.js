@@ -0,0 +1,285 @@
+/**
+ * JSON Schema Validation
+ *
+ * Minimal validator for the subset of JSON Schema (draft 2020-12 / draft-07)
+ * used by agentful: type, enum, const, required, properties,
+ * additionalProperties, items, min/max (Length, Items, imum), pattern,
+ * allOf/anyOf/oneOf/not and local $ref (`#/definitions/...`, `#/$defs/...`).
+ * Annotations (title, description, default, ...) are allowed; any other
+ * keyword (format, patternProperties, ...) throws rather than being ignored,
+ * so a schema never silently accepts what it was meant to reject.
+ *
+ * @module core/json-schema
+ */
+
+/**
+ * Keywords the validator checks
+ */
+const VALIDATION_KEYWORDS = new Set([
+  'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+  'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minItems', 'maxItems', 'allOf', 'anyOf', 'oneOf', 'not', '$ref', '$defs', 'definitions'
+]);
+
+/**
+ * Keywords that don't affect validation
+ */
+const ANNOTATION_KEYWORDS = new Set([
+  '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'
+]);
+
+/**
+ * JSON type of a value as JSON Schema names it
+ *
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @private
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Structural equality for enum/const
+ * @private
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ * @private
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref: ${ref} (only local references are supported)`);
+  }
+
+  let target = root;
+  for (const part of ref.slice(1).split('/').filter(Boolean)) {
+    target = target?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Throw if a schema uses keywords the validator does not check
+ *
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {string} [pointer=''] - JSON Pointer of the schema node, for the error message
+ * @throws {Error} On an unsupported keyword, e.g. "Unsupported JSON Schema keyword 'format' at /properties/email"
+ */
+export function assertSupportedSchema(schema, pointer = '') {
+  if (typeof schema === 'boolean') {
+    return;
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Invalid JSON Schema at ${pointer || '(root)'}: must be an object or boolean`);
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (!VALIDATION_KEYWORDS.has(keyword) && !ANNOTATION_KEYWORDS.has(keyword)) {
+      throw new Error(`Unsupported JSON Schema keyword '${keyword}' at ${pointer || '(root)'}`);
+    }
+  }
+  if (Array.isArray(schema.items)) {
+    throw new Error(`Unsupported JSON Schema keyword 'items' at ${pointer || '(root)'}: tuple items are not supported`);
+  }
+
+  const escape = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+  for (const keyword of ['properties', '$defs', 'definitions']) {
+    for (const [key, child] of Object.entries(schema[keyword] || {})) {
+      assertSupportedSchema(child, `${pointer}/${keyword}/${escape(key)}`);
+    }
+  }
+  for (const keyword of ['additionalProperties', 'items', 'not']) {
+    if (schema[keyword] !== undefined) {
+      assertSupportedSchema(schema[keyword], `${pointer}/${keyword}`);
+    }
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    (schema[keyword] || []).forEach((child, index) => assertSupportedSchema(child, `${pointer}/${keyword}/${index}`));
+  }
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @private
+ */
+function validateNode(value, schema, root, pointer, errors) {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    errors.push({ path: pointer, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), root, pointer, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: pointer, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      // Further keywords would only repeat the type mismatch
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push({ path: pointer, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    errors.push({ path: pointer, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: pointer, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: pointer, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: pointer, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: pointer, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push({ path: pointer, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push({ path: pointer, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: pointer, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: pointer, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateNode(item, schema.items, root, `${pointer}/${index}`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    for (const field of schema.required || []) {
+      if (!Object.hasOwn(value, field)) {
+        errors.push({ path: pointer, message: `must have required property '${field}'` });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (Object.hasOwn(properties, key)) {
+        validateNode(child, properties[key], root, childPointer, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: pointer, message: `must not have additional property '${key}'` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, childPointer, errors);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) {
+      validateNode(value, sub, root, pointer, errors);
+    }
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(sub => collect(value, sub, root, pointer).length === 0);
+    if (!passes) {
+      errors.push({ path: pointer, message: 'must match a schema in anyOf' });
+    }
+  }
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(sub => collect(value, sub, root, pointer).length === 0).length;
+    if (passing !== 1) {
+      errors.push({ path: pointer, message: `must match exactly one schema in oneOf (matched ${passing})` });
+    }
+  }
+
+  if (schema.not && collect(value, schema.not, root, pointer).length === 0) {
+    errors.push({ path: pointer, message: 'must not match the schema in not' });
+  }
+}
+
+/**
+ * Validate into a fresh error list
+ * @private
+ */
+function collect(value, schema, root, pointer) {
+  const errors = [];
+  validateNode(value, schema, root, pointer, errors);
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {*} value - Value to validate
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {Object} { valid, errors } where errors are { path, message } with JSON Pointer paths
+ * @throws {Error} If the schema has an unresolvable $ref or an unsupported keyword
+ */
+export function validateSchema(value, schema) {
+  assertSupportedSchema(schema);
+  const errors = collect(value, schema, schema, '');
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors one per line
+ *
+ * @param {Object[]} errors - Errors from validateSchema()
+ * @returns {string} Formatted errors, e.g. "- /findings/0/severity: must be one of: ..."
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n');
+}
+
+export default {
+  validateSchema,
+  assertSupportedSchema,
+  formatSchemaErrors
+};
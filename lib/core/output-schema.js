@@ -0,0 +1,148 @@
+/**
+ * Structured Output Contracts
+ *
+ * Lets execute() callers require agent output to match a JSON Schema
+ * (`outputSchema` option). The prompt asks for a fenced ```json block, the
+ * block is extracted from the output and validated, and the executor
+ * retries once with the validation errors fed back.
+ *
+ * @module core/output-schema
+ */
+
+import { validateSchema, assertSupportedSchema, formatSchemaErrors } from './json-schema.js';
+
+/**
+ * Maximum characters of a rejected JSON block quoted back to the agent
+ */
+const MAX_FEEDBACK_CHARS = 4000;
+
+/**
+ * Check that an outputSchema option is usable
+ *
+ * @param {*} schema - outputSchema option
+ * @throws {Error} If the schema is not an object or uses unsupported keywords
+ */
+export function assertOutputSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('outputSchema must be a JSON Schema object');
+  }
+  try {
+    assertSupportedSchema(schema);
+  } catch (error) {
+    throw new Error(`Invalid outputSchema: ${error.message}`);
+  }
+}
+
+/**
+ * Prompt section asking for output matching a schema
+ *
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Markdown section to append to the prompt
+ */
+export function buildSchemaInstructions(schema) {
+  return `
+---
+
+# Output Format
+
+When you are done, end your response with a single fenced \`\`\`json code block containing your result.
+The JSON must be valid and match this JSON Schema:
+
+\`\`\`json
+${JSON.stringify(schema, null, 2)}
+\`\`\`
+`;
+}
+
+/**
+ * Extract the JSON result from agent output
+ *
+ * Uses the last ```json fenced block, falling back to the last unlabeled
+ * fenced block and then to the whole output. A block ends at a line holding
+ * only a fence, so ``` inside the JSON (e.g. in a string) doesn't cut it short.
+ *
+ * @param {string} output - Agent output
+ * @returns {string|null} JSON text, or null if none was found
+ */
+export function extractJsonBlock(output) {
+  const text = output || '';
+  const blocks = [...text.matchAll(/```([\w-]*)[ \t]*\r?\n([\s\S]*?)^[ \t]*```[ \t]*\r?$/gm)];
+
+  const json = blocks.filter(([, lang]) => lang.toLowerCase() === 'json');
+  if (json.length > 0) {
+    return json[json.length - 1][2].trim();
+  }
+
+  const unlabeled = blocks.filter(([, lang]) => lang === '');
+  if (unlabeled.length > 0) {
+    return unlabeled[unlabeled.length - 1][2].trim();
+  }
+
+  const trimmed = text.trim();
+  return trimmed.startsWith('{') || trimmed.startsWith('[') ? trimmed : null;
+}
+
+/**
+ * Extract and validate the JSON result from agent output
+ *
+ * @param {string} output - Agent output
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} { valid, data, errors, raw } - data is undefined unless valid
+ */
+export function parseStructuredOutput(output, schema) {
+  const raw = extractJsonBlock(output);
+
+  if (raw === null) {
+    return { valid: false, data: undefined, raw, errors: [{ path: '', message: 'no ```json block found in output' }] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return { valid: false, data: undefined, raw, errors: [{ path: '', message: `invalid JSON: ${error.message}` }] };
+  }
+
+  const { valid, errors } = validateSchema(data, schema);
+  return { valid, data: valid ? data : undefined, raw, errors };
+}
+
+/**
+ * Prompt section telling the agent why its previous output was rejected
+ *
+ * @param {Object} parsed - Result of parseStructuredOutput()
+ * @returns {string} Markdown section to append to the retry prompt
+ */
+export function buildSchemaFeedback(parsed) {
+  const previous = parsed.raw === null
+    ? '(no JSON block found)'
+    : parsed.raw.slice(0, MAX_FEEDBACK_CHARS);
+
+  return `
+---
+
+# Previous Attempt Rejected
+
+Your previous response did not match the required output schema.
+
+Previous JSON:
+
+\`\`\`
+${previous}
+\`\`\`
+
+Validation errors:
+
+${formatSchemaErrors(parsed.errors)}
+
+Fix these errors and end your response with a corrected \`\`\`json block.
+`;
+}
+
+export default {
+  assertOutputSchema,
+  buildSchemaInstructions,
+  extractJsonBlock,
+  parseStructuredOutput,
+  buildSchemaFeedback
+};
@@ -0,0 +1,344 @@
+/**
+ * Prompt Context Packing
+ *
+ * Gathers the context sections of an agent prompt - requirements, git diff
+ * hunks and file contents - and packs them into a token budget. Items are
+ * taken in priority order (requirements, then diffs, then files); an item
+ * that does not fit is truncated with a marker, or omitted once the budget
+ * is spent. Every item is listed in a manifest for auditing.
+ *
+ * @module core/prompt-context
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { estimateTokens } from './usage.js';
+
+/**
+ * Default context budget in tokens
+ */
+export const DEFAULT_CONTEXT_TOKENS = 32000;
+
+/**
+ * Below this many remaining tokens an item is omitted rather than truncated
+ */
+const MIN_TRUNCATED_TOKENS = 100;
+
+/**
+ * Largest file read for inlining (bigger files are truncated by the budget anyway)
+ */
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Item status in the manifest
+ */
+export const ContextItemStatus = {
+  LISTED: 'listed',
+  INCLUDED: 'included',
+  TRUNCATED: 'truncated',
+  OMITTED: 'omitted',
+  ERROR: 'error',
+};
+
+/**
+ * Cut text to roughly a token count at a line boundary, with a marker
+ *
+ * @param {string} text - Text to cut
+ * @param {number} tokens - Token allowance
+ * @returns {string} Truncated text ending in a marker line
+ */
+export function truncateToTokens(text, tokens) {
+  const totalLines = text.split('\n').length;
+  let cut = text.slice(0, Math.max(0, tokens * 4));
+
+  const lastNewline = cut.lastIndexOf('\n');
+  if (lastNewline > 0) {
+    cut = cut.slice(0, lastNewline);
+  }
+
+  const shownLines = cut.length === 0 ? 0 : cut.split('\n').length;
+  return `${cut}\n[... truncated: showing ${shownLines} of ${totalLines} lines (context budget) ...]`;
+}
+
+/**
+ * Run git diff and split the output per file
+ *
+ * @param {string} cwd - Repository directory
+ * @param {boolean|string|Object} spec - true (working tree vs HEAD), a ref or range
+ *   ('main...HEAD'), or { base?, staged?, paths? }
+ * @returns {Object[]} [{ path, text }] one entry per changed file
+ * @throws {Error} If git fails or the ref looks like an option
+ */
+export function collectGitDiff(cwd, spec) {
+  const options = typeof spec === 'object' && spec !== null ? spec : { base: typeof spec === 'string' ? spec : 'HEAD' };
+  const args = ['diff', '--no-color', '--no-ext-diff'];
+
+  if (options.staged) {
+    args.push('--cached');
+  }
+
+  const base = options.base || (options.staged ? null : 'HEAD');
+  if (base) {
+    if (base.startsWith('-')) {
+      throw new Error(`Invalid diff ref: ${base}`);
+    }
+    args.push(base);
+  }
+
+  args.push('--', ...(options.paths || []));
+
+  let output;
+  try {
+    output = execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      timeout: 10000,
+      maxBuffer: 20 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : '';
+    throw new Error(`git diff failed: ${stderr || error.message}`);
+  }
+
+  return output
+    .split(/^(?=diff --git )/m)
+    .filter(chunk => chunk.startsWith('diff --git '))
+    .map((chunk) => {
+      const header = /^diff --git a\/(.+?) b\/(.+)$/m.exec(chunk);
+      return { path: header ? header[2] : '(unknown)', text: chunk.trimEnd() };
+    });
+}
+
+/**
+ * Read a file (or line range) for inlining
+ *
+ * @param {string} root - Directory paths are relative to
+ * @param {string|Object} entry - Path, or { path, startLine?, endLine? } (1-based, inclusive)
+ * @returns {Object} { path, startLine, endLine, text }
+ * @throws {Error} If the entry has no path, or the file is missing, binary or outside the root
+ */
+export function readContextFile(root, entry) {
+  const spec = typeof entry === 'string' ? { path: entry } : entry;
+  if (typeof spec?.path !== 'string') {
+    throw new Error('invalid entry (expected a path or { path })');
+  }
+  const resolved = path.resolve(root, spec.path);
+  const relative = path.relative(path.resolve(root), resolved);
+
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error('outside project root');
+  }
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+    throw new Error('not found');
+  }
+
+  const size = fs.statSync(resolved).size;
+  const fd = fs.openSync(resolved, 'r');
+  const buffer = Buffer.alloc(Math.min(size, MAX_FILE_BYTES));
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (buffer.includes(0)) {
+    throw new Error('binary file');
+  }
+
+  const lines = buffer.toString('utf-8').split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    // Trailing newline does not start another line
+    lines.pop();
+  }
+  const startLine = Math.max(1, spec.startLine || 1);
+  const endLine = Math.min(lines.length, spec.endLine || lines.length);
+
+  return {
+    path: spec.path,
+    startLine: spec.startLine || spec.endLine ? startLine : null,
+    endLine: spec.startLine || spec.endLine ? endLine : null,
+    text: lines.slice(startLine - 1, endLine).join('\n')
+  };
+}
+
+/**
+ * Code fence long enough not to clash with the content
+ * @private
+ */
+function fenceFor(text) {
+  const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+  return '`'.repeat(longest + 1);
+}
+
+/**
+ * Gather and pack prompt context within a token budget
+ *
+ * @param {Object} context - execute() context
+ * @param {Array<string|Object>} [context.files] - Files; strings are listed by name unless
+ *   context.inlineFiles is set, objects ({ path, startLine?, endLine? }) are always inlined
+ * @param {boolean} [context.inlineFiles] - Embed contents of files given as strings
+ * @param {boolean|string|Object} [context.diff] - Git diff to include (see collectGitDiff)
+ * @param {string} [context.requirements] - Requirements text
+ * @param {number} [context.maxContextTokens] - Budget override
+ * @param {Object} options
+ * @param {string} options.root - Directory for files and git
+ * @param {number} [options.maxContextTokens=32000] - Default budget
+ * @returns {Object} { sections: { files, diff, requirements }, manifest } where sections are
+ *   markdown strings ('' when empty) and manifest is { budgetTokens, usedTokens, items }
+ */
+export function packContext(context, options) {
+  const budgetTokens = context.maxContextTokens ?? options.maxContextTokens ?? DEFAULT_CONTEXT_TOKENS;
+  let remaining = budgetTokens;
+  const items = [];
+
+  // Fit one item's text into what is left of the budget
+  const take = (item, text) => {
+    const originalTokens = estimateTokens(text);
+    item.originalTokens = originalTokens;
+
+    if (originalTokens <= remaining) {
+      item.status = ContextItemStatus.INCLUDED;
+      item.tokens = originalTokens;
+      remaining -= originalTokens;
+      items.push(item);
+      return text;
+    }
+
+    if (remaining >= MIN_TRUNCATED_TOKENS) {
+      const truncated = truncateToTokens(text, remaining - 20);
+      item.status = ContextItemStatus.TRUNCATED;
+      item.tokens = estimateTokens(truncated);
+      remaining = Math.max(0, remaining - item.tokens);
+      items.push(item);
+      return truncated;
+    }
+
+    item.status = ContextItemStatus.OMITTED;
+    item.tokens = 0;
+    item.reason = 'context budget exhausted';
+    items.push(item);
+    return null;
+  };
+
+  const fail = (item, error) => {
+    items.push({ ...item, status: ContextItemStatus.ERROR, tokens: 0, originalTokens: 0, reason: error.message });
+  };
+
+  // 1. Requirements
+  let requirements = '';
+  if (context.requirements) {
+    const text = take({ type: 'requirements' }, String(context.requirements));
+    if (text !== null) {
+      requirements = `## Requirements
+
+${text}
+
+`;
+    }
+  }
+
+  // 2. Git diff hunks
+  let diff = '';
+  if (context.diff) {
+    let fileDiffs = [];
+    try {
+      fileDiffs = collectGitDiff(options.root, context.diff);
+    } catch (error) {
+      fail({ type: 'diff' }, error);
+    }
+
+    const blocks = [];
+    const omitted = [];
+    for (const fileDiff of fileDiffs) {
+      const text = take({ type: 'diff', path: fileDiff.path }, fileDiff.text);
+      if (text !== null) {
+        blocks.push(text);
+      } else {
+        omitted.push(fileDiff.path);
+      }
+    }
+
+    if (blocks.length > 0 || omitted.length > 0) {
+      const body = blocks.join('\n');
+      const fence = fenceFor(body);
+      const block = blocks.length > 0 ? `${fence}diff\n${body}\n${fence}\n\n` : '';
+      const note = omitted.length > 0
+        ? `Diffs omitted (context budget exhausted): ${omitted.join(', ')}\n\n`
+        : '';
+      diff = `## Git Diff
+
+${block}${note}`;
+    }
+  }
+
+  // 3. Files
+  let files = '';
+  if (Array.isArray(context.files) && context.files.length > 0) {
+    const listed = [];
+    const inlined = [];
+
+    for (const entry of context.files) {
+      // Entries without a path (e.g. null) are reported by readContextFile()
+      const filePath = typeof entry === 'string' ? entry : entry?.path ?? JSON.stringify(entry);
+
+      if (typeof entry === 'string' && !context.inlineFiles) {
+        items.push({ type: 'file', path: entry, status: ContextItemStatus.LISTED, tokens: 0, originalTokens: 0 });
+        listed.push(`- ${entry}`);
+        continue;
+      }
+
+      let file;
+      try {
+        file = readContextFile(options.root, entry);
+      } catch (error) {
+        fail({ type: 'file', path: filePath }, error);
+        listed.push(`- ${filePath} (not included: ${error.message})`);
+        continue;
+      }
+
+      const item = { type: 'file', path: file.path, startLine: file.startLine, endLine: file.endLine };
+      const text = take(item, file.text);
+      const range = file.startLine ? ` (lines ${file.startLine}-${file.endLine})` : '';
+
+      if (text === null) {
+        listed.push(`- ${file.path}${range} (omitted: context budget exhausted)`);
+        continue;
+      }
+
+      const fence = fenceFor(text);
+      const language = path.extname(file.path).slice(1);
+      inlined.push(`### ${file.path}${range}
+
+${fence}${language}
+${text}
+${fence}`);
+    }
+
+    const body = [listed.join('\n'), inlined.join('\n\n')].filter(Boolean).join('\n\n');
+    files = `## Relevant Files
+
+${body}
+
+`;
+  }
+
+  return {
+    sections: { files, diff, requirements },
+    manifest: {
+      budgetTokens,
+      usedTokens: budgetTokens - remaining,
+      items
+    }
+  };
+}
+
+export default {
+  DEFAULT_CONTEXT_TOKENS,
+  ContextItemStatus,
+  truncateToTokens,
+  collectGitDiff,
+  readContextFile,
+  packContext
+};
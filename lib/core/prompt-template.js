@@ -0,0 +1,150 @@
+/**
+ * Agent Prompt Templates
+ *
+ * Renders agent instructions as Handlebars templates so agent markdown can
+ * use placeholders:
+ *
+ * ```markdown
+ * ---
+ * name: backend
+ * template: true
+ * ---
+ * You are building {{feature}} with {{techStack.languages}}.
+ * Overall progress: {{state "completion.json" "overall_progress"}}%
+ * Gates: {{json gates}}
+ * ```
+ *
+ * Templates are opt-in (`template: true` in the agent frontmatter, or the
+ * executor's `templates` option) because agent markdown often contains
+ * literal `{{` (JSX, Vue). Rendering is strict: an unknown variable throws.
+ *
+ * @module core/prompt-template
+ */
+
+import Handlebars from 'handlebars';
+import { getStateFile, STATE_SCHEMAS } from '../state-validator.js';
+
+/**
+ * Check whether an agent's instructions should be rendered as a template
+ *
+ * @param {Object} [metadata] - Agent frontmatter
+ * @param {boolean} [enabled] - Executor `templates` option
+ * @returns {boolean}
+ */
+export function isTemplateEnabled(metadata, enabled) {
+  if (metadata?.template !== undefined) {
+    return metadata.template === true || metadata.template === 'true';
+  }
+  return enabled === true;
+}
+
+/**
+ * Read a state file for template data
+ * @private
+ */
+function readState(projectRoot, fileName) {
+  const result = getStateFile(projectRoot, fileName);
+  return result.valid ? result.data : undefined;
+}
+
+/**
+ * Build the data object templates are rendered with
+ *
+ * Variables: agent, task, feature, techStack (architecture.json), gates and
+ * progress (completion.json), plus everything in context.variables (which
+ * wins over the built-ins).
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} params
+ * @param {string} params.agent - Agent name
+ * @param {string} params.task - Task description
+ * @param {Object} [params.context={}] - execute() context
+ * @returns {Object} Template data
+ */
+export function buildTemplateData(projectRoot, { agent, task, context = {} }) {
+  const architecture = readState(projectRoot, 'architecture.json');
+  const completion = readState(projectRoot, 'completion.json');
+
+  const data = {
+    agent,
+    task,
+    feature: context.feature ?? null,
+    techStack: architecture?.techStack ?? null,
+    gates: completion?.gates ?? null,
+    progress: completion?.overall_progress ?? null,
+  };
+
+  return { ...data, ...context.variables };
+}
+
+/**
+ * Resolve a dotted path in an object
+ * @private
+ */
+function getPath(value, dottedPath) {
+  return dottedPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/**
+ * Render agent instructions as a strict Handlebars template
+ *
+ * Helpers:
+ * - `{{state "file.json" "dotted.path"}}` - value from .agentful/<file> (known state files only)
+ * - `{{json value}}` - value as pretty-printed JSON
+ * - `{{list array}}` - array as a markdown bullet list
+ *
+ * @param {string} template - Template text
+ * @param {Object} data - Data from buildTemplateData()
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project root for the state helper
+ * @param {string} options.agent - Agent name (for error messages)
+ * @returns {string} Rendered text
+ * @throws {Error} On unknown variables, unknown state files/values or syntax errors
+ */
+export function renderTemplate(template, data, options) {
+  const handlebars = Handlebars.create();
+  const where = `agent '${options.agent}' template`;
+
+  handlebars.registerHelper('state', (fileName, dottedPath) => {
+    if (typeof fileName !== 'string' || !STATE_SCHEMAS[fileName]) {
+      throw new Error(
+        `Unknown state file "${fileName}" in ${where}. ` +
+        `Must be one of: ${Object.keys(STATE_SCHEMAS).join(', ')}`
+      );
+    }
+
+    const state = readState(options.projectRoot, fileName);
+    const value = typeof dottedPath === 'string' ? getPath(state, dottedPath) : state;
+
+    if (value === undefined) {
+      throw new Error(`State value not found in ${where}: ${fileName}${typeof dottedPath === 'string' ? ` ${dottedPath}` : ''}`);
+    }
+    return typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : value;
+  });
+
+  handlebars.registerHelper('json', value => JSON.stringify(value ?? null, null, 2));
+
+  handlebars.registerHelper('list', value => (Array.isArray(value) ? value.map(item => `- ${item}`).join('\n') : ''));
+
+  try {
+    return handlebars.compile(template, { strict: true, noEscape: true })(data);
+  } catch (error) {
+    const unknown = /^"(.+?)" not defined in/.exec(error.message);
+    if (unknown) {
+      throw new Error(
+        `Unknown template variable "${unknown[1]}" in ${where}. ` +
+        `Available: ${Object.keys(data).join(', ')}, plus helpers state, json, list`
+      );
+    }
+    if (error.message.includes(where)) {
+      throw error;
+    }
+    throw new Error(`Invalid ${where}: ${error.message}`);
+  }
+}
+
+export default {
+  isTemplateEnabled,
+  buildTemplateData,
+  renderTemplate
+};
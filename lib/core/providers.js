@@ -0,0 +1,523 @@
+/**
+ * HTTP Providers for API Execution Mode
+ *
+ * Streaming HTTP clients used by ClaudeExecutor when running in
+ * ExecutionMode.API:
+ * - anthropic: Anthropic Messages API (/v1/messages), also GLM and other Anthropic-compatible hosts
+ * - openai: OpenAI-compatible chat completions (/v1/chat/completions), e.g. vLLM, LiteLLM
+ * - ollama: Ollama native chat API (/api/chat)
+ *
+ * Each provider exposes the same interface so the executor can swap them
+ * without changing its event handling:
+ *
+ *   provider.execute(prompt, { signal, onText, onUsage })
+ *     -> Promise<{ output, model, usage: { inputTokens, outputTokens }, stopReason }>
+ *
+ * @module core/providers
+ */
+
+/**
+ * Default Anthropic API base URL
+ */
+const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+
+/**
+ * Anthropic API version header value
+ */
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Default model for API execution
+ */
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+/**
+ * Default OpenAI-compatible base URL
+ */
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com';
+
+/**
+ * Default Ollama host
+ */
+const DEFAULT_OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+/**
+ * Default max_tokens for a single response
+ */
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+/**
+ * Build an Error from a non-2xx HTTP response
+ *
+ * The message always contains the status code so the executor's
+ * retry check can recognise rate limits and server errors.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error with status and retryAfter properties
+ */
+export async function createHttpError(response) {
+  let detail = '';
+  try {
+    const body = await response.text();
+    try {
+      const parsed = JSON.parse(body);
+      detail = parsed.error?.message || parsed.error || parsed.message || body;
+    } catch {
+      detail = body;
+    }
+  } catch {
+    // Body unavailable - status line is enough
+  }
+
+  const error = new Error(
+    `API error: ${response.status} ${response.statusText}${detail ? ` - ${String(detail).slice(0, 500)}` : ''}`
+  );
+  error.status = response.status;
+
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    error.retryAfter = parseInt(retryAfter, 10);
+  }
+
+  return error;
+}
+
+/**
+ * Read a fetch response body as text lines
+ *
+ * @param {Response} response - Fetch response with a streaming body
+ * @yields {string} Lines without trailing newline
+ */
+export async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.length > 0) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Parse a Server-Sent Events stream
+ *
+ * @param {Response} response - Fetch response with text/event-stream body
+ * @yields {{event: string|null, data: string}} Parsed events
+ */
+export async function* readServerSentEvents(response) {
+  let event = null;
+  let data = [];
+
+  for await (const line of readLines(response)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+      event = null;
+      data = [];
+      continue;
+    }
+
+    if (line.startsWith(':')) {
+      continue; // Comment / keep-alive
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    const value = colonIndex === -1 ? '' : line.slice(colonIndex + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
+
+/**
+ * Anthropic Messages API provider
+ *
+ * Streams responses from POST /v1/messages. The base URL can be pointed
+ * at a local mock server for testing.
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} [options={}] - Provider options
+   * @param {string} [options.apiKey] - API key (defaults to ANTHROPIC_API_KEY, then ANTHROPIC_AUTH_TOKEN)
+   * @param {string} [options.baseUrl] - Base URL (defaults to ANTHROPIC_BASE_URL or api.anthropic.com)
+   * @param {string} [options.model] - Model ID (defaults to ANTHROPIC_MODEL or claude-sonnet-4-5)
+   * @param {number} [options.maxOutputTokens=8192] - max_tokens sent with each request
+   * @param {Object} [options.headers] - Extra request headers
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.authToken = options.apiKey ? null : process.env.ANTHROPIC_AUTH_TOKEN;
+    this.baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || DEFAULT_ANTHROPIC_BASE_URL).replace(/\/+$/, '');
+    this.model = options.model || process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+    this.maxOutputTokens = options.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS;
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * Stream a completion for a prompt
+   *
+   * @param {string} prompt - Full prompt (sent as a single user message)
+   * @param {Object} [options={}] - Request options
+   * @param {AbortSignal} [options.signal] - Abort signal for cancellation/timeout
+   * @param {Function} [options.onText] - Called with each text delta
+   * @param {Function} [options.onUsage] - Called with cumulative usage as it is reported
+   * @returns {Promise<Object>} { output, model, usage, stopReason }
+   */
+  async execute(prompt, options = {}) {
+    const { signal, onText, onUsage } = options;
+
+    if (!this.apiKey && !this.authToken) {
+      throw new Error('ANTHROPIC_API_KEY environment variable not set');
+    }
+
+    // Anthropic-compatible hosts (GLM, LiteLLM) authenticate with a bearer token
+    const authHeaders = this.apiKey
+      ? { 'x-api-key': this.apiKey }
+      : { Authorization: `Bearer ${this.authToken}` };
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders,
+        'anthropic-version': ANTHROPIC_VERSION,
+        ...this.headers,
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxOutputTokens,
+        stream: true,
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+
+    let output = '';
+    let model = this.model;
+    let stopReason = null;
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    for await (const { data } of readServerSentEvents(response)) {
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch {
+        continue; // Ignore malformed events
+      }
+
+      switch (payload.type) {
+        case 'message_start':
+          model = payload.message?.model || model;
+          usage.inputTokens = payload.message?.usage?.input_tokens || 0;
+          usage.outputTokens = payload.message?.usage?.output_tokens || 0;
+          if (onUsage) onUsage({ ...usage });
+          break;
+
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            output += payload.delta.text;
+            if (onText) onText(payload.delta.text);
+          }
+          break;
+
+        case 'message_delta':
+          stopReason = payload.delta?.stop_reason || stopReason;
+          if (payload.usage?.output_tokens !== undefined) {
+            usage.outputTokens = payload.usage.output_tokens;
+            if (onUsage) onUsage({ ...usage });
+          }
+          break;
+
+        case 'error': {
+          const error = new Error(`API error: ${payload.error?.type || 'stream_error'} - ${payload.error?.message || 'Unknown error'}`);
+          if (payload.error?.type === 'overloaded_error') {
+            error.status = 529;
+          }
+          throw error;
+        }
+
+        default:
+          // ping, content_block_start, content_block_stop, message_stop
+          break;
+      }
+    }
+
+    return { output, model, usage, stopReason };
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions provider
+ *
+ * Works with any server implementing POST /v1/chat/completions with
+ * streaming (OpenAI, vLLM, LiteLLM, LM Studio, llama.cpp server).
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} [options={}] - Provider options
+   * @param {string} [options.apiKey] - API key (defaults to OPENAI_API_KEY, optional for local servers)
+   * @param {string} [options.baseUrl] - Base URL without /v1 (defaults to OPENAI_BASE_URL or api.openai.com)
+   * @param {string} [options.model] - Model name (defaults to OPENAI_MODEL)
+   * @param {number} [options.maxOutputTokens=8192] - max_tokens sent with each request
+   * @param {Object} [options.headers] - Extra request headers
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL)
+      .replace(/\/+$/, '')
+      .replace(/\/v1$/, '');
+    this.model = options.model || process.env.OPENAI_MODEL;
+    this.maxOutputTokens = options.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS;
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * Stream a completion for a prompt
+   *
+   * @param {string} prompt - Full prompt (sent as a single user message)
+   * @param {Object} [options={}] - Request options (signal, onText, onUsage)
+   * @returns {Promise<Object>} { output, model, usage, stopReason }
+   */
+  async execute(prompt, options = {}) {
+    const { signal, onText, onUsage } = options;
+
+    if (!this.model) {
+      throw new Error('No model configured for OpenAI-compatible provider (set model or OPENAI_MODEL)');
+    }
+
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxOutputTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+
+    let output = '';
+    let model = this.model;
+    let stopReason = null;
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    for await (const { data } of readServerSentEvents(response)) {
+      if (data === '[DONE]') {
+        break;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch {
+        continue; // Ignore malformed events
+      }
+
+      if (payload.error) {
+        throw new Error(`API error: ${payload.error.message || JSON.stringify(payload.error)}`);
+      }
+
+      model = payload.model || model;
+
+      const choice = payload.choices?.[0];
+      if (choice?.delta?.content) {
+        output += choice.delta.content;
+        if (onText) onText(choice.delta.content);
+      }
+      if (choice?.finish_reason) {
+        stopReason = choice.finish_reason;
+      }
+
+      if (payload.usage) {
+        usage.inputTokens = payload.usage.prompt_tokens || 0;
+        usage.outputTokens = payload.usage.completion_tokens || 0;
+        if (onUsage) onUsage({ ...usage });
+      }
+    }
+
+    return { output, model, usage, stopReason };
+  }
+}
+
+/**
+ * Ollama native chat provider
+ *
+ * Streams newline-delimited JSON from POST /api/chat.
+ */
+export class OllamaProvider {
+  /**
+   * @param {Object} [options={}] - Provider options
+   * @param {string} [options.baseUrl] - Ollama host (defaults to OLLAMA_HOST or http://127.0.0.1:11434)
+   * @param {string} [options.model] - Model name (defaults to OLLAMA_MODEL)
+   * @param {number} [options.maxOutputTokens] - num_predict limit
+   * @param {Object} [options.headers] - Extra request headers
+   */
+  constructor(options = {}) {
+    this.name = 'ollama';
+    const host = options.baseUrl || process.env.OLLAMA_HOST || DEFAULT_OLLAMA_HOST;
+    this.baseUrl = (/^https?:\/\//.test(host) ? host : `http://${host}`).replace(/\/+$/, '');
+    this.model = options.model || process.env.OLLAMA_MODEL;
+    this.maxOutputTokens = options.maxOutputTokens;
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * Stream a completion for a prompt
+   *
+   * @param {string} prompt - Full prompt (sent as a single user message)
+   * @param {Object} [options={}] - Request options (signal, onText, onUsage)
+   * @returns {Promise<Object>} { output, model, usage, stopReason }
+   */
+  async execute(prompt, options = {}) {
+    const { signal, onText, onUsage } = options;
+
+    if (!this.model) {
+      throw new Error('No model configured for Ollama provider (set model or OLLAMA_MODEL)');
+    }
+
+    const body = {
+      model: this.model,
+      stream: true,
+      messages: [{ role: 'user', content: prompt }],
+    };
+    if (this.maxOutputTokens) {
+      body.options = { num_predict: this.maxOutputTokens };
+    }
+
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+
+    let output = '';
+    let model = this.model;
+    let stopReason = null;
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    for await (const line of readLines(response)) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch {
+        continue; // Ignore malformed lines
+      }
+
+      if (payload.error) {
+        throw new Error(`API error: ${payload.error}`);
+      }
+
+      model = payload.model || model;
+
+      const text = payload.message?.content;
+      if (text) {
+        output += text;
+        if (onText) onText(text);
+      }
+
+      if (payload.done) {
+        stopReason = payload.done_reason || 'stop';
+        usage.inputTokens = payload.prompt_eval_count || 0;
+        usage.outputTokens = payload.eval_count || 0;
+        if (onUsage) onUsage({ ...usage });
+      }
+    }
+
+    return { output, model, usage, stopReason };
+  }
+}
+
+/**
+ * Registered providers by name
+ */
+export const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+};
+
+/**
+ * Create a provider for API execution mode
+ *
+ * Accepts a provider instance (anything with an execute() method), or a
+ * provider name from PROVIDERS. When no provider is given, AGENTFUL_PROVIDER
+ * selects one and Anthropic is the default.
+ *
+ * @param {Object} [options={}] - Executor options
+ * @param {Object|string} [options.provider] - Provider instance or name ('anthropic', 'openai', 'ollama')
+ * @param {string} [options.apiKey] - API key
+ * @param {string} [options.apiBaseUrl] - Base URL override
+ * @param {string} [options.model] - Model ID
+ * @param {number} [options.maxOutputTokens] - max_tokens per response
+ * @returns {Object} Provider instance
+ * @throws {Error} If the provider name is unknown
+ */
+export function createProvider(options = {}) {
+  if (options.provider && typeof options.provider.execute === 'function') {
+    return options.provider;
+  }
+
+  const name = options.provider || process.env.AGENTFUL_PROVIDER || 'anthropic';
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown provider: ${name}. ` +
+      `Must be one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return new Provider({
+    apiKey: options.apiKey,
+    baseUrl: options.apiBaseUrl,
+    model: options.model,
+    maxOutputTokens: options.maxOutputTokens,
+    headers: options.apiHeaders,
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * Stream JSON Parser
+ *
+ * Parses the newline-delimited JSON emitted by
+ * `claude -p --output-format stream-json --verbose` into typed events,
+ * replacing regex scraping of plain-text output.
+ *
+ * Input messages (one JSON object per line):
+ * - { type: 'system', subtype: 'init', session_id, model, tools }
+ * - { type: 'assistant', message: { id, usage, content: [text | tool_use blocks] } }
+ * - { type: 'user', message: { content: [tool_result blocks] } }
+ * - { type: 'result', subtype, is_error, result, usage, total_cost_usd, ... }
+ *
+ * @module core/stream-json-parser
+ */
+
+/**
+ * Typed event names produced by the parser
+ */
+export const StreamEventType = {
+  SYSTEM: 'system',
+  TEXT: 'text',
+  TOOL_USE: 'tool_use',
+  TOOL_RESULT: 'tool_result',
+  RESULT: 'result',
+  USAGE: 'usage',
+  RAW: 'raw',
+};
+
+/**
+ * Normalize a usage object from the CLI into camelCase token counts
+ *
+ * @param {Object} [usage] - Raw usage object
+ * @returns {Object} { inputTokens, outputTokens, cacheReadInputTokens, cacheCreationInputTokens }
+ */
+function normalizeUsage(usage = {}) {
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+/**
+ * Flatten tool_result content (string or array of text blocks) to a string
+ *
+ * @param {string|Object[]} content - Tool result content
+ * @returns {string} Flattened text
+ */
+function flattenContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map(block => (block.type === 'text' ? block.text : ''))
+      .join('');
+  }
+
+  return '';
+}
+
+/**
+ * Stream JSON Parser
+ *
+ * Buffers partial lines across chunks and converts each complete line
+ * into zero or more typed events.
+ */
+export class StreamJsonParser {
+  constructor() {
+    this.buffer = '';
+    this.sessionId = null;
+    this.model = null;
+    this.result = null;
+    this.messageUsage = new Map();
+  }
+
+  /**
+   * Parse a chunk of stdout
+   *
+   * @param {string} chunk - Raw output chunk (may contain partial lines)
+   * @returns {Object[]} Typed events for all complete lines in the chunk
+   */
+  parse(chunk) {
+    this.buffer += chunk;
+    const events = [];
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).trim();
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      if (line) {
+        events.push(...this.parseLine(line));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Parse any remaining buffered line (call when the stream closes)
+   *
+   * @returns {Object[]} Typed events
+   */
+  flush() {
+    const line = this.buffer.trim();
+    this.buffer = '';
+    return line ? this.parseLine(line) : [];
+  }
+
+  /**
+   * Parse a single JSON line
+   *
+   * @param {string} line - One line of stream-json output
+   * @returns {Object[]} Typed events
+   */
+  parseLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      // Non-JSON output (CLI warnings, etc.) is passed through untouched
+      return [{ type: StreamEventType.RAW, text: `${line}\n` }];
+    }
+
+    if (message.session_id) {
+      this.sessionId = message.session_id;
+    }
+
+    switch (message.type) {
+      case 'system':
+        if (message.model) {
+          this.model = message.model;
+        }
+        return [{
+          type: StreamEventType.SYSTEM,
+          subtype: message.subtype || null,
+          sessionId: message.session_id || null,
+          model: message.model || null,
+          tools: message.tools || [],
+        }];
+
+      case 'assistant':
+        return this._parseAssistant(message);
+
+      case 'user':
+        return this._parseUser(message);
+
+      case 'result':
+        this.result = {
+          type: StreamEventType.RESULT,
+          subtype: message.subtype || null,
+          isError: Boolean(message.is_error),
+          text: typeof message.result === 'string' ? message.result : null,
+          usage: normalizeUsage(message.usage),
+          costUsd: message.total_cost_usd ?? message.cost_usd ?? null,
+          durationMs: message.duration_ms ?? null,
+          numTurns: message.num_turns ?? null,
+          sessionId: message.session_id || this.sessionId,
+          model: this.model,
+        };
+        return [this.result];
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Convert an assistant message into text, tool_use and usage events
+   * @private
+   */
+  _parseAssistant(message) {
+    const events = [];
+    const content = message.message?.content || [];
+
+    if (message.message?.model) {
+      this.model = message.message.model;
+    }
+
+    // Each API response may be split across several assistant lines sharing one
+    // message id and usage, so usage is keyed by id rather than summed per line
+    if (message.message?.usage) {
+      const id = message.message.id || `message-${this.messageUsage.size}`;
+      this.messageUsage.set(id, normalizeUsage(message.message.usage));
+      events.push({ type: StreamEventType.USAGE, usage: this.getUsage() });
+    }
+
+    for (const block of content) {
+      if (block.type === 'text' && block.text) {
+        events.push({ type: StreamEventType.TEXT, text: block.text });
+      } else if (block.type === 'tool_use') {
+        events.push({
+          type: StreamEventType.TOOL_USE,
+          id: block.id,
+          name: block.name,
+          input: block.input || {},
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Convert a user message (tool results fed back to the model) into tool_result events
+   * @private
+   */
+  _parseUser(message) {
+    const events = [];
+    const content = message.message?.content;
+
+    if (!Array.isArray(content)) {
+      return events;
+    }
+
+    for (const block of content) {
+      if (block.type === 'tool_result') {
+        events.push({
+          type: StreamEventType.TOOL_RESULT,
+          toolUseId: block.tool_use_id,
+          content: flattenContent(block.content),
+          isError: Boolean(block.is_error),
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Cumulative usage across all assistant messages seen so far
+   *
+   * @returns {Object} { inputTokens, outputTokens, cacheReadInputTokens, cacheCreationInputTokens }
+   */
+  getUsage() {
+    const total = normalizeUsage();
+    for (const usage of this.messageUsage.values()) {
+      for (const key of Object.keys(total)) {
+        total[key] += usage[key];
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Reset parser state
+   */
+  reset() {
+    this.buffer = '';
+    this.sessionId = null;
+    this.model = null;
+    this.result = null;
+    this.messageUsage.clear();
+  }
+}
+
+export default StreamJsonParser;
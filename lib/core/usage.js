@@ -0,0 +1,321 @@
+/**
+ * Usage & Cost Accounting
+ *
+ * Computes token usage and estimated cost for executions and persists
+ * per-execution records to `.agentful/agent-metrics.json`:
+ *
+ * - `invocations[agent]` keeps running totals plus recent execution records
+ * - `feature_usage[feature]` keeps running totals per feature
+ * - `daily_usage[YYYY-MM-DD]` keeps running totals per UTC day (used by budget.js)
+ *
+ * Prices are USD per million tokens and matched by longest model-ID prefix.
+ *
+ * @module core/usage
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getStateFile, updateStateFile } from '../state-validator.js';
+
+/**
+ * Default price table (USD per million tokens)
+ *
+ * Keys are model ID prefixes; the longest matching prefix wins.
+ */
+export const DEFAULT_PRICING = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-3-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+  // CLI model aliases
+  'opus': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'haiku': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+};
+
+/**
+ * Providers that run models locally and never incur API cost
+ */
+const FREE_PROVIDERS = ['ollama'];
+
+/**
+ * Maximum execution records kept per agent (totals are never trimmed)
+ */
+export const MAX_RECORDS_PER_AGENT = 100;
+
+/**
+ * Number of days kept in daily_usage
+ */
+export const MAX_DAILY_USAGE_DAYS = 31;
+
+/**
+ * Rough characters-per-token ratio used when the CLI reports no usage
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate token count from text length
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Find the price entry for a model
+ *
+ * @param {string} model - Model ID
+ * @param {Object} [pricing=DEFAULT_PRICING] - Price table
+ * @returns {Object|null} Price entry or null if the model is unknown
+ */
+export function getModelPricing(model, pricing = DEFAULT_PRICING) {
+  if (!model) {
+    return null;
+  }
+
+  const id = model.toLowerCase();
+  let match = null;
+
+  for (const prefix of Object.keys(pricing)) {
+    if (id.startsWith(prefix.toLowerCase()) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+
+  return match ? pricing[match] : null;
+}
+
+/**
+ * Estimate cost of a usage record
+ *
+ * @param {Object} usage - { inputTokens, outputTokens, cacheReadInputTokens?, cacheCreationInputTokens? }
+ * @param {string} model - Model ID
+ * @param {Object} [pricing=DEFAULT_PRICING] - Price table
+ * @returns {number|null} Cost in USD, or null if the model has no price entry
+ */
+export function estimateCost(usage, model, pricing = DEFAULT_PRICING) {
+  const price = getModelPricing(model, pricing);
+  if (!price || !usage) {
+    return null;
+  }
+
+  const cost = (
+    (usage.inputTokens || 0) * price.input +
+    (usage.outputTokens || 0) * price.output +
+    (usage.cacheReadInputTokens || 0) * (price.cacheRead ?? price.input) +
+    (usage.cacheCreationInputTokens || 0) * (price.cacheWrite ?? price.input)
+  ) / 1_000_000;
+
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Build a usage record for a finished execution
+ *
+ * Uses the usage reported by the CLI or provider when available, otherwise
+ * estimates tokens from prompt and output length.
+ *
+ * @param {Object} params
+ * @param {Object} params.execContext - Executor execution context
+ * @param {Object} [params.result] - Execution result (absent on failure)
+ * @param {string} [params.prompt] - Prompt that was sent
+ * @param {Object} [params.context] - Execution context passed to execute()
+ * @param {Object} params.options - Execution options (mode, model, provider, pricing)
+ * @param {Object} [params.usage] - Usage observed while running, used when the result has none
+ * @returns {Object} Usage record
+ */
+export function buildUsageRecord({ execContext, result, prompt, context = {}, options, usage: observed }) {
+  const reported = result?.usage || observed;
+  const estimated = !reported || Boolean(reported.estimated);
+
+  const usage = reported
+    ? {
+      inputTokens: reported.inputTokens || 0,
+      outputTokens: reported.outputTokens || 0,
+      cacheReadInputTokens: reported.cacheReadInputTokens || 0,
+      cacheCreationInputTokens: reported.cacheCreationInputTokens || 0,
+    }
+    : {
+      inputTokens: estimateTokens(prompt),
+      outputTokens: estimateTokens(result?.output ?? execContext.output),
+      cacheReadInputTokens: 0,
+      cacheCreationInputTokens: 0,
+    };
+
+  const model = result?.model || execContext.model || options.model || null;
+  const provider = result?.provider || execContext.provider || null;
+  const pricing = { ...DEFAULT_PRICING, ...options.pricing };
+
+  let costUsd;
+  if (typeof result?.costUsd === 'number') {
+    costUsd = result.costUsd;
+  } else if (typeof reported?.costUsd === 'number') {
+    costUsd = reported.costUsd;
+  } else if (FREE_PROVIDERS.includes(provider)) {
+    costUsd = 0;
+  } else {
+    costUsd = estimateCost(usage, model, pricing);
+  }
+
+  return {
+    execution_id: execContext.id,
+    agent: execContext.agent,
+    feature: context.feature || null,
+    timestamp: new Date(execContext.endTime || Date.now()).toISOString(),
+    duration_ms: (execContext.endTime || Date.now()) - execContext.startTime,
+    success: Boolean(result),
+    mode: options.mode,
+    provider,
+    model,
+    input_tokens: usage.inputTokens,
+    output_tokens: usage.outputTokens,
+    cache_read_input_tokens: usage.cacheReadInputTokens,
+    cache_creation_input_tokens: usage.cacheCreationInputTokens,
+    cost_usd: costUsd,
+    estimated,
+  };
+}
+
+/**
+ * Add a record to a totals object
+ * @private
+ */
+function addToTotals(totals, record) {
+  totals.count = (totals.count || 0) + 1;
+  totals.input_tokens = (totals.input_tokens || 0) + record.input_tokens;
+  totals.output_tokens = (totals.output_tokens || 0) + record.output_tokens;
+  totals.cost_usd = Math.round(((totals.cost_usd || 0) + (record.cost_usd || 0)) * 1_000_000) / 1_000_000;
+  totals.last_invoked = record.timestamp;
+  return totals;
+}
+
+/**
+ * Append a usage record to .agentful/agent-metrics.json
+ *
+ * Does nothing if the project has no .agentful directory.
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} record - Record from buildUsageRecord()
+ * @returns {Object} Result with { success, message }
+ */
+export function recordUsage(projectRoot, record) {
+  if (!fs.existsSync(path.join(projectRoot, '.agentful'))) {
+    return { success: false, message: 'No .agentful directory' };
+  }
+
+  return updateStateFile(projectRoot, 'agent-metrics.json', (current) => {
+    const invocations = { ...current.invocations };
+    const previous = invocations[record.agent] || {};
+
+    const count = previous.count || 0;
+    const averageDuration = previous.average_duration_ms || 0;
+
+    const entry = addToTotals({ ...previous }, record);
+    entry.average_duration_ms = Math.round((averageDuration * count + record.duration_ms) / (count + 1));
+    entry.executions = [...(previous.executions || []), record].slice(-MAX_RECORDS_PER_AGENT);
+    invocations[record.agent] = entry;
+
+    const featureUsage = { ...current.feature_usage };
+    if (record.feature) {
+      const featureEntry = addToTotals({ ...featureUsage[record.feature] }, record);
+      featureEntry.agents = {
+        ...featureEntry.agents,
+        [record.agent]: ((featureEntry.agents || {})[record.agent] || 0) + 1
+      };
+      featureUsage[record.feature] = featureEntry;
+    }
+
+    const day = record.timestamp.slice(0, 10);
+    const dailyUsage = { ...current.daily_usage };
+    dailyUsage[day] = addToTotals({ ...dailyUsage[day] }, record);
+    delete dailyUsage[day].last_invoked;
+
+    const days = Object.keys(dailyUsage).sort();
+    for (const oldDay of days.slice(0, -MAX_DAILY_USAGE_DAYS)) {
+      delete dailyUsage[oldDay];
+    }
+
+    return {
+      ...current,
+      invocations,
+      feature_usage: featureUsage,
+      daily_usage: dailyUsage,
+      last_invocation: {
+        agent: record.agent,
+        timestamp: record.timestamp,
+        feature: record.feature
+      }
+    };
+  });
+}
+
+/**
+ * Roll up usage totals per agent and per feature
+ *
+ * @param {Object} metrics - Parsed agent-metrics.json
+ * @returns {Object} { total, agents, features }
+ */
+export function summarizeUsage(metrics = {}) {
+  const pick = (entry) => ({
+    count: entry.count || 0,
+    input_tokens: entry.input_tokens || 0,
+    output_tokens: entry.output_tokens || 0,
+    cost_usd: entry.cost_usd || 0,
+    last_invoked: entry.last_invoked || null,
+  });
+
+  const agents = {};
+  const total = { count: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+
+  for (const [agent, entry] of Object.entries(metrics.invocations || {})) {
+    agents[agent] = pick(entry);
+    total.count += agents[agent].count;
+    total.input_tokens += agents[agent].input_tokens;
+    total.output_tokens += agents[agent].output_tokens;
+    total.cost_usd += agents[agent].cost_usd;
+  }
+
+  total.cost_usd = Math.round(total.cost_usd * 1_000_000) / 1_000_000;
+
+  const features = {};
+  for (const [feature, entry] of Object.entries(metrics.feature_usage || {})) {
+    features[feature] = { ...pick(entry), agents: { ...entry.agents } };
+  }
+
+  return { total, agents, features };
+}
+
+/**
+ * Read and roll up usage for a project
+ *
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} Summary from summarizeUsage(), or null if no metrics exist
+ */
+export function getUsageSummary(projectRoot) {
+  const metrics = getStateFile(projectRoot, 'agent-metrics.json');
+  if (!metrics.valid) {
+    return null;
+  }
+  return summarizeUsage(metrics.data);
+}
+
+export default {
+  DEFAULT_PRICING,
+  estimateTokens,
+  getModelPricing,
+  estimateCost,
+  buildUsageRecord,
+  recordUsage,
+  summarizeUsage,
+  getUsageSummary
+};
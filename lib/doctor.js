@@ -0,0 +1,269 @@
+/**
+ * Project Doctor
+ *
+ * Backs `agentful doctor`: validates the .agentful state files (see
+ * ./state-validator.js), checks that every hook script referenced in
+ * `.claude/settings.json` exists, that the preset's agents are installed and
+ * that the agentful MCP server is registered with Claude Code. With `fix`,
+ * state files are recovered (after a backup) and missing hook scripts are
+ * restored from the package.
+ *
+ * @module doctor
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { presets } from './presets.js';
+import { validateAllState, formatValidationResults } from './state-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PACKAGE_HOOKS_DIR = path.join(__dirname, '..', 'bin', 'hooks');
+
+/**
+ * Name the agentful MCP server is registered under
+ */
+export const MCP_SERVER_NAME = 'agentful';
+
+/**
+ * MCP server package
+ */
+export const MCP_SERVER_PACKAGE = '@itz4blitz/agentful-mcp-server';
+
+/**
+ * Command that registers the MCP server
+ */
+export const MCP_SETUP_COMMAND = `claude mcp add ${MCP_SERVER_NAME} -- npx -y ${MCP_SERVER_PACKAGE}`;
+
+/**
+ * Status of a doctor check
+ */
+export const CheckStatus = {
+  OK: 'ok',
+  WARNING: 'warning',
+  ERROR: 'error',
+  FIXED: 'fixed',
+};
+
+const SCRIPT_PATTERN = /\.(?:c|m)?js$|\.ts$|\.sh$|\.py$/;
+
+/**
+ * Ask Claude Code whether the agentful MCP server is registered
+ *
+ * @returns {Object} { ok: true, installed } or { ok: false, reason }
+ */
+export function getMcpInstallState() {
+  const result = spawnSync('claude', ['mcp', 'list'], {
+    encoding: 'utf8'
+  });
+
+  if (result.error) {
+    return {
+      ok: false,
+      reason: result.error.code === 'ENOENT' ? 'claude-not-found' : result.error.message
+    };
+  }
+
+  if (result.status !== 0) {
+    return {
+      ok: false,
+      reason: (result.stderr || result.stdout || '').trim() || 'claude mcp list failed'
+    };
+  }
+
+  const output = `${result.stdout || ''}\n${result.stderr || ''}`;
+  const installed = new RegExp(`^\\s*${MCP_SERVER_NAME}(\\s|$)`, 'm').test(output);
+
+  return {
+    ok: true,
+    installed
+  };
+}
+
+/**
+ * Script files a hook command runs
+ *
+ * @param {string} command - Hook command (e.g. 'node bin/hooks/health-check.js')
+ * @param {string} projectRoot - Project root (replaces $CLAUDE_PROJECT_DIR)
+ * @returns {string[]} Absolute script paths
+ */
+export function extractHookScripts(command, projectRoot) {
+  return command
+    .replace(/\$\{?CLAUDE_PROJECT_DIR\}?/g, projectRoot)
+    .split(/\s+/)
+    // Shell quoting, e.g. "$CLAUDE_PROJECT_DIR"/.claude/hooks/check.sh
+    .map(token => token.replace(/["']/g, ''))
+    .filter(token => SCRIPT_PATTERN.test(token))
+    .map(token => path.resolve(projectRoot, token));
+}
+
+/**
+ * Check the hook scripts referenced in .claude/settings.json
+ * @private
+ */
+function checkHooks(projectRoot, fix) {
+  const settingsPath = path.join(projectRoot, '.claude', 'settings.json');
+  if (!fs.existsSync(settingsPath)) {
+    return [{ check: 'hooks', status: CheckStatus.WARNING, message: 'No .claude/settings.json - no hooks configured' }];
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  } catch (error) {
+    return [{ check: 'hooks', status: CheckStatus.ERROR, message: `Invalid JSON in .claude/settings.json: ${error.message}` }];
+  }
+
+  // script -> events that run it
+  const scripts = new Map();
+  for (const [event, entries] of Object.entries(settings.hooks || {})) {
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      for (const hook of entry?.hooks || []) {
+        if (hook?.type !== 'command' || typeof hook.command !== 'string') {
+          continue;
+        }
+        for (const script of extractHookScripts(hook.command, projectRoot)) {
+          scripts.set(script, [...(scripts.get(script) || []), event]);
+        }
+      }
+    }
+  }
+
+  const findings = [];
+  for (const [script, events] of scripts) {
+    if (fs.existsSync(script)) {
+      continue;
+    }
+
+    const relative = path.relative(projectRoot, script);
+    const bundled = path.join(PACKAGE_HOOKS_DIR, path.basename(script));
+    const restorable = relative.startsWith(path.join('bin', 'hooks') + path.sep) && fs.existsSync(bundled);
+
+    if (fix && restorable) {
+      fs.mkdirSync(path.dirname(script), { recursive: true });
+      fs.copyFileSync(bundled, script);
+      findings.push({ check: 'hooks', status: CheckStatus.FIXED, message: `Restored hook script ${relative}` });
+    } else {
+      findings.push({
+        check: 'hooks',
+        status: CheckStatus.ERROR,
+        message: `Hook script not found: ${relative} (${[...new Set(events)].join(', ')})`,
+        hint: restorable ? 'Run: agentful doctor --fix' : 'Remove the hook from .claude/settings.json or restore the script'
+      });
+    }
+  }
+
+  if (findings.length === 0) {
+    findings.push({ check: 'hooks', status: CheckStatus.OK, message: `${scripts.size} hook script(s) found` });
+  }
+  return findings;
+}
+
+/**
+ * Check that the preset's agents are installed
+ * @private
+ */
+function checkAgents(projectRoot, presetName) {
+  const preset = presets[presetName];
+  const agentsDir = path.join(projectRoot, '.claude', 'agents');
+  const missing = preset.agents.filter(agent => !fs.existsSync(path.join(agentsDir, `${agent}.md`)));
+
+  if (missing.length > 0) {
+    return [{
+      check: 'agents',
+      status: CheckStatus.WARNING,
+      message: `Missing agents from the '${presetName}' preset: ${missing.join(', ')}`,
+      hint: 'Reinstall with: npx @itz4blitz/agentful init'
+    }];
+  }
+  return [{ check: 'agents', status: CheckStatus.OK, message: `All ${preset.agents.length} '${presetName}' preset agent(s) installed` }];
+}
+
+/**
+ * Check that the MCP server is registered
+ * @private
+ */
+function checkMcp(getState) {
+  const state = getState();
+
+  if (!state.ok) {
+    return [{
+      check: 'mcp',
+      status: CheckStatus.WARNING,
+      message: state.reason === 'claude-not-found'
+        ? 'Claude CLI not found; MCP server check skipped'
+        : `Could not list MCP servers: ${state.reason}`
+    }];
+  }
+  if (!state.installed) {
+    return [{
+      check: 'mcp',
+      status: CheckStatus.WARNING,
+      message: `MCP server '${MCP_SERVER_NAME}' is not registered`,
+      hint: `Run: ${MCP_SETUP_COMMAND}`
+    }];
+  }
+  return [{ check: 'mcp', status: CheckStatus.OK, message: `MCP server '${MCP_SERVER_NAME}' is registered` }];
+}
+
+/**
+ * Run every doctor check
+ *
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @param {Object} [options={}]
+ * @param {boolean} [options.fix=false] - Recover state files (with backups) and restore hook scripts
+ * @param {string} [options.preset='default'] - Preset whose agents must be installed
+ * @param {Function} [options.mcpState=getMcpInstallState] - Returns the MCP install state
+ * @returns {Object} { ok, fix, state, checks } - `state` is validateAllState()'s result,
+ *   `checks` a list of { check, status, message, hint? }
+ * @throws {Error} If the preset is unknown
+ */
+export function runDoctor(projectRoot = process.cwd(), options = {}) {
+  const { fix = false, preset = 'default', mcpState = getMcpInstallState } = options;
+
+  if (!presets[preset]) {
+    throw new Error(`Unknown preset: ${preset}. Available: ${Object.keys(presets).join(', ')}`);
+  }
+
+  const state = validateAllState(projectRoot, { autoRecover: fix, backup: true });
+  const checks = [
+    ...checkHooks(projectRoot, fix),
+    ...checkAgents(projectRoot, preset),
+    ...checkMcp(mcpState)
+  ];
+
+  return {
+    ok: state.valid && !checks.some(check => check.status === CheckStatus.ERROR),
+    fix,
+    state,
+    checks
+  };
+}
+
+/**
+ * Format doctor results for display
+ *
+ * @param {Object} results - From runDoctor()
+ * @returns {string}
+ */
+export function formatDoctorResults(results) {
+  const icons = {
+    [CheckStatus.OK]: '✅',
+    [CheckStatus.WARNING]: '⚠️ ',
+    [CheckStatus.ERROR]: '❌',
+    [CheckStatus.FIXED]: '🔧'
+  };
+
+  const lines = [formatValidationResults(results.state), '', '**Checks:**'];
+  for (const check of results.checks) {
+    lines.push(`  ${icons[check.status]} ${check.check}: ${check.message}`);
+    if (check.hint) {
+      lines.push(`     ${check.hint}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default runDoctor;
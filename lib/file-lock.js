@@ -0,0 +1,375 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Advisory file locks shared across processes.
+ *
+ * A lock on `<file>` is the lockfile `<file>.lock`, created with O_EXCL so only
+ * one process can hold it. The lockfile records the holder's pid, hostname and
+ * acquisition time; a lock whose process is gone (same host) or that is older
+ * than `stale` ms is taken over. Locks are not reentrant: acquiring a lock the
+ * same process already holds waits until the timeout.
+ */
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRY_INTERVAL = 50;
+const DEFAULT_STALE = 30000;
+
+// Lockfiles this process holds, removed if it exits without releasing them
+const heldLocks = new Map();
+let exitHandlerInstalled = false;
+
+/**
+ * Path of the lockfile guarding a file
+ *
+ * @param {string} filePath - Locked file
+ * @returns {string} `<file>.lock`
+ */
+function lockPathFor(filePath) {
+  return `${path.resolve(filePath)}.lock`;
+}
+
+/**
+ * Resolve lock options with their defaults
+ * @private
+ */
+function resolveLockOptions(options) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    retryInterval = DEFAULT_RETRY_INTERVAL,
+    stale = DEFAULT_STALE
+  } = options;
+
+  for (const [name, value] of Object.entries({ timeout, retryInterval, stale })) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Lock option '${name}' must be a non-negative number of milliseconds`);
+    }
+  }
+
+  return { timeout, retryInterval, stale };
+}
+
+/**
+ * Whether a process is running on this host
+ * @private
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether the process that recorded `{ pid, hostname }` may still be running
+ *
+ * Processes on other hosts can't be checked and count as running; a record
+ * without a pid counts as gone.
+ *
+ * @param {{pid: number, hostname: string}} owner - Owner record (lockfile holder, journal entry)
+ * @returns {boolean}
+ */
+function isOwnerAlive(owner) {
+  if (!Number.isInteger(owner?.pid)) {
+    return false;
+  }
+  return owner.hostname !== os.hostname() || isProcessAlive(owner.pid);
+}
+
+/**
+ * Why a lockfile's holder is gone, or null if the lock is live
+ * @private
+ */
+function staleReason(holder, stat, stale) {
+  const acquiredAt = Date.parse(holder?.acquiredAt) || stat.mtimeMs;
+  if (Date.now() - acquiredAt > stale) {
+    return `older than ${stale}ms`;
+  }
+  if (Number.isInteger(holder?.pid) && !isOwnerAlive(holder)) {
+    return `process ${holder.pid} is not running`;
+  }
+  return null;
+}
+
+/**
+ * Parse lockfile content (it may be empty while its creator is writing it)
+ * @private
+ */
+function parseHolder(content) {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove held locks when the process exits without releasing them
+ * @private
+ */
+function installExitHandler() {
+  if (exitHandlerInstalled) {
+    return;
+  }
+  exitHandlerInstalled = true;
+  process.on('exit', () => {
+    for (const [lockPath, token] of heldLocks) {
+      try {
+        if (parseHolder(fs.readFileSync(lockPath, 'utf8'))?.token === token) {
+          fs.unlinkSync(lockPath);
+        }
+      } catch {
+        // Already gone
+      }
+    }
+  });
+}
+
+/**
+ * Error thrown when a lock cannot be acquired in time
+ * @private
+ */
+function lockTimeoutError(filePath, lockPath, timeout) {
+  let holder = null;
+  try {
+    holder = parseHolder(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    // Released meanwhile
+  }
+
+  const error = new Error(
+    `Timed out after ${timeout}ms waiting for the lock on ${filePath}` +
+    (holder?.pid ? ` (held by process ${holder.pid})` : '')
+  );
+  error.code = 'ELOCKED';
+  error.lockPath = lockPath;
+  return error;
+}
+
+/**
+ * Build the lock handle returned to the caller
+ * @private
+ */
+function createHandle(filePath, lockPath, token) {
+  heldLocks.set(lockPath, token);
+  installExitHandler();
+
+  let released = false;
+  const owned = () => parseHolder(fs.readFileSync(lockPath, 'utf8'))?.token === token;
+
+  return {
+    path: lockPath,
+    filePath,
+    release: async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      heldLocks.delete(lockPath);
+      try {
+        // A lock taken over as stale belongs to someone else now
+        if (parseHolder(await fsp.readFile(lockPath, 'utf8'))?.token === token) {
+          await fsp.unlink(lockPath);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    releaseSync: () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      heldLocks.delete(lockPath);
+      try {
+        if (owned()) {
+          fs.unlinkSync(lockPath);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * One attempt to create the lockfile, taking over a stale one
+ *
+ * Uses the sync fs API so the async and sync variants share it; every call is a
+ * single small file operation.
+ *
+ * @private
+ * @returns {boolean} Whether the lock was acquired
+ */
+function tryAcquire(lockPath, token, stale) {
+  const holder = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString(),
+    token
+  });
+
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    try {
+      fs.writeSync(fd, holder);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  let content;
+  let stat;
+  try {
+    content = fs.readFileSync(lockPath, 'utf8');
+    stat = fs.statSync(lockPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false; // Released meanwhile; retry
+    }
+    throw error;
+  }
+
+  const current = parseHolder(content);
+  if (!staleReason(current, stat, stale)) {
+    return false;
+  }
+
+  // Only remove the lockfile if it is still the stale one we inspected, so a
+  // process that took it over in the meantime keeps its lock
+  try {
+    if (fs.readFileSync(lockPath, 'utf8') === content) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  return false;
+}
+
+/**
+ * Acquires an advisory lock on a file, waiting for other holders
+ *
+ * @param {string} filePath - File to lock (it does not need to exist, its directory does)
+ * @param {object} options - Optional lock options
+ * @param {number} options.timeout - Give up after this many ms (default: 10000)
+ * @param {number} options.retryInterval - Wait between attempts in ms (default: 50)
+ * @param {number} options.stale - Take over locks older than this many ms (default: 30000)
+ * @returns {Promise<{path: string, filePath: string, release: function(): Promise<void>, releaseSync: function(): void}>}
+ * @throws {Error} With code 'ELOCKED' if the lock is not acquired within the timeout
+ *
+ * @example
+ * const lock = await acquireLock('/path/to/completion.json');
+ * try {
+ *   // read-modify-write
+ * } finally {
+ *   await lock.release();
+ * }
+ */
+async function acquireLock(filePath, options = {}) {
+  const { timeout, retryInterval, stale } = resolveLockOptions(options);
+  const lockPath = lockPathFor(filePath);
+  const token = randomUUID();
+  const deadline = Date.now() + timeout;
+
+  while (!tryAcquire(lockPath, token, stale)) {
+    if (Date.now() >= deadline) {
+      throw lockTimeoutError(filePath, lockPath, timeout);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryInterval));
+  }
+
+  return createHandle(filePath, lockPath, token);
+}
+
+/**
+ * Synchronous acquireLock() for sync code paths (blocks the thread while waiting)
+ *
+ * @param {string} filePath - File to lock
+ * @param {object} options - Same options as acquireLock()
+ * @returns {{path: string, filePath: string, release: function(): Promise<void>, releaseSync: function(): void}}
+ * @throws {Error} With code 'ELOCKED' if the lock is not acquired within the timeout
+ */
+function acquireLockSync(filePath, options = {}) {
+  const { timeout, retryInterval, stale } = resolveLockOptions(options);
+  const lockPath = lockPathFor(filePath);
+  const token = randomUUID();
+  const deadline = Date.now() + timeout;
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+  while (!tryAcquire(lockPath, token, stale)) {
+    if (Date.now() >= deadline) {
+      throw lockTimeoutError(filePath, lockPath, timeout);
+    }
+    Atomics.wait(sleeper, 0, 0, retryInterval);
+  }
+
+  return createHandle(filePath, lockPath, token);
+}
+
+/**
+ * Runs a function while holding the lock on a file
+ *
+ * @param {string} filePath - File to lock
+ * @param {function(): *|Promise<*>} fn - Work to do under the lock
+ * @param {object} options - Same options as acquireLock()
+ * @returns {Promise<*>} What fn returns
+ *
+ * @example
+ * await withLock(statePath, async () => {
+ *   const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+ *   state.iterations++;
+ *   await atomicWrite(statePath, JSON.stringify(state));
+ * });
+ */
+async function withLock(filePath, fn, options = {}) {
+  const lock = await acquireLock(filePath, options);
+  try {
+    return await fn();
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * Synchronous withLock()
+ *
+ * @param {string} filePath - File to lock
+ * @param {function(): *} fn - Work to do under the lock
+ * @param {object} options - Same options as acquireLock()
+ * @returns {*} What fn returns
+ */
+function withLockSync(filePath, fn, options = {}) {
+  const lock = acquireLockSync(filePath, options);
+  try {
+    return fn();
+  } finally {
+    lock.releaseSync();
+  }
+}
+
+export {
+  lockPathFor,
+  isOwnerAlive,
+  acquireLock,
+  acquireLockSync,
+  withLock,
+  withLockSync
+};
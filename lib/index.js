@@ -10,6 +10,9 @@
 
 export { initProject, copyDirectory, isInitialized, getState } from './init.js';
 
+// Export one-off agent runs (`agentful run`)
+export { runAgent, formatRunJSON, RunExitCode, AgentRunStatus, RUN_MODES } from './run.js';
+
 // Export pipeline orchestration system
 export * from './pipeline/index.js';
 
@@ -18,11 +21,54 @@ export {
   ClaudeExecutor,
   ExecutionMode,
   ExecutionState,
+  OutputFormat,
   createClaudeExecutor,
   createExecutor,
   executeAgent
 } from './core/claude-executor.js';
 
+// Export concurrency-limited execution queue
+export {
+  ExecutionQueue,
+  Priority,
+  CONCURRENCY_PROFILES,
+  getDefaultConcurrency,
+  createExecutionQueue
+} from './core/execution-queue.js';
+
+// Export durable execution journal
+export { ExecutionJournal } from './core/execution-journal.js';
+
+// Export JSON Schema validation and structured output contracts
+export { validateSchema, formatSchemaErrors } from './core/json-schema.js';
+export { parseStructuredOutput, extractJsonBlock } from './core/output-schema.js';
+
+// Export record/replay fixtures for offline tests
+export { FixtureStore, FixtureMode, FixtureTiming } from './core/fixtures.js';
+
+// Export prompt context packing and agent templates
+export { packContext, DEFAULT_CONTEXT_TOKENS } from './core/prompt-context.js';
+export { renderTemplate, buildTemplateData } from './core/prompt-template.js';
+
+// Export decision recording for answered agent questions
+export { recordAnsweredQuestion } from './core/decisions.js';
+
+// Export token usage and cost accounting
+export {
+  DEFAULT_PRICING,
+  estimateCost,
+  getUsageSummary,
+  summarizeUsage
+} from './core/usage.js';
+
+// Export budget limits
+export {
+  BudgetTracker,
+  BudgetLimit,
+  loadBudgetConfig,
+  getDailySpend
+} from './core/budget.js';
+
 // Export CI integration for claude-code-action
 export * from './ci/index.js';
 
@@ -41,5 +87,20 @@ export {
   isStateFileValid,
   getStateFile,
   updateStateFile,
-  formatValidationResults
+  formatValidationResults,
+  checkStateConsistency,
+  applyConsistencyFixes,
+  CURRENT_SCHEMA_VERSION,
+  STATE_MIGRATIONS,
+  STATE_PHASES,
+  getSchemaVersion,
+  migrateStateData,
+  migrateStateFile,
+  migrateAllState
 } from './state-validator.js';
+
+// Export project doctor (agentful doctor)
+export { runDoctor, formatDoctorResults, extractHookScripts, getMcpInstallState, CheckStatus } from './doctor.js';
+
+// Export atomic file writes and multiWrite() journal recovery
+export { atomicWrite, atomicUpdate, multiWrite, recoverJournal } from './atomic.js';
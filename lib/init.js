@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { generateHooksConfig } from './presets.js';
+import { CURRENT_SCHEMA_VERSION } from './state-validator.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TEMPLATE_DIR = path.join(__dirname, '..', 'template');
@@ -81,14 +82,20 @@ export async function initProject(targetDir, config = null) {
     await fs.mkdir(agentfulDir, { recursive: true });
     createdFiles.push('.agentful/');
 
+    // State files follow STATE_SCHEMAS in ./state-validator.js (bump
+    // CURRENT_SCHEMA_VERSION and add a migration when changing their layout)
+    const now = new Date().toISOString();
+
     // Create state.json (runtime state for orchestrator)
     const stateFile = path.join(agentfulDir, 'state.json');
     const initialState = {
+      _schema_version: CURRENT_SCHEMA_VERSION,
+      initialized: now,
       version: '1.0',
       current_task: null,
       current_phase: 'idle',
       iterations: 0,
-      last_updated: new Date().toISOString(),
+      last_updated: now,
       blocked_on: []
     };
     await fs.writeFile(stateFile, JSON.stringify(initialState, null, 2));
@@ -97,13 +104,15 @@ export async function initProject(targetDir, config = null) {
     // Create completion.json (feature progress tracking)
     const completionFile = path.join(agentfulDir, 'completion.json');
     const initialCompletion = {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       features: {},
       gates: {
         tests_passing: false,
         no_type_errors: false,
-        no_dead_code: false,
         coverage_80: false,
-        security_clean: false
+        no_lint_errors: false,
+        no_security_issues: false,
+        no_dead_code: false
       },
       overall_progress: 0
     };
@@ -113,14 +122,16 @@ export async function initProject(targetDir, config = null) {
     // Create decisions.json (pending and resolved decisions)
     const decisionsFile = path.join(agentfulDir, 'decisions.json');
     const initialDecisions = {
-      pending: [],
-      resolved: []
+      _schema_version: CURRENT_SCHEMA_VERSION,
+      decisions: [],
+      lastUpdated: now
     };
     await fs.writeFile(decisionsFile, JSON.stringify(initialDecisions, null, 2));
     createdFiles.push('.agentful/decisions.json');
 
     // Conversation state for natural language interface
     const conversationState = {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       current_phase: 'idle',
       last_message_time: null,
       active_feature: null,
@@ -135,11 +146,10 @@ export async function initProject(targetDir, config = null) {
     createdFiles.push('.agentful/conversation-state.json');
 
     // Conversation history - Full schema matching TypeScript types
-    const now = new Date().toISOString();
     const conversationHistory = {
       _comment: 'Agentful Conversation History State - Tracks all interactions, context, and user preferences',
       _doc: 'This file maintains the complete conversation history with the Agentful CLI.',
-      _schema_version: '1.0',
+      _schema_version: CURRENT_SCHEMA_VERSION,
 
       version: '1.0',
       schema: 'conversation-history',
@@ -153,8 +163,9 @@ export async function initProject(targetDir, config = null) {
         mode: 'interactive'
       },
 
+      messages: [],
+
       conversation: {
-        messages: [],
         summary: null,
         key_topics: [],
         user_goals: []
@@ -242,9 +253,12 @@ export async function initProject(targetDir, config = null) {
 
     // Agent metrics for lifecycle hooks
     const agentMetrics = {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       invocations: {},
       last_invocation: null,
-      feature_hooks: []
+      feature_hooks: [],
+      feature_usage: {},
+      daily_usage: {}
     };
 
     await fs.writeFile(
@@ -501,7 +515,7 @@ Create a new domain when you have:
 ## Status Tracking
 
 - \`pending\` - Not started
-- \`in-progress\` - Currently being worked on
+- \`in_progress\` - Currently being worked on
 - \`complete\` - Done and tested
 - \`blocked\` - Waiting for decision or dependency
 
@@ -0,0 +1,285 @@
+/**
+ * Pipeline Definitions
+ *
+ * Loads and validates pipeline definitions written in YAML or JSON:
+ *
+ * ```yaml
+ * name: feature-delivery
+ * concurrency: 2
+ * variables:
+ *   feature: auth
+ * stages:
+ *   - id: backend
+ *     agent: backend
+ *     task: Implement ${{ variables.feature }} API
+ *   - id: frontend
+ *     agent: frontend
+ *     task: Build ${{ variables.feature }} UI
+ *   - id: review
+ *     agent: reviewer
+ *     task: Review the ${{ variables.feature }} changes
+ *     depends_on: [backend, frontend]
+ *     retries: 1
+ *   - id: fix
+ *     agent: fixer
+ *     task: Fix the issues the review found
+ *     depends_on: [review]
+ *     if: stages.review.data.approved == false
+ * ```
+ *
+ * A stage's prompt carries the output of its completed dependencies as
+ * requirements. Tasks cannot interpolate `stages.<id>.output` or `.error`:
+ * agent output routinely has backticks, `$(` or more than 10KB, which the
+ * executor rejects in a task.
+ *
+ * Named definitions live in `.agentful/pipelines/<name>.yml` (or .yaml/.json).
+ *
+ * @module pipeline/definition
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { validateSchema, formatSchemaErrors } from '../core/json-schema.js';
+import { parseExpression } from './expressions.js';
+
+/**
+ * Directory inside .agentful/ holding pipeline definitions and runs
+ */
+export const PIPELINES_DIR = 'pipelines';
+
+const DEFINITION_EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+/**
+ * JSON Schema for pipeline definitions
+ */
+export const PIPELINE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'stages'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: '^[\\w.-]+$' },
+    description: { type: 'string' },
+    concurrency: { type: 'integer', minimum: 1 },
+    variables: { type: 'object' },
+    stages: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: '#/$defs/stage' }
+    }
+  },
+  $defs: {
+    stage: {
+      type: 'object',
+      required: ['id', 'agent', 'task'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: '^[A-Za-z_][\\w-]*$' },
+        name: { type: 'string' },
+        agent: { type: 'string', minLength: 1 },
+        task: { type: 'string', minLength: 1 },
+        depends_on: {
+          anyOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } }
+          ]
+        },
+        if: { type: 'string' },
+        retries: { type: 'integer', minimum: 0 },
+        timeout: { type: 'integer', minimum: 1 },
+        priority: { enum: ['high', 'normal', 'low'] },
+        context: { type: 'object' },
+        output_schema: { type: 'object' }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a pipeline definition and normalize it
+ *
+ * Checks the schema, duplicate stage IDs, unknown dependencies, cycles,
+ * condition syntax and stage output interpolated into tasks. `depends_on` is
+ * normalized to an array.
+ *
+ * @param {Object} definition - Parsed definition
+ * @returns {Object} Normalized definition with `order` (stage IDs in dependency order)
+ * @throws {Error} Listing every problem found
+ */
+export function validatePipelineDefinition(definition) {
+  const { valid, errors } = validateSchema(definition, PIPELINE_SCHEMA);
+  if (!valid) {
+    throw new Error(`Invalid pipeline definition:\n${formatSchemaErrors(errors)}`);
+  }
+
+  const problems = [];
+  const stages = definition.stages.map(stage => ({
+    ...stage,
+    depends_on: stage.depends_on === undefined ? [] : [].concat(stage.depends_on)
+  }));
+  const ids = new Set();
+
+  for (const stage of stages) {
+    if (ids.has(stage.id)) {
+      problems.push(`duplicate stage id '${stage.id}'`);
+    }
+    ids.add(stage.id);
+  }
+
+  for (const stage of stages) {
+    for (const dependency of stage.depends_on) {
+      if (!ids.has(dependency)) {
+        problems.push(`stage '${stage.id}' depends on unknown stage '${dependency}'`);
+      }
+    }
+
+    for (const [reference] of stage.task.matchAll(/\bstages\.[A-Za-z_][\w-]*\.(?:output|error)\b/g)) {
+      problems.push(
+        `stage '${stage.id}' interpolates ${reference} into its task; dependency output is passed ` +
+        'to the agent as requirements instead'
+      );
+    }
+
+    if (stage.if !== undefined) {
+      try {
+        parseExpression(stage.if);
+      } catch (error) {
+        problems.push(`stage '${stage.id}' has an invalid condition: ${error.message}`);
+      }
+    }
+  }
+
+  // Topological order (Kahn); leftovers are on a cycle
+  const order = [];
+  if (problems.length === 0) {
+    const remaining = new Map(stages.map(stage => [stage.id, new Set(stage.depends_on)]));
+
+    while (remaining.size > 0) {
+      const ready = [...remaining].filter(([, deps]) => deps.size === 0).map(([id]) => id);
+      if (ready.length === 0) {
+        problems.push(`dependency cycle between stages: ${[...remaining.keys()].join(', ')}`);
+        break;
+      }
+      for (const id of ready) {
+        order.push(id);
+        remaining.delete(id);
+        for (const deps of remaining.values()) {
+          deps.delete(id);
+        }
+      }
+    }
+  }
+
+  // Stages referenced in conditions or tasks must finish first
+  if (problems.length === 0) {
+    const ancestors = new Map();
+    for (const id of order) {
+      const stage = stages.find(candidate => candidate.id === id);
+      ancestors.set(id, new Set(stage.depends_on.flatMap(dependency => [dependency, ...ancestors.get(dependency)])));
+    }
+
+    for (const stage of stages) {
+      const text = `${stage.if || ''} ${stage.task}`;
+      for (const [, referenced] of text.matchAll(/\bstages\.([A-Za-z_][\w-]*)/g)) {
+        if (!ancestors.get(stage.id).has(referenced)) {
+          problems.push(`stage '${stage.id}' references stages.${referenced} but does not depend on it`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid pipeline definition:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+  }
+
+  return { ...definition, variables: definition.variables || {}, stages, order };
+}
+
+/**
+ * Parse a pipeline definition from text
+ *
+ * @param {string} text - YAML or JSON text (JSON is valid YAML)
+ * @param {string} [source='pipeline'] - Name used in error messages
+ * @returns {Object} Validated definition
+ * @throws {Error} If the text does not parse or validate
+ */
+export function parsePipelineDefinition(text, source = 'pipeline') {
+  let definition;
+  try {
+    definition = yaml.load(text, { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    throw new Error(`Cannot parse ${source}: ${error.message}`);
+  }
+
+  try {
+    return validatePipelineDefinition(definition);
+  } catch (error) {
+    throw new Error(`${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve a pipeline name or path to a definition file
+ *
+ * @param {string} nameOrPath - File path, or name of a definition in .agentful/pipelines/
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Absolute path, or null if not found
+ */
+export function resolvePipelinePath(nameOrPath, projectRoot) {
+  const direct = path.resolve(projectRoot, nameOrPath);
+  if (fs.existsSync(direct) && fs.statSync(direct).isFile()) {
+    return direct;
+  }
+
+  if (!/^[\w.-]+$/.test(nameOrPath)) {
+    return null;
+  }
+
+  for (const extension of DEFINITION_EXTENSIONS) {
+    const candidate = path.join(projectRoot, '.agentful', PIPELINES_DIR, `${nameOrPath}${extension}`);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load a pipeline definition by name or path
+ *
+ * @param {string} nameOrPath - File path, or name of a definition in .agentful/pipelines/
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @returns {Object} Validated definition (with `source` set to the file path)
+ * @throws {Error} If the file is missing or invalid
+ */
+export function loadPipelineDefinition(nameOrPath, projectRoot = process.cwd()) {
+  const filePath = resolvePipelinePath(nameOrPath, projectRoot);
+  if (!filePath) {
+    throw new Error(
+      `Pipeline not found: ${nameOrPath}. ` +
+      `Pass a file path or add .agentful/${PIPELINES_DIR}/${nameOrPath}.yml`
+    );
+  }
+
+  const definition = parsePipelineDefinition(fs.readFileSync(filePath, 'utf-8'), path.relative(projectRoot, filePath));
+  return { ...definition, source: filePath };
+}
+
+/**
+ * List pipeline definitions in .agentful/pipelines/
+ *
+ * @param {string} projectRoot - Project root directory
+ * @returns {string[]} Pipeline names
+ */
+export function listPipelineDefinitions(projectRoot) {
+  const dir = path.join(projectRoot, '.agentful', PIPELINES_DIR);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => DEFINITION_EXTENSIONS.includes(path.extname(file)))
+    .map(file => path.basename(file, path.extname(file)))
+    .sort();
+}
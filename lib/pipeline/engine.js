@@ -0,0 +1,566 @@
+/**
+ * Pipeline Engine
+ *
+ * Runs pipeline definitions as a DAG of agent executions. Stages whose
+ * dependencies have finished start in parallel (bounded by the pipeline's
+ * `concurrency` and an ExecutionQueue); conditions decide whether a stage
+ * runs or is skipped; failed stages are retried up to `retries` times.
+ *
+ * Run state is persisted after every transition (see ./run-store.js), so
+ * resume() continues a failed, cancelled or interrupted run from the stages
+ * that did not complete.
+ *
+ * @module pipeline/engine
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { ExecutionQueue } from '../core/execution-queue.js';
+import { loadPipelineDefinition, validatePipelineDefinition } from './definition.js';
+import { evaluateExpression, interpolate } from './expressions.js';
+import { PipelineRunStore, RunStatus, StageStatus } from './run-store.js';
+
+/**
+ * Maximum characters of stage output kept in run state
+ */
+const MAX_STAGE_OUTPUT = 64 * 1024;
+
+/**
+ * Condition used when a stage has no `if`
+ */
+const DEFAULT_CONDITION = 'success()';
+
+/**
+ * Pipeline Engine
+ *
+ * @extends EventEmitter
+ * @emits run_started - Run started or resumed
+ * @emits stage_started - Stage execution started (or queued)
+ * @emits stage_completed - Stage finished successfully
+ * @emits stage_failed - Stage failed after its retries
+ * @emits stage_retry - Stage failed and will be retried
+ * @emits stage_skipped - Stage condition was false
+ * @emits run_finished - Run reached completed, failed or cancelled
+ * @emits persist_error - Run state could not be written (the run continues)
+ */
+export class PipelineEngine extends EventEmitter {
+  /**
+   * Create a pipeline engine
+   *
+   * @param {Object} [options={}] - Engine options
+   * @param {string} [options.projectRoot=process.cwd()] - Project root directory
+   * @param {ClaudeExecutor} [options.executor] - Executor for stages (created on first run if omitted)
+   * @param {Object} [options.executorOptions] - Options for the executor created on first run
+   * @param {number} [options.concurrency] - Max concurrent stage executions across runs
+   *   (defaults from the ExecutionQueue profile)
+   * @param {string} [options.profile] - ExecutionQueue concurrency profile
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      projectRoot: options.projectRoot || process.cwd(),
+      ...options,
+    };
+
+    this.executor = options.executor || null;
+    this.queue = null;
+    this.store = new PipelineRunStore(this.options.projectRoot);
+
+    // runId -> { run, definition, promise, resolve, cancelled }
+    this.active = new Map();
+  }
+
+  /**
+   * Run a pipeline
+   *
+   * @param {string|Object} pipeline - Definition, or a name/path for loadPipelineDefinition()
+   * @param {Object} [options={}] - Run options
+   * @param {Object} [options.variables] - Variables merged over the definition's variables
+   * @param {string} [options.runId] - Use this run ID instead of generating one
+   * @returns {Promise<Object>} Final run state; the promise has a `runId` property
+   */
+  run(pipeline, options = {}) {
+    const definition = typeof pipeline === 'string'
+      ? loadPipelineDefinition(pipeline, this.options.projectRoot)
+      : validatePipelineDefinition(pipeline);
+
+    const now = new Date().toISOString();
+    const run = {
+      id: options.runId || randomUUID(),
+      pipeline: definition.name,
+      source: definition.source || null,
+      status: RunStatus.RUNNING,
+      variables: { ...definition.variables, ...options.variables },
+      startedAt: now,
+      finishedAt: null,
+      resumes: 0,
+      error: null,
+      definition,
+      stages: Object.fromEntries(definition.stages.map(stage => [stage.id, this._newStage(stage)]))
+    };
+
+    // Validates the ID before anything runs
+    this.store.filePath(run.id);
+
+    return this._start(run);
+  }
+
+  /**
+   * Resume a failed, cancelled or interrupted run
+   *
+   * Completed stages keep their results; every other stage runs again.
+   *
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Final run state; the promise has a `runId` property
+   * @throws {Error} If the run is unknown, still active or already completed
+   */
+  resume(runId) {
+    if (this.active.has(runId)) {
+      throw new Error(`Pipeline run ${runId} is still running`);
+    }
+
+    const run = this.store.load(runId);
+    if (!run) {
+      throw new Error(`Pipeline run not found: ${runId}`);
+    }
+    if (run.status === RunStatus.COMPLETED) {
+      throw new Error(`Pipeline run ${runId} already completed`);
+    }
+
+    for (const stage of run.definition.stages) {
+      if (run.stages[stage.id].status !== StageStatus.COMPLETED) {
+        run.stages[stage.id] = this._newStage(stage);
+      }
+    }
+
+    run.status = RunStatus.RUNNING;
+    run.finishedAt = null;
+    run.error = null;
+    run.resumes = (run.resumes || 0) + 1;
+
+    return this._start(run);
+  }
+
+  /**
+   * Cancel an active run
+   *
+   * Queued and running stages are cancelled; pending stages are marked cancelled.
+   *
+   * @param {string} runId - Run ID
+   * @returns {boolean} True if the run was active
+   */
+  cancel(runId) {
+    const state = this.active.get(runId);
+    if (!state || state.cancelled) {
+      return false;
+    }
+
+    state.cancelled = true;
+
+    for (const [id, stage] of Object.entries(state.run.stages)) {
+      if (stage.status === StageStatus.RUNNING && stage.executionId) {
+        this.queue.cancel(stage.executionId);
+      } else if (stage.status === StageStatus.PENDING) {
+        this._setStage(state, id, { status: StageStatus.CANCELLED, finishedAt: new Date().toISOString() });
+      }
+    }
+
+    this._schedule(state);
+    return true;
+  }
+
+  /**
+   * Get a run's state (active or persisted)
+   *
+   * @param {string} runId - Run ID
+   * @returns {Object|null} Run state
+   */
+  getRun(runId) {
+    return this.active.get(runId)?.run || this.store.load(runId);
+  }
+
+  /**
+   * List persisted runs, newest first
+   *
+   * @param {Object} [filter={}] - { pipeline?, status? }
+   * @returns {Object[]} Run states
+   */
+  listRuns(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  /**
+   * Cancel active runs, wait for them to settle and drop listeners
+   *
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    const pending = [...this.active.values()].map(state => state.promise);
+    for (const runId of [...this.active.keys()]) {
+      this.cancel(runId);
+    }
+    await Promise.allSettled(pending);
+    await this.store.flush();
+    this.removeAllListeners();
+  }
+
+  /**
+   * Register a run and start scheduling its stages
+   * @private
+   */
+  _start(run) {
+    const state = { run, definition: run.definition, cancelled: false, running: 0 };
+
+    state.promise = new Promise((resolve) => {
+      state.resolve = resolve;
+    });
+    state.promise.runId = run.id;
+
+    this.active.set(run.id, state);
+
+    this._ensureExecutor().then(
+      () => {
+        this._save(state);
+        this.emit('run_started', {
+          runId: run.id,
+          pipeline: run.pipeline,
+          resumed: run.resumes > 0,
+          timestamp: Date.now()
+        });
+        this._schedule(state);
+      },
+      (error) => {
+        // No executor - nothing ran; the run can be resumed once this is fixed
+        run.error = error.message;
+        for (const [id, stage] of Object.entries(run.stages)) {
+          if (stage.status === StageStatus.PENDING) {
+            this._setStage(state, id, { status: StageStatus.CANCELLED });
+          }
+        }
+        this._finish(state);
+      }
+    );
+
+    return state.promise;
+  }
+
+  /**
+   * Create the executor and queue on first use
+   * @private
+   */
+  async _ensureExecutor() {
+    if (!this.executor) {
+      // Loaded on demand: definitions and run state do not need the executor's dependencies
+      const { ClaudeExecutor } = await import('../core/claude-executor.js');
+      this.executor = new ClaudeExecutor({ projectRoot: this.options.projectRoot, ...this.options.executorOptions });
+      // Failures are reported through the rejected execute() promise
+      this.executor.on('error', () => {});
+    }
+
+    if (!this.queue) {
+      this.queue = new ExecutionQueue(this.executor, {
+        concurrency: this.options.concurrency,
+        profile: this.options.profile
+      });
+    }
+  }
+
+  /**
+   * Start every stage that is ready, skip stages whose condition is false,
+   * and finish the run when nothing is left
+   * @private
+   */
+  _schedule(state) {
+    const { run, definition } = state;
+
+    // Stage order is topological, so one pass sees the effect of earlier skips
+    for (const id of definition.order) {
+      const stage = definition.stages.find(candidate => candidate.id === id);
+      const current = run.stages[id];
+
+      if (current.status !== StageStatus.PENDING) {
+        continue;
+      }
+
+      if (state.cancelled) {
+        this._setStage(state, id, { status: StageStatus.CANCELLED, finishedAt: new Date().toISOString() });
+        continue;
+      }
+
+      const dependencies = stage.depends_on.map(dependency => run.stages[dependency].status);
+      if (dependencies.some(status => status === StageStatus.PENDING || status === StageStatus.RUNNING)) {
+        continue;
+      }
+
+      let shouldRun;
+      try {
+        shouldRun = Boolean(evaluateExpression(stage.if || DEFAULT_CONDITION, this._scope(run, dependencies)));
+      } catch (error) {
+        this._failStage(state, id, `Condition failed: ${error.message}`);
+        continue;
+      }
+
+      if (!shouldRun) {
+        const reason = stage.if ? 'condition' : 'dependency';
+        this._setStage(state, id, { status: StageStatus.SKIPPED, reason, finishedAt: new Date().toISOString() });
+        this.emit('stage_skipped', { runId: run.id, stageId: id, reason, timestamp: Date.now() });
+        continue;
+      }
+
+      if (definition.concurrency && state.running >= definition.concurrency) {
+        continue;
+      }
+
+      this._runStage(state, stage);
+    }
+
+    const unfinished = Object.values(run.stages)
+      .some(stage => stage.status === StageStatus.PENDING || stage.status === StageStatus.RUNNING);
+
+    if (!unfinished) {
+      this._finish(state);
+    }
+  }
+
+  /**
+   * Execute one stage attempt through the queue
+   * @private
+   */
+  _runStage(state, stage) {
+    const { run } = state;
+    const current = run.stages[stage.id];
+
+    let task;
+    try {
+      task = interpolate(stage.task, this._scope(run, []));
+    } catch (error) {
+      this._failStage(state, stage.id, `Task interpolation failed: ${error.message}`);
+      return;
+    }
+
+    // Upstream output goes into the prompt as requirements, not the task text:
+    // the executor rejects tasks with backticks, `$(` or over 10KB
+    const requirements = [stage.context?.requirements, this._dependencyOutputs(run, stage)]
+      .filter(Boolean)
+      .join('\n\n');
+
+    const context = {
+      feature: run.variables.feature,
+      ...stage.context,
+      ...(requirements && { requirements }),
+      variables: { ...run.variables, ...stage.context?.variables }
+    };
+
+    const execOptions = {};
+    if (stage.timeout) {
+      execOptions.timeout = stage.timeout;
+    }
+    if (stage.output_schema) {
+      execOptions.outputSchema = stage.output_schema;
+    }
+    if (stage.priority) {
+      execOptions.priority = stage.priority;
+    }
+
+    const attempt = current.attempts + 1;
+    const promise = this.queue.enqueue(stage.agent, task, context, execOptions);
+
+    state.running++;
+    this._setStage(state, stage.id, {
+      status: StageStatus.RUNNING,
+      attempts: attempt,
+      executionId: promise.executionId,
+      startedAt: current.startedAt || new Date().toISOString(),
+      error: null
+    });
+
+    this.emit('stage_started', {
+      runId: run.id,
+      stageId: stage.id,
+      agent: stage.agent,
+      executionId: promise.executionId,
+      attempt,
+      timestamp: Date.now()
+    });
+
+    promise.then(
+      (result) => {
+        state.running--;
+        const output = result.output || '';
+        this._setStage(state, stage.id, {
+          status: StageStatus.COMPLETED,
+          finishedAt: new Date().toISOString(),
+          output: output.length > MAX_STAGE_OUTPUT
+            ? `${output.slice(0, MAX_STAGE_OUTPUT)}\n\n[Note: Output was truncated in pipeline state]`
+            : output,
+          data: result.data ?? null,
+          costUsd: (current.costUsd || 0) + (result.costUsd || 0)
+        });
+        this.emit('stage_completed', {
+          runId: run.id,
+          stageId: stage.id,
+          executionId: promise.executionId,
+          timestamp: Date.now()
+        });
+        this._schedule(state);
+      },
+      (error) => {
+        state.running--;
+
+        if (state.cancelled) {
+          this._setStage(state, stage.id, {
+            status: StageStatus.CANCELLED,
+            error: error.message,
+            finishedAt: new Date().toISOString()
+          });
+        } else if (attempt <= (stage.retries || 0)) {
+          this._setStage(state, stage.id, { status: StageStatus.PENDING, error: error.message });
+          this.emit('stage_retry', {
+            runId: run.id,
+            stageId: stage.id,
+            attempt,
+            maxRetries: stage.retries,
+            error: error.message,
+            timestamp: Date.now()
+          });
+        } else {
+          this._failStage(state, stage.id, error.message);
+        }
+
+        this._schedule(state);
+      }
+    );
+  }
+
+  /**
+   * Mark a stage failed
+   * @private
+   */
+  _failStage(state, id, message) {
+    this._setStage(state, id, { status: StageStatus.FAILED, error: message, finishedAt: new Date().toISOString() });
+    this.emit('stage_failed', { runId: state.run.id, stageId: id, error: message, timestamp: Date.now() });
+  }
+
+  /**
+   * Settle a run once no stage is pending or running
+   * @private
+   */
+  _finish(state) {
+    const { run } = state;
+    if (!this.active.has(run.id)) {
+      return;
+    }
+
+    const statuses = Object.values(run.stages).map(stage => stage.status);
+    if (state.cancelled) {
+      run.status = RunStatus.CANCELLED;
+    } else if (run.error || statuses.includes(StageStatus.FAILED)) {
+      run.status = RunStatus.FAILED;
+    } else {
+      run.status = RunStatus.COMPLETED;
+    }
+    run.finishedAt = new Date().toISOString();
+
+    this.active.delete(run.id);
+
+    this._save(state).finally(() => {
+      this.emit('run_finished', {
+        runId: run.id,
+        pipeline: run.pipeline,
+        status: run.status,
+        timestamp: Date.now()
+      });
+      state.resolve(run);
+    });
+  }
+
+  /**
+   * Outputs of a stage's completed dependencies, one section per stage
+   * @private
+   */
+  _dependencyOutputs(run, stage) {
+    return stage.depends_on
+      .filter(id => run.stages[id].status === StageStatus.COMPLETED && run.stages[id].output)
+      .map(id => `### Output of stage ${id}\n\n${run.stages[id].output}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Scope for conditions and task interpolation
+   * @private
+   */
+  _scope(run, dependencyStatuses) {
+    const stages = {};
+    for (const [id, stage] of Object.entries(run.stages)) {
+      stages[id] = {
+        status: stage.status,
+        output: stage.output,
+        data: stage.data,
+        error: stage.error,
+        attempts: stage.attempts
+      };
+    }
+
+    return {
+      variables: run.variables,
+      stages,
+      functions: {
+        success: () => dependencyStatuses.every(status => status === StageStatus.COMPLETED),
+        failure: () => dependencyStatuses.some(status => status === StageStatus.FAILED),
+        always: () => true
+      }
+    };
+  }
+
+  /**
+   * Initial state of a stage
+   * @private
+   */
+  _newStage(stage) {
+    return {
+      agent: stage.agent,
+      status: StageStatus.PENDING,
+      attempts: 0,
+      executionId: null,
+      startedAt: null,
+      finishedAt: null,
+      output: null,
+      data: null,
+      error: null,
+      reason: null,
+      costUsd: 0
+    };
+  }
+
+  /**
+   * Update a stage and persist the run
+   * @private
+   */
+  _setStage(state, id, updates) {
+    state.run.stages[id] = { ...state.run.stages[id], ...updates };
+    this._save(state);
+  }
+
+  /**
+   * Persist run state; write errors are reported but never stop the run
+   * @private
+   */
+  _save(state) {
+    return this.store.save(state.run).catch((error) => {
+      this.emit('persist_error', { runId: state.run.id, error: error.message, timestamp: Date.now() });
+    });
+  }
+}
+
+/**
+ * Create a pipeline engine
+ *
+ * @param {Object} [options={}] - Engine options
+ * @returns {PipelineEngine}
+ */
+export function createPipelineEngine(options = {}) {
+  return new PipelineEngine(options);
+}
+
+export default PipelineEngine;
@@ -0,0 +1,255 @@
+/**
+ * Pipeline Expressions
+ *
+ * Safe evaluator for stage conditions (`if:`) and `${{ }}` interpolation in
+ * stage tasks. The grammar is deliberately small - no function calls other
+ * than the status functions, no assignment, no code execution:
+ *
+ * ```
+ * expr    := or
+ * or      := and ('||' and)*
+ * and     := unary ('&&' unary)*
+ * unary   := '!' unary | compare
+ * compare := primary (('==' | '!=' | '<' | '<=' | '>' | '>=') primary)?
+ * primary := literal | path | func '(' ')' | '(' expr ')'
+ * literal := 'string' | "string" | number | true | false | null
+ * path    := identifier ('.' identifier | '[' number ']')*
+ * func    := success | failure | always
+ * ```
+ *
+ * Paths resolve against the evaluation scope, e.g. `variables.env` or
+ * `stages.review.data.approved`. Missing paths evaluate to null.
+ *
+ * @module pipeline/expressions
+ */
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(==|!=|<=|>=|&&|\|\||[!<>().[\]])|([A-Za-z_][\w-]*))/y;
+
+const STATUS_FUNCTIONS = ['success', 'failure', 'always'];
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${start} in expression: ${source}`);
+    }
+
+    const [, number, string, operator, identifier] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number) });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (operator !== undefined) {
+      tokens.push({ type: 'op', value: operator });
+    } else if (['true', 'false', 'null'].includes(identifier)) {
+      tokens.push({ type: 'literal', value: JSON.parse(identifier) });
+    } else {
+      tokens.push({ type: 'identifier', value: identifier });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent evaluator over a token list
+ * @private
+ */
+class Evaluator {
+  constructor(source, scope) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+    this.scope = scope;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return token && token.type === 'op' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.peek(value)) {
+      const token = this.tokens[this.position];
+      throw new Error(`Expected '${value}' but found ${token ? `'${token.value}'` : 'end of expression'} in: ${this.source}`);
+    }
+    this.position++;
+  }
+
+  evaluate() {
+    const value = this.or();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected '${this.tokens[this.position].value}' in expression: ${this.source}`);
+    }
+    return value;
+  }
+
+  or() {
+    let value = this.and();
+    while (this.peek('||')) {
+      this.position++;
+      const right = this.and();
+      value = value || right;
+    }
+    return value;
+  }
+
+  and() {
+    let value = this.unary();
+    while (this.peek('&&')) {
+      this.position++;
+      const right = this.unary();
+      value = value && right;
+    }
+    return value;
+  }
+
+  unary() {
+    if (this.peek('!')) {
+      this.position++;
+      return !this.unary();
+    }
+    return this.compare();
+  }
+
+  compare() {
+    const left = this.primary();
+    const token = this.tokens[this.position];
+
+    if (!token || token.type !== 'op' || !['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      return left;
+    }
+
+    this.position++;
+    const right = this.primary();
+
+    switch (token.value) {
+      case '==': return left === right;
+      case '!=': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      default: return left >= right;
+    }
+  }
+
+  primary() {
+    const token = this.tokens[this.position++];
+
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${this.source}`);
+    }
+
+    if (token.type === 'literal') {
+      return token.value;
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const value = this.or();
+      this.expect(')');
+      return value;
+    }
+
+    if (token.type !== 'identifier') {
+      throw new Error(`Unexpected '${token.value}' in expression: ${this.source}`);
+    }
+
+    if (this.peek('(')) {
+      if (!STATUS_FUNCTIONS.includes(token.value)) {
+        throw new Error(`Unknown function '${token.value}()' in expression: ${this.source}`);
+      }
+      this.position++;
+      this.expect(')');
+      return this.scope.functions[token.value]();
+    }
+
+    return this.path(token.value);
+  }
+
+  path(root) {
+    let value = this.scope[root];
+
+    for (;;) {
+      if (this.peek('.')) {
+        this.position++;
+        const next = this.tokens[this.position++];
+        if (!next || next.type !== 'identifier') {
+          throw new Error(`Expected a property name after '.' in expression: ${this.source}`);
+        }
+        value = value == null ? undefined : value[next.value];
+      } else if (this.peek('[')) {
+        this.position++;
+        const index = this.tokens[this.position++];
+        if (!index || index.type !== 'literal') {
+          throw new Error(`Expected an index inside [] in expression: ${this.source}`);
+        }
+        this.expect(']');
+        value = value == null ? undefined : value[index.value];
+      } else {
+        break;
+      }
+    }
+
+    return value === undefined ? null : value;
+  }
+}
+
+/**
+ * Evaluate an expression
+ *
+ * @param {string} source - Expression
+ * @param {Object} scope - Values paths resolve against, plus `functions`
+ *   ({ success, failure, always }) for the status functions
+ * @returns {*} Result
+ * @throws {Error} On syntax errors or unknown functions
+ */
+export function evaluateExpression(source, scope) {
+  return new Evaluator(source, scope).evaluate();
+}
+
+/**
+ * Check an expression's syntax without evaluating paths
+ *
+ * @param {string} source - Expression
+ * @throws {Error} On syntax errors or unknown functions
+ */
+export function parseExpression(source) {
+  new Evaluator(source, { functions: { success: () => true, failure: () => false, always: () => true } }).evaluate();
+}
+
+/**
+ * Replace `${{ expr }}` placeholders in a string
+ *
+ * Objects are inserted as JSON, null as an empty string.
+ *
+ * @param {string} text - Text with placeholders
+ * @param {Object} scope - Scope for evaluateExpression()
+ * @returns {string} Interpolated text
+ */
+export function interpolate(text, scope) {
+  return text.replace(/\$\{\{(.+?)\}\}/g, (_, source) => {
+    const value = evaluateExpression(source.trim(), scope);
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  });
+}
+
+export default {
+  evaluateExpression,
+  parseExpression,
+  interpolate
+};
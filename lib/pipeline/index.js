@@ -0,0 +1,35 @@
+/**
+ * Pipeline Orchestration
+ *
+ * DAG pipelines of agent executions defined in YAML or JSON, with
+ * conditions, retries, parallel branches and resumable run state.
+ *
+ * @module pipeline
+ */
+
+export {
+  PipelineEngine,
+  createPipelineEngine
+} from './engine.js';
+
+export {
+  PIPELINES_DIR,
+  PIPELINE_SCHEMA,
+  validatePipelineDefinition,
+  parsePipelineDefinition,
+  resolvePipelinePath,
+  loadPipelineDefinition,
+  listPipelineDefinitions
+} from './definition.js';
+
+export {
+  RUNS_DIR,
+  RunStatus,
+  StageStatus,
+  PipelineRunStore
+} from './run-store.js';
+
+export {
+  evaluateExpression,
+  interpolate
+} from './expressions.js';
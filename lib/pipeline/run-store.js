@@ -0,0 +1,154 @@
+/**
+ * Pipeline Run Store
+ *
+ * Persists pipeline run state to `.agentful/pipelines/runs/<runId>.json`
+ * after every stage transition, so a failed or interrupted run can be
+ * resumed from where it stopped.
+ *
+ * @module pipeline/run-store
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { atomicWrite } from '../atomic.js';
+import { PIPELINES_DIR } from './definition.js';
+
+/**
+ * Run directory inside .agentful/pipelines/
+ */
+export const RUNS_DIR = 'runs';
+
+/**
+ * Pipeline run statuses
+ */
+export const RunStatus = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Stage statuses
+ */
+export const StageStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Pipeline Run Store
+ */
+export class PipelineRunStore {
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot) {
+    this.dir = path.join(projectRoot, '.agentful', PIPELINES_DIR, RUNS_DIR);
+    // runId -> promise of the last queued write, so writes land in order
+    this.writes = new Map();
+  }
+
+  /**
+   * Path of a run's state file
+   *
+   * @param {string} runId - Run ID
+   * @returns {string}
+   * @throws {Error} If the ID could escape the runs directory
+   */
+  filePath(runId) {
+    if (typeof runId !== 'string' || !/^[\w-]+$/.test(runId)) {
+      throw new Error(`Invalid pipeline run ID: ${runId}`);
+    }
+    return path.join(this.dir, `${runId}.json`);
+  }
+
+  /**
+   * Save a run (writes are atomic and serialized per run)
+   *
+   * @param {Object} run - Run state
+   * @returns {Promise<void>}
+   */
+  save(run) {
+    const snapshot = JSON.stringify({ ...run, updatedAt: new Date().toISOString() }, null, 2);
+    const previous = this.writes.get(run.id) || Promise.resolve();
+
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await atomicWrite(this.filePath(run.id), snapshot + '\n');
+      });
+
+    this.writes.set(run.id, write);
+    write.then(
+      () => this.writes.get(run.id) === write && this.writes.delete(run.id),
+      () => this.writes.get(run.id) === write && this.writes.delete(run.id)
+    );
+
+    return write;
+  }
+
+  /**
+   * Load a run
+   *
+   * @param {string} runId - Run ID
+   * @returns {Object|null} Run state, or null if not found
+   * @throws {Error} If the state file is not valid JSON
+   */
+  load(runId) {
+    const filePath = this.filePath(runId);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid pipeline run state ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List runs, newest first
+   *
+   * @param {Object} [filter={}] - Filters
+   * @param {string} [filter.pipeline] - Only runs of this pipeline
+   * @param {string} [filter.status] - Only runs with this status
+   * @returns {Object[]} Run states
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map((file) => {
+        try {
+          return this.load(path.basename(file, '.json'));
+        } catch {
+          return null;
+        }
+      })
+      .filter(run => run
+        && (!filter.pipeline || run.pipeline === filter.pipeline)
+        && (!filter.status || run.status === filter.status))
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+  }
+
+  /**
+   * Wait for pending writes
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.allSettled([...this.writes.values()]);
+  }
+}
+
+export default PipelineRunStore;
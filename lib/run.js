@@ -0,0 +1,204 @@
+/**
+ * Agent Runner
+ *
+ * Backs `agentful run`: runs one agent with ClaudeExecutor from the terminal
+ * and maps the outcome to a process exit code, so agents can be scripted from
+ * Makefiles and shell scripts.
+ *
+ * @module run
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * Exit codes of `agentful run` (124 and 130 follow timeout(1) and SIGINT conventions)
+ */
+export const RunExitCode = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  TIMEOUT: 124,
+  CANCELLED: 130,
+};
+
+/**
+ * Outcome of a run
+ */
+export const AgentRunStatus = {
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Modes that can run outside a Claude Code session
+ */
+export const RUN_MODES = ['subprocess', 'api'];
+
+const STATUS_EXIT_CODES = {
+  [AgentRunStatus.COMPLETED]: RunExitCode.SUCCESS,
+  [AgentRunStatus.FAILED]: RunExitCode.FAILURE,
+  [AgentRunStatus.TIMEOUT]: RunExitCode.TIMEOUT,
+  [AgentRunStatus.CANCELLED]: RunExitCode.CANCELLED,
+};
+
+/**
+ * Run an agent once
+ *
+ * `timeout` bounds the whole run: a timed-out attempt is not retried. Aborting
+ * `signal` cancels the execution (the run then resolves as cancelled).
+ *
+ * @param {Object} options
+ * @param {string} options.agent - Agent name
+ * @param {string} options.task - Task description
+ * @param {string} [options.projectRoot=process.cwd()] - Project root directory
+ * @param {string[]} [options.files] - Files to include in the prompt context
+ * @param {string} [options.mode='subprocess'] - Execution mode ('subprocess' or 'api')
+ * @param {number} [options.timeout] - Timeout in ms (executor default if omitted)
+ * @param {AbortSignal} [options.signal] - Cancels the execution when aborted
+ * @param {Function} [options.onChunk] - Called with each output chunk as it streams
+ * @param {Object} [options.executor] - Executor (a ClaudeExecutor is created if omitted)
+ * @param {Object} [options.executorOptions] - Options for the created executor
+ * @returns {Promise<Object>} { status, exitCode, executionId, agent, result, error, duration }
+ * @throws {Error} If the agent, task, mode, files or timeout are invalid
+ */
+export async function runAgent(options) {
+  const {
+    agent,
+    task,
+    projectRoot = process.cwd(),
+    files = [],
+    mode = 'subprocess',
+    timeout,
+    signal,
+    onChunk
+  } = options;
+
+  if (typeof agent !== 'string' || !/^[\w-]+$/.test(agent)) {
+    throw new Error('Agent name must contain only letters, digits, "_" and "-"');
+  }
+  if (typeof task !== 'string' || task.trim() === '') {
+    throw new Error('Task must be a non-empty string');
+  }
+  if (!RUN_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}. Must be one of: ${RUN_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(files) || !files.every(file => typeof file === 'string' && file !== '')) {
+    throw new Error('Files must be a list of paths');
+  }
+  if (timeout !== undefined && (!Number.isFinite(timeout) || timeout <= 0)) {
+    throw new Error('Timeout must be a positive number of milliseconds');
+  }
+
+  let executor = options.executor;
+  if (!executor) {
+    const { ClaudeExecutor } = await import('./core/claude-executor.js');
+    executor = new ClaudeExecutor({ projectRoot, mode, ...options.executorOptions });
+    // Failures are reported through the rejected execute() promise
+    executor.on('error', () => {});
+  }
+
+  const executionId = randomUUID();
+  const onChunkEvent = (event) => {
+    if (event.executionId === executionId) {
+      onChunk(event.chunk);
+    }
+  };
+  if (onChunk) {
+    executor.on('chunk', onChunkEvent);
+  }
+
+  const context = files.length > 0
+    // API mode has no file tools, so the contents go into the prompt
+    ? { files, inlineFiles: mode === 'api' }
+    : {};
+  const execOptions = timeout === undefined
+    ? { executionId }
+    : { executionId, timeout, maxRetries: 0 };
+
+  let cancelled = false;
+  let settled = false;
+  let cancelTimer = null;
+  const cancel = () => {
+    cancelled = true;
+    // Before the process has started there is nothing to cancel yet; keep trying
+    if (!settled && !executor.cancel(executionId)) {
+      cancelTimer = setTimeout(cancel, 100);
+      cancelTimer.unref?.();
+    }
+  };
+
+  if (signal?.aborted) {
+    cancelled = true;
+  } else {
+    signal?.addEventListener('abort', cancel, { once: true });
+  }
+
+  const started = Date.now();
+  let result = null;
+  let error = null;
+
+  try {
+    if (cancelled) {
+      throw new Error('Execution cancelled');
+    }
+    result = await executor.execute(agent, task, context, execOptions);
+  } catch (caught) {
+    error = caught;
+  } finally {
+    settled = true;
+    clearTimeout(cancelTimer);
+    signal?.removeEventListener('abort', cancel);
+    if (onChunk) {
+      executor.off('chunk', onChunkEvent);
+    }
+  }
+
+  const status = classifyRun({ error, cancelled });
+  return {
+    status,
+    exitCode: STATUS_EXIT_CODES[status],
+    executionId,
+    agent,
+    result,
+    error,
+    duration: Date.now() - started
+  };
+}
+
+/**
+ * Work out how a run ended
+ * @private
+ */
+function classifyRun({ error, cancelled }) {
+  if (!error) {
+    return AgentRunStatus.COMPLETED;
+  }
+  if (cancelled) {
+    return AgentRunStatus.CANCELLED;
+  }
+  return /^Execution timeout/.test(error.message) ? AgentRunStatus.TIMEOUT : AgentRunStatus.FAILED;
+}
+
+/**
+ * Machine-readable summary of a run (for `agentful run --json`)
+ *
+ * @param {Object} run - Result of runAgent()
+ * @returns {Object} JSON-serializable summary
+ */
+export function formatRunJSON(run) {
+  return {
+    status: run.status,
+    exitCode: run.exitCode,
+    executionId: run.executionId,
+    agent: run.agent,
+    duration: run.duration,
+    output: run.result?.output ?? null,
+    data: run.result?.data ?? null,
+    costUsd: run.result?.costUsd ?? null,
+    usage: run.result?.usage ?? null,
+    error: run.error ? run.error.message : null
+  };
+}
+
+export default runAgent;
@@ -0,0 +1,391 @@
+/**
+ * Remote Execution Server Authentication
+ *
+ * Two ways to authenticate a request:
+ *
+ * - **API keys** - `Authorization: Bearer agf_...`. Keys are shown once when
+ *   created; only their SHA-256 hash is stored, in `.agentful/server-keys.json`.
+ *   Each key is scoped to a list of agents (`*` for all).
+ * - **HMAC signatures** - for webhooks that cannot hold a bearer token. The
+ *   sender signs `<timestamp>.<METHOD>.<path>.<body>` with a shared secret and
+ *   sends `X-Agentful-Timestamp` and `X-Agentful-Signature: sha256=<hex>`.
+ *   Requests outside the timestamp window, or replaying a signature already
+ *   seen, are rejected.
+ *
+ * @module server/auth
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Key store file inside .agentful/
+ */
+export const API_KEYS_FILE = 'server-keys.json';
+
+/**
+ * Prefix of generated API keys
+ */
+export const API_KEY_PREFIX = 'agf_';
+
+/**
+ * Signature headers
+ */
+export const SIGNATURE_HEADER = 'x-agentful-signature';
+export const TIMESTAMP_HEADER = 'x-agentful-timestamp';
+
+/**
+ * Default accepted clock difference for signed requests (seconds)
+ */
+export const DEFAULT_SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Hash an API key for storage
+ *
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ * @private
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * API Key Store
+ *
+ * Reads the key file on every lookup, so keys created or revoked with
+ * `agentful server keys` apply to a running server immediately.
+ */
+export class ApiKeyStore {
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot) {
+    this.filePath = path.join(projectRoot, '.agentful', API_KEYS_FILE);
+  }
+
+  /**
+   * Create a key
+   *
+   * @param {Object} options
+   * @param {string} options.name - Human-readable name (e.g. 'ci-reviewer')
+   * @param {string[]} [options.agents=['*']] - Agents the key may run
+   * @returns {{ key: string, record: Object }} The plaintext key (not stored) and its record
+   * @throws {Error} If the name or agents are invalid
+   */
+  create({ name, agents = ['*'] }) {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+      throw new Error('Key name must contain only letters, digits, ".", "_" and "-"');
+    }
+    if (!Array.isArray(agents) || agents.length === 0 || !agents.every(agent => agent === '*' || /^[\w-]+$/.test(agent))) {
+      throw new Error('Key agents must be a non-empty list of agent names or "*"');
+    }
+
+    const data = this._read();
+    if (data.keys.some(existing => existing.name === name && !existing.revokedAt)) {
+      throw new Error(`An active key named '${name}' already exists`);
+    }
+
+    const key = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: randomBytes(6).toString('hex'),
+      name,
+      hash: hashApiKey(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      agents: [...new Set(agents)],
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    data.keys.push(record);
+    this._write(data);
+
+    return { key, record: publicRecord(record) };
+  }
+
+  /**
+   * List keys (without hashes)
+   *
+   * @param {Object} [options={}]
+   * @param {boolean} [options.includeRevoked=false] - Include revoked keys
+   * @returns {Object[]} Key records
+   */
+  list({ includeRevoked = false } = {}) {
+    return this._read().keys
+      .filter(record => includeRevoked || !record.revokedAt)
+      .map(publicRecord);
+  }
+
+  /**
+   * Revoke a key
+   *
+   * @param {string} idOrName - Key ID or name
+   * @returns {Object} Revoked key record
+   * @throws {Error} If no active key matches
+   */
+  revoke(idOrName) {
+    const data = this._read();
+    const record = data.keys.find(candidate => !candidate.revokedAt
+      && (candidate.id === idOrName || candidate.name === idOrName));
+
+    if (!record) {
+      throw new Error(`No active key with ID or name '${idOrName}'`);
+    }
+
+    record.revokedAt = new Date().toISOString();
+    this._write(data);
+    return publicRecord(record);
+  }
+
+  /**
+   * Check whether any active key exists
+   *
+   * @returns {boolean}
+   */
+  hasKeys() {
+    return this._read().keys.some(record => !record.revokedAt);
+  }
+
+  /**
+   * Look up the active key matching a plaintext key
+   *
+   * @param {string} key - Plaintext API key
+   * @returns {Object|null} Key record, or null if unknown or revoked
+   */
+  verify(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const hash = hashApiKey(key);
+    const record = this._read().keys.find(candidate => safeEqual(candidate.hash, hash));
+    return record && !record.revokedAt ? publicRecord(record) : null;
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    if (!fs.existsSync(this.filePath)) {
+      return { keys: [] };
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      return Array.isArray(data.keys) ? data : { keys: [] };
+    } catch (error) {
+      throw new Error(`Invalid key store ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the key file (owner-only permissions, replaced atomically)
+   * @private
+   */
+  _write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Key record without its hash
+ * @private
+ */
+function publicRecord(record) {
+  const { hash: _hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Compute the signature of a request
+ *
+ * @param {Object} params
+ * @param {string} params.secret - Shared secret
+ * @param {number|string} params.timestamp - Unix time in seconds
+ * @param {string} params.method - HTTP method
+ * @param {string} params.path - Request path including the query string
+ * @param {string} [params.body=''] - Raw request body
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function computeSignature({ secret, timestamp, method, path: requestPath, body = '' }) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${requestPath}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Build the signature headers for a request (for webhook senders)
+ *
+ * @param {Object} params - See computeSignature(); `timestamp` defaults to now
+ * @returns {Object} Headers to send
+ */
+export function signRequest({ timestamp = Math.floor(Date.now() / 1000), ...params }) {
+  return {
+    'X-Agentful-Timestamp': String(timestamp),
+    'X-Agentful-Signature': `sha256=${computeSignature({ ...params, timestamp })}`
+  };
+}
+
+/**
+ * Server Authenticator
+ *
+ * Authentication is enabled as soon as an API key exists or a webhook
+ * secret is configured; until then every request is allowed.
+ */
+export class ServerAuth {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.projectRoot=process.cwd()] - Project root (for the key store)
+   * @param {ApiKeyStore} [options.keyStore] - Key store (created from projectRoot if omitted)
+   * @param {string} [options.webhookSecret] - HMAC secret (default: AGENTFUL_WEBHOOK_SECRET)
+   * @param {string[]} [options.webhookAgents=['*']] - Agents signed requests may run
+   * @param {number} [options.tolerance=300] - Accepted clock difference for signed requests (seconds)
+   */
+  constructor(options = {}) {
+    this.keyStore = options.keyStore || new ApiKeyStore(options.projectRoot || process.cwd());
+    this.webhookSecret = options.webhookSecret ?? process.env.AGENTFUL_WEBHOOK_SECRET ?? null;
+    this.webhookAgents = options.webhookAgents || ['*'];
+    this.tolerance = options.tolerance || DEFAULT_SIGNATURE_TOLERANCE;
+
+    // signature -> expiry (ms); signatures are only accepted once within the window
+    this.seenSignatures = new Map();
+  }
+
+  /**
+   * Check whether requests must authenticate
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.webhookSecret) || this.keyStore.hasKeys();
+  }
+
+  /**
+   * Authenticate a request
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path including the query string
+   * @param {Object} request.headers - Lower-cased request headers
+   * @param {string} [request.body=''] - Raw body
+   * @returns {Object} Principal: { type: 'api_key'|'webhook'|'anonymous', agents, keyId?, name? }
+   * @throws {Error} With statusCode 401 if credentials are missing or invalid
+   */
+  authenticate({ method, path: requestPath, headers, body = '' }) {
+    if (!this.isEnabled()) {
+      return { type: 'anonymous', agents: ['*'] };
+    }
+
+    const authorization = headers.authorization;
+    if (authorization) {
+      const [scheme, key] = authorization.split(' ');
+      const record = scheme === 'Bearer' ? this.keyStore.verify(key) : null;
+      if (!record) {
+        throw unauthorized('Invalid API key');
+      }
+      return { type: 'api_key', keyId: record.id, name: record.name, agents: record.agents };
+    }
+
+    if (headers[SIGNATURE_HEADER]) {
+      this._verifySignature({ method, path: requestPath, headers, body });
+      return { type: 'webhook', agents: this.webhookAgents };
+    }
+
+    throw unauthorized('Authentication required: send "Authorization: Bearer <key>" or a signed request');
+  }
+
+  /**
+   * Throw unless the principal may run the agent
+   *
+   * @param {Object} principal - From authenticate()
+   * @param {string} agent - Agent name
+   * @throws {Error} With statusCode 403
+   */
+  authorize(principal, agent) {
+    if (!canAccessAgent(principal, agent)) {
+      const error = new Error(`Not allowed to access agent '${agent}'`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _verifySignature({ method, path: requestPath, headers, body }) {
+    if (!this.webhookSecret) {
+      throw unauthorized('Signed requests are not enabled on this server');
+    }
+
+    const timestamp = Number(headers[TIMESTAMP_HEADER]);
+    if (!Number.isInteger(timestamp)) {
+      throw unauthorized(`Missing or invalid ${TIMESTAMP_HEADER} header`);
+    }
+
+    const now = Date.now();
+    if (Math.abs(now / 1000 - timestamp) > this.tolerance) {
+      throw unauthorized(`Request timestamp is outside the ${this.tolerance}s window`);
+    }
+
+    const [algorithm, signature] = String(headers[SIGNATURE_HEADER]).split('=');
+    const expected = computeSignature({ secret: this.webhookSecret, timestamp, method, path: requestPath, body });
+    if (algorithm !== 'sha256' || !signature || !safeEqual(signature, expected)) {
+      throw unauthorized('Invalid request signature');
+    }
+
+    for (const [seen, expiry] of this.seenSignatures) {
+      if (expiry < now) {
+        this.seenSignatures.delete(seen);
+      }
+    }
+    if (this.seenSignatures.has(signature)) {
+      throw unauthorized('Request signature was already used');
+    }
+    this.seenSignatures.set(signature, now + this.tolerance * 2 * 1000);
+  }
+}
+
+/**
+ * Check whether a principal may run an agent
+ *
+ * @param {Object} principal - From ServerAuth.authenticate()
+ * @param {string} agent - Agent name
+ * @returns {boolean}
+ */
+export function canAccessAgent(principal, agent) {
+  return Boolean(principal) && (principal.agents.includes('*') || principal.agents.includes(agent));
+}
+
+/**
+ * @private
+ */
+function unauthorized(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+/**
+ * Create a server authenticator
+ *
+ * @param {Object} [options={}] - See ServerAuth
+ * @returns {ServerAuth}
+ */
+export function createServerAuth(options = {}) {
+  return new ServerAuth(options);
+}
+
+export default ServerAuth;
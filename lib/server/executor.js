@@ -0,0 +1,447 @@
+/**
+ * Server Execution Service
+ *
+ * Runs agent executions for the remote execution server. Wraps a
+ * ClaudeExecutor behind an ExecutionQueue, tracks every execution it started
+ * and buffers its events so stream clients that connect late (or reconnect
+ * with Last-Event-ID) receive the full history.
+ *
+ * @module server/executor
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { ExecutionQueue } from '../core/execution-queue.js';
+
+/**
+ * Executor events forwarded to stream subscribers
+ */
+export const STREAM_EVENTS = [
+  'chunk',
+  'progress',
+  'question',
+  'answer',
+  'retry',
+  'text',
+  'tool_use',
+  'tool_result',
+  'budget_exceeded',
+  'error'
+];
+
+/**
+ * Execution statuses reported by the server
+ */
+export const ServerExecutionStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * execute() options a client may set; everything else stays server-side
+ */
+const CLIENT_OPTIONS = ['timeout', 'priority', 'outputSchema', 'maxContextTokens'];
+
+const MAX_BUFFERED_EVENTS = 1000;
+const DEFAULT_RETENTION = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Server Execution Service
+ *
+ * @extends EventEmitter
+ * @emits event - Any execution event ({ executionId, id, type, data })
+ */
+export class ExecutionService extends EventEmitter {
+  /**
+   * Create an execution service
+   *
+   * @param {Object} [options={}] - Service options
+   * @param {string} [options.projectRoot=process.cwd()] - Project root directory
+   * @param {ClaudeExecutor} [options.executor] - Executor (created on first use if omitted)
+   * @param {Object} [options.executorOptions] - Options for the executor created on first use
+   * @param {number} [options.concurrency] - Max concurrent executions (defaults from the queue profile)
+   * @param {number} [options.retention=3600000] - How long finished executions are kept in memory (ms)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      projectRoot: options.projectRoot || process.cwd(),
+      retention: options.retention || DEFAULT_RETENTION,
+      ...options,
+    };
+
+    this.executor = options.executor || null;
+    this.queue = null;
+    this.ready = null;
+
+    // executionId -> record
+    this.executions = new Map();
+  }
+
+  /**
+   * Start an execution
+   *
+   * @param {Object} request - Execution request
+   * @param {string} request.agent - Agent name
+   * @param {string} request.task - Task description
+   * @param {Object} [request.context={}] - execute() context
+   * @param {Object} [request.options={}] - Client options (timeout, priority, outputSchema, maxContextTokens)
+   * @returns {Promise<Object>} Execution status
+   * @throws {Error} If the request is invalid (error.statusCode is 400)
+   */
+  async start(request) {
+    const { agent, task, context = {}, options = {} } = request || {};
+
+    if (typeof agent !== 'string' || !/^[\w-]+$/.test(agent)) {
+      throw badRequest('agent must be an agent name (letters, digits, "_" and "-")');
+    }
+    if (typeof task !== 'string' || task.trim() === '') {
+      throw badRequest('task must be a non-empty string');
+    }
+    if (!isPlainObject(context)) {
+      throw badRequest('context must be an object');
+    }
+    if (!isPlainObject(options)) {
+      throw badRequest('options must be an object');
+    }
+
+    const unknown = Object.keys(options).filter(key => !CLIENT_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw badRequest(`Unsupported option(s): ${unknown.join(', ')}. Allowed: ${CLIENT_OPTIONS.join(', ')}`);
+    }
+
+    await this._ensureExecutor();
+
+    const record = {
+      id: randomUUID(),
+      agent,
+      task,
+      status: ServerExecutionStatus.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      nextEventId: 1,
+      subscribers: new Set(),
+      cleanupTimer: null
+    };
+    this.executions.set(record.id, record);
+
+    let promise;
+    try {
+      promise = this.queue.enqueue(agent, task, context, { ...options, executionId: record.id });
+    } catch (error) {
+      this.executions.delete(record.id);
+      throw badRequest(error.message);
+    }
+
+    promise.then(
+      (result) => this._settle(record, ServerExecutionStatus.COMPLETED, result, null),
+      (error) => this._settle(
+        record,
+        record.cancelRequested ? ServerExecutionStatus.CANCELLED : ServerExecutionStatus.FAILED,
+        null,
+        error
+      )
+    );
+
+    return this.get(record.id);
+  }
+
+  /**
+   * Get an execution's status
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {Object|null} Status, or null if unknown
+   */
+  get(executionId) {
+    const record = this.executions.get(executionId);
+    if (!record) {
+      return null;
+    }
+
+    const live = record.status === ServerExecutionStatus.RUNNING
+      ? this.executor.getExecutionStatus(executionId)
+      : null;
+
+    return {
+      id: record.id,
+      agent: record.agent,
+      task: record.task,
+      status: record.status,
+      createdAt: record.createdAt,
+      startedAt: record.startedAt,
+      finishedAt: record.finishedAt,
+      position: record.status === ServerExecutionStatus.QUEUED ? this.queue.getPosition(executionId) : null,
+      pendingQuestion: live?.pendingQuestion || null,
+      outputLength: live?.outputLength ?? (record.result?.output?.length || 0),
+      result: record.result,
+      error: record.error
+    };
+  }
+
+  /**
+   * List executions, newest first
+   *
+   * @param {Object} [filter={}] - Filters
+   * @param {string} [filter.status] - Only this status
+   * @param {string} [filter.agent] - Only this agent
+   * @returns {Object[]} Statuses (without results)
+   */
+  list(filter = {}) {
+    return [...this.executions.values()]
+      .filter(record => (!filter.status || record.status === filter.status)
+        && (!filter.agent || record.agent === filter.agent))
+      .reverse()
+      .map((record) => {
+        const { result: _result, ...status } = this.get(record.id);
+        return status;
+      });
+  }
+
+  /**
+   * Cancel a queued or running execution
+   *
+   * @param {string} executionId - Execution ID
+   * @returns {boolean} True if cancellation was requested
+   */
+  cancel(executionId) {
+    const record = this.executions.get(executionId);
+    if (!record || record.finishedAt) {
+      return false;
+    }
+
+    record.cancelRequested = true;
+    const cancelled = this.queue.cancel(executionId);
+    if (!cancelled) {
+      record.cancelRequested = false;
+    }
+    return cancelled;
+  }
+
+  /**
+   * Answer a running execution's pending question (see ClaudeExecutor.answer)
+   *
+   * Only running executions can be answered here: the answer is delivered on
+   * stdin, which requires the executor's `interactive` option.
+   *
+   * @param {string} executionId - Execution ID
+   * @param {string} text - Answer
+   * @returns {Promise<Object>} Result of ClaudeExecutor.answer()
+   * @throws {Error} If the execution is unknown (404), the answer is empty (400)
+   *   or the execution cannot take an answer (409)
+   */
+  async answer(executionId, text) {
+    const record = this.executions.get(executionId);
+    if (!record) {
+      throw notFound(executionId);
+    }
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw badRequest('answer must be a non-empty string');
+    }
+    if (record.status !== ServerExecutionStatus.RUNNING) {
+      const error = new Error(`Execution ${executionId} is ${record.status}; only running executions can be answered`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    try {
+      return await this.executor.answer(executionId, text);
+    } catch (error) {
+      const conflict = new Error(error.message);
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+  }
+
+  /**
+   * Subscribe to an execution's events
+   *
+   * Buffered events after `lastEventId` are replayed first. Finished
+   * executions replay their history followed by the `end` event.
+   *
+   * @param {string} executionId - Execution ID
+   * @param {Function} listener - Called with { id, type, data }
+   * @param {number} [lastEventId=0] - Replay events after this ID
+   * @returns {Function|null} Unsubscribe function, or null if the execution is unknown
+   */
+  subscribe(executionId, listener, lastEventId = 0) {
+    const record = this.executions.get(executionId);
+    if (!record) {
+      return null;
+    }
+
+    for (const event of record.events) {
+      if (event.id > lastEventId) {
+        listener(event);
+      }
+    }
+
+    if (record.finishedAt) {
+      return () => {};
+    }
+
+    record.subscribers.add(listener);
+    return () => record.subscribers.delete(listener);
+  }
+
+  /**
+   * Cancel running executions and release resources
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const record of this.executions.values()) {
+      this.cancel(record.id);
+      clearTimeout(record.cleanupTimer);
+    }
+
+    if (this.queue) {
+      await Promise.race([
+        this.queue.onIdle(),
+        new Promise(resolve => setTimeout(resolve, 10000).unref())
+      ]);
+    }
+
+    if (this.executor && this.forward) {
+      for (const [type, handler] of this.forward) {
+        this.executor.off(type, handler);
+      }
+    }
+  }
+
+  /**
+   * Create the executor and queue on first use
+   * @private
+   */
+  _ensureExecutor() {
+    if (!this.ready) {
+      this.ready = this._createExecutor().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * @private
+   */
+  async _createExecutor() {
+    if (!this.executor) {
+      // Loaded on demand: the server module does not need the executor's dependencies until it runs something
+      const { ClaudeExecutor } = await import('../core/claude-executor.js');
+      this.executor = new ClaudeExecutor({ projectRoot: this.options.projectRoot, ...this.options.executorOptions });
+    }
+
+    this.queue = new ExecutionQueue(this.executor, { concurrency: this.options.concurrency });
+
+    this.queue.on('started', ({ executionId }) => {
+      const record = this.executions.get(executionId);
+      if (record) {
+        record.status = ServerExecutionStatus.RUNNING;
+        record.startedAt = new Date().toISOString();
+        this._publish(record, 'status', { status: record.status });
+      }
+    });
+
+    this.forward = STREAM_EVENTS.map((type) => {
+      const handler = (event) => {
+        const record = event && this.executions.get(event.executionId);
+        if (record && !record.finishedAt) {
+          const { executionId: _executionId, ...data } = event;
+          this._publish(record, type, data);
+        }
+      };
+      this.executor.on(type, handler);
+      return [type, handler];
+    });
+  }
+
+  /**
+   * Record the outcome of an execution and notify subscribers
+   * @private
+   */
+  _settle(record, status, result, error) {
+    record.status = status;
+    record.finishedAt = new Date().toISOString();
+    record.error = error ? error.message : null;
+    record.result = result
+      ? {
+        output: result.output ?? null,
+        data: result.data ?? null,
+        exitCode: result.exitCode ?? null,
+        costUsd: result.costUsd ?? null,
+        usage: result.usage ?? null,
+        duration: result.duration ?? null
+      }
+      : null;
+
+    this._publish(record, 'end', { status, error: record.error, result: record.result });
+    record.subscribers.clear();
+
+    record.cleanupTimer = setTimeout(() => this.executions.delete(record.id), this.options.retention);
+    record.cleanupTimer.unref();
+  }
+
+  /**
+   * Buffer an event and deliver it to subscribers
+   * @private
+   */
+  _publish(record, type, data) {
+    const event = { id: record.nextEventId++, type, data };
+
+    record.events.push(event);
+    if (record.events.length > MAX_BUFFERED_EVENTS) {
+      record.events.shift();
+    }
+
+    for (const listener of record.subscribers) {
+      listener(event);
+    }
+    this.emit('event', { executionId: record.id, ...event });
+  }
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * @private
+ */
+function notFound(executionId) {
+  const error = new Error(`Execution not found: ${executionId}`);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create an execution service
+ *
+ * @param {Object} [options={}] - Service options
+ * @returns {ExecutionService}
+ */
+export function createExecutionService(options = {}) {
+  return new ExecutionService(options);
+}
+
+export default ExecutionService;
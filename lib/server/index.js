@@ -0,0 +1,411 @@
+/**
+ * Remote Execution Server
+ *
+ * Self-hosted HTTP server that runs agents through ClaudeExecutor so CI jobs
+ * and other machines can trigger them:
+ *
+ * ```
+ * GET    /health                     Liveness check
+ * POST   /executions                 Start { agent, task, context?, options? } -> 202
+ * GET    /executions                 List (?status=&agent=)
+ * GET    /executions/:id             Status and result
+ * GET    /executions/:id/stream      Server-Sent Events (chunk, progress, question, ..., end)
+ * POST   /executions/:id/answer      Answer a pending question { answer }
+ * DELETE /executions/:id             Cancel
+ * ```
+ *
+ * Responses are JSON; errors are `{ "error": "message" }`. Once an API key
+ * exists or a webhook secret is configured, every route except /health
+ * requires authentication (see ./auth.js) and keys only see executions of
+ * the agents they are scoped to.
+ *
+ * @module server
+ */
+
+import http from 'http';
+import { EventEmitter } from 'events';
+import { ExecutionService } from './executor.js';
+import { ServerAuth, canAccessAgent } from './auth.js';
+
+/**
+ * Default port
+ */
+export const DEFAULT_PORT = 3737;
+
+/**
+ * Default host (loopback only)
+ */
+export const DEFAULT_HOST = '127.0.0.1';
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024; // 1MB
+const DEFAULT_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Remote Execution Server
+ *
+ * @extends EventEmitter
+ * @emits listening - Server is accepting connections ({ url })
+ * @emits request - Request handled ({ method, path, status, duration })
+ */
+export class AgentfulServer extends EventEmitter {
+  /**
+   * Create a server
+   *
+   * @param {Object} [options={}] - Server options
+   * @param {number} [options.port=3737] - Port (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host to bind
+   * @param {string} [options.projectRoot=process.cwd()] - Project root directory
+   * @param {ExecutionService} [options.service] - Execution service (created from the options below if omitted)
+   * @param {ClaudeExecutor} [options.executor] - Executor for the created service
+   * @param {Object} [options.executorOptions] - Options for the executor the service creates
+   * @param {number} [options.concurrency] - Max concurrent executions
+   * @param {ServerAuth|false} [options.auth] - Authenticator (default: ServerAuth for projectRoot;
+   *   false disables authentication)
+   * @param {number} [options.maxBodyBytes=1048576] - Max request body size
+   * @param {number} [options.heartbeatInterval=15000] - SSE keep-alive interval (ms)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      port: options.port ?? DEFAULT_PORT,
+      host: options.host || DEFAULT_HOST,
+      projectRoot: options.projectRoot || process.cwd(),
+      maxBodyBytes: options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES,
+      heartbeatInterval: options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL,
+      ...options,
+    };
+
+    this.service = options.service || new ExecutionService({
+      projectRoot: this.options.projectRoot,
+      executor: options.executor,
+      executorOptions: options.executorOptions,
+      concurrency: options.concurrency
+    });
+
+    this.auth = options.auth === false
+      ? null
+      : options.auth || new ServerAuth({ projectRoot: this.options.projectRoot });
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.streams = new Set();
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<{ port: number, host: string, url: string }>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        const { port } = this.server.address();
+        const address = { port, host: this.options.host, url: `http://${formatHost(this.options.host)}:${port}` };
+        this.emit('listening', address);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests, close streams and cancel running executions
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const stream of this.streams) {
+      stream.end();
+    }
+
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    this.server.closeIdleConnections?.();
+    await this.service.close();
+    await closed;
+  }
+
+  /**
+   * Handle a request
+   *
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+
+    res.on('finish', () => {
+      this.emit('request', { method: req.method, path: url.pathname, status: res.statusCode, duration: Date.now() - started });
+    });
+
+    try {
+      const principal = await this._authenticate(req, url);
+      await this._route(req, res, url, principal);
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+      } else {
+        if (error.allow) {
+          res.setHeader('Allow', error.allow.join(', '));
+        }
+        if (error.statusCode === 401) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        sendJSON(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal server error' });
+      }
+    }
+  }
+
+  /**
+   * Authenticate a request (the body is read first so signatures can cover it)
+   * @private
+   */
+  async _authenticate(req, url) {
+    if (!this.auth || url.pathname === '/health') {
+      return { type: 'anonymous', agents: ['*'] };
+    }
+
+    const body = req.method === 'POST' ? await this._readRawBody(req) : '';
+    return this.auth.authenticate({
+      method: req.method,
+      path: `${url.pathname}${url.search}`,
+      headers: req.headers,
+      body
+    });
+  }
+
+  /**
+   * Dispatch a request to its route
+   * @private
+   */
+  async _route(req, res, url, principal) {
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      throw httpError(400, `Malformed URL path: ${url.pathname}`);
+    }
+
+    if (parts.length === 1 && parts[0] === 'health') {
+      return this._allow(req, ['GET']) && sendJSON(res, 200, { status: 'ok' });
+    }
+
+    if (parts[0] !== 'executions' || parts.length > 3) {
+      throw httpError(404, `Not found: ${req.method} ${url.pathname}`);
+    }
+
+    if (parts.length === 1) {
+      if (req.method === 'POST') {
+        const body = await this._readBody(req);
+        if (this.auth && typeof body.agent === 'string') {
+          this.auth.authorize(principal, body.agent);
+        }
+        const execution = await this.service.start(body);
+        res.setHeader('Location', `/executions/${execution.id}`);
+        return sendJSON(res, 202, execution);
+      }
+      this._allow(req, ['GET', 'POST']);
+      return sendJSON(res, 200, {
+        executions: this.service.list({
+          status: url.searchParams.get('status') || undefined,
+          agent: url.searchParams.get('agent') || undefined
+        }).filter(execution => canAccessAgent(principal, execution.agent))
+      });
+    }
+
+    const executionId = parts[1];
+
+    if (parts.length === 2) {
+      if (req.method === 'DELETE') {
+        this._requireExecution(executionId, principal);
+        if (!this.service.cancel(executionId)) {
+          throw httpError(409, `Execution ${executionId} is not running`);
+        }
+        return sendJSON(res, 202, this.service.get(executionId));
+      }
+      this._allow(req, ['GET', 'DELETE']);
+      return sendJSON(res, 200, this._requireExecution(executionId, principal));
+    }
+
+    if (parts[2] === 'stream') {
+      this._allow(req, ['GET']);
+      this._requireExecution(executionId, principal);
+      return this._stream(req, res, executionId);
+    }
+
+    if (parts[2] === 'answer') {
+      this._allow(req, ['POST']);
+      this._requireExecution(executionId, principal);
+      const body = await this._readBody(req);
+      const { delivery, question, decisionId } = await this.service.answer(executionId, body.answer);
+      return sendJSON(res, 200, { executionId, delivery, question, decisionId });
+    }
+
+    throw httpError(404, `Not found: ${req.method} ${url.pathname}`);
+  }
+
+  /**
+   * Stream an execution's events as Server-Sent Events
+   * @private
+   */
+  _stream(req, res, executionId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const lastEventId = Number.parseInt(req.headers['last-event-id'], 10) || 0;
+    let unsubscribe = null;
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe?.();
+      this.streams.delete(res);
+    };
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), this.options.heartbeatInterval);
+    heartbeat.unref();
+
+    this.streams.add(res);
+    res.on('close', close);
+
+    unsubscribe = this.service.subscribe(executionId, (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      if (event.type === 'end') {
+        close();
+        res.end();
+      }
+    }, lastEventId);
+
+    // Finished executions replay everything (including `end`) during subscribe()
+    if (this.service.get(executionId)?.finishedAt && !res.writableEnded) {
+      close();
+      res.end();
+    }
+  }
+
+  /**
+   * Look up an execution or throw 404 (also for executions the principal may not see)
+   * @private
+   */
+  _requireExecution(executionId, principal) {
+    const execution = this.service.get(executionId);
+    if (!execution || !canAccessAgent(principal, execution.agent)) {
+      throw httpError(404, `Execution not found: ${executionId}`);
+    }
+    return execution;
+  }
+
+  /**
+   * Throw 405 unless the method is allowed
+   * @private
+   */
+  _allow(req, methods) {
+    if (!methods.includes(req.method)) {
+      const error = httpError(405, `Method ${req.method} not allowed. Allowed: ${methods.join(', ')}`);
+      error.allow = methods;
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   */
+  async _readBody(req) {
+    const type = req.headers['content-type'] || '';
+    if (!type.includes('application/json')) {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+
+    const raw = await this._readRawBody(req);
+
+    try {
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the raw request body once (cached on the request)
+   * @private
+   */
+  async _readRawBody(req) {
+    if (req.rawBody !== undefined) {
+      return req.rawBody;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.options.maxBodyBytes) {
+        throw httpError(413, `Request body exceeds ${this.options.maxBodyBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    req.rawBody = Buffer.concat(chunks).toString('utf-8');
+    return req.rawBody;
+  }
+}
+
+/**
+ * @private
+ */
+function sendJSON(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * @private
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * @private
+ */
+function formatHost(host) {
+  return host.includes(':') ? `[${host}]` : host;
+}
+
+/**
+ * Create a server
+ *
+ * @param {Object} [options={}] - Server options (see AgentfulServer)
+ * @returns {AgentfulServer}
+ */
+export function createServer(options = {}) {
+  return new AgentfulServer(options);
+}
+
+/**
+ * Create and start a server
+ *
+ * @param {Object} [options={}] - Server options (see AgentfulServer)
+ * @returns {Promise<AgentfulServer>} Listening server (`server.url` is set)
+ */
+export async function startServer(options = {}) {
+  const server = new AgentfulServer(options);
+  const { url } = await server.start();
+  server.url = url;
+  return server;
+}
+
+export default AgentfulServer;
@@ -10,28 +10,212 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateSchema } from './core/json-schema.js';
+import { acquireLockSync } from './file-lock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * State file schemas with required fields and default values
+ * Version assumed for state files written before `_schema_version` existed
+ */
+export const LEGACY_SCHEMA_VERSION = '1.0';
+
+/**
+ * `{ [key]: features }` with `in-progress` statuses renamed to `in_progress`,
+ * or {} if data[key] is not a feature map
+ * @private
+ */
+function normalizeFeatureStatuses(data, key) {
+  const features = data[key];
+  if (typeof features !== 'object' || features === null || Array.isArray(features)) {
+    return {};
+  }
+  return {
+    [key]: Object.fromEntries(Object.entries(features).map(([id, feature]) => [
+      id,
+      feature?.status === 'in-progress' ? { ...feature, status: 'in_progress' } : feature
+    ]))
+  };
+}
+
+/**
+ * Ordered state file migrations
+ *
+ * Each step upgrades files from the previous step's version (LEGACY_SCHEMA_VERSION
+ * for the first) to `version`. Files without a migrate function for a step only
+ * get their `_schema_version` bumped. Migrations must be lossless: they move and
+ * rename data, never drop it. Append new steps; never edit released ones.
+ */
+export const STATE_MIGRATIONS = [
+  {
+    version: '1.1',
+    description: 'Reconcile the files written by init with STATE_SCHEMAS',
+    migrate: {
+      'state.json': (data) => ({
+        initialized: data.last_updated || new Date().toISOString(),
+        ...data
+      }),
+
+      'completion.json': (data) => {
+        const migrated = {
+          ...data,
+          ...normalizeFeatureStatuses(data, 'features'),
+          ...normalizeFeatureStatuses(data, 'archived_features')
+        };
+        if (typeof migrated.gates !== 'object' || migrated.gates === null || Array.isArray(migrated.gates)) {
+          return migrated;
+        }
+        const gates = { ...migrated.gates };
+        // init wrote `security_clean`; keep the old key if both exist
+        if ('security_clean' in gates && !('no_security_issues' in gates)) {
+          gates.no_security_issues = gates.security_clean;
+          delete gates.security_clean;
+        }
+        return {
+          ...migrated,
+          gates: { ...resolveDefaults(STATE_SCHEMAS['completion.json'].defaults.gates), ...gates }
+        };
+      },
+
+      'decisions.json': (data) => {
+        const { pending, resolved, ...rest } = data;
+        const decisions = Array.isArray(rest.decisions) ? [...rest.decisions] : [];
+        const ids = new Set(decisions.map(decision => decision?.id).filter(Boolean));
+
+        // init wrote { pending: [], resolved: [] }; merge both lists into `decisions`
+        for (const [status, list] of Object.entries({ pending, resolved })) {
+          if (!Array.isArray(list)) {
+            if (list !== undefined) {
+              rest[status] = list;
+            }
+            continue;
+          }
+          for (const decision of list) {
+            // Answers recorded before migrating were written to `decisions` and `resolved`
+            if (decision?.id && ids.has(decision.id)) {
+              continue;
+            }
+            decisions.push(typeof decision === 'object' && decision !== null
+              ? { ...decision, status: decision.status || status }
+              : { question: decision, status });
+          }
+        }
+
+        return {
+          ...rest,
+          decisions,
+          lastUpdated: rest.lastUpdated || new Date().toISOString()
+        };
+      },
+
+      'conversation-history.json': (data) => {
+        // init wrote the messages to `conversation.messages`; they belong at the top level
+        const { conversation } = data;
+        if ('messages' in data || !Array.isArray(conversation?.messages)) {
+          return data;
+        }
+        const { messages, ...rest } = conversation;
+        return { ...data, messages, conversation: rest };
+      }
+    }
+  }
+];
+
+const SCHEMA_VERSIONS = [LEGACY_SCHEMA_VERSION, ...STATE_MIGRATIONS.map(step => step.version)];
+
+/**
+ * Schema version written to every state file
+ */
+export const CURRENT_SCHEMA_VERSION = SCHEMA_VERSIONS[SCHEMA_VERSIONS.length - 1];
+
+/**
+ * Phases the orchestrator and conversation state move through (`current_phase`)
+ */
+export const STATE_PHASES = [
+  'idle',
+  'planning',
+  'analyzing',
+  'implementing',
+  'implementation',
+  'testing',
+  'reviewing',
+  'fixing',
+  'validating'
+];
+
+const TIMESTAMP = { type: ['string', 'null'] };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const PERCENT = { type: 'number', minimum: 0, maximum: 100 };
+const COUNT = { type: 'integer', minimum: 0 };
+const GATE = { type: ['boolean', 'null'] };
+
+const FEATURE_SCHEMA = {
+  type: 'object',
+  properties: {
+    // `in-progress` was documented for a while; it is accepted, and migrated to `in_progress`
+    status: { enum: ['pending', 'in_progress', 'in-progress', 'complete', 'blocked', 'failed'] },
+    progress: PERCENT,
+    // Older completion.json files track progress as `completion`
+    completion: PERCENT,
+    priority: { type: 'string' },
+    subtasks: { type: 'object' },
+    subtasks_complete: COUNT,
+    subtasks_total: COUNT
+  }
+};
+
+const DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'integer'] },
+    question: { type: 'string' },
+    context: { type: ['string', 'null'] },
+    options: { type: 'array' },
+    status: { enum: ['pending', 'resolved'] },
+    created_at: TIMESTAMP,
+    resolved_at: TIMESTAMP
+  }
+};
+
+/**
+ * State file schemas with required fields, default values and the JSON Schema
+ * (see ./core/json-schema.js) every file must match. `requiredFields` lists the
+ * top-level fields recovery can add from `defaults`.
  */
 export const STATE_SCHEMAS = {
   'state.json': {
     requiredFields: ['initialized', 'version'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       initialized: () => new Date().toISOString(),
       version: '1.0.0',
       agents: [],
       skills: []
     },
-    description: 'Core initialization state'
+    description: 'Core initialization state',
+    schema: {
+      type: 'object',
+      required: ['initialized', 'version'],
+      properties: {
+        _schema_version: { type: 'string' },
+        initialized: { type: 'string' },
+        version: { type: 'string' },
+        agents: STRING_LIST,
+        skills: STRING_LIST,
+        current_task: { type: ['string', 'null'] },
+        current_phase: { enum: STATE_PHASES },
+        iterations: COUNT,
+        last_updated: TIMESTAMP,
+        blocked_on: { type: 'array' }
+      }
+    }
   },
 
   'completion.json': {
     requiredFields: ['features', 'gates', 'overall_progress'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       initialized: () => new Date().toISOString(),
       version: '1.0.0',
       structure: 'flat',
@@ -50,21 +234,62 @@ export const STATE_SCHEMAS = {
       features_total: 0,
       last_updated: () => new Date().toISOString()
     },
-    description: 'Feature completion tracking and quality gates'
+    description: 'Feature completion tracking and quality gates',
+    schema: {
+      type: 'object',
+      required: ['features', 'gates', 'overall_progress'],
+      properties: {
+        _schema_version: { type: 'string' },
+        initialized: { type: 'string' },
+        version: { type: 'string' },
+        structure: { enum: ['flat', 'hierarchical'] },
+        domains: { type: 'object', additionalProperties: { type: 'object' } },
+        features: { type: 'object', additionalProperties: FEATURE_SCHEMA },
+        // Features removed from the product spec (see checkStateConsistency())
+        archived_features: { type: 'object', additionalProperties: FEATURE_SCHEMA },
+        gates: {
+          type: 'object',
+          properties: {
+            tests_passing: GATE,
+            no_type_errors: GATE,
+            coverage_80: GATE,
+            no_lint_errors: GATE,
+            no_security_issues: GATE,
+            no_dead_code: GATE
+          },
+          additionalProperties: GATE
+        },
+        overall_progress: PERCENT,
+        features_complete: COUNT,
+        features_total: COUNT,
+        last_updated: TIMESTAMP
+      }
+    }
   },
 
   'decisions.json': {
     requiredFields: ['decisions'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       decisions: [],
       lastUpdated: () => new Date().toISOString()
     },
-    description: 'Pending and resolved decisions'
+    description: 'Pending and resolved decisions',
+    schema: {
+      type: 'object',
+      required: ['decisions'],
+      properties: {
+        _schema_version: { type: 'string' },
+        decisions: { type: 'array', items: DECISION_SCHEMA },
+        lastUpdated: TIMESTAMP
+      }
+    }
   },
 
   'architecture.json': {
     requiredFields: ['version', 'techStack'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       version: '1.0',
       techStack: {
         languages: [],
@@ -80,38 +305,90 @@ export const STATE_SCHEMAS = {
       detectionMethod: 'manual'
     },
     description: 'Tech stack detection and generated agents',
+    schema: {
+      type: 'object',
+      required: ['version', 'techStack'],
+      properties: {
+        _schema_version: { type: 'string' },
+        version: { type: 'string' },
+        techStack: { type: 'object' },
+        domains: { type: 'array' },
+        generatedAgents: { type: 'array' },
+        generatedSkills: { type: 'array' },
+        analyzedAt: TIMESTAMP,
+        detectionMethod: { type: 'string' }
+      }
+    },
     optional: true // Architecture is optional, created by agentful-generate
   },
 
   'conversation-state.json': {
     requiredFields: ['current_phase'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       current_phase: 'idle',
       last_message_time: null,
       active_feature: null,
       unresolved_references: [],
       context_history: []
     },
-    description: 'Natural language conversation context'
+    description: 'Natural language conversation context',
+    schema: {
+      type: 'object',
+      required: ['current_phase'],
+      properties: {
+        _schema_version: { type: 'string' },
+        current_phase: { enum: STATE_PHASES },
+        last_message_time: TIMESTAMP,
+        active_feature: { type: ['string', 'null'] },
+        unresolved_references: { type: 'array' },
+        context_history: { type: 'array' }
+      }
+    }
   },
 
   'conversation-history.json': {
     requiredFields: ['messages'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       messages: [],
       created_at: () => new Date().toISOString()
     },
-    description: 'Message history for context tracking'
+    description: 'Message history for context tracking',
+    schema: {
+      type: 'object',
+      required: ['messages'],
+      properties: {
+        _schema_version: { type: 'string' },
+        messages: { type: 'array', items: { type: 'object' } },
+        conversation: { type: 'object' },
+        created_at: TIMESTAMP
+      }
+    }
   },
 
   'agent-metrics.json': {
     requiredFields: ['invocations'],
     defaults: {
+      _schema_version: CURRENT_SCHEMA_VERSION,
       invocations: {},
       last_invocation: null,
-      feature_hooks: []
+      feature_hooks: [],
+      feature_usage: {},
+      daily_usage: {}
     },
     description: 'Agent lifecycle hooks and metrics',
+    schema: {
+      type: 'object',
+      required: ['invocations'],
+      properties: {
+        _schema_version: { type: 'string' },
+        invocations: { type: 'object' },
+        feature_hooks: { type: 'array' },
+        feature_usage: { type: 'object' },
+        daily_usage: { type: 'object' }
+      }
+    },
     optional: true // Created when agents are first invoked
   }
 };
@@ -121,8 +398,13 @@ export const STATE_SCHEMAS = {
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether the state file is valid
  * @property {string} [error] - Error message if invalid
- * @property {string} [action] - Recommended action: 'initialize', 'backup_and_reset', 'add_field'
- * @property {string} [missing_field] - Field that was missing (if action is 'add_field')
+ * @property {string} [action] - Recommended action: 'initialize', 'backup_and_reset', 'add_field',
+ *   'reset_fields'
+ * @property {string} [missing_field] - First field that was missing (if action is 'add_field')
+ * @property {string[]} [missing_fields] - All missing fields (if action is 'add_field')
+ * @property {Object[]} [schema_errors] - { path, message } per JSON Schema violation, `path`
+ *   being a JSON Pointer into the file (if action is 'reset_fields')
+ * @property {string[]} [invalid_fields] - Top-level fields holding the violations (if action is 'reset_fields')
  * @property {any} [data] - Parsed data if valid
  */
 
@@ -156,14 +438,38 @@ export function validateStateFile(filePath, schema) {
     };
   }
 
+  if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+    return {
+      valid: false,
+      error: `Expected a JSON object in ${filePath}`,
+      action: 'backup_and_reset'
+    };
+  }
+
   // Check required fields exist
-  for (const field of schema.requiredFields) {
-    if (!(field in content)) {
+  const missing = schema.requiredFields.filter(field => !(field in content));
+  if (missing.length > 0) {
+    return {
+      valid: false,
+      error: missing.length === 1
+        ? `Missing required field '${missing[0]}' in ${filePath}`
+        : `Missing required fields ${missing.map(field => `'${field}'`).join(', ')} in ${filePath}`,
+      action: 'add_field',
+      missing_field: missing[0],
+      missing_fields: missing
+    };
+  }
+
+  // Check types, enums and nested objects
+  if (schema.schema) {
+    const { errors } = validateSchema(content, schema.schema);
+    if (errors.length > 0) {
       return {
         valid: false,
-        error: `Missing required field '${field}' in ${filePath}`,
-        action: 'add_field',
-        missing_field: field
+        error: `${errors.length === 1 ? '1 schema error' : `${errors.length} schema errors`} in ${filePath}`,
+        action: 'reset_fields',
+        schema_errors: errors,
+        invalid_fields: [...new Set(errors.map(error => topLevelField(error.path)))]
       };
     }
   }
@@ -179,11 +485,15 @@ export function validateStateFile(filePath, schema) {
  *
  * @param {string} filePath - Absolute path to the state file
  * @param {Object} defaults - Default values for the state file
- * @param {string} action - Recovery action: 'initialize', 'backup_and_reset', or 'add_field'
- * @param {string} [missingField] - Field to add (if action is 'add_field')
- * @returns {Object} Result with success flag and message
+ * @param {string} action - Recovery action: 'initialize', 'backup_and_reset', 'add_field' or 'reset_fields'
+ * @param {string|string[]} [missingField] - Field(s) to add (if action is 'add_field') or reset
+ *   (if action is 'reset_fields'; reset to their default, or removed if they have none)
+ * @param {Object} [options={}] - Recovery options
+ * @param {boolean} [options.backup=false] - Also back up the file before adding fields
+ *   ('backup_and_reset' and 'reset_fields' always back up)
+ * @returns {Object} Result with success flag, message and the backup path (if one was made)
  */
-export function recoverStateFile(filePath, defaults, action, missingField = null) {
+export function recoverStateFile(filePath, defaults, action, missingField = null, options = {}) {
   const fileName = path.basename(filePath);
 
   try {
@@ -200,12 +510,7 @@ export function recoverStateFile(filePath, defaults, action, missingField = null
 
     if (action === 'backup_and_reset') {
       // Backup corrupted file
-      const timestamp = Math.floor(Date.now() / 1000);
-      const backupPath = `${filePath}.backup-${timestamp}`;
-
-      if (fs.existsSync(filePath)) {
-        fs.copyFileSync(filePath, backupPath);
-      }
+      const backupPath = backupStateFile(filePath);
 
       // Create fresh file
       const initialState = resolveDefaults(defaults);
@@ -213,29 +518,68 @@ export function recoverStateFile(filePath, defaults, action, missingField = null
 
       return {
         success: true,
-        message: `⚠️  Corrupted ${fileName} backed up to ${path.basename(backupPath)} and reset`
+        message: backupPath
+          ? `⚠️  Corrupted ${fileName} backed up to ${path.basename(backupPath)} and reset`
+          : `⚠️  Reset ${fileName}`,
+        backup: backupPath
       };
     }
 
     if (action === 'add_field') {
-      // Read existing content, add missing field, write back
+      // Read existing content, add missing fields, write back
       const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      const fields = Array.isArray(missingField) ? missingField : [missingField];
+      const undefinedFields = fields.filter(field => !field || !(field in defaults));
 
-      if (missingField && missingField in defaults) {
-        const defaultValue = defaults[missingField];
-        content[missingField] = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
-
-        fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf-8');
-
+      if (undefinedFields.length > 0) {
         return {
-          success: true,
-          message: `✅ Added missing field '${missingField}' to ${fileName}`
+          success: false,
+          message: `❌ Cannot add field '${undefinedFields.join("', '")}' - no default value defined`
         };
       }
 
+      const backupPath = options.backup ? backupStateFile(filePath) : null;
+
+      for (const field of fields) {
+        const defaultValue = defaults[field];
+        content[field] = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+      }
+
+      fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf-8');
+
+      const added = fields.length === 1
+        ? `field '${fields[0]}'`
+        : `fields ${fields.map(field => `'${field}'`).join(', ')}`;
       return {
-        success: false,
-        message: `❌ Cannot add field '${missingField}' - no default value defined`
+        success: true,
+        message: `✅ Added missing ${added} to ${fileName}${backupPath ? ` (backup: ${path.basename(backupPath)})` : ''}`,
+        backup: backupPath
+      };
+    }
+
+    if (action === 'reset_fields') {
+      // Only the invalid fields are replaced; the original is kept as a backup
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      const fields = Array.isArray(missingField) ? missingField : [missingField];
+      const backupPath = backupStateFile(filePath);
+
+      for (const field of fields) {
+        if (field in defaults) {
+          const defaultValue = defaults[field];
+          content[field] = typeof defaultValue === 'function'
+            ? defaultValue()
+            : resolveDefaults({ [field]: defaultValue })[field];
+        } else {
+          delete content[field];
+        }
+      }
+
+      fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf-8');
+
+      return {
+        success: true,
+        message: `⚠️  Reset invalid ${fields.length === 1 ? 'field' : 'fields'} ${fields.map(field => `'${field}'`).join(', ')} in ${fileName} (backup: ${path.basename(backupPath)})`,
+        backup: backupPath
       };
     }
 
@@ -252,6 +596,28 @@ export function recoverStateFile(filePath, defaults, action, missingField = null
   }
 }
 
+/**
+ * Copy a state file to `<file>.backup-<unix seconds>`
+ *
+ * @private
+ * @param {string} filePath - State file
+ * @returns {string|null} Backup path, or null if the file does not exist
+ */
+function backupStateFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  let backupPath = `${filePath}.backup-${timestamp}`;
+  for (let n = 1; fs.existsSync(backupPath); n++) {
+    backupPath = `${filePath}.backup-${timestamp}-${n}`;
+  }
+
+  fs.copyFileSync(filePath, backupPath);
+  return backupPath;
+}
+
 /**
  * Validates all state files in a project
  *
@@ -260,13 +626,19 @@ export function recoverStateFile(filePath, defaults, action, missingField = null
  * @param {boolean} [options.autoRecover=false] - Automatically recover invalid files
  * @param {boolean} [options.skipOptional=true] - Skip validation of optional files
  * @param {boolean} [options.verbose=false] - Include detailed validation info
- * @returns {Object} Validation results for all state files
+ * @param {boolean} [options.backup=false] - Back up every file before auto-recovery changes it
+ * @param {boolean} [options.consistency=true] - Also run the cross-file checks of
+ *   checkStateConsistency() (reported as warnings; fixed with autoRecover)
+ * @returns {Object} Validation results for all state files; `consistency` lists the
+ *   remaining cross-file findings
  */
 export function validateAllState(projectRoot, options = {}) {
   const {
     autoRecover = false,
     skipOptional = true,
-    verbose = false
+    verbose = false,
+    backup = false,
+    consistency = true
   } = options;
 
   const agentfulDir = path.join(projectRoot, '.agentful');
@@ -275,7 +647,8 @@ export function validateAllState(projectRoot, options = {}) {
     files: {},
     errors: [],
     warnings: [],
-    recovered: []
+    recovered: [],
+    consistency: []
   };
 
   // Ensure .agentful directory exists
@@ -303,6 +676,29 @@ export function validateAllState(projectRoot, options = {}) {
       continue;
     }
 
+    // Upgrade files written by older versions before checking their fields
+    const version = readSchemaVersion(filePath);
+    if (version !== null && version !== CURRENT_SCHEMA_VERSION) {
+      if (!SCHEMA_VERSIONS.includes(version)) {
+        results.valid = false;
+        results.files[fileName] = { valid: false, error: `Unsupported _schema_version '${version}'` };
+        results.errors.push(`❌ ${fileName}: Unsupported _schema_version '${version}' (written by a newer agentful?)`);
+        continue;
+      }
+
+      if (autoRecover) {
+        const migration = migrateStateFile(filePath, { backup });
+        if (migration.success) {
+          results.recovered.push(migration.message);
+        } else {
+          results.valid = false;
+          results.errors.push(migration.message);
+        }
+      } else {
+        results.warnings.push(`⚠️  ${fileName}: schema ${version} is outdated (current: ${CURRENT_SCHEMA_VERSION})`);
+      }
+    }
+
     // Validate file
     const validation = validateStateFile(filePath, schema);
     results.files[fileName] = validation;
@@ -316,7 +712,8 @@ export function validateAllState(projectRoot, options = {}) {
           filePath,
           schema.defaults,
           validation.action,
-          validation.missing_field
+          validation.missing_fields || validation.invalid_fields,
+          { backup }
         );
 
         if (recovery.success) {
@@ -336,6 +733,336 @@ export function validateAllState(projectRoot, options = {}) {
     }
   }
 
+  // Relational checks only make sense once every file is readable
+  if (consistency && results.valid) {
+    let findings = checkStateConsistency(projectRoot);
+
+    // A fix can reveal another finding (e.g. archiving a feature changes the progress)
+    for (let pass = 0; autoRecover && findings.length > 0 && pass < 3; pass++) {
+      const applied = applyConsistencyFixes(projectRoot, findings, { backup: backup && pass === 0 });
+      results.recovered.push(...applied.applied);
+      results.errors.push(...applied.errors);
+      findings = applied.errors.length > 0 ? [] : checkStateConsistency(projectRoot);
+    }
+
+    results.consistency = findings;
+    findings.forEach(finding => results.warnings.push(`⚠️  ${finding.message} (fix: ${finding.fix.description})`));
+  }
+
+  return results;
+}
+
+/**
+ * Priority weights for overall_progress (see the product-tracking skill)
+ */
+const PRIORITY_WEIGHTS = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
+
+/**
+ * Cross-file consistency finding
+ * @typedef {Object} ConsistencyFinding
+ * @property {string} check - 'orphaned_feature', 'unknown_decision_feature',
+ *   'completed_current_task' or 'overall_progress'
+ * @property {string} file - State file the finding (and its fix) is about
+ * @property {string} path - JSON Pointer of the inconsistent value in `file`
+ * @property {string} message - What is inconsistent
+ * @property {Object} fix - Suggested fix: { description, op: 'set', path, value }
+ *   or { description, op: 'move', path, to } (JSON Pointers into `file`)
+ */
+
+/**
+ * Checks the state files against each other and the product spec
+ *
+ * - Features in completion.json missing from `.claude/product/domains/` (only
+ *   when the product spec has feature files; fix: move to `archived_features`)
+ * - Pending decisions referencing features that are neither tracked nor specified
+ *   (`feature`, `feature_id`, `blocking`; fix: drop the reference)
+ * - `current_task` in state.json naming a completed feature (fix: clear it)
+ * - `overall_progress` differing from the priority-weighted feature progress,
+ *   allowing the 10 point reduction for failing gates (fix: set it)
+ *
+ * Unreadable files are skipped; validateAllState() reports them.
+ *
+ * @param {string} projectRoot - Absolute path to project root directory
+ * @returns {ConsistencyFinding[]} Findings, each with a suggested fix
+ */
+export function checkStateConsistency(projectRoot) {
+  const agentfulDir = path.join(projectRoot, '.agentful');
+  const completion = readStateObject(path.join(agentfulDir, 'completion.json'));
+  const state = readStateObject(path.join(agentfulDir, 'state.json'));
+  const decisions = readStateObject(path.join(agentfulDir, 'decisions.json'));
+  const product = listProductFeatures(projectRoot);
+  const findings = [];
+
+  const features = isPlainObject(completion?.features) ? completion.features : {};
+  const orphaned = new Set();
+
+  if (product.specified) {
+    for (const id of Object.keys(features)) {
+      if (!product.names.has(normalizeFeatureName(id))) {
+        orphaned.add(id);
+        findings.push({
+          check: 'orphaned_feature',
+          file: 'completion.json',
+          path: `/features/${escapePointer(id)}`,
+          message: `completion.json tracks feature '${id}', which is not in .claude/product/`,
+          fix: {
+            description: `Move '${id}' to archived_features in completion.json`,
+            op: 'move',
+            path: `/features/${escapePointer(id)}`,
+            to: `/archived_features/${escapePointer(id)}`
+          }
+        });
+      }
+    }
+  }
+
+  // Features a decision may reference
+  const known = new Set([...product.names, ...Object.keys(features).map(normalizeFeatureName)]);
+  if (known.size > 0 && Array.isArray(decisions?.decisions)) {
+    decisions.decisions.forEach((decision, index) => {
+      if (!isPlainObject(decision) || (decision.status || 'pending') !== 'pending') {
+        return;
+      }
+      const label = decision.id ?? `#${index}`;
+
+      for (const field of ['feature', 'feature_id']) {
+        const ref = decision[field];
+        if (typeof ref === 'string' && !known.has(normalizeFeatureName(ref))) {
+          findings.push({
+            check: 'unknown_decision_feature',
+            file: 'decisions.json',
+            path: `/decisions/${index}/${field}`,
+            message: `Decision '${label}' references unknown feature '${ref}'`,
+            fix: { description: `Clear ${field} of decision '${label}'`, op: 'set', path: `/decisions/${index}/${field}`, value: null }
+          });
+        }
+      }
+
+      if (Array.isArray(decision.blocking)) {
+        const unknown = decision.blocking.filter(ref => typeof ref === 'string' && !known.has(normalizeFeatureName(ref)));
+        if (unknown.length > 0) {
+          findings.push({
+            check: 'unknown_decision_feature',
+            file: 'decisions.json',
+            path: `/decisions/${index}/blocking`,
+            message: `Decision '${label}' blocks unknown feature(s): ${unknown.join(', ')}`,
+            fix: {
+              description: `Remove ${unknown.map(ref => `'${ref}'`).join(', ')} from blocking of decision '${label}'`,
+              op: 'set',
+              path: `/decisions/${index}/blocking`,
+              value: decision.blocking.filter(ref => !unknown.includes(ref))
+            }
+          });
+        }
+      }
+    });
+  }
+
+  const currentTask = state?.current_task;
+  if (typeof currentTask === 'string') {
+    const [id, feature] = Object.entries(features)
+      .find(([featureId]) => normalizeFeatureName(featureId) === normalizeFeatureName(currentTask)) || [];
+    if (feature && featureProgress(feature) === 100) {
+      findings.push({
+        check: 'completed_current_task',
+        file: 'state.json',
+        path: '/current_task',
+        message: `state.json current_task '${currentTask}' is already complete in completion.json`,
+        fix: { description: `Clear current_task in state.json (feature '${id}' is complete)`, op: 'set', path: '/current_task', value: null }
+      });
+    }
+  }
+
+  if (completion && typeof completion.overall_progress === 'number') {
+    const tracked = Object.entries(features).filter(([id]) => !orphaned.has(id)).map(([, feature]) => feature);
+    const expected = weightedProgress(tracked);
+    const gatesFailing = isPlainObject(completion.gates) && Object.values(completion.gates).some(gate => gate === false);
+    const allowed = gatesFailing ? [expected, Math.max(expected - 10, 0)] : [expected];
+
+    if (!allowed.some(value => Math.abs(completion.overall_progress - value) <= 1)) {
+      const value = allowed[allowed.length - 1];
+      findings.push({
+        check: 'overall_progress',
+        file: 'completion.json',
+        path: '/overall_progress',
+        message: `completion.json overall_progress is ${completion.overall_progress}, but the features add up to ${value}`,
+        fix: { description: `Set overall_progress in completion.json to ${value}`, op: 'set', path: '/overall_progress', value }
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Applies the suggested fixes of consistency findings
+ *
+ * @param {string} projectRoot - Absolute path to project root directory
+ * @param {ConsistencyFinding[]} findings - From checkStateConsistency()
+ * @param {Object} [options={}]
+ * @param {boolean} [options.backup=false] - Back up each file before changing it
+ * @returns {Object} { applied, errors } - messages per applied fix / failed file
+ */
+export function applyConsistencyFixes(projectRoot, findings, options = {}) {
+  const results = { applied: [], errors: [] };
+  const byFile = new Map();
+  for (const finding of findings) {
+    byFile.set(finding.file, [...(byFile.get(finding.file) || []), finding]);
+  }
+
+  for (const [fileName, fileFindings] of byFile) {
+    const filePath = path.join(projectRoot, '.agentful', fileName);
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+      for (const { fix } of fileFindings) {
+        if (fix.op === 'move') {
+          const value = getPointer(content, fix.path);
+          removePointer(content, fix.path);
+          setPointer(content, fix.to, value);
+        } else {
+          setPointer(content, fix.path, fix.value);
+        }
+      }
+
+      const backupPath = options.backup ? backupStateFile(filePath) : null;
+      fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf-8');
+      for (const { fix } of fileFindings) {
+        results.applied.push(`✅ ${fix.description}${backupPath ? ` (backup: ${path.basename(backupPath)})` : ''}`);
+      }
+    } catch (e) {
+      results.errors.push(`❌ Failed to fix ${fileName}: ${e.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Schema version of parsed state file data
+ *
+ * @param {Object} data - Parsed state file
+ * @returns {string} `_schema_version`, or LEGACY_SCHEMA_VERSION if the file predates it
+ */
+export function getSchemaVersion(data) {
+  return data?._schema_version === undefined ? LEGACY_SCHEMA_VERSION : String(data._schema_version);
+}
+
+/**
+ * Upgrades parsed state file data to CURRENT_SCHEMA_VERSION
+ *
+ * @param {string} fileName - Name of the state file (e.g., 'decisions.json')
+ * @param {Object} data - Parsed state file (not modified)
+ * @returns {Object} { data, from, to, applied } - `applied` lists the versions migrated through
+ * @throws {Error} If the data is not an object or its schema version is unknown
+ *   (e.g. written by a newer agentful)
+ */
+export function migrateStateData(fileName, data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error(`${fileName} must contain a JSON object`);
+  }
+
+  const from = getSchemaVersion(data);
+  const start = SCHEMA_VERSIONS.indexOf(from);
+  if (start === -1) {
+    throw new Error(`Unsupported _schema_version '${from}' in ${fileName} (supported: ${SCHEMA_VERSIONS.join(', ')})`);
+  }
+
+  let migrated = structuredClone(data);
+  const applied = [];
+
+  for (const step of STATE_MIGRATIONS.slice(start)) {
+    const migrate = step.migrate[fileName];
+    const { _schema_version, ...rest } = migrate ? migrate(migrated) : migrated;
+    migrated = { _schema_version: step.version, ...rest };
+    applied.push(step.version);
+  }
+
+  return { data: migrated, from, to: getSchemaVersion(migrated), applied };
+}
+
+/**
+ * Migrates a state file in place
+ *
+ * @param {string} filePath - Absolute path to the state file
+ * @param {Object} [options={}] - Migration options
+ * @param {boolean} [options.backup=false] - Back up the file before rewriting it
+ * @returns {Object} Result with success and migrated flags, from/to versions, message
+ *   and the backup path (if one was made)
+ */
+export function migrateStateFile(filePath, options = {}) {
+  const fileName = path.basename(filePath);
+
+  try {
+    const result = migrateStateData(fileName, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+
+    if (result.applied.length === 0) {
+      return {
+        success: true,
+        migrated: false,
+        from: result.from,
+        to: result.to,
+        message: `✅ ${fileName} is up to date (schema ${result.to})`
+      };
+    }
+
+    const backupPath = options.backup ? backupStateFile(filePath) : null;
+    fs.writeFileSync(filePath, JSON.stringify(result.data, null, 2), 'utf-8');
+
+    return {
+      success: true,
+      migrated: true,
+      from: result.from,
+      to: result.to,
+      message: `✅ Migrated ${fileName} from schema ${result.from} to ${result.to}${backupPath ? ` (backup: ${path.basename(backupPath)})` : ''}`,
+      backup: backupPath
+    };
+  } catch (e) {
+    return {
+      success: false,
+      migrated: false,
+      message: `❌ Failed to migrate ${fileName}: ${e.message}`
+    };
+  }
+}
+
+/**
+ * Migrates every existing state file in a project to CURRENT_SCHEMA_VERSION
+ *
+ * Missing files are left alone (validateAllState() creates them).
+ *
+ * @param {string} projectRoot - Absolute path to project root directory
+ * @param {Object} [options={}] - Migration options
+ * @param {boolean} [options.backup=true] - Back up each file before rewriting it
+ * @returns {Object} { success, version, files, migrated, errors }
+ */
+export function migrateAllState(projectRoot, options = {}) {
+  const { backup = true } = options;
+  const results = {
+    success: true,
+    version: CURRENT_SCHEMA_VERSION,
+    files: {},
+    migrated: [],
+    errors: []
+  };
+
+  for (const fileName of Object.keys(STATE_SCHEMAS)) {
+    const filePath = path.join(projectRoot, '.agentful', fileName);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+
+    const migration = migrateStateFile(filePath, { backup });
+    results.files[fileName] = migration;
+
+    if (!migration.success) {
+      results.success = false;
+      results.errors.push(migration.message);
+    } else if (migration.migrated) {
+      results.migrated.push(migration.message);
+    }
+  }
+
   return results;
 }
 
@@ -402,7 +1129,7 @@ export function getStateFile(projectRoot, fileName, options = {}) {
       filePath,
       schema.defaults,
       validation.action,
-      validation.missing_field
+      validation.missing_fields || validation.invalid_fields
     );
 
     if (recovery.success) {
@@ -433,12 +1160,23 @@ export function getStateFile(projectRoot, fileName, options = {}) {
 /**
  * Updates a state file with validation
  *
+ * The read-modify-write holds the file's advisory lock (see ./file-lock.js), so
+ * agents and hooks updating the same file from other processes don't lose updates.
+ * A missing file or missing fields are added and an outdated schema is migrated,
+ * but a corrupt file or one with schema errors is never reset here: the update
+ * fails (with `schema_errors`) until `agentful doctor --fix` repairs it.
+ *
  * @param {string} projectRoot - Absolute path to project root directory
  * @param {string} fileName - Name of the state file (e.g., 'state.json')
  * @param {Object|Function} updates - Object with updates or function that receives current state
- * @returns {Object} Result with success flag and message
+ * @param {Object} [options={}] - Update options
+ * @param {boolean|Object} [options.lock=true] - Lock options ({ timeout, retryInterval, stale }),
+ *   or false to update without the lock
+ * @returns {Object} Result with success flag and message (and `schema_errors` if the
+ *   current file or the update violates the schema)
  */
-export function updateStateFile(projectRoot, fileName, updates) {
+export function updateStateFile(projectRoot, fileName, updates, options = {}) {
+  const { lock = true } = options;
   const schema = STATE_SCHEMAS[fileName];
 
   if (!schema) {
@@ -449,15 +1187,22 @@ export function updateStateFile(projectRoot, fileName, updates) {
   }
 
   const filePath = path.join(projectRoot, '.agentful', fileName);
+  let held = null;
 
   try {
+    // Without a .agentful directory there is nothing to lock; getStateFile() reports it
+    if (lock !== false && fs.existsSync(path.dirname(filePath))) {
+      held = acquireLockSync(filePath, lock === true ? {} : lock);
+    }
+
     // Get current state
-    const current = getStateFile(projectRoot, fileName, { autoRecover: true });
+    const current = readStateForUpdate(filePath, schema);
 
     if (!current.valid) {
       return {
         success: false,
-        message: `Cannot update invalid state file: ${current.error}`
+        message: `Cannot update invalid state file: ${current.error}`,
+        ...(current.schema_errors && { schema_errors: current.schema_errors })
       };
     }
 
@@ -479,6 +1224,17 @@ export function updateStateFile(projectRoot, fileName, updates) {
       }
     }
 
+    if (schema.schema) {
+      const { errors } = validateSchema(newState, schema.schema);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          message: `Update would make ${fileName} invalid: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+          schema_errors: errors
+        };
+      }
+    }
+
     // Write updated state
     fs.writeFileSync(filePath, JSON.stringify(newState, null, 2), 'utf-8');
 
@@ -493,6 +1249,211 @@ export function updateStateFile(projectRoot, fileName, updates) {
       success: false,
       message: `Failed to update ${fileName}: ${e.message}`
     };
+  } finally {
+    held?.releaseSync();
+  }
+}
+
+/**
+ * Parsed state file if it holds a JSON object, otherwise null
+ * @private
+ */
+function readStateObject(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return isPlainObject(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Comparable form of a feature id or name ('User Login' -> 'user-login')
+ * @private
+ */
+function normalizeFeatureName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9/]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Feature names the product spec defines
+ *
+ * Reads `.claude/product/domains/<domain>/features/<feature>.md`; each feature is
+ * known as `<domain>/<feature>`, `<feature>` and its `# Feature: <title>`. Domains
+ * count as names too (decisions may block a whole domain).
+ *
+ * @private
+ * @returns {Object} { specified, names } - `specified` is false when there are no feature files
+ */
+function listProductFeatures(projectRoot) {
+  const domainsDir = path.join(projectRoot, '.claude', 'product', 'domains');
+  const names = new Set();
+  let specified = false;
+
+  const entries = dir => (fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : []);
+
+  for (const domain of entries(domainsDir).filter(entry => entry.isDirectory())) {
+    names.add(normalizeFeatureName(domain.name));
+
+    const featuresDir = path.join(domainsDir, domain.name, 'features');
+    for (const file of entries(featuresDir).filter(entry => entry.isFile() && entry.name.endsWith('.md'))) {
+      const feature = file.name.slice(0, -'.md'.length);
+      specified = true;
+      names.add(normalizeFeatureName(`${domain.name}/${feature}`));
+      names.add(normalizeFeatureName(feature));
+
+      const title = fs.readFileSync(path.join(featuresDir, file.name), 'utf-8').match(/^#\s+(?:Feature:\s*)?(.+)$/m);
+      if (title) {
+        names.add(normalizeFeatureName(title[1].trim()));
+      }
+    }
+  }
+
+  return { specified, names };
+}
+
+/**
+ * Progress of a completion.json feature (0-100)
+ * @private
+ */
+function featureProgress(feature) {
+  if (feature?.status === 'complete') {
+    return 100;
+  }
+  const progress = Number(feature?.progress ?? feature?.completion ?? 0) || 0;
+  return Math.max(0, Math.min(100, progress));
+}
+
+/**
+ * Priority-weighted average progress of features (MEDIUM when unset)
+ * @private
+ */
+function weightedProgress(features) {
+  let total = 0;
+  let weights = 0;
+  for (const feature of features) {
+    const weight = PRIORITY_WEIGHTS[String(feature?.priority).toUpperCase()] || PRIORITY_WEIGHTS.MEDIUM;
+    total += featureProgress(feature) * weight;
+    weights += weight;
+  }
+  return weights === 0 ? 0 : Math.round(total / weights);
+}
+
+/**
+ * @private
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Path segments of a JSON Pointer
+ * @private
+ */
+function pointerSegments(pointer) {
+  return pointer.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * @private
+ */
+function getPointer(target, pointer) {
+  return pointerSegments(pointer).reduce((node, key) => node?.[key], target);
+}
+
+/**
+ * Set a value, creating missing parent objects
+ * @private
+ */
+function setPointer(target, pointer, value) {
+  const segments = pointerSegments(pointer);
+  const key = segments.pop();
+  let node = target;
+  for (const segment of segments) {
+    if (!isPlainObject(node[segment]) && !Array.isArray(node[segment])) {
+      node[segment] = {};
+    }
+    node = node[segment];
+  }
+  node[key] = value;
+}
+
+/**
+ * @private
+ */
+function removePointer(target, pointer) {
+  const segments = pointerSegments(pointer);
+  const key = segments.pop();
+  const parent = segments.reduce((node, segment) => node?.[segment], target);
+  if (parent) {
+    delete parent[key];
+  }
+}
+
+/**
+ * Read a state file for updateStateFile()
+ *
+ * Only repairs that cannot lose data happen on a write path: creating a missing
+ * file, adding missing fields and migrating an outdated schema. Corrupt JSON and
+ * schema violations fail the update instead of resetting whole fields; `agentful
+ * doctor --fix` repairs those (with a backup).
+ * @private
+ */
+function readStateForUpdate(filePath, schema) {
+  const version = readSchemaVersion(filePath);
+  if (version !== null && version !== CURRENT_SCHEMA_VERSION) {
+    const migration = migrateStateFile(filePath, { backup: true });
+    if (!migration.success) {
+      return { valid: false, error: migration.message };
+    }
+  }
+
+  let validation = validateStateFile(filePath, schema);
+  if (!validation.valid && ['initialize', 'add_field'].includes(validation.action)) {
+    const recovery = recoverStateFile(filePath, schema.defaults, validation.action, validation.missing_fields);
+    if (!recovery.success) {
+      return { valid: false, error: `${validation.error}. Recovery failed: ${recovery.message}` };
+    }
+    validation = validateStateFile(filePath, schema);
+  }
+
+  if (!validation.valid) {
+    const details = (validation.schema_errors || []).map(error => `${error.path} ${error.message}`);
+    return {
+      valid: false,
+      error: `${validation.error}${details.length > 0 ? ` (${details.join('; ')})` : ''}. Run: agentful doctor --fix`,
+      schema_errors: validation.schema_errors
+    };
+  }
+
+  return { valid: true, data: validation.data };
+}
+
+/**
+ * Top-level field a JSON Pointer points into
+ * @private
+ */
+function topLevelField(pointer) {
+  return pointerSegments(pointer)[0];
+}
+
+/**
+ * Schema version of a state file, or null if it is missing or unreadable
+ * @private
+ */
+function readSchemaVersion(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return typeof data === 'object' && data !== null && !Array.isArray(data) ? getSchemaVersion(data) : null;
+  } catch {
+    return null;
   }
 }
 
@@ -536,6 +1497,14 @@ export function formatValidationResults(results) {
     results.errors.forEach(error => lines.push(`  ${error}`));
   }
 
+  // Where each schema error is, as `<file>#<JSON Pointer>`
+  const schemaErrors = Object.entries(results.files || {})
+    .flatMap(([fileName, file]) => (file.schema_errors || []).map(error => ({ fileName, ...error })));
+  if (schemaErrors.length > 0) {
+    lines.push('\n**Schema errors:**');
+    schemaErrors.forEach(({ fileName, path: pointer, message }) => lines.push(`  ${fileName}#${pointer}: ${message}`));
+  }
+
   if (results.warnings.length > 0) {
     lines.push('\n**Warnings:**');
     results.warnings.forEach(warning => lines.push(`  ${warning}`));
@@ -558,5 +1527,11 @@ export default {
   isStateFileValid,
   getStateFile,
   updateStateFile,
-  formatValidationResults
+  formatValidationResults,
+  checkStateConsistency,
+  applyConsistencyFixes,
+  getSchemaVersion,
+  migrateStateData,
+  migrateStateFile,
+  migrateAllState
 };
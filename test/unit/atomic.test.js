@@ -1,8 +1,11 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { atomicWrite, atomicUpdate, multiWrite } from '../../lib/atomic.js';
+import { atomicWrite, atomicUpdate, multiWrite, recoverJournal } from '../../lib/atomic.js';
+import { acquireLock } from '../../lib/file-lock.js';
+import { createHash } from 'crypto';
+import { spawnSync } from 'child_process';
 import fs from 'fs/promises';
+import os, { tmpdir } from 'os';
 import path from 'path';
-import { tmpdir } from 'os';
 
 /**
  * Atomic File Operations Unit Tests
@@ -424,3 +427,178 @@ describe('multiWrite', () => {
     await expect(fs.access(newFile)).rejects.toThrow();
   });
 });
+
+describe('durable writes and journal recovery', () => {
+  let testDir;
+  let journalDir;
+
+  const sha256 = content => createHash('sha256').update(content).digest('hex');
+
+  /**
+   * Journal a batch the way multiWrite() does before replacing any target
+   */
+  async function journalBatch(id, status, files, owner = {}) {
+    const operations = [];
+    for (const { name, before, after } of files) {
+      const filePath = path.join(testDir, name);
+      operations.push({
+        path: filePath,
+        tempPath: `${filePath}.tmp.${id}`,
+        hash: sha256(after),
+        existed: before !== null,
+        backup: before === null ? null : Buffer.from(before).toString('base64')
+      });
+    }
+    await fs.writeFile(path.join(journalDir, `${id}.json`), JSON.stringify({ id, ...owner, status, operations }));
+    return operations;
+  }
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(tmpdir(), 'journal-test-'));
+    journalDir = path.join(testDir, '.agentful', '.journal');
+    await fs.mkdir(journalDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    if (testDir) {
+      await fs.rm(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write durably without leaving temp files', async () => {
+    const filePath = path.join(testDir, 'state.json');
+
+    await atomicWrite(filePath, '{"a":1}', { durable: true });
+    await atomicUpdate(filePath, content => content.replace('1', '2'), { durable: true });
+    await multiWrite([{ path: filePath, content: '{"a":3}' }], { durable: true, projectRoot: testDir });
+
+    expect(await fs.readFile(filePath, 'utf-8')).toBe('{"a":3}');
+    expect(await fs.readdir(testDir)).toEqual(['.agentful', 'state.json']);
+    expect(await fs.readdir(journalDir)).toEqual([]);
+  });
+
+  describe('recoverJournal', () => {
+    it('should roll forward a batch whose new content is intact', async () => {
+      const [first, second] = await journalBatch('1000-a', 'committing', [
+        { name: 'state.json', before: 'old state', after: 'new state' },
+        { name: 'completion.json', before: 'old completion', after: 'new completion' }
+      ]);
+      // Crashed after renaming the first file
+      await fs.writeFile(first.path, 'new state');
+      await fs.writeFile(second.path, 'old completion');
+      await fs.writeFile(second.tempPath, 'new completion');
+
+      const result = await recoverJournal(testDir);
+
+      expect(result).toEqual({
+        recovered: [{ id: '1000-a', action: 'rolled_forward', files: [first.path, second.path] }],
+        skipped: [],
+        errors: []
+      });
+      expect(await fs.readFile(first.path, 'utf-8')).toBe('new state');
+      expect(await fs.readFile(second.path, 'utf-8')).toBe('new completion');
+      await expect(fs.access(second.tempPath)).rejects.toThrow();
+      expect(await fs.readdir(journalDir)).toEqual([]);
+    });
+
+    it('should roll back a batch that cannot be completed', async () => {
+      const [first, second, created] = await journalBatch('1000-b', 'committing', [
+        { name: 'state.json', before: 'old state', after: 'new state' },
+        { name: 'completion.json', before: 'old completion', after: 'new completion' },
+        { name: 'new.json', before: null, after: 'created' }
+      ]);
+      await fs.writeFile(first.path, 'new state');
+      await fs.writeFile(second.path, 'old completion');
+      await fs.writeFile(second.tempPath, 'new compl'); // Torn temp file
+      await fs.writeFile(created.path, 'created');
+      // Journal writes that never completed: an old one is removed, a recent one may be in progress
+      const oldTemp = path.join(journalDir, '1000-c.json.tmp.1.x');
+      await fs.writeFile(oldTemp, '{"id":');
+      await fs.utimes(oldTemp, new Date(Date.now() - 3600000), new Date(Date.now() - 3600000));
+      await fs.writeFile(path.join(journalDir, '9999-c.json.tmp.1.x'), '{"id":');
+
+      const result = await recoverJournal(testDir);
+
+      expect(result.recovered).toEqual([
+        { id: '1000-b', action: 'rolled_back', files: [first.path, second.path, created.path] }
+      ]);
+      expect(await fs.readFile(first.path, 'utf-8')).toBe('old state');
+      expect(await fs.readFile(second.path, 'utf-8')).toBe('old completion');
+      await expect(fs.access(second.tempPath)).rejects.toThrow();
+      await expect(fs.access(created.path)).rejects.toThrow();
+      expect(await fs.readdir(journalDir)).toEqual(['9999-c.json.tmp.1.x']);
+    });
+
+    it('should finish an interrupted rollback and keep unreadable entries', async () => {
+      const [first] = await journalBatch('1000-d', 'rolling_back', [
+        { name: 'state.json', before: 'old state', after: 'new state' }
+      ]);
+      await fs.writeFile(first.path, 'new state');
+      await fs.writeFile(path.join(journalDir, '1000-e.json'), 'not json');
+
+      const result = await recoverJournal(testDir);
+
+      expect(result.recovered).toEqual([{ id: '1000-d', action: 'rolled_back', files: [first.path] }]);
+      expect(result.errors).toEqual([{ id: '1000-e', error: expect.any(String) }]);
+      expect(await fs.readFile(first.path, 'utf-8')).toBe('old state');
+      expect(await fs.readdir(journalDir)).toEqual(['1000-e.json']);
+    });
+
+    it('should leave batches of running processes and locked entries alone', async () => {
+      const [live] = await journalBatch('1000-f', 'committing', [
+        { name: 'state.json', before: 'old state', after: 'new state' }
+      ], { pid: process.pid, hostname: os.hostname(), createdAt: new Date().toISOString() });
+      await fs.writeFile(live.path, 'old state');
+      await fs.writeFile(live.tempPath, 'new state');
+
+      const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+      const [orphan] = await journalBatch('1000-g', 'committing', [
+        { name: 'completion.json', before: 'old completion', after: 'new completion' }
+      ], { pid: deadPid, hostname: os.hostname(), createdAt: new Date().toISOString() });
+      await fs.writeFile(orphan.path, 'old completion');
+
+      await journalBatch('1000-h', 'committing', [{ name: 'other.json', before: null, after: 'x' }]);
+      const lock = await acquireLock(path.join(journalDir, '1000-h.json'));
+
+      const result = await recoverJournal(testDir);
+      await lock.release();
+
+      expect(result.recovered).toEqual([{ id: '1000-g', action: 'rolled_back', files: [orphan.path] }]);
+      expect(result.skipped).toEqual([
+        { id: '1000-f', reason: `Batch is still being written by process ${process.pid}` },
+        { id: '1000-h', reason: 'Being recovered by another process' }
+      ]);
+      // The live writer's temp file is untouched
+      expect(await fs.readFile(live.tempPath, 'utf-8')).toBe('new state');
+      expect(await fs.readdir(journalDir)).toEqual(['1000-f.json', '1000-h.json']);
+
+      // Recovered once it is older than `stale`, in case the pid was reused
+      expect((await recoverJournal(testDir, { stale: 0 })).recovered.map(batch => batch.id)).toEqual(['1000-f', '1000-h']);
+    });
+
+    it('should restore files durably', async () => {
+      const [forward] = await journalBatch('1000-i', 'committing', [
+        { name: 'state.json', before: 'old state', after: 'new state' }
+      ]);
+      await fs.writeFile(forward.tempPath, 'new state');
+      const [back] = await journalBatch('1000-j', 'rolling_back', [
+        { name: 'completion.json', before: 'old completion', after: 'new completion' }
+      ]);
+      await fs.writeFile(back.path, 'new completion');
+
+      const result = await recoverJournal(testDir, { durable: true });
+
+      expect(result.recovered.map(batch => batch.action)).toEqual(['rolled_forward', 'rolled_back']);
+      expect(await fs.readFile(forward.path, 'utf-8')).toBe('new state');
+      expect(await fs.readFile(back.path, 'utf-8')).toBe('old completion');
+      expect(await fs.readdir(testDir)).toEqual(['.agentful', 'completion.json', 'state.json']);
+      expect(await fs.readdir(journalDir)).toEqual([]);
+    });
+
+    it('should do nothing without a journal', async () => {
+      await fs.rm(path.join(testDir, '.agentful'), { recursive: true });
+
+      await expect(recoverJournal(testDir)).resolves.toEqual({ recovered: [], skipped: [], errors: [] });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  listAgents,
+  loadAgentDefinition,
+  parseAgentDefinition
+} from '../../../lib/ci/claude-action-integration.js';
+import { ClaudeExecutor } from '../../../lib/core/claude-executor.js';
+
+/**
+ * Agent Definition Loading Unit Tests
+ */
+
+describe('Agent Definitions', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-agents-'));
+    fs.mkdirSync(path.join(tempDir, '.claude', 'agents'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeAgent = (name, content, dir = path.join('.claude', 'agents')) => {
+    fs.mkdirSync(path.join(tempDir, dir), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, dir, `${name}.md`), content);
+  };
+
+  it('should parse frontmatter and normalize tools', () => {
+    const definition = parseAgentDefinition([
+      '---',
+      'name: reviewer',
+      'description: Reviews code',
+      'tools: Read, Grep,  Glob',
+      'model: sonnet',
+      'template: true',
+      '---',
+      '',
+      '# Reviewer',
+      'Check everything.',
+      ''
+    ].join('\n'));
+
+    expect(definition).toEqual({
+      metadata: {
+        name: 'reviewer',
+        description: 'Reviews code',
+        tools: ['Read', 'Grep', 'Glob'],
+        model: 'sonnet',
+        template: true
+      },
+      instructions: '# Reviewer\nCheck everything.'
+    });
+  });
+
+  it('should handle missing frontmatter and tool lists', () => {
+    expect(parseAgentDefinition('Just instructions', 'fixer')).toEqual({
+      metadata: { name: 'fixer', description: null, tools: [], model: null },
+      instructions: 'Just instructions'
+    });
+    expect(parseAgentDefinition('---\ntools:\n  - Read\n  - Bash\n---\nBody').metadata.tools).toEqual(['Read', 'Bash']);
+    expect(() => parseAgentDefinition('---\nname: [\n---\nBody')).toThrow(/^Invalid agent frontmatter/);
+    expect(() => parseAgentDefinition('---\n- a\n---\nBody')).toThrow('Invalid agent frontmatter: expected key/value pairs');
+  });
+
+  it('should load agents by name from the agents directory', async () => {
+    writeAgent('backend', '---\nname: backend\ntools: Read, Write\n---\nBuild APIs');
+    writeAgent('frontend', 'Build UIs');
+
+    const definition = await loadAgentDefinition('backend', tempDir);
+
+    expect(definition.metadata).toMatchObject({ name: 'backend', tools: ['Read', 'Write'] });
+    expect(definition.instructions).toBe('Build APIs');
+    expect(definition.path).toBe(path.join(tempDir, '.claude', 'agents', 'backend.md'));
+    expect(await listAgents(tempDir)).toEqual(['backend', 'frontend']);
+  });
+
+  it('should explain missing agents and reject unsafe names', async () => {
+    writeAgent('backend', 'Build APIs');
+
+    await expect(loadAgentDefinition('reviewer', tempDir))
+      .rejects.toThrow('Agent not found: reviewer (looked for .claude/agents/reviewer.md). Available agents: backend');
+    await expect(loadAgentDefinition('../secrets', tempDir)).rejects.toThrow('Invalid agent name: ../secrets');
+  });
+
+  it('should let the executor load agents from a custom directory', async () => {
+    writeAgent('ops', '---\nname: ops\n---\nRun deploys', 'agents');
+
+    const executor = new ClaudeExecutor({ projectRoot: tempDir, agentsDir: 'agents', journal: false });
+    const definition = await executor.loadAgent('ops');
+
+    expect(definition.metadata.name).toBe('ops');
+    expect(definition.instructions).toBe('Run deploys');
+  });
+});
@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  DRY_RUN_FILE,
+  buildGitHubReview,
+  buildGitLabDiscussions,
+  buildReviewRequests,
+  normalizeFindings,
+  parseDiffLines,
+  postReviewComments
+} from '../../../lib/ci/review-comments.js';
+import { detectCIEnvironment, runCIAgent } from '../../../lib/ci/runner.js';
+
+/**
+ * Review Comments Unit Tests
+ */
+
+const DIFF = {
+  path: 'src/auth.js',
+  text: [
+    'diff --git a/src/auth.js b/src/auth.js',
+    '--- a/src/auth.js',
+    '+++ b/src/auth.js',
+    '@@ -10,3 +10,4 @@ export function login() {',
+    '   const user = find();',
+    '-  return user;',
+    '+  if (!user) return null;',
+    '+  return token(user);',
+    ' }'
+  ].join('\n')
+};
+
+const REVIEW = {
+  summary: 'Two issues in the login flow.',
+  findings: [
+    { file: 'src/auth.js', line: 40, severity: 'low', message: 'Unused import' },
+    { file: './src/auth.js', line: 12, severity: 'critical', message: 'Token is not signed', suggestion: '  return signedToken(user);' }
+  ]
+};
+
+describe('Review Comments', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-review-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Repository with one commit; runs review HEAD...HEAD, an empty diff
+  const initRepo = () => {
+    fs.writeFileSync(path.join(tempDir, 'README.md'), '# App\n');
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: tempDir,
+      stdio: 'ignore'
+    });
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+  };
+
+  const githubEnv = (extra = {}) => {
+    const eventPath = path.join(tempDir, 'event.json');
+    fs.writeFileSync(eventPath, JSON.stringify({ pull_request: { head: { sha: 'head123' } } }));
+    return {
+      GITHUB_ACTIONS: 'true',
+      GITHUB_REPOSITORY: 'acme/app',
+      GITHUB_REF: 'refs/pull/42/merge',
+      GITHUB_EVENT_PATH: eventPath,
+      GITHUB_TOKEN: 'ghs_secret',
+      ...extra
+    };
+  };
+
+  const gitlabEnv = (extra = {}) => ({
+    GITLAB_CI: 'true',
+    CI_API_V4_URL: 'https://gitlab.example.com/api/v4',
+    CI_PROJECT_ID: 'acme/app',
+    CI_MERGE_REQUEST_IID: '7',
+    CI_MERGE_REQUEST_DIFF_BASE_SHA: 'base123',
+    CI_COMMIT_SHA: 'head123',
+    GITLAB_TOKEN: 'glpat-secret',
+    ...extra
+  });
+
+  it('should validate and sort findings', () => {
+    const { findings } = normalizeFindings(REVIEW);
+    expect(findings.map(finding => `${finding.severity}:${finding.file}:${finding.line}`))
+      .toEqual(['critical:src/auth.js:12', 'low:src/auth.js:40']);
+
+    expect(() => normalizeFindings({ summary: 'x', findings: [{ file: 'a.js', line: 0, severity: 'urgent', message: 'm' }] }))
+      .toThrow('Invalid review findings');
+  });
+
+  it('should find the commentable lines of a diff', () => {
+    expect([...parseDiffLines([DIFF]).get('src/auth.js')]).toEqual([10, 11, 12, 13]);
+  });
+
+  it('should build a GitHub review with findings outside the diff in the body', () => {
+    const { summary, findings } = normalizeFindings(REVIEW);
+    const review = buildGitHubReview({ summary, findings, diffLines: parseDiffLines([DIFF]), commitId: 'head123' });
+
+    expect(review).toMatchObject({ event: 'COMMENT', commit_id: 'head123' });
+    expect(review.comments).toEqual([{
+      path: 'src/auth.js',
+      line: 12,
+      side: 'RIGHT',
+      body: '**CRITICAL**: Token is not signed\n\n```suggestion\n  return signedToken(user);\n```'
+    }]);
+    expect(review.body).toContain('Findings: 1 critical, 1 low');
+    expect(review.body).toContain('- `src/auth.js:40` **LOW**: Unused import');
+  });
+
+  it('should build GitLab discussions positioned on the merge request diff', () => {
+    const { summary, findings } = normalizeFindings(REVIEW);
+    const { discussions, note } = buildGitLabDiscussions({
+      summary,
+      findings,
+      diffLines: parseDiffLines([DIFF]),
+      diffRefs: { baseSha: 'base123', startSha: 'base123', headSha: 'head123' }
+    });
+
+    expect(discussions).toHaveLength(1);
+    expect(discussions[0].position).toEqual({
+      position_type: 'text',
+      base_sha: 'base123',
+      start_sha: 'base123',
+      head_sha: 'head123',
+      old_path: 'src/auth.js',
+      new_path: 'src/auth.js',
+      new_line: 12
+    });
+    expect(note.body).toContain('Outside the diff');
+  });
+
+  it('should require API credentials and a pull request', () => {
+    const { summary, findings } = normalizeFindings(REVIEW);
+
+    expect(() => buildReviewRequests({ environment: detectCIEnvironment(githubEnv({ GITHUB_TOKEN: '' })), env: {}, summary, findings }))
+      .toThrow('missing: GITHUB_TOKEN');
+    expect(() => buildReviewRequests({ environment: detectCIEnvironment({}), env: {}, summary, findings }))
+      .toThrow('GitHub Actions');
+
+    const env = gitlabEnv({ CI_MERGE_REQUEST_TARGET_BRANCH_SHA: 'target123' });
+    const requests = buildReviewRequests({ environment: detectCIEnvironment(env), env, summary, findings, diffLines: parseDiffLines([DIFF]) });
+    expect(requests.map(request => request.url)).toEqual([
+      'https://gitlab.example.com/api/v4/projects/acme%2Fapp/merge_requests/7/notes',
+      'https://gitlab.example.com/api/v4/projects/acme%2Fapp/merge_requests/7/discussions'
+    ]);
+    expect(requests[1].body.position).toMatchObject({ base_sha: 'base123', start_sha: 'target123', head_sha: 'head123' });
+  });
+
+  it('should put every finding in the summary when the diff lines are unknown', () => {
+    const { summary, findings } = normalizeFindings(REVIEW);
+    const review = buildGitHubReview({ summary, findings, diffLines: null });
+
+    expect(review.comments).toEqual([]);
+    expect(review.body).toContain('- `src/auth.js:12` **CRITICAL**: Token is not signed');
+    expect(review.body).toContain('- `src/auth.js:40` **LOW**: Unused import');
+  });
+
+  it('should write redacted requests in dry-run mode', async () => {
+    const env = githubEnv();
+    const { summary: gitlabSummary, findings: gitlabFindings } = normalizeFindings(REVIEW);
+    // No token needed to write requests for a local stub
+    expect(buildReviewRequests({
+      environment: detectCIEnvironment(gitlabEnv({ GITLAB_TOKEN: '' })),
+      env: gitlabEnv({ GITLAB_TOKEN: '' }),
+      summary: gitlabSummary,
+      findings: gitlabFindings,
+      dryRun: true
+    })).toHaveLength(1);
+    const { summary, findings } = normalizeFindings(REVIEW);
+
+    const outcome = await postReviewComments({
+      environment: detectCIEnvironment(env),
+      env,
+      summary,
+      findings,
+      diffLines: parseDiffLines([DIFF]),
+      dryRun: true,
+      outputDir: tempDir,
+      fetch: () => { throw new Error('dry run must not send requests'); }
+    });
+
+    expect(outcome).toMatchObject({ dryRun: true, inline: 1, outside: 1, file: path.join(tempDir, DRY_RUN_FILE) });
+
+    const written = fs.readFileSync(outcome.file, 'utf-8');
+    expect(written).not.toContain('ghs_secret');
+    expect(JSON.parse(written)[0]).toMatchObject({
+      method: 'POST',
+      url: 'https://api.github.com/repos/acme/app/pulls/42/reviews',
+      headers: { Authorization: '[redacted]' }
+    });
+  });
+
+  it('should post reviewer findings from runCIAgent to a stub API', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, token: req.headers['private-token'], body: JSON.parse(body) });
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: received.length }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const calls = [];
+      const executor = {
+        execute: async (agent, task, context, options) => {
+          calls.push(options);
+          return { output: 'Reviewed', data: REVIEW };
+        }
+      };
+
+      initRepo();
+      const run = await runCIAgent({
+        agent: 'reviewer',
+        projectRoot: tempDir,
+        base: 'HEAD',
+        env: gitlabEnv({ CI_API_V4_URL: `http://127.0.0.1:${server.address().port}/api/v4` }),
+        executor,
+        comments: true
+      });
+
+      expect(run.success).toBe(true);
+      expect(calls[0].outputSchema.required).toEqual(['summary', 'findings']);
+      // The diff does not touch src/auth.js, so every finding goes in the summary note
+      expect(run.review).toMatchObject({ dryRun: false, inline: 0, outside: 2 });
+      expect(received.map(request => request.url)).toEqual([
+        '/api/v4/projects/acme%2Fapp/merge_requests/7/notes'
+      ]);
+      expect(received[0].token).toBe('glpat-secret');
+      expect(received[0].body.body).toContain('- `src/auth.js:12` **CRITICAL**: Token is not signed');
+      expect(fs.readFileSync(run.summaryPath, 'utf-8')).toContain('| Review comments | 0 inline, 2 in the summary (posted) |');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('should fail the run when the agent output is not a review', async () => {
+    const executor = { execute: async () => ({ output: 'LGTM', data: null }) };
+
+    initRepo();
+    const run = await runCIAgent({ agent: 'reviewer', projectRoot: tempDir, base: 'HEAD', env: githubEnv(), executor, comments: true, dryRun: true });
+
+    expect(run.success).toBe(false);
+    expect(run.error.message).toContain('Review comments failed: Invalid review findings');
+    expect(run.summary).toContain('LGTM');
+  });
+});
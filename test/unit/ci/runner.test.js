@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CIProvider,
+  detectCIEnvironment,
+  formatCISummary,
+  resolveDiffSpec,
+  runCIAgent
+} from '../../../lib/ci/runner.js';
+
+/**
+ * CI Runner Unit Tests
+ */
+
+describe('CI Runner', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-ci-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: tempDir,
+    stdio: 'ignore'
+  });
+
+  // Repository whose origin/main is one commit behind HEAD
+  const initRepo = () => {
+    fs.writeFileSync(path.join(tempDir, 'auth.js'), 'export const login = () => null;\n');
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+    git('update-ref', 'refs/remotes/origin/main', 'HEAD');
+    fs.writeFileSync(path.join(tempDir, 'auth.js'), 'export const login = () => token();\n');
+    git('commit', '-q', '-am', 'change');
+  };
+
+  const githubEnv = () => ({
+    GITHUB_ACTIONS: 'true',
+    GITHUB_REPOSITORY: 'acme/app',
+    GITHUB_SHA: 'abcdef1234567890',
+    GITHUB_BASE_REF: 'main',
+    GITHUB_HEAD_REF: 'feature/auth',
+    GITHUB_REF: 'refs/pull/42/merge',
+    GITHUB_EVENT_NAME: 'pull_request',
+    GITHUB_SERVER_URL: 'https://github.com',
+    GITHUB_RUN_ID: '99',
+    GITHUB_STEP_SUMMARY: path.join(tempDir, 'step-summary.md')
+  });
+
+  it('should detect GitHub Actions pull requests', () => {
+    expect(detectCIEnvironment(githubEnv())).toMatchObject({
+      provider: CIProvider.GITHUB,
+      repository: 'acme/app',
+      baseRef: 'main',
+      headRef: 'feature/auth',
+      changeId: 42,
+      runUrl: 'https://github.com/acme/app/actions/runs/99'
+    });
+  });
+
+  it('should detect GitLab merge request pipelines', () => {
+    expect(detectCIEnvironment({
+      GITLAB_CI: 'true',
+      CI_PROJECT_PATH: 'acme/app',
+      CI_COMMIT_SHA: 'abc',
+      CI_MERGE_REQUEST_TARGET_BRANCH_NAME: 'main',
+      CI_MERGE_REQUEST_DIFF_BASE_SHA: 'base123',
+      CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'feature/auth',
+      CI_MERGE_REQUEST_IID: '7',
+      CI_JOB_URL: 'https://gitlab.com/acme/app/-/jobs/1'
+    })).toMatchObject({ provider: CIProvider.GITLAB, baseSha: 'base123', changeId: 7, stepSummary: null });
+
+    expect(detectCIEnvironment({}).provider).toBe(CIProvider.LOCAL);
+  });
+
+  it('should resolve the diff to review', () => {
+    const local = detectCIEnvironment({});
+    expect(resolveDiffSpec(local)).toBe('HEAD');
+    expect(resolveDiffSpec(local, 'develop')).toBe('develop...HEAD');
+    expect(resolveDiffSpec(local, 'a..b')).toBe('a..b');
+    expect(resolveDiffSpec(detectCIEnvironment(githubEnv()))).toBe('origin/main...HEAD');
+    expect(resolveDiffSpec({ ...local, baseRef: 'main', baseSha: 'base123' })).toBe('base123...HEAD');
+  });
+
+  it('should run the agent on the diff and write the summary', async () => {
+    initRepo();
+    const calls = [];
+    const executor = {
+      execute: async (agent, task, context, options) => {
+        calls.push({ agent, task, context, options });
+        return { output: 'Found 1 issue | in auth.js', costUsd: 0.0123, data: { approved: false } };
+      }
+    };
+
+    const run = await runCIAgent({ agent: 'reviewer', projectRoot: tempDir, env: githubEnv(), executor, execOptions: { timeout: 1000 } });
+
+    expect(run.success).toBe(true);
+    expect(calls[0]).toMatchObject({ agent: 'reviewer', context: { diff: 'origin/main...HEAD' }, options: { timeout: 1000 } });
+    expect(run.summaryPath).toBe(path.join(tempDir, '.agentful', 'ci', 'summary.md'));
+
+    const summary = fs.readFileSync(run.summaryPath, 'utf-8');
+    expect(summary).toContain('## agentful: reviewer finished');
+    expect(summary).toContain('| Change | #42 |');
+    expect(summary).toContain('| Cost | $0.0123 |');
+    expect(summary).toContain('Found 1 issue | in auth.js');
+    expect(summary).toContain('"approved": false');
+    expect(fs.readFileSync(githubEnv().GITHUB_STEP_SUMMARY, 'utf-8')).toBe(`${summary}\n`);
+  });
+
+  it('should record failures in the summary', async () => {
+    initRepo();
+    const executor = { execute: async () => { throw new Error('Agent not found: reviewer'); } };
+
+    const run = await runCIAgent({ agent: 'reviewer', projectRoot: tempDir, env: {}, executor, summaryFile: 'out/review.md' });
+
+    expect(run.success).toBe(false);
+    expect(run.error.message).toBe('Agent not found: reviewer');
+    expect(fs.readFileSync(path.join(tempDir, 'out', 'review.md'), 'utf-8'))
+      .toContain('## agentful: reviewer failed\n');
+    expect(formatCISummary({ agent: 'a', task: 't', environment: detectCIEnvironment({}), diff: 'HEAD', error: 'boom' }))
+      .toContain('```\nboom\n```');
+  });
+
+  it('should fail without running the agent when the base ref is missing', async () => {
+    initRepo();
+    git('update-ref', '-d', 'refs/remotes/origin/main');
+    let executed = false;
+    const executor = { execute: async () => { executed = true; return { output: 'LGTM' }; } };
+
+    const run = await runCIAgent({ agent: 'reviewer', projectRoot: tempDir, env: githubEnv(), executor });
+
+    expect(executed).toBe(false);
+    expect(run.success).toBe(false);
+    expect(run.error.message).toContain('Cannot diff origin/main...HEAD: git diff failed');
+    expect(run.error.message).toContain('pass --base=<ref>');
+    expect(run.summary).toContain('## agentful: reviewer failed');
+  });
+});
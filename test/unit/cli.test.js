@@ -120,7 +120,7 @@ describe('CLI', () => {
       const content = fs.readFileSync(cliPath, 'utf-8');
 
       expect(content).toContain("case 'status':");
-      expect(content).toContain('showStatus()');
+      expect(content).toContain('showStatus(');
     });
 
     it('should handle help command', () => {
@@ -175,6 +175,92 @@ describe('Context Awareness', () => {
       expect(state.blockingIssues).toContain('2 pending decision(s)');
     });
 
+    it('should read feature status, gates and array-layout decisions', () => {
+      fs.existsSync.mockImplementation((p) => {
+        if (p.includes('product/index.md')) return true;
+        if (p.includes('completion.json')) return true;
+        if (p.includes('decisions.json')) return true;
+        return false;
+      });
+
+      fs.readFileSync.mockImplementation((p) => {
+        if (p.includes('completion.json')) {
+          return JSON.stringify({
+            features: {
+              'auth/login': { status: 'complete', progress: 100 },
+              'auth/register': { status: 'in_progress', progress: 40 }
+            },
+            gates: { tests_passing: true, coverage_80: false, no_dead_code: null }
+          });
+        }
+        return JSON.stringify({
+          decisions: [
+            { id: 'decision-001', question: 'JWT or sessions?', status: 'pending', created_at: '2026-01-20T10:30:00.000Z' },
+            { id: 'decision-002', question: 'Postgres?', status: 'resolved' }
+          ]
+        });
+      });
+
+      const state = analyzeProjectState('/test/project');
+
+      expect(state.completedFeatures).toBe(1);
+      expect(state.features).toEqual([
+        { id: 'auth/login', status: 'complete', progress: 100, complete: true },
+        { id: 'auth/register', status: 'in_progress', progress: 40, complete: false }
+      ]);
+      expect(state.gates).toEqual({ tests_passing: true, coverage_80: false, no_dead_code: null });
+      expect(state.pendingDecisions).toEqual([
+        { id: 'decision-001', question: 'JWT or sessions?', createdAt: '2026-01-20T10:30:00.000Z' }
+      ]);
+      expect(state.pendingDecisionCount).toBe(1);
+    });
+
+    it('should report worktrees, architecture drift, agents and skill directories', () => {
+      const entry = (name, directory) => ({ name, isFile: () => !directory, isDirectory: () => directory });
+
+      fs.existsSync.mockImplementation((p) => {
+        if (p.includes('product/index.md')) return true;
+        if (p.includes('architecture.json')) return true;
+        if (p.includes('worktrees.json')) return true;
+        if (p.endsWith(path.join('.claude', 'agents')) || p.endsWith(path.join('.claude', 'skills'))) return true;
+        return false;
+      });
+
+      fs.readFileSync.mockImplementation((p) => {
+        if (p.includes('architecture.json')) {
+          return JSON.stringify({
+            techStack: {},
+            agents: [],
+            needs_reanalysis: true,
+            drift_reasons: ['dependencies_changed'],
+            drift_detected_at: '2026-01-21T09:00:00.000Z'
+          });
+        }
+        return JSON.stringify({
+          active: [{ name: 'wt-auth', branch: 'agentful/auth', path: '../wt-auth', purpose: 'auth', created_at: '2026-01-21T08:00:00.000Z' }]
+        });
+      });
+
+      fs.readdirSync.mockImplementation((p) => (p.endsWith('agents')
+        ? [entry('backend.md', false), entry('notes.txt', false)]
+        : [entry('validation', true), entry('README.md', false)]));
+
+      const state = analyzeProjectState('/test/project');
+
+      expect(state.architectureDrift).toEqual({ reasons: ['dependencies_changed'], detectedAt: '2026-01-21T09:00:00.000Z' });
+      expect(state.architectureValid).toBe(false);
+      expect(state.worktrees).toEqual([{
+        name: 'wt-auth',
+        branch: 'agentful/auth',
+        path: '../wt-auth',
+        purpose: 'auth',
+        createdAt: '2026-01-21T08:00:00.000Z',
+        lastActivity: null
+      }]);
+      expect(state.agents).toEqual(['backend']);
+      expect(state.skills).toEqual(['validation']);
+    });
+
     it('should detect current phase', () => {
       fs.existsSync.mockImplementation((p) => {
         if (p.includes('product/index.md')) return true;
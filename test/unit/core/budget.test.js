@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  BudgetTracker,
+  BudgetLimit,
+  loadBudgetConfig,
+  getDailySpend,
+  getDayKey,
+  formatBudgetExceeded
+} from '../../../lib/core/budget.js';
+import { recordUsage } from '../../../lib/core/usage.js';
+
+/**
+ * Budget Limits Unit Tests
+ */
+
+describe('BudgetTracker', () => {
+  it('should trip the per-execution token limit', () => {
+    const tracker = new BudgetTracker({ maxTokens: 1000 });
+
+    expect(tracker.check({ inputTokens: 500, outputTokens: 499 })).toBeNull();
+    expect(tracker.check({ inputTokens: 500, outputTokens: 500 })).toEqual({
+      limit: BudgetLimit.MAX_TOKENS,
+      max: 1000,
+      actual: 1000
+    });
+  });
+
+  it('should trip the per-execution cost limit using the price table', () => {
+    const tracker = new BudgetTracker({ maxCostUsd: 1 });
+
+    expect(tracker.check({ inputTokens: 100_000, outputTokens: 0 }, 'claude-sonnet-4-5')).toBeNull();
+    expect(tracker.check({ inputTokens: 100_000, outputTokens: 50_000 }, 'claude-sonnet-4-5')).toMatchObject({
+      limit: BudgetLimit.MAX_COST_USD,
+      actual: 1.05
+    });
+  });
+
+  it('should prefer reported cost over estimates', () => {
+    const tracker = new BudgetTracker({ maxCostUsd: 0.5 });
+    expect(tracker.check({ inputTokens: 1, outputTokens: 1, costUsd: 0.6 }, 'unknown')).toMatchObject({ actual: 0.6 });
+  });
+
+  it('should skip cost limits for unpriced models', () => {
+    const tracker = new BudgetTracker({ maxCostUsd: 0.01 });
+    expect(tracker.check({ inputTokens: 10_000_000, outputTokens: 0 }, 'mystery-model')).toBeNull();
+  });
+
+  it('should not trip per-execution limits before anything is spent', () => {
+    expect(new BudgetTracker({ maxTokens: 0 }).check(null)).toBeNull();
+  });
+
+  it('should block new runs once the daily budget is spent', () => {
+    const tracker = new BudgetTracker({
+      daily: { daily_cost_usd: 10, daily_tokens: null },
+      spentToday: { cost_usd: 10.5, tokens: 0 }
+    });
+
+    expect(tracker.check(null)).toMatchObject({ limit: BudgetLimit.DAILY_COST_USD, max: 10, actual: 10.5 });
+  });
+
+  it('should add current usage to daily spend', () => {
+    const tracker = new BudgetTracker({
+      daily: { daily_cost_usd: null, daily_tokens: 1000 },
+      spentToday: { cost_usd: 0, tokens: 900 }
+    });
+
+    expect(tracker.check({ inputTokens: 50, outputTokens: 0 })).toBeNull();
+    expect(tracker.check({ inputTokens: 50, outputTokens: 50 })).toMatchObject({ limit: BudgetLimit.DAILY_TOKENS });
+  });
+
+  it('should count committed attempts toward the execution total', () => {
+    const tracker = new BudgetTracker({ maxTokens: 100 });
+    tracker.commit({ inputTokens: 60, outputTokens: 0 });
+
+    expect(tracker.check({ inputTokens: 40, outputTokens: 0 })).toMatchObject({ actual: 100 });
+  });
+
+  it('should format budget errors', () => {
+    expect(formatBudgetExceeded({ limit: BudgetLimit.MAX_COST_USD, max: 1, actual: 1.25 }))
+      .toBe('Budget exceeded: max_cost_usd limit of $1.0000 reached ($1.2500)');
+    expect(formatBudgetExceeded({ limit: BudgetLimit.DAILY_TOKENS, max: 10, actual: 12 }))
+      .toBe('Budget exceeded: daily_tokens limit of 10 tokens reached (12 tokens)');
+  });
+});
+
+describe('project budget', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-budget-'));
+    fs.mkdirSync(path.join(tempDir, '.agentful'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeBudget = (content) =>
+    fs.writeFileSync(path.join(tempDir, '.agentful', 'budget.json'), content);
+
+  it('should return null when no budget is configured', () => {
+    expect(loadBudgetConfig(tempDir)).toBeNull();
+    expect(BudgetTracker.fromOptions({ projectRoot: tempDir })).toBeNull();
+  });
+
+  it('should load daily limits from .agentful/budget.json', () => {
+    writeBudget(JSON.stringify({ daily_cost_usd: 25 }));
+
+    expect(loadBudgetConfig(tempDir)).toEqual({ daily_cost_usd: 25, daily_tokens: null });
+    expect(BudgetTracker.fromOptions({ projectRoot: tempDir }).daily.daily_cost_usd).toBe(25);
+  });
+
+  it('should reject invalid budget files', () => {
+    writeBudget('{ nope');
+    expect(() => loadBudgetConfig(tempDir)).toThrow('Invalid .agentful/budget.json');
+
+    for (const content of ['null', '5', '[]']) {
+      writeBudget(content);
+      expect(() => loadBudgetConfig(tempDir)).toThrow('Invalid .agentful/budget.json: must be a JSON object');
+    }
+  });
+
+  it('should read today\'s spend from agent-metrics.json', () => {
+    const timestamp = new Date().toISOString();
+    recordUsage(tempDir, { agent: 'backend', timestamp, duration_ms: 1, input_tokens: 100, output_tokens: 20, cost_usd: 0.4 });
+    recordUsage(tempDir, { agent: 'tester', timestamp, duration_ms: 1, input_tokens: 10, output_tokens: 5, cost_usd: 0.1 });
+
+    expect(getDailySpend(tempDir)).toEqual({ cost_usd: 0.5, tokens: 135 });
+    expect(getDailySpend(tempDir, new Date('2000-01-01'))).toEqual({ cost_usd: 0, tokens: 0 });
+  });
+
+  it('should use UTC day keys', () => {
+    expect(getDayKey(new Date('2026-03-01T23:30:00.000Z'))).toBe('2026-03-01');
+  });
+});
@@ -0,0 +1,326 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ClaudeExecutor, ExecutionMode, ExecutionState } from '../../../lib/core/claude-executor.js';
+import { ExecutionQueue } from '../../../lib/core/execution-queue.js';
+import { FixtureStore, FIXTURE_VERSION } from '../../../lib/core/fixtures.js';
+import {
+  buildSchemaInstructions,
+  buildSchemaFeedback,
+  parseStructuredOutput
+} from '../../../lib/core/output-schema.js';
+
+/**
+ * Claude Executor Unit Tests
+ *
+ * Drives execute() end to end in subprocess mode with replayed fixtures, and
+ * in API mode with a stub provider
+ */
+
+const line = (message) => JSON.stringify(message) + '\n';
+
+const streamRun = ({ text, sessionId = 'sess-1', isError = false, usage = { input_tokens: 100, output_tokens: 20 } }) => [
+  line({ type: 'system', subtype: 'init', session_id: sessionId, model: 'claude-test' }),
+  line({ type: 'assistant', message: { id: 'msg-1', usage, content: [{ type: 'text', text }] } }),
+  line({
+    type: 'result',
+    subtype: isError ? 'error' : 'success',
+    is_error: isError,
+    result: text,
+    num_turns: 1,
+    total_cost_usd: 0.01,
+    usage,
+    session_id: sessionId
+  })
+];
+
+describe('ClaudeExecutor', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-executor-'));
+    fs.mkdirSync(path.join(tempDir, '.claude', 'agents'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, '.claude', 'agents', 'backend.md'), '---\nname: backend\n---\n\nBuild backend code.\n');
+    store = new FixtureStore(path.join(tempDir, 'fixtures'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createExecutor = (options = {}) => {
+    const executor = new ClaudeExecutor({
+      projectRoot: tempDir,
+      journal: false,
+      fixtures: 'replay',
+      fixturesDir: store.dir,
+      ...options
+    });
+    executor.on('error', () => {});
+    return executor;
+  };
+
+  const promptFor = async (executor, task, context = {}, agent = 'backend') =>
+    executor.buildFullPrompt(await executor.loadAgent(agent), task, context);
+
+  // Chunks are strings (stdout, no delay) or { data, delay, stream }
+  const saveFixture = (prompt, chunks, { agent = 'backend', outputFormat = 'text', exitCode = 0 } = {}) => {
+    store.save({
+      version: FIXTURE_VERSION,
+      agent,
+      prompt,
+      outputFormat,
+      exitCode,
+      chunks: chunks.map(chunk => (typeof chunk === 'string'
+        ? { stream: 'stdout', delay: 0, data: chunk }
+        : { stream: 'stdout', delay: 0, ...chunk }))
+    });
+  };
+
+  it('should replay a text run through the same events as a live one', async () => {
+    const executor = createExecutor();
+    saveFixture(await promptFor(executor, 'Build the API'), ['Working [PROGRESS: 50%]\n', 'Task completed\n']);
+    const chunks = [];
+    const progress = [];
+    executor.on('chunk', event => chunks.push(event.chunk));
+    executor.on('progress', event => progress.push(event.percentage));
+
+    const result = await executor.execute('backend', 'Build the API');
+
+    expect(result).toMatchObject({
+      success: true,
+      exitCode: 0,
+      mode: ExecutionMode.SUBPROCESS,
+      output: 'Working [PROGRESS: 50%]\nTask completed\n'
+    });
+    expect(chunks).toEqual(['Working [PROGRESS: 50%]\n', 'Task completed\n']);
+    expect(progress).toEqual([50, 100]);
+  });
+
+  it('should wire stream-json events, session and usage into the result', async () => {
+    const executor = createExecutor({ outputFormat: 'stream-json' });
+    saveFixture(await promptFor(executor, 'Read the config'), [
+      line({ type: 'system', subtype: 'init', session_id: 'sess-7', model: 'claude-test' }),
+      line({
+        type: 'assistant',
+        message: {
+          id: 'msg-1',
+          usage: { input_tokens: 120, output_tokens: 30 },
+          content: [
+            { type: 'text', text: 'Reading it' },
+            { type: 'tool_use', id: 'tool-1', name: 'Read', input: { file_path: 'config.json' } }
+          ]
+        }
+      }),
+      line({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 'tool-1', content: '{}' }] } }),
+      line({
+        type: 'result',
+        subtype: 'success',
+        is_error: false,
+        result: 'The config is empty',
+        num_turns: 2,
+        total_cost_usd: 0.02,
+        usage: { input_tokens: 120, output_tokens: 30 },
+        session_id: 'sess-7'
+      })
+    ], { outputFormat: 'stream-json' });
+    const events = [];
+    for (const type of ['text', 'tool_use', 'tool_result', 'result']) {
+      executor.on(type, () => events.push(type));
+    }
+
+    const result = await executor.execute('backend', 'Read the config');
+
+    expect(events).toEqual(['text', 'tool_use', 'tool_result', 'result']);
+    expect(result).toMatchObject({
+      output: 'The config is empty',
+      sessionId: 'sess-7',
+      model: 'claude-test',
+      numTurns: 2,
+      costUsd: 0.02,
+      usage: { inputTokens: 120, outputTokens: 30, estimated: false }
+    });
+  });
+
+  it('should cancel a replayed run once it goes over budget', async () => {
+    const executor = createExecutor({ outputFormat: 'stream-json', maxTokens: 100 });
+    saveFixture(await promptFor(executor, 'Refactor everything'), [
+      ...streamRun({ text: 'Started', usage: { input_tokens: 500, output_tokens: 10 } }).slice(0, 2),
+      { data: line({ type: 'result', subtype: 'success', result: 'never sent' }), delay: 5000 }
+    ], { outputFormat: 'stream-json' });
+    const exceeded = [];
+    executor.on('budget_exceeded', event => exceeded.push(event));
+
+    let executionId;
+    executor.on('text', event => { executionId = event.executionId; });
+
+    await expect(executor.execute('backend', 'Refactor everything'))
+      .rejects.toThrow('Budget exceeded: max_tokens limit of 100 tokens reached (510 tokens)');
+
+    expect(exceeded).toMatchObject([{ limit: 'max_tokens', max: 100, actual: 510 }]);
+    expect(executor.getExecutionStatus(executionId).state).toBe(ExecutionState.BUDGET_EXCEEDED);
+  });
+
+  it('should retry a run that failed with a retryable error', async () => {
+    const executor = createExecutor({ outputFormat: 'stream-json', maxRetries: 1 });
+    vi.spyOn(executor, '_sleep').mockResolvedValue();
+    const prompt = await promptFor(executor, 'Build the API');
+    saveFixture(prompt, streamRun({ text: 'Overloaded', isError: true }), { outputFormat: 'stream-json' });
+
+    const retries = [];
+    executor.on('retry', (event) => {
+      retries.push(event);
+      // The next attempt replays a successful run for the same prompt
+      saveFixture(prompt, streamRun({ text: 'Done' }), { outputFormat: 'stream-json' });
+    });
+
+    const result = await executor.execute('backend', 'Build the API');
+
+    expect(result.output).toBe('Done');
+    expect(retries).toMatchObject([{ attempt: 1, maxRetries: 1, error: 'Claude reported an error (error): Overloaded' }]);
+    expect(executor._sleep).toHaveBeenCalledWith(2000);
+  });
+
+  it('should retry once with the validation errors when output does not match outputSchema', async () => {
+    const executor = createExecutor();
+    const schema = { type: 'object', required: ['approved'], properties: { approved: { type: 'boolean' } } };
+    const prompt = await promptFor(executor, 'Review the change') + buildSchemaInstructions(schema);
+    const firstOutput = 'Looks good to me.\n';
+    saveFixture(prompt, [firstOutput]);
+    saveFixture(
+      prompt + buildSchemaFeedback(parseStructuredOutput(firstOutput, schema)),
+      ['Approved.\n```json\n{ "approved": true }\n```\n']
+    );
+    const retries = [];
+    executor.on('retry', event => retries.push(event));
+
+    const result = await executor.execute('backend', 'Review the change', {}, { outputSchema: schema });
+
+    expect(result.data).toEqual({ approved: true });
+    expect(retries).toMatchObject([{ reason: 'output_schema', delay: 0 }]);
+  });
+
+  it('should deliver an answer on stdin while an interactive run waits', async () => {
+    const executor = createExecutor({ interactive: true, fixtureTiming: 'recorded' });
+    saveFixture(await promptFor(executor, 'Set up storage'), [
+      ...streamRun({ text: 'Which database should I use?' }),
+      { data: line({ type: 'result', subtype: 'success', result: 'Using Postgres', session_id: 'sess-1' }), delay: 50 }
+    ], { outputFormat: 'stream-json' });
+
+    let writes;
+    let answered;
+    executor.on('question', ({ executionId }) => {
+      writes = vi.spyOn(executor.activeExecutions.get(executionId).process.stdin, 'write');
+      answered = executor.answer(executionId, 'Postgres');
+    });
+
+    const result = await executor.execute('backend', 'Set up storage');
+
+    expect(await answered).toMatchObject({ delivery: 'stdin', question: 'Which database should I use?' });
+    expect(JSON.parse(writes.mock.calls[0][0])).toEqual({
+      type: 'user',
+      message: { role: 'user', content: [{ type: 'text', text: 'Postgres' }] }
+    });
+    expect(result.output).toBe('Using Postgres');
+  });
+
+  it('should resume a finished run\'s session to answer its question', async () => {
+    const executor = createExecutor({ outputFormat: 'stream-json' });
+    saveFixture(await promptFor(executor, 'Set up storage'), streamRun({ text: 'Which database should I use?', sessionId: 'sess-3' }), { outputFormat: 'stream-json' });
+    saveFixture('Postgres', streamRun({ text: 'Configured Postgres', sessionId: 'sess-3' }), { outputFormat: 'stream-json' });
+
+    let executionId;
+    executor.on('question', event => { executionId = event.executionId; });
+    await executor.execute('backend', 'Set up storage');
+
+    const answer = await executor.answer(executionId, 'Postgres');
+
+    expect(answer).toMatchObject({ delivery: 'resume', question: 'Which database should I use?' });
+    expect(answer.result).toMatchObject({ output: 'Configured Postgres', sessionId: 'sess-3' });
+    expect(store.load('backend', 'Postgres')).not.toBeNull();
+  });
+
+  it('should cancel queued and running executions through the queue', async () => {
+    const executor = createExecutor({ fixtureTiming: 'recorded' });
+    saveFixture(await promptFor(executor, 'Long task'), ['Working\n', { data: 'never sent\n', delay: 5000 }]);
+    const queue = new ExecutionQueue(executor, { concurrency: 1 });
+
+    const running = queue.enqueue('backend', 'Long task');
+    const waiting = queue.enqueue('backend', 'Task without a fixture');
+    await new Promise(resolve => executor.once('chunk', resolve));
+
+    expect(executor.cancel(waiting.executionId)).toBe(true);
+    await expect(waiting).rejects.toThrow('Execution cancelled');
+
+    expect(queue.cancel(running.executionId)).toBe(true);
+    await expect(running).rejects.toThrow();
+    expect(executor.getExecutionStatus(running.executionId).state).toBe(ExecutionState.CANCELLED);
+  });
+
+  it('should render agent templates into the replayed prompt', async () => {
+    fs.writeFileSync(
+      path.join(tempDir, '.claude', 'agents', 'templated.md'),
+      '---\nname: templated\ntemplate: true\n---\n\nImplement {{feature}} as the {{agent}} agent.\n'
+    );
+    const executor = createExecutor();
+    const prompt = await promptFor(executor, 'Build it', { feature: 'auth' }, 'templated');
+    expect(prompt).toContain('Implement auth as the templated agent.');
+    saveFixture(prompt, ['Built auth\n'], { agent: 'templated' });
+
+    const result = await executor.execute('templated', 'Build it', { feature: 'auth' });
+
+    expect(result.output).toBe('Built auth\n');
+  });
+
+  it('should stream API mode output from the provider and record usage', async () => {
+    const provider = {
+      name: 'stub',
+      model: 'stub-model',
+      execute: vi.fn(async (prompt, { onText, onUsage }) => {
+        onText('Hello ');
+        onText('world');
+        onUsage({ inputTokens: 12, outputTokens: 3 });
+        return { model: 'stub-model', usage: { inputTokens: 12, outputTokens: 3 }, stopReason: 'end_turn' };
+      })
+    };
+    const executor = createExecutor({ mode: ExecutionMode.API, fixtures: null, provider, recordUsage: false });
+    const chunks = [];
+    executor.on('chunk', event => chunks.push(event.chunk));
+
+    const result = await executor.execute('backend', 'Say hello');
+
+    expect(provider.execute).toHaveBeenCalledWith(await promptFor(executor, 'Say hello'), expect.any(Object));
+    expect(chunks).toEqual(['Hello ', 'world']);
+    expect(result).toMatchObject({
+      output: 'Hello world',
+      mode: ExecutionMode.API,
+      provider: 'stub',
+      stopReason: 'end_turn',
+      usage: { inputTokens: 12, outputTokens: 3, estimated: false }
+    });
+  });
+
+  it('should wait as long as a rate-limited provider asks before retrying', async () => {
+    const rateLimited = (retryAfter) => Object.assign(new Error('API error: 429 Too Many Requests'), { status: 429, retryAfter });
+    const provider = {
+      name: 'stub',
+      model: 'stub-model',
+      execute: vi.fn()
+        .mockRejectedValueOnce(rateLimited(30))
+        .mockRejectedValueOnce(rateLimited(1))
+        .mockResolvedValue({ model: 'stub-model', usage: { inputTokens: 1, outputTokens: 1 }, stopReason: 'end_turn' })
+    };
+    const executor = createExecutor({ mode: ExecutionMode.API, fixtures: null, provider, recordUsage: false, maxRetries: 2 });
+    vi.spyOn(executor, '_sleep').mockResolvedValue();
+    const delays = [];
+    executor.on('retry', event => delays.push(event.delay));
+
+    await executor.execute('backend', 'Say hello');
+
+    // Retry-After when longer than the backoff, the backoff otherwise
+    expect(delays).toEqual([30000, 4000]);
+    expect(executor._sleep.mock.calls).toEqual([[30000], [4000]]);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { nextDecisionId, recordAnsweredQuestion } from '../../../lib/core/decisions.js';
+
+/**
+ * Decision Recording Unit Tests
+ */
+
+describe('Decisions', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-decisions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readDecisions = () => JSON.parse(
+    fs.readFileSync(path.join(tempDir, '.agentful', 'decisions.json'), 'utf-8')
+  );
+
+  const qa = {
+    question: 'Which database should I use?',
+    answer: 'Postgres',
+    agent: 'backend',
+    executionId: 'exec-1',
+    askedAt: '2026-01-01T00:00:00.000Z'
+  };
+
+  describe('nextDecisionId', () => {
+    it('should number after the highest existing ID', () => {
+      expect(nextDecisionId([])).toBe('decision-001');
+      expect(nextDecisionId([{ id: 'decision-002' }, { id: 'decision-010' }, { id: 'custom' }])).toBe('decision-011');
+    });
+  });
+
+  describe('recordAnsweredQuestion', () => {
+    it('should record the question and answer as a resolved decision', () => {
+      fs.mkdirSync(path.join(tempDir, '.agentful'));
+
+      const result = recordAnsweredQuestion(tempDir, qa);
+
+      expect(result.success).toBe(true);
+      expect(result.decision.id).toBe('decision-001');
+
+      const { decisions } = readDecisions();
+      expect(decisions).toHaveLength(1);
+      expect(decisions[0]).toMatchObject({
+        id: 'decision-001',
+        question: 'Which database should I use?',
+        status: 'resolved',
+        resolution: 'Postgres',
+        created_at: '2026-01-01T00:00:00.000Z',
+        agent: 'backend',
+        execution_id: 'exec-1'
+      });
+      expect(decisions[0].resolved_at).toBeDefined();
+    });
+
+    it('should migrate a legacy file and keep its decisions', () => {
+      fs.mkdirSync(path.join(tempDir, '.agentful'));
+      fs.writeFileSync(
+        path.join(tempDir, '.agentful', 'decisions.json'),
+        JSON.stringify({ pending: [{ id: 'decision-001', question: 'Open?' }], resolved: [] })
+      );
+
+      const result = recordAnsweredQuestion(tempDir, qa);
+
+      expect(result.decision.id).toBe('decision-002');
+      const data = readDecisions();
+      expect(data).not.toHaveProperty('pending');
+      expect(data).not.toHaveProperty('resolved');
+      expect(data.decisions.map(decision => [decision.id, decision.status])).toEqual([
+        ['decision-001', 'pending'],
+        ['decision-002', 'resolved']
+      ]);
+    });
+
+    it('should do nothing without an .agentful directory', () => {
+      expect(recordAnsweredQuestion(tempDir, qa).success).toBe(false);
+      expect(fs.existsSync(path.join(tempDir, '.agentful'))).toBe(false);
+    });
+  });
+});
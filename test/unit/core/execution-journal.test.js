@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+  ExecutionJournal,
+  INTERRUPTED_REASON,
+  hashPrompt
+} from '../../../lib/core/execution-journal.js';
+
+/**
+ * Execution Journal Unit Tests
+ */
+
+describe('ExecutionJournal', () => {
+  let tempDir;
+  let journal;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-journal-'));
+    journal = new ExecutionJournal(tempDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const startExecution = (id, overrides = {}) => {
+    journal.start({ id, agent: 'backend', task: 'Build API', startTime: Date.now(), ...overrides }, { mode: 'subprocess' });
+  };
+
+  it('should write one JSONL file per execution', () => {
+    startExecution('exec-1');
+
+    const file = path.join(tempDir, '.agentful', 'executions', 'exec-1.jsonl');
+    const [entry] = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+    expect(entry).toMatchObject({
+      type: 'start',
+      id: 'exec-1',
+      agent: 'backend',
+      task: 'Build API',
+      mode: 'subprocess',
+      pid: process.pid,
+      hostname: os.hostname()
+    });
+  });
+
+  it('should rebuild status from journal entries', () => {
+    startExecution('exec-1');
+    journal.prompt('exec-1', 'full prompt');
+    journal.transition('exec-1', 'running', { attempt: 1 });
+    journal.output('exec-1', 'Hello ');
+    journal.output('exec-1', 'world');
+    journal.end('exec-1', { state: 'completed', exitCode: 0 });
+
+    const status = journal.read('exec-1');
+
+    expect(status).toMatchObject({
+      id: 'exec-1',
+      agent: 'backend',
+      state: 'completed',
+      exitCode: 0,
+      outputLength: 11,
+      promptHash: hashPrompt('full prompt'),
+      finished: true
+    });
+    expect(status.transitions.map(t => t.state)).toEqual(['running']);
+    expect(status.endTime).toBeGreaterThanOrEqual(status.startTime);
+    expect(journal.readOutput('exec-1')).toBe('Hello world');
+  });
+
+  it('should keep only the last attempt\'s output', () => {
+    startExecution('exec-1');
+    journal.transition('exec-1', 'running', { attempt: 1 });
+    journal.output('exec-1', 'first try');
+    journal.retry('exec-1', { attempt: 1, error: 'timeout' });
+    journal.transition('exec-1', 'running', { attempt: 2 });
+    journal.output('exec-1', 'second');
+
+    expect(journal.read('exec-1')).toMatchObject({ state: 'running', retries: 1, outputLength: 6, finished: false });
+    expect(journal.readOutput('exec-1')).toBe('second');
+  });
+
+  it('should record failures with reason', () => {
+    startExecution('exec-1');
+    journal.end('exec-1', { state: 'cancelled', error: 'Execution cancelled', reason: 'cancelled' });
+
+    expect(journal.read('exec-1')).toMatchObject({
+      state: 'cancelled',
+      error: 'Execution cancelled',
+      errorLength: 19,
+      reason: 'cancelled'
+    });
+  });
+
+  it('should ignore a partial trailing line', () => {
+    startExecution('exec-1');
+    journal.transition('exec-1', 'running');
+    fs.appendFileSync(journal.filePath('exec-1'), '{"type":"output","te');
+
+    expect(journal.read('exec-1').state).toBe('running');
+  });
+
+  it('should track pending questions and the session ID', () => {
+    startExecution('exec-q');
+    journal.question('exec-q', { questionId: 'q1', text: 'Which database?' });
+
+    expect(journal.read('exec-q').pendingQuestion).toMatchObject({ id: 'q1', text: 'Which database?' });
+
+    journal.answer('exec-q', { questionId: 'q1', text: 'Postgres' });
+    journal.end('exec-q', { state: 'completed', exitCode: 0, sessionId: 'session-1' });
+
+    const status = journal.read('exec-q');
+    expect(status.pendingQuestion).toBeNull();
+    expect(status.sessionId).toBe('session-1');
+  });
+
+  it('should return null for unknown executions', () => {
+    expect(journal.read('missing')).toBeNull();
+    expect(journal.readOutput('missing')).toBeNull();
+    expect(journal.list()).toEqual([]);
+  });
+
+  it('should reject IDs that could escape the journal directory', () => {
+    expect(() => journal.read('../state')).toThrow('Invalid execution ID');
+  });
+
+  it('should list and filter executions newest first', () => {
+    startExecution('old', { startTime: Date.parse('2026-01-01T00:00:00.000Z') });
+    journal.end('old', { state: 'failed', error: 'boom' });
+    startExecution('new', { agent: 'frontend', startTime: Date.parse('2026-02-01T00:00:00.000Z') });
+    journal.end('new', { state: 'completed' });
+
+    expect(journal.list().map(s => s.id)).toEqual(['new', 'old']);
+    expect(journal.list({ agent: 'backend' }).map(s => s.id)).toEqual(['old']);
+    expect(journal.list({ state: 'completed' }).map(s => s.id)).toEqual(['new']);
+    expect(journal.list({ since: '2026-01-15' }).map(s => s.id)).toEqual(['new']);
+  });
+
+  it('should mark runs from dead processes as interrupted', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+
+    journal.append('orphan', {
+      type: 'start',
+      id: 'orphan',
+      agent: 'backend',
+      task: 'Build API',
+      pid: deadPid,
+      hostname: os.hostname()
+    });
+    journal.transition('orphan', 'running');
+
+    expect(journal.recoverInterrupted()).toEqual(['orphan']);
+    expect(journal.read('orphan')).toMatchObject({
+      state: 'failed',
+      reason: INTERRUPTED_REASON,
+      finished: true
+    });
+
+    // Already finished - not recovered twice
+    expect(journal.recoverInterrupted()).toEqual([]);
+  });
+
+  it('should buffer output chunks and write them before the next entry', () => {
+    startExecution('exec-1');
+    journal.transition('exec-1', 'running');
+    journal.output('exec-1', 'Hello ');
+    journal.output('exec-1', 'world');
+
+    const lines = () => fs.readFileSync(journal.filePath('exec-1'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines().map(entry => entry.type)).toEqual(['start', 'state']);
+
+    journal.end('exec-1', { state: 'completed', exitCode: 0 });
+    expect(lines().map(entry => entry.type)).toEqual(['start', 'state', 'output', 'end']);
+    expect(lines()[2].text).toBe('Hello world');
+  });
+
+  it('should only read journals of runs indexed as unfinished', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    journal.append('orphan', { type: 'start', id: 'orphan', agent: 'backend', pid: deadPid, hostname: os.hostname() });
+    startExecution('done');
+    journal.end('done', { state: 'completed' });
+
+    const runningDir = path.join(journal.dir, 'running');
+    expect(fs.readdirSync(runningDir)).toEqual(['orphan.json']);
+
+    const read = vi.spyOn(journal, 'read');
+    expect(journal.recoverInterrupted()).toEqual(['orphan']);
+    expect(read.mock.calls.map(([id]) => id)).toEqual(['orphan']);
+    expect(fs.readdirSync(runningDir)).toEqual([]);
+  });
+
+  it('should index unfinished runs of journals written before the index', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    journal.append('legacy', { type: 'start', id: 'legacy', agent: 'backend', pid: deadPid, hostname: os.hostname() });
+    fs.rmSync(path.join(journal.dir, 'running'), { recursive: true });
+
+    expect(journal.recoverInterrupted()).toEqual(['legacy']);
+    expect(journal.read('legacy').reason).toBe(INTERRUPTED_REASON);
+  });
+
+  it('should prune finished journals past the retention limits', () => {
+    const day = 24 * 60 * 60 * 1000;
+    for (const [id, age] of [['new', 0], ['week', 7 * day], ['month', 40 * day]]) {
+      startExecution(id);
+      journal.end(id, { state: 'completed' });
+      const time = new Date(Date.now() - age);
+      fs.utimesSync(journal.filePath(id), time, time);
+    }
+    startExecution('running');
+    const old = new Date(Date.now() - 90 * day);
+    fs.utimesSync(journal.filePath('running'), old, old);
+
+    expect(journal.prune()).toEqual(['month']);
+    expect(journal.prune({ maxCount: 1 })).toEqual(['week']);
+    expect(journal.list().map(status => status.id).sort()).toEqual(['new', 'running']);
+  });
+
+  it('should leave live, finished and foreign-host runs alone', () => {
+    startExecution('ours');
+    journal.append('remote', { type: 'start', id: 'remote', agent: 'backend', pid: 1, hostname: 'another-host' });
+    startExecution('done');
+    journal.end('done', { state: 'completed' });
+
+    expect(journal.recoverInterrupted()).toEqual([]);
+    expect(journal.read('ours').state).toBe('pending');
+  });
+});
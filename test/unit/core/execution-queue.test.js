@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  ExecutionQueue,
+  Priority,
+  CONCURRENCY_PROFILES,
+  getDefaultConcurrency
+} from '../../../lib/core/execution-queue.js';
+
+/**
+ * Execution Queue Unit Tests
+ *
+ * Uses a fake executor whose executions finish only when the test resolves them
+ */
+
+class FakeExecutor extends EventEmitter {
+  constructor() {
+    super();
+    this.started = [];
+    this.pending = new Map();
+    this.cancelled = [];
+  }
+
+  execute(agent, task, context, options) {
+    this.started.push({ agent, task, options });
+    return new Promise((resolve, reject) => {
+      this.pending.set(options.executionId, { resolve, reject });
+    });
+  }
+
+  cancel(executionId) {
+    this.cancelled.push(executionId);
+    return true;
+  }
+
+  finish(executionId, result = { success: true }) {
+    this.pending.get(executionId).resolve(result);
+    this.pending.delete(executionId);
+  }
+
+  fail(executionId, error) {
+    this.pending.get(executionId).reject(error);
+    this.pending.delete(executionId);
+  }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ExecutionQueue', () => {
+  let executor;
+  let queue;
+
+  beforeEach(() => {
+    executor = new FakeExecutor();
+    queue = new ExecutionQueue(executor, { concurrency: 2 });
+  });
+
+  it('should not run more than the concurrency limit', async () => {
+    const runs = ['a', 'b', 'c'].map(task => queue.enqueue('backend', task));
+
+    expect(executor.started.map(s => s.task)).toEqual(['a', 'b']);
+    expect(queue.activeCount).toBe(2);
+    expect(queue.size).toBe(1);
+
+    executor.finish(runs[0].executionId, { output: 'a done' });
+    await expect(runs[0]).resolves.toEqual({ output: 'a done' });
+    await flush();
+
+    expect(executor.started.map(s => s.task)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should pass the queue execution ID to the executor', () => {
+    const run = queue.enqueue('backend', 'task', {}, { timeout: 5 });
+
+    expect(executor.started[0].options).toEqual({ timeout: 5, executionId: run.executionId });
+  });
+
+  it('should start higher priorities first', () => {
+    queue.setConcurrency(1);
+    queue.enqueue('backend', 'running');
+    queue.enqueue('backend', 'low', {}, { priority: Priority.LOW });
+    queue.enqueue('backend', 'normal');
+    queue.enqueue('backend', 'high', {}, { priority: Priority.HIGH });
+
+    expect(queue.list().map(item => item.task)).toEqual(['high', 'normal', 'low']);
+  });
+
+  it('should alternate agents within a priority level', () => {
+    queue = new ExecutionQueue(executor, { concurrency: 1 });
+    queue.enqueue('orchestrator', 'running');
+    queue.enqueue('backend', 'b1');
+    queue.enqueue('backend', 'b2');
+    queue.enqueue('backend', 'b3');
+    queue.enqueue('frontend', 'f1');
+    queue.enqueue('tester', 't1');
+
+    expect(queue.list().map(item => item.task)).toEqual(['b1', 'f1', 't1', 'b2', 'b3']);
+  });
+
+  it('should dequeue in the listed order', async () => {
+    queue = new ExecutionQueue(executor, { concurrency: 1 });
+    const first = queue.enqueue('orchestrator', 'running');
+    queue.enqueue('backend', 'b1');
+    queue.enqueue('backend', 'b2');
+    queue.enqueue('frontend', 'f1');
+
+    const expected = queue.list().map(item => item.task);
+
+    let current = first;
+    for (let i = 0; i < expected.length; i++) {
+      executor.finish(current.executionId ?? current);
+      await flush();
+      current = [...executor.pending.keys()][0];
+    }
+
+    expect(executor.started.slice(1).map(s => s.task)).toEqual(expected);
+  });
+
+  it('should emit queued and position events', async () => {
+    queue.setConcurrency(1);
+    const events = [];
+    queue.on('queued', e => events.push(['queued', e.position]));
+    queue.on('position', e => events.push(['position', e.position, e.queueLength]));
+
+    const first = queue.enqueue('backend', 'a');
+    queue.enqueue('backend', 'b');
+    queue.enqueue('backend', 'c');
+
+    executor.finish(first.executionId);
+    await flush();
+
+    expect(events).toEqual([
+      ['queued', 1],
+      ['queued', 1],
+      ['queued', 2],
+      ['position', 1, 1]
+    ]);
+  });
+
+  it('should emit position events when a higher priority item jumps ahead', () => {
+    queue.setConcurrency(1);
+    queue.enqueue('backend', 'running');
+    const waiting = queue.enqueue('backend', 'normal');
+
+    const positions = [];
+    queue.on('position', e => positions.push([e.executionId, e.position]));
+    queue.enqueue('frontend', 'urgent', {}, { priority: Priority.HIGH });
+
+    expect(positions).toEqual([[waiting.executionId, 2]]);
+  });
+
+  it('should report queued status with position', () => {
+    queue.setConcurrency(1);
+    queue.enqueue('backend', 'running');
+    const waiting = queue.enqueue('frontend', 'waiting', {}, { priority: Priority.HIGH });
+
+    expect(queue.getStatus(waiting.executionId)).toMatchObject({
+      id: waiting.executionId,
+      agent: 'frontend',
+      state: 'queued',
+      priority: 'high',
+      position: 1,
+      startTime: null
+    });
+    expect(queue.getPosition(waiting.executionId)).toBe(1);
+  });
+
+  it('should cancel queued executions without running them', async () => {
+    queue.setConcurrency(1);
+    const running = queue.enqueue('backend', 'running');
+    const waiting = queue.enqueue('backend', 'waiting');
+
+    expect(queue.cancel(waiting.executionId)).toBe(true);
+    await expect(waiting).rejects.toThrow('Execution cancelled');
+
+    executor.finish(running.executionId);
+    await flush();
+
+    expect(executor.started).toHaveLength(1);
+    expect(executor.cancelled).toEqual([]);
+  });
+
+  it('should delegate cancellation of running executions to the executor', () => {
+    const running = queue.enqueue('backend', 'running');
+
+    expect(queue.cancel(running.executionId)).toBe(true);
+    expect(executor.cancelled).toEqual([running.executionId]);
+  });
+
+  it('should keep draining after failures and emit idle', async () => {
+    queue.setConcurrency(1);
+    const finished = [];
+    queue.on('finished', e => finished.push(e.success));
+
+    const first = queue.enqueue('backend', 'a');
+    const second = queue.enqueue('backend', 'b');
+
+    executor.fail(first.executionId, new Error('boom'));
+    await expect(first).rejects.toThrow('boom');
+    await flush();
+
+    const idle = queue.onIdle();
+    executor.finish(second.executionId);
+    await idle;
+
+    expect(finished).toEqual([false, true]);
+    expect(queue.size).toBe(0);
+  });
+
+  it('should attach to the executor', () => {
+    expect(executor.queue).toBe(queue);
+  });
+
+  it('should validate options', () => {
+    expect(() => new ExecutionQueue({})).toThrow('requires an executor');
+    expect(() => new ExecutionQueue(executor, { concurrency: 1.5 })).toThrow('Invalid concurrency');
+    expect(() => queue.enqueue('backend', 'task', {}, { priority: 'urgent' })).toThrow('Invalid priority: urgent');
+  });
+});
+
+describe('getDefaultConcurrency', () => {
+  it('should return at least one slot for every profile', () => {
+    for (const profile of Object.keys(CONCURRENCY_PROFILES)) {
+      expect(getDefaultConcurrency(profile)).toBeGreaterThanOrEqual(1);
+    }
+  });
+
+  it('should allow more executions with the smaller per-process memory limit', () => {
+    expect(getDefaultConcurrency('aggressive')).toBeGreaterThanOrEqual(getDefaultConcurrency('conservative'));
+  });
+
+  it('should reject unknown profiles', () => {
+    expect(() => getDefaultConcurrency('turbo')).toThrow('Unknown concurrency profile: turbo');
+  });
+});
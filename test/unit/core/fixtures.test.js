@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  FixtureStore,
+  FixtureTiming,
+  normalizePrompt,
+  hashNormalizedPrompt
+} from '../../../lib/core/fixtures.js';
+
+/**
+ * Execution Fixtures Unit Tests
+ */
+
+describe('Fixtures', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-fixtures-'));
+    store = new FixtureStore(tempDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const fakeProcess = () => {
+    const proc = new EventEmitter();
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    return proc;
+  };
+
+  const collect = (proc) => new Promise((resolve) => {
+    const events = [];
+    proc.stdout.on('data', data => events.push(['stdout', data.toString()]));
+    proc.stderr.on('data', data => events.push(['stderr', data.toString()]));
+    proc.on('close', code => resolve({ events, code }));
+  });
+
+  const meta = { agent: 'backend', prompt: 'Build the API', args: ['-p', 'Build the API'], outputFormat: 'text' };
+
+  describe('normalizePrompt', () => {
+    it('should mask UUIDs and timestamps and collapse whitespace', () => {
+      expect(normalizePrompt('  Run 3f2b8c1e-1234-4abc-9def-0123456789ab at 2026-01-01T10:00:00.000Z\n\nnow '))
+        .toBe('Run <uuid> at <timestamp> now');
+    });
+
+    it('should hash prompts that differ only incidentally to the same value', () => {
+      expect(hashNormalizedPrompt('Task at 2026-01-01T00:00:00Z'))
+        .toBe(hashNormalizedPrompt('Task  at\n2026-02-02T12:30:00Z'));
+      expect(hashNormalizedPrompt('Task A')).not.toBe(hashNormalizedPrompt('Task B'));
+    });
+  });
+
+  it('should record chunks and exit code keyed by agent and prompt', () => {
+    const proc = fakeProcess();
+    store.record(proc, meta);
+
+    proc.stdout.emit('data', Buffer.from('Working...\n'));
+    proc.stderr.emit('data', Buffer.from('warning\n'));
+    proc.emit('close', 0);
+
+    const fixture = store.load('backend', 'Build   the API');
+    expect(fixture).toMatchObject({
+      version: 1,
+      agent: 'backend',
+      prompt: 'Build the API',
+      args: ['-p', '<prompt>'],
+      outputFormat: 'text',
+      exitCode: 0
+    });
+    expect(fixture.chunks.map(chunk => [chunk.stream, Buffer.from(chunk.data, chunk.encoding).toString()])).toEqual([
+      ['stdout', 'Working...\n'],
+      ['stderr', 'warning\n']
+    ]);
+    expect(path.basename(store.filePath('backend', 'Build the API'))).toMatch(/^backend-[0-9a-f]{16}\.json$/);
+  });
+
+  it('should not save killed runs', () => {
+    const proc = fakeProcess();
+    store.record(proc, meta);
+    proc.emit('close', null);
+
+    expect(store.load('backend', 'Build the API')).toBeNull();
+  });
+
+  it('should replay chunks through a stand-in process', async () => {
+    store.save({
+      ...meta,
+      exitCode: 1,
+      chunks: [
+        { stream: 'stdout', delay: 0, data: 'one' },
+        { stream: 'stderr', delay: 5, data: 'two' }
+      ]
+    });
+
+    const proc = store.replay(meta);
+    const result = await collect(proc);
+
+    expect(result).toEqual({ events: [['stdout', 'one'], ['stderr', 'two']], code: 1 });
+  });
+
+  it('should replay multi-byte characters split across chunks', async () => {
+    const output = Buffer.from('Done ✓\n');
+    const proc = fakeProcess();
+    store.record(proc, meta);
+    proc.stdout.emit('data', output.subarray(0, 6));
+    proc.stdout.emit('data', output.subarray(6));
+    proc.emit('close', 0);
+
+    const replayed = [];
+    const replay = store.replay(meta);
+    replay.stdout.on('data', data => replayed.push(data));
+    await new Promise(resolve => replay.on('close', resolve));
+
+    expect(Buffer.concat(replayed).toString()).toBe('Done ✓\n');
+  });
+
+  it('should honor recorded delays when asked', async () => {
+    store.save({ ...meta, exitCode: 0, chunks: [{ stream: 'stdout', delay: 50, data: 'late' }] });
+
+    const start = Date.now();
+    await collect(store.replay(meta, { timing: FixtureTiming.RECORDED }));
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(40);
+  });
+
+  it('should close with a null code when the replay is killed', async () => {
+    store.save({ ...meta, exitCode: 0, chunks: [{ stream: 'stdout', delay: 1000, data: 'never' }] });
+
+    const proc = store.replay(meta, { timing: FixtureTiming.RECORDED });
+    const pending = collect(proc);
+    proc.kill('SIGTERM');
+
+    expect(await pending).toEqual({ events: [], code: null });
+  });
+
+  it('should fail clearly on missing fixtures or a different output format', () => {
+    expect(() => store.replay(meta)).toThrow(/No fixture for agent 'backend'/);
+
+    store.save({ ...meta, exitCode: 0, chunks: [] });
+    expect(() => store.replay({ ...meta, outputFormat: 'stream-json' })).toThrow(/recorded with outputFormat 'text'/);
+  });
+});
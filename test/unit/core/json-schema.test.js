@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { validateSchema, formatSchemaErrors } from '../../../lib/core/json-schema.js';
+
+/**
+ * JSON Schema Validation Unit Tests
+ */
+
+describe('validateSchema', () => {
+  const findingSchema = {
+    type: 'object',
+    required: ['findings'],
+    additionalProperties: false,
+    properties: {
+      findings: {
+        type: 'array',
+        items: { $ref: '#/$defs/finding' }
+      },
+      summary: { type: 'string', minLength: 1 }
+    },
+    $defs: {
+      finding: {
+        type: 'object',
+        required: ['severity', 'message'],
+        properties: {
+          severity: { enum: ['low', 'medium', 'high'] },
+          message: { type: 'string' },
+          line: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  };
+
+  it('should accept matching values', () => {
+    const result = validateSchema({
+      findings: [{ severity: 'high', message: 'SQL injection', line: 12 }],
+      summary: 'One issue'
+    }, findingSchema);
+
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should report errors with JSON Pointer paths', () => {
+    const result = validateSchema({
+      findings: [{ severity: 'critical', line: 0 }],
+      extra: true
+    }, findingSchema);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      { path: '/findings/0', message: "must have required property 'message'" },
+      { path: '/findings/0/severity', message: 'must be one of: "low", "medium", "high"' },
+      { path: '/findings/0/line', message: 'must be >= 1' },
+      { path: '', message: "must not have additional property 'extra'" }
+    ]));
+  });
+
+  it('should not treat inherited Object properties as declared or present', () => {
+    const result = validateSchema({ findings: [], constructor: 5, toString: 'x' }, findingSchema);
+
+    expect(result.errors).toEqual([
+      { path: '', message: "must not have additional property 'constructor'" },
+      { path: '', message: "must not have additional property 'toString'" }
+    ]);
+    expect(validateSchema({}, { type: 'object', required: ['constructor'] }).valid).toBe(false);
+  });
+
+  it('should check types, including integer and nullable unions', () => {
+    expect(validateSchema(1.5, { type: 'integer' }).valid).toBe(false);
+    expect(validateSchema(2, { type: 'number' }).valid).toBe(true);
+    expect(validateSchema(null, { type: ['string', 'null'] }).valid).toBe(true);
+    expect(validateSchema([], { type: 'object' }).errors[0].message).toBe('must be object, got array');
+  });
+
+  it('should support string, array and combinator keywords', () => {
+    expect(validateSchema('abc', { pattern: '^a' }).valid).toBe(true);
+    expect(validateSchema('abc', { maxLength: 2 }).valid).toBe(false);
+    expect(validateSchema([1], { minItems: 2 }).valid).toBe(false);
+    expect(validateSchema(5, { anyOf: [{ type: 'string' }, { minimum: 3 }] }).valid).toBe(true);
+    expect(validateSchema(5, { oneOf: [{ type: 'integer' }, { minimum: 3 }] }).valid).toBe(false);
+    expect(validateSchema('x', { not: { type: 'string' } }).valid).toBe(false);
+    expect(validateSchema('x', { const: 'x' }).valid).toBe(true);
+  });
+
+  it('should reject unresolvable references', () => {
+    expect(() => validateSchema({}, { $ref: '#/$defs/missing' })).toThrow('Unresolvable $ref');
+  });
+
+  it('should throw on unsupported keywords instead of ignoring them', () => {
+    expect(() => validateSchema('x', { type: 'string', format: 'email' }))
+      .toThrow("Unsupported JSON Schema keyword 'format' at (root)");
+    expect(() => validateSchema({}, { properties: { tags: { type: 'object', patternProperties: {} } } }))
+      .toThrow("Unsupported JSON Schema keyword 'patternProperties' at /properties/tags");
+    // Checked in branches the value never reaches too
+    expect(() => validateSchema({}, { $defs: { unused: { uniqueItems: true } } }))
+      .toThrow("Unsupported JSON Schema keyword 'uniqueItems' at /$defs/unused");
+    expect(() => validateSchema([1], { items: [{ type: 'integer' }] })).toThrow('tuple items are not supported');
+    expect(validateSchema('x', { title: 'Name', description: 'A name', type: 'string' }).valid).toBe(true);
+  });
+
+  it('should format errors one per line', () => {
+    expect(formatSchemaErrors([
+      { path: '', message: 'must be object, got array' },
+      { path: '/a', message: 'must be string, got number' }
+    ])).toBe('- (root): must be object, got array\n- /a: must be string, got number');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  assertOutputSchema,
+  buildSchemaInstructions,
+  buildSchemaFeedback,
+  extractJsonBlock,
+  parseStructuredOutput
+} from '../../../lib/core/output-schema.js';
+
+/**
+ * Structured Output Contract Unit Tests
+ */
+
+describe('Output Schema', () => {
+  const schema = {
+    type: 'object',
+    required: ['passed', 'failed'],
+    properties: {
+      passed: { type: 'integer' },
+      failed: { type: 'integer' }
+    }
+  };
+
+  describe('extractJsonBlock', () => {
+    it('should use the last json block', () => {
+      const output = 'Draft:\n```json\n{"passed": 1}\n```\nFinal:\n```json\n{"passed": 2, "failed": 0}\n```\n';
+      expect(extractJsonBlock(output)).toBe('{"passed": 2, "failed": 0}');
+    });
+
+    it('should fall back to unlabeled blocks and bare JSON', () => {
+      expect(extractJsonBlock('Result:\n```\n[1, 2]\n```')).toBe('[1, 2]');
+      expect(extractJsonBlock('```js\nconst a = 1;\n```\n')).toBeNull();
+      expect(extractJsonBlock('  {"passed": 3}\n')).toBe('{"passed": 3}');
+      expect(extractJsonBlock('All tests pass')).toBeNull();
+    });
+
+    it('should only end a block at a fence on its own line', () => {
+      const output = 'Result:\n```json\n{"snippet": "```js\\nrun()\\n```", "passed": 1}\n```\n';
+      expect(JSON.parse(extractJsonBlock(output))).toEqual({ snippet: '```js\nrun()\n```', passed: 1 });
+    });
+  });
+
+  describe('parseStructuredOutput', () => {
+    it('should return parsed data when valid', () => {
+      const result = parseStructuredOutput('Done.\n```json\n{"passed": 4, "failed": 1}\n```', schema);
+
+      expect(result.valid).toBe(true);
+      expect(result.data).toEqual({ passed: 4, failed: 1 });
+    });
+
+    it('should report missing blocks, bad JSON and schema errors', () => {
+      expect(parseStructuredOutput('All good', schema).errors[0].message).toMatch(/no ```json block/);
+      expect(parseStructuredOutput('```json\n{passed: 1}\n```', schema).errors[0].message).toMatch(/invalid JSON/);
+
+      const result = parseStructuredOutput('```json\n{"passed": "4"}\n```', schema);
+      expect(result.valid).toBe(false);
+      expect(result.data).toBeUndefined();
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe('prompts', () => {
+    it('should include the schema in the instructions', () => {
+      expect(buildSchemaInstructions(schema)).toContain('"required": [\n    "passed",\n    "failed"\n  ]');
+    });
+
+    it('should feed back the rejected JSON and errors', () => {
+      const feedback = buildSchemaFeedback(parseStructuredOutput('```json\n{"passed": "4"}\n```', schema));
+
+      expect(feedback).toContain('{"passed": "4"}');
+      expect(feedback).toContain('- /passed: must be integer, got string');
+      expect(feedback).toContain("- (root): must have required property 'failed'");
+    });
+  });
+
+  it('should reject non-object schemas', () => {
+    expect(() => assertOutputSchema('schema')).toThrow('outputSchema must be a JSON Schema object');
+    expect(() => assertOutputSchema(schema)).not.toThrow();
+    expect(() => assertOutputSchema({ type: 'string', format: 'date' }))
+      .toThrow("Invalid outputSchema: Unsupported JSON Schema keyword 'format' at (root)");
+  });
+});
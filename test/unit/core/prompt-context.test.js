@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ContextItemStatus,
+  collectGitDiff,
+  packContext,
+  readContextFile,
+  truncateToTokens
+} from '../../../lib/core/prompt-context.js';
+
+/**
+ * Prompt Context Packing Unit Tests
+ */
+
+describe('Prompt Context', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-context-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, file), content);
+  };
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: tempDir,
+    stdio: 'ignore'
+  });
+
+  const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`).join('\n');
+
+  describe('truncateToTokens', () => {
+    it('should cut at a line boundary and add a marker', () => {
+      const result = truncateToTokens(lines(100), 10);
+
+      expect(result).toMatch(/\[\.\.\. truncated: showing \d+ of 100 lines \(context budget\) \.\.\.\]$/);
+      expect(result.split('\n').slice(0, -1).every(line => /^line \d+$/.test(line))).toBe(true);
+    });
+  });
+
+  describe('readContextFile', () => {
+    it('should read line ranges', () => {
+      write('src/a.js', lines(10) + '\n');
+
+      expect(readContextFile(tempDir, { path: 'src/a.js', startLine: 9 }).endLine).toBe(10);
+
+      expect(readContextFile(tempDir, { path: 'src/a.js', startLine: 3, endLine: 4 })).toEqual({
+        path: 'src/a.js',
+        startLine: 3,
+        endLine: 4,
+        text: 'line 3\nline 4'
+      });
+    });
+
+    it('should refuse files outside the root, missing files and binaries', () => {
+      write('bin.dat', Buffer.from([1, 0, 2]));
+
+      expect(() => readContextFile(tempDir, '../etc/passwd')).toThrow('outside project root');
+      expect(() => readContextFile(tempDir, 'missing.js')).toThrow('not found');
+      expect(() => readContextFile(tempDir, 'bin.dat')).toThrow('binary file');
+    });
+  });
+
+  describe('collectGitDiff', () => {
+    it('should split the working tree diff per file', () => {
+      write('a.js', 'one\n');
+      write('b.js', 'two\n');
+      git('init', '-q');
+      git('add', '.');
+      git('commit', '-q', '-m', 'init');
+      write('a.js', 'one changed\n');
+      write('b.js', 'two changed\n');
+
+      const diffs = collectGitDiff(tempDir, true);
+
+      expect(diffs.map(diff => diff.path)).toEqual(['a.js', 'b.js']);
+      expect(diffs[0].text).toContain('+one changed');
+    });
+
+    it('should reject refs that look like options', () => {
+      expect(() => collectGitDiff(tempDir, '--output=/tmp/x')).toThrow('Invalid diff ref');
+    });
+  });
+
+  describe('packContext', () => {
+    it('should list plain file names unless inlining is requested', () => {
+      const { sections, manifest } = packContext({ files: ['src/a.js'] }, { root: tempDir });
+
+      expect(sections.files).toBe('## Relevant Files\n\n- src/a.js\n\n');
+      expect(manifest.items).toEqual([
+        { type: 'file', path: 'src/a.js', status: ContextItemStatus.LISTED, tokens: 0, originalTokens: 0 }
+      ]);
+    });
+
+    it('should inline file contents and ranges', () => {
+      write('src/a.js', lines(5));
+
+      const { sections, manifest } = packContext({
+        files: [{ path: 'src/a.js', startLine: 2, endLine: 3 }]
+      }, { root: tempDir });
+
+      expect(sections.files).toContain('### src/a.js (lines 2-3)\n\n```js\nline 2\nline 3\n```');
+      expect(manifest.items[0]).toMatchObject({ type: 'file', status: 'included', startLine: 2, endLine: 3 });
+    });
+
+    it('should pack requirements, then diffs, then files within the budget', () => {
+      write('big.js', lines(2000));
+      write('small.js', lines(100));
+
+      const { sections, manifest } = packContext({
+        requirements: 'Must be fast',
+        files: ['big.js', 'small.js'],
+        inlineFiles: true,
+        maxContextTokens: 500
+      }, { root: tempDir });
+
+      const [requirements, big, small] = manifest.items;
+      expect(requirements).toMatchObject({ type: 'requirements', status: 'included' });
+      expect(big).toMatchObject({ path: 'big.js', status: 'truncated' });
+      expect(small).toMatchObject({ path: 'small.js', status: 'omitted', reason: 'context budget exhausted' });
+
+      expect(manifest.budgetTokens).toBe(500);
+      expect(manifest.usedTokens).toBeLessThanOrEqual(500);
+      expect(sections.files).toContain('truncated: showing');
+      expect(sections.files).toContain('- small.js (omitted: context budget exhausted)');
+      expect(sections.requirements).toBe('## Requirements\n\nMust be fast\n\n');
+    });
+
+    it('should record unreadable items as errors', () => {
+      const { sections, manifest } = packContext({ files: [{ path: 'missing.js' }] }, { root: tempDir });
+
+      expect(manifest.items[0]).toMatchObject({ path: 'missing.js', status: 'error', reason: 'not found' });
+      expect(sections.files).toContain('- missing.js (not included: not found)');
+    });
+
+    it('should record entries without a path as errors', () => {
+      const { sections, manifest } = packContext({ files: [null, { startLine: 1 }] }, { root: tempDir });
+
+      expect(manifest.items).toEqual([
+        expect.objectContaining({ path: 'null', status: 'error', reason: 'invalid entry (expected a path or { path })' }),
+        expect.objectContaining({ path: '{"startLine":1}', status: 'error' })
+      ]);
+      expect(sections.files).toContain('- null (not included: invalid entry');
+    });
+  });
+});
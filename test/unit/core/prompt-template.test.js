@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildTemplateData,
+  isTemplateEnabled,
+  renderTemplate
+} from '../../../lib/core/prompt-template.js';
+
+/**
+ * Agent Prompt Template Unit Tests
+ */
+
+describe('Prompt Templates', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-template-'));
+    fs.mkdirSync(path.join(tempDir, '.agentful'));
+    fs.writeFileSync(path.join(tempDir, '.agentful', 'architecture.json'), JSON.stringify({
+      version: '1.0',
+      techStack: { languages: ['TypeScript'], runtime: { name: 'node' } }
+    }));
+    fs.writeFileSync(path.join(tempDir, '.agentful', 'completion.json'), JSON.stringify({
+      features: { auth: { status: 'in_progress' } },
+      gates: { tests_passing: true, no_type_errors: false },
+      overall_progress: 40
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const render = (template, context = {}) => renderTemplate(
+    template,
+    buildTemplateData(tempDir, { agent: 'backend', task: 'Build login', context }),
+    { projectRoot: tempDir, agent: 'backend' }
+  );
+
+  it('should be opt-in via frontmatter or the executor option', () => {
+    expect(isTemplateEnabled({ template: true }, false)).toBe(true);
+    expect(isTemplateEnabled({ template: 'true' })).toBe(true);
+    expect(isTemplateEnabled({ template: false }, true)).toBe(false);
+    expect(isTemplateEnabled({}, true)).toBe(true);
+    expect(isTemplateEnabled({})).toBe(false);
+  });
+
+  it('should resolve built-in variables from state files', () => {
+    expect(render('{{agent}}: {{task}} for {{feature}} in {{techStack.runtime.name}} ({{progress}}%)', { feature: 'auth' }))
+      .toBe('backend: Build login for auth in node (40%)');
+  });
+
+  it('should let context.variables add and override variables', () => {
+    expect(render('{{feature}} / {{ticket}}', { feature: 'auth', variables: { ticket: 'AUTH-1', feature: 'login' } }))
+      .toBe('login / AUTH-1');
+  });
+
+  it('should not HTML-escape values', () => {
+    expect(render('{{snippet}}', { variables: { snippet: '<a href="x">' } })).toBe('<a href="x">');
+  });
+
+  it('should provide state, json and list helpers', () => {
+    expect(render('{{state "completion.json" "features.auth.status"}}')).toBe('in_progress');
+    expect(render('{{json gates}}')).toBe('{\n  "tests_passing": true,\n  "no_type_errors": false\n}');
+    expect(render('{{list techStack.languages}}')).toBe('- TypeScript');
+  });
+
+  it('should raise clear errors for unknown variables and state', () => {
+    expect(() => render('{{ticket}}')).toThrow(/Unknown template variable "ticket" in agent 'backend' template\. Available: agent, task/);
+    expect(() => render('{{state "secrets.json" "key"}}')).toThrow(/Unknown state file "secrets.json"/);
+    expect(() => render('{{state "completion.json" "features.billing"}}')).toThrow(/State value not found .*features\.billing/);
+    expect(() => render('{{#if}}')).toThrow(/Invalid agent 'backend' template/);
+  });
+});
@@ -0,0 +1,330 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import {
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  createProvider,
+  createHttpError
+} from '../../../lib/core/providers.js';
+
+/**
+ * HTTP Provider Unit Tests
+ *
+ * Runs providers against a local mock server so no network access is needed
+ */
+
+/**
+ * Start a mock HTTP server with a request handler
+ * @param {Function} handler - (req, res, body) handler
+ * @returns {Promise<{server: http.Server, baseUrl: string, requests: Object[]}>}
+ */
+function startMockServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      handler(req, res, body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, baseUrl: `http://127.0.0.1:${port}`, requests });
+    });
+  });
+}
+
+/**
+ * Write Anthropic-style SSE events
+ */
+function writeSSE(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+  res.end();
+}
+
+describe('AnthropicProvider', () => {
+  let mock;
+
+  afterEach(async () => {
+    if (mock) {
+      await new Promise(resolve => mock.server.close(resolve));
+      mock = null;
+    }
+  });
+
+  it('should stream text deltas and report usage', async () => {
+    mock = await startMockServer((req, res) => {
+      writeSSE(res, [
+        { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 12, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+        { type: 'ping' },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ', world' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } },
+        { type: 'message_stop' }
+      ]);
+    });
+
+    const provider = new AnthropicProvider({ apiKey: 'test-key', baseUrl: mock.baseUrl });
+    const chunks = [];
+
+    const result = await provider.execute('Say hello', { onText: (text) => chunks.push(text) });
+
+    expect(chunks).toEqual(['Hello', ', world']);
+    expect(result.output).toBe('Hello, world');
+    expect(result.model).toBe('claude-test');
+    expect(result.usage).toEqual({ inputTokens: 12, outputTokens: 5 });
+    expect(result.stopReason).toBe('end_turn');
+  });
+
+  it('should send Messages API request with auth headers', async () => {
+    mock = await startMockServer((req, res) => writeSSE(res, [{ type: 'message_stop' }]));
+
+    const provider = new AnthropicProvider({
+      apiKey: 'test-key',
+      baseUrl: `${mock.baseUrl}/`,
+      model: 'claude-custom',
+      maxOutputTokens: 100
+    });
+    await provider.execute('Prompt text');
+
+    const [request] = mock.requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/v1/messages');
+    expect(request.headers['x-api-key']).toBe('test-key');
+    expect(request.headers['anthropic-version']).toBe('2023-06-01');
+    expect(request.body).toEqual({
+      model: 'claude-custom',
+      max_tokens: 100,
+      stream: true,
+      messages: [{ role: 'user', content: 'Prompt text' }]
+    });
+  });
+
+  it('should throw error with status for rate limits', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '3' });
+      res.end(JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } }));
+    });
+
+    const provider = new AnthropicProvider({ apiKey: 'test-key', baseUrl: mock.baseUrl });
+
+    const error = await provider.execute('Prompt').catch(e => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.status).toBe(429);
+    expect(error.retryAfter).toBe(3);
+    expect(error.message).toContain('429');
+    expect(error.message).toContain('Slow down');
+  });
+
+  it('should throw on error events inside the stream', async () => {
+    mock = await startMockServer((req, res) => {
+      writeSSE(res, [
+        { type: 'message_start', message: { usage: { input_tokens: 1 } } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ]);
+    });
+
+    const provider = new AnthropicProvider({ apiKey: 'test-key', baseUrl: mock.baseUrl });
+
+    const error = await provider.execute('Prompt').catch(e => e);
+    expect(error.message).toContain('Overloaded');
+    expect(error.status).toBe(529);
+  });
+
+  it('should require an API key', async () => {
+    const provider = new AnthropicProvider({ baseUrl: 'http://127.0.0.1:1' });
+    provider.apiKey = undefined;
+    provider.authToken = undefined;
+
+    await expect(provider.execute('Prompt')).rejects.toThrow('ANTHROPIC_API_KEY');
+  });
+
+  it('should abort when signal fires', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': keep-alive\n\n');
+      // Never end the response
+    });
+
+    const provider = new AnthropicProvider({ apiKey: 'test-key', baseUrl: mock.baseUrl });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(provider.execute('Prompt', { signal: controller.signal })).rejects.toThrow();
+    mock.server.closeAllConnections();
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let mock;
+
+  afterEach(async () => {
+    if (mock) {
+      await new Promise(resolve => mock.server.close(resolve));
+      mock = null;
+    }
+  });
+
+  it('should stream chat completion deltas', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const chunks = [
+        { model: 'qwen', choices: [{ delta: { role: 'assistant' } }] },
+        { model: 'qwen', choices: [{ delta: { content: 'Hi' } }] },
+        { model: 'qwen', choices: [{ delta: { content: ' there' }, finish_reason: 'stop' }] },
+        { model: 'qwen', choices: [], usage: { prompt_tokens: 7, completion_tokens: 2 } }
+      ];
+      for (const chunk of chunks) {
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+    });
+
+    const provider = new OpenAICompatibleProvider({
+      apiKey: 'sk-local',
+      baseUrl: `${mock.baseUrl}/v1`,
+      model: 'qwen'
+    });
+    const chunks = [];
+    const result = await provider.execute('Prompt', { onText: (text) => chunks.push(text) });
+
+    expect(chunks).toEqual(['Hi', ' there']);
+    expect(result).toEqual({
+      output: 'Hi there',
+      model: 'qwen',
+      usage: { inputTokens: 7, outputTokens: 2 },
+      stopReason: 'stop'
+    });
+
+    const [request] = mock.requests;
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer sk-local');
+    expect(request.body.messages).toEqual([{ role: 'user', content: 'Prompt' }]);
+    expect(request.body.stream).toBe(true);
+  });
+
+  it('should require a model', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://127.0.0.1:1' });
+    provider.model = undefined;
+
+    await expect(provider.execute('Prompt')).rejects.toThrow('No model configured');
+  });
+
+  it('should surface HTTP errors with status', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'CUDA out of memory' } }));
+    });
+
+    const provider = new OpenAICompatibleProvider({ baseUrl: mock.baseUrl, model: 'llama' });
+    const error = await provider.execute('Prompt').catch(e => e);
+
+    expect(error.status).toBe(500);
+    expect(error.message).toContain('CUDA out of memory');
+  });
+});
+
+describe('OllamaProvider', () => {
+  let mock;
+
+  afterEach(async () => {
+    if (mock) {
+      await new Promise(resolve => mock.server.close(resolve));
+      mock = null;
+    }
+  });
+
+  it('should stream NDJSON chat responses', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(JSON.stringify({ model: 'llama3', message: { role: 'assistant', content: 'Local' }, done: false }) + '\n');
+      res.write(JSON.stringify({ model: 'llama3', message: { role: 'assistant', content: ' model' }, done: false }) + '\n');
+      res.end(JSON.stringify({ model: 'llama3', message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 20, eval_count: 3 }) + '\n');
+    });
+
+    const provider = new OllamaProvider({ baseUrl: mock.baseUrl, model: 'llama3', maxOutputTokens: 256 });
+    const result = await provider.execute('Prompt');
+
+    expect(result).toEqual({
+      output: 'Local model',
+      model: 'llama3',
+      usage: { inputTokens: 20, outputTokens: 3 },
+      stopReason: 'stop'
+    });
+
+    const [request] = mock.requests;
+    expect(request.url).toBe('/api/chat');
+    expect(request.body.options).toEqual({ num_predict: 256 });
+  });
+
+  it('should accept OLLAMA_HOST values without a scheme', () => {
+    const provider = new OllamaProvider({ baseUrl: 'gpu-box:11434', model: 'llama3' });
+    expect(provider.baseUrl).toBe('http://gpu-box:11434');
+  });
+
+  it('should throw on error lines', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.end(JSON.stringify({ error: 'model "nope" not found' }) + '\n');
+    });
+
+    const provider = new OllamaProvider({ baseUrl: mock.baseUrl, model: 'nope' });
+    await expect(provider.execute('Prompt')).rejects.toThrow('model "nope" not found');
+  });
+});
+
+describe('createProvider', () => {
+  it('should return custom provider instances unchanged', () => {
+    const custom = { execute: async () => ({ output: '' }) };
+    expect(createProvider({ provider: custom })).toBe(custom);
+  });
+
+  it('should build an Anthropic provider from executor options', () => {
+    const provider = createProvider({ apiKey: 'k', apiBaseUrl: 'http://localhost:9999', model: 'm' });
+    expect(provider).toBeInstanceOf(AnthropicProvider);
+    expect(provider.baseUrl).toBe('http://localhost:9999');
+    expect(provider.model).toBe('m');
+  });
+
+  it('should select providers by name', () => {
+    expect(createProvider({ provider: 'openai', model: 'x' })).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(createProvider({ provider: 'ollama', model: 'x' })).toBeInstanceOf(OllamaProvider);
+  });
+
+  it('should fall back to AGENTFUL_PROVIDER', () => {
+    const previous = process.env.AGENTFUL_PROVIDER;
+    process.env.AGENTFUL_PROVIDER = 'ollama';
+    try {
+      expect(createProvider({ model: 'x' })).toBeInstanceOf(OllamaProvider);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.AGENTFUL_PROVIDER;
+      } else {
+        process.env.AGENTFUL_PROVIDER = previous;
+      }
+    }
+  });
+
+  it('should reject unknown provider names', () => {
+    expect(() => createProvider({ provider: 'bard' })).toThrow('Unknown provider: bard');
+  });
+});
+
+describe('createHttpError', () => {
+  it('should include status and plain text body', async () => {
+    const response = new Response('upstream exploded', { status: 503, statusText: 'Service Unavailable' });
+    const error = await createHttpError(response);
+
+    expect(error.status).toBe(503);
+    expect(error.message).toBe('API error: 503 Service Unavailable - upstream exploded');
+  });
+});
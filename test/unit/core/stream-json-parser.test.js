@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { StreamJsonParser, StreamEventType } from '../../../lib/core/stream-json-parser.js';
+
+/**
+ * Stream JSON Parser Unit Tests
+ *
+ * Covers conversion of `claude --output-format stream-json` lines into typed events
+ */
+
+const line = (message) => JSON.stringify(message) + '\n';
+
+describe('StreamJsonParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new StreamJsonParser();
+  });
+
+  it('should parse system init and capture session id', () => {
+    const events = parser.parse(line({ type: 'system', subtype: 'init', session_id: 'sess-1', model: 'claude-test', tools: ['Read'] }));
+
+    expect(events).toEqual([{
+      type: StreamEventType.SYSTEM,
+      subtype: 'init',
+      sessionId: 'sess-1',
+      model: 'claude-test',
+      tools: ['Read']
+    }]);
+    expect(parser.sessionId).toBe('sess-1');
+  });
+
+  it('should emit text and tool_use events from assistant messages', () => {
+    const events = parser.parse(line({
+      type: 'assistant',
+      message: {
+        content: [
+          { type: 'text', text: 'Reading the file' },
+          { type: 'tool_use', id: 'tool-1', name: 'Read', input: { file_path: 'a.js' } }
+        ]
+      }
+    }));
+
+    expect(events).toEqual([
+      { type: StreamEventType.TEXT, text: 'Reading the file' },
+      { type: StreamEventType.TOOL_USE, id: 'tool-1', name: 'Read', input: { file_path: 'a.js' } }
+    ]);
+  });
+
+  it('should emit tool_result events with flattened content', () => {
+    const events = parser.parse(line({
+      type: 'user',
+      message: {
+        content: [
+          { type: 'tool_result', tool_use_id: 'tool-1', content: [{ type: 'text', text: 'line 1' }, { type: 'text', text: '\nline 2' }] },
+          { type: 'tool_result', tool_use_id: 'tool-2', content: 'not found', is_error: true }
+        ]
+      }
+    }));
+
+    expect(events).toEqual([
+      { type: StreamEventType.TOOL_RESULT, toolUseId: 'tool-1', content: 'line 1\nline 2', isError: false },
+      { type: StreamEventType.TOOL_RESULT, toolUseId: 'tool-2', content: 'not found', isError: true }
+    ]);
+  });
+
+  it('should parse the final result with usage and cost', () => {
+    parser.parse(line({ type: 'system', subtype: 'init', session_id: 'sess-2', model: 'claude-test' }));
+    const [result] = parser.parse(line({
+      type: 'result',
+      subtype: 'success',
+      is_error: false,
+      result: 'Done',
+      duration_ms: 1200,
+      num_turns: 3,
+      total_cost_usd: 0.0123,
+      usage: { input_tokens: 100, output_tokens: 40, cache_read_input_tokens: 10 },
+      session_id: 'sess-2'
+    }));
+
+    expect(result).toEqual({
+      type: StreamEventType.RESULT,
+      subtype: 'success',
+      isError: false,
+      text: 'Done',
+      usage: { inputTokens: 100, outputTokens: 40, cacheReadInputTokens: 10, cacheCreationInputTokens: 0 },
+      costUsd: 0.0123,
+      durationMs: 1200,
+      numTurns: 3,
+      sessionId: 'sess-2',
+      model: 'claude-test'
+    });
+    expect(parser.result).toBe(result);
+  });
+
+  it('should not treat questions or error text in assistant output as events', () => {
+    const events = parser.parse(line({
+      type: 'assistant',
+      message: { content: [{ type: 'text', text: 'Error: handling looks fine. Should I continue?' }] }
+    }));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe(StreamEventType.TEXT);
+  });
+
+  it('should report cumulative usage once per assistant message', () => {
+    const usage = { input_tokens: 100, output_tokens: 10, cache_read_input_tokens: 50 };
+    parser.parse(line({ type: 'assistant', message: { id: 'msg-1', usage, content: [{ type: 'text', text: 'a' }] } }));
+    parser.parse(line({ type: 'assistant', message: { id: 'msg-1', usage, content: [{ type: 'tool_use', id: 't', name: 'Read' }] } }));
+
+    const events = parser.parse(line({
+      type: 'assistant',
+      message: { id: 'msg-2', usage: { input_tokens: 200, output_tokens: 5 }, content: [] }
+    }));
+
+    expect(events).toEqual([{
+      type: StreamEventType.USAGE,
+      usage: { inputTokens: 300, outputTokens: 15, cacheReadInputTokens: 50, cacheCreationInputTokens: 0 }
+    }]);
+  });
+
+  it('should buffer partial lines across chunks', () => {
+    const json = line({ type: 'assistant', message: { content: [{ type: 'text', text: 'split' }] } });
+
+    expect(parser.parse(json.slice(0, 20))).toEqual([]);
+    expect(parser.parse(json.slice(20))).toEqual([{ type: StreamEventType.TEXT, text: 'split' }]);
+  });
+
+  it('should flush a trailing line without newline', () => {
+    parser.parse(JSON.stringify({ type: 'result', subtype: 'success', result: 'ok' }));
+
+    const events = parser.flush();
+    expect(events).toHaveLength(1);
+    expect(events[0].text).toBe('ok');
+  });
+
+  it('should pass non-JSON lines through as raw events', () => {
+    expect(parser.parse('Warning: something\n')).toEqual([
+      { type: StreamEventType.RAW, text: 'Warning: something\n' }
+    ]);
+  });
+
+  it('should reset state', () => {
+    parser.parse(line({ type: 'system', session_id: 'sess-3' }) + '{"partial');
+    parser.reset();
+
+    expect(parser.sessionId).toBeNull();
+    expect(parser.flush()).toEqual([]);
+  });
+});
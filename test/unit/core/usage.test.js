@@ -0,0 +1,248 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  estimateTokens,
+  getModelPricing,
+  estimateCost,
+  buildUsageRecord,
+  recordUsage,
+  summarizeUsage,
+  getUsageSummary,
+  MAX_RECORDS_PER_AGENT
+} from '../../../lib/core/usage.js';
+
+/**
+ * Usage & Cost Accounting Unit Tests
+ */
+
+function makeContext(overrides = {}) {
+  return {
+    id: 'exec-1',
+    agent: 'backend',
+    startTime: 1000,
+    endTime: 3000,
+    output: '',
+    ...overrides
+  };
+}
+
+describe('pricing', () => {
+  it('should match the longest model prefix', () => {
+    expect(getModelPricing('claude-opus-4-5-20251101').input).toBe(5);
+    expect(getModelPricing('claude-opus-4-1-20250805').input).toBe(15);
+    expect(getModelPricing('claude-sonnet-4-5').output).toBe(15);
+    expect(getModelPricing('gpt-4o')).toBeNull();
+  });
+
+  it('should compute cost per million tokens including cache tokens', () => {
+    const cost = estimateCost(
+      { inputTokens: 1_000_000, outputTokens: 100_000, cacheReadInputTokens: 1_000_000 },
+      'claude-sonnet-4-5'
+    );
+    expect(cost).toBeCloseTo(3 + 1.5 + 0.3, 6);
+  });
+
+  it('should honor custom price tables', () => {
+    const pricing = { 'qwen': { input: 0.1, output: 0.2 } };
+    expect(estimateCost({ inputTokens: 1_000_000, outputTokens: 1_000_000 }, 'qwen2.5-coder', pricing)).toBeCloseTo(0.3, 6);
+  });
+
+  it('should return null for unknown models', () => {
+    expect(estimateCost({ inputTokens: 10 }, 'mystery-model')).toBeNull();
+  });
+
+  it('should estimate tokens from text length', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('12345678')).toBe(2);
+  });
+});
+
+describe('buildUsageRecord', () => {
+  it('should use reported usage and cost', () => {
+    const record = buildUsageRecord({
+      execContext: makeContext(),
+      result: { output: 'ok', model: 'claude-sonnet-4-5', usage: { inputTokens: 100, outputTokens: 50 }, costUsd: 0.02 },
+      prompt: 'prompt',
+      context: { feature: 'auth/login' },
+      options: { mode: 'subprocess' }
+    });
+
+    expect(record).toMatchObject({
+      execution_id: 'exec-1',
+      agent: 'backend',
+      feature: 'auth/login',
+      duration_ms: 2000,
+      success: true,
+      model: 'claude-sonnet-4-5',
+      input_tokens: 100,
+      output_tokens: 50,
+      cost_usd: 0.02,
+      estimated: false
+    });
+  });
+
+  it('should estimate usage when none is reported', () => {
+    const record = buildUsageRecord({
+      execContext: makeContext({ output: 'x'.repeat(40) }),
+      result: null,
+      prompt: 'p'.repeat(400),
+      options: { mode: 'subprocess', model: 'claude-sonnet-4-5' }
+    });
+
+    expect(record.estimated).toBe(true);
+    expect(record.success).toBe(false);
+    expect(record.input_tokens).toBe(100);
+    expect(record.output_tokens).toBe(10);
+    expect(record.cost_usd).toBeCloseTo((100 * 3 + 10 * 15) / 1_000_000, 9);
+  });
+
+  it('should use observed usage when the result has none', () => {
+    const built = buildUsageRecord({
+      execContext: makeContext(),
+      result: null,
+      options: { mode: 'subprocess' },
+      usage: { inputTokens: 70, outputTokens: 7, costUsd: 0.03 }
+    });
+
+    expect(built).toMatchObject({ input_tokens: 70, output_tokens: 7, cost_usd: 0.03, estimated: false, success: false });
+  });
+
+  it('should treat local providers as free', () => {
+    const record = buildUsageRecord({
+      execContext: makeContext(),
+      result: { output: '', provider: 'ollama', model: 'llama3', usage: { inputTokens: 5, outputTokens: 5 } },
+      options: { mode: 'api' }
+    });
+
+    expect(record.cost_usd).toBe(0);
+  });
+});
+
+describe('recordUsage', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-usage-'));
+    fs.mkdirSync(path.join(tempDir, '.agentful'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const record = (overrides = {}) => ({
+    execution_id: 'id',
+    agent: 'backend',
+    feature: 'auth/login',
+    timestamp: '2026-01-20T10:00:00.000Z',
+    duration_ms: 1000,
+    input_tokens: 100,
+    output_tokens: 10,
+    cost_usd: 0.5,
+    ...overrides
+  });
+
+  const readMetrics = () =>
+    JSON.parse(fs.readFileSync(path.join(tempDir, '.agentful', 'agent-metrics.json'), 'utf-8'));
+
+  it('should create agent-metrics.json and append records under invocations', () => {
+    const result = recordUsage(tempDir, record());
+    expect(result.success).toBe(true);
+
+    const metrics = readMetrics();
+    expect(metrics.invocations.backend).toMatchObject({
+      count: 1,
+      average_duration_ms: 1000,
+      input_tokens: 100,
+      output_tokens: 10,
+      cost_usd: 0.5
+    });
+    expect(metrics.invocations.backend.executions).toHaveLength(1);
+    expect(metrics.last_invocation).toEqual({
+      agent: 'backend',
+      timestamp: '2026-01-20T10:00:00.000Z',
+      feature: 'auth/login'
+    });
+  });
+
+  it('should keep running totals and averages', () => {
+    recordUsage(tempDir, record());
+    recordUsage(tempDir, record({ duration_ms: 3000, cost_usd: 0.25 }));
+
+    const entry = readMetrics().invocations.backend;
+    expect(entry.count).toBe(2);
+    expect(entry.average_duration_ms).toBe(2000);
+    expect(entry.cost_usd).toBe(0.75);
+  });
+
+  it('should preserve existing invocation fields', () => {
+    fs.writeFileSync(path.join(tempDir, '.agentful', 'agent-metrics.json'), JSON.stringify({
+      invocations: { backend: { count: 4, last_invoked: '2026-01-01T00:00:00.000Z', average_duration_ms: 500 } },
+      last_invocation: null,
+      feature_hooks: [{ feature: 'x', hook: 'pre_implementation' }]
+    }));
+
+    recordUsage(tempDir, record({ duration_ms: 1500 }));
+
+    const metrics = readMetrics();
+    expect(metrics.invocations.backend.count).toBe(5);
+    expect(metrics.invocations.backend.average_duration_ms).toBe(700);
+    expect(metrics.feature_hooks).toHaveLength(1);
+  });
+
+  it('should cap stored execution records per agent', () => {
+    const metricsPath = path.join(tempDir, '.agentful', 'agent-metrics.json');
+    fs.writeFileSync(metricsPath, JSON.stringify({
+      invocations: {
+        backend: { count: MAX_RECORDS_PER_AGENT, executions: Array.from({ length: MAX_RECORDS_PER_AGENT }, (_, i) => ({ execution_id: `old-${i}` })) }
+      }
+    }));
+
+    recordUsage(tempDir, record({ execution_id: 'newest' }));
+
+    const executions = readMetrics().invocations.backend.executions;
+    expect(executions).toHaveLength(MAX_RECORDS_PER_AGENT);
+    expect(executions[0].execution_id).toBe('old-1');
+    expect(executions.at(-1).execution_id).toBe('newest');
+  });
+
+  it('should keep daily totals', () => {
+    recordUsage(tempDir, record());
+    recordUsage(tempDir, record({ timestamp: '2026-01-21T09:00:00.000Z', cost_usd: 0.25 }));
+    recordUsage(tempDir, record({ timestamp: '2026-01-21T23:00:00.000Z', cost_usd: 0.25 }));
+
+    const daily = readMetrics().daily_usage;
+    expect(daily['2026-01-20']).toEqual({ count: 1, input_tokens: 100, output_tokens: 10, cost_usd: 0.5 });
+    expect(daily['2026-01-21'].count).toBe(2);
+    expect(daily['2026-01-21'].cost_usd).toBe(0.5);
+  });
+
+  it('should skip projects without .agentful', () => {
+    fs.rmSync(path.join(tempDir, '.agentful'), { recursive: true });
+    expect(recordUsage(tempDir, record()).success).toBe(false);
+    expect(fs.existsSync(path.join(tempDir, '.agentful'))).toBe(false);
+  });
+
+  it('should roll up usage per agent and per feature', () => {
+    recordUsage(tempDir, record());
+    recordUsage(tempDir, record({ agent: 'frontend', cost_usd: 0.25 }));
+    recordUsage(tempDir, record({ agent: 'frontend', feature: 'dashboard', cost_usd: 1 }));
+
+    const summary = getUsageSummary(tempDir);
+
+    expect(summary.total).toEqual({ count: 3, input_tokens: 300, output_tokens: 30, cost_usd: 1.75 });
+    expect(summary.agents.frontend.count).toBe(2);
+    expect(summary.features['auth/login']).toMatchObject({ count: 2, cost_usd: 0.75, agents: { backend: 1, frontend: 1 } });
+    expect(summary.features.dashboard.cost_usd).toBe(1);
+  });
+
+  it('should summarize empty metrics', () => {
+    expect(summarizeUsage({ invocations: {} })).toEqual({
+      total: { count: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 },
+      agents: {},
+      features: {}
+    });
+  });
+});
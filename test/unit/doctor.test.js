@@ -0,0 +1,111 @@
+/**
+ * Unit tests for doctor module
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { CheckStatus, extractHookScripts, formatDoctorResults, runDoctor } from '../../lib/doctor.js';
+import { CURRENT_SCHEMA_VERSION, STATE_SCHEMAS, getDefaultState } from '../../lib/state-validator.js';
+import { presets } from '../../lib/presets.js';
+
+describe('doctor', () => {
+  let tempDir;
+  const mcpInstalled = () => ({ ok: true, installed: true });
+
+  const writeJSON = (relative, data) => {
+    const filePath = path.join(tempDir, relative);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  };
+
+  const writeHealthyProject = () => {
+    for (const [fileName, schema] of Object.entries(STATE_SCHEMAS)) {
+      if (!schema.optional) {
+        writeJSON(path.join('.agentful', fileName), getDefaultState(fileName));
+      }
+    }
+    for (const agent of presets.minimal.agents) {
+      writeJSON(path.join('.claude', 'agents', `${agent}.md`), `# ${agent}`);
+    }
+    writeJSON(path.join('.claude', 'settings.json'), {
+      hooks: {
+        SessionStart: [{ hooks: [{ type: 'command', command: 'node bin/hooks/health-check.js' }] }]
+      }
+    });
+    writeJSON(path.join('bin', 'hooks', 'health-check.js'), '// hook');
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-doctor-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should pass a healthy project', () => {
+    writeHealthyProject();
+
+    const results = runDoctor(tempDir, { preset: 'minimal', mcpState: mcpInstalled });
+
+    expect(results.ok).toBe(true);
+    expect(results.checks.map(check => [check.check, check.status])).toEqual([
+      ['hooks', CheckStatus.OK],
+      ['agents', CheckStatus.OK],
+      ['mcp', CheckStatus.OK]
+    ]);
+    expect(formatDoctorResults(results)).toContain('✅ All state files are valid');
+  });
+
+  it('should report broken state, missing hooks, agents and MCP server', () => {
+    writeHealthyProject();
+    writeJSON('.agentful/state.json', '{ broken');
+    fs.rmSync(path.join(tempDir, 'bin'), { recursive: true });
+    fs.rmSync(path.join(tempDir, '.claude', 'agents', 'orchestrator.md'));
+
+    const results = runDoctor(tempDir, { preset: 'minimal', mcpState: () => ({ ok: true, installed: false }) });
+
+    expect(results.ok).toBe(false);
+    expect(results.state.valid).toBe(false);
+    expect(results.checks).toEqual([
+      expect.objectContaining({ check: 'hooks', status: CheckStatus.ERROR, message: expect.stringContaining(path.join('bin', 'hooks', 'health-check.js')) }),
+      expect.objectContaining({ check: 'agents', status: CheckStatus.WARNING, message: expect.stringContaining('orchestrator') }),
+      expect.objectContaining({ check: 'mcp', status: CheckStatus.WARNING, hint: expect.stringContaining('claude mcp add agentful') })
+    ]);
+    // Nothing is changed without fix
+    expect(fs.readFileSync(path.join(tempDir, '.agentful', 'state.json'), 'utf-8')).toBe('{ broken');
+  });
+
+  it('should recover state files with backups and restore hook scripts', () => {
+    writeHealthyProject();
+    writeJSON('.agentful/state.json', '{ broken');
+    writeJSON('.agentful/decisions.json', { pending: [], resolved: [] });
+    fs.rmSync(path.join(tempDir, 'bin'), { recursive: true });
+
+    const results = runDoctor(tempDir, { fix: true, preset: 'minimal', mcpState: mcpInstalled });
+
+    expect(results.ok).toBe(true);
+    expect(results.state.recovered).toHaveLength(2);
+    expect(results.checks[0]).toMatchObject({ check: 'hooks', status: CheckStatus.FIXED });
+    expect(fs.existsSync(path.join(tempDir, 'bin', 'hooks', 'health-check.js'))).toBe(true);
+
+    const backups = fs.readdirSync(path.join(tempDir, '.agentful')).filter(file => file.includes('.backup-'));
+    expect(backups.map(file => file.split('.backup-')[0]).sort()).toEqual(['decisions.json', 'state.json']);
+
+    const decisions = JSON.parse(fs.readFileSync(path.join(tempDir, '.agentful', 'decisions.json'), 'utf-8'));
+    // Migrated to the current layout rather than patched
+    expect(decisions).toEqual({ _schema_version: CURRENT_SCHEMA_VERSION, decisions: [], lastUpdated: expect.any(String) });
+    expect(runDoctor(tempDir, { preset: 'minimal', mcpState: mcpInstalled }).ok).toBe(true);
+  });
+
+  it('should find the scripts a hook command runs', () => {
+    expect(extractHookScripts('node bin/hooks/health-check.js --quiet', tempDir))
+      .toEqual([path.join(tempDir, 'bin', 'hooks', 'health-check.js')]);
+    expect(extractHookScripts('"$CLAUDE_PROJECT_DIR"/.claude/hooks/check.sh', tempDir))
+      .toEqual([path.join(tempDir, '.claude', 'hooks', 'check.sh')]);
+    expect(extractHookScripts('npx eslint .', tempDir)).toEqual([]);
+    expect(() => runDoctor(tempDir, { preset: 'nope', mcpState: mcpInstalled })).toThrow('Unknown preset');
+  });
+});
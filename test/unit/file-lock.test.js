@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { acquireLock, acquireLockSync, lockPathFor, withLock, withLockSync } from '../../lib/file-lock.js';
+import { getDefaultState, updateStateFile } from '../../lib/state-validator.js';
+
+/**
+ * File Lock Unit Tests
+ *
+ * Covers O_EXCL lockfiles, stale lock takeover and updates racing across processes
+ */
+
+const LIB_DIR = path.resolve(import.meta.dirname, '../../lib');
+
+/**
+ * Run an ES module snippet in a separate node process
+ */
+function runNode(source) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', source], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`node exited with ${code}: ${stderr}`))));
+  });
+}
+
+describe('file-lock', () => {
+  let testDir;
+  let filePath;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lock-test-'));
+    filePath = path.join(testDir, 'completion.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should create the lockfile exclusively and remove it on release', async () => {
+    const lock = await acquireLock(filePath);
+
+    const holder = JSON.parse(await fs.readFile(lockPathFor(filePath), 'utf8'));
+    expect(holder).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+
+    await expect(acquireLock(filePath, { timeout: 100, retryInterval: 10 }))
+      .rejects.toMatchObject({ code: 'ELOCKED', message: expect.stringContaining(`held by process ${process.pid}`) });
+    expect(() => acquireLockSync(filePath, { timeout: 50, retryInterval: 10 })).toThrow('Timed out after 50ms');
+
+    await lock.release();
+    await expect(fs.access(lockPathFor(filePath))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should take over locks of dead processes and old locks', async () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    await fs.writeFile(lockPathFor(filePath), JSON.stringify({ pid: deadPid, hostname: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+    const lock = await acquireLock(filePath, { timeout: 500 });
+    await lock.release();
+
+    // Live holder, but older than `stale`
+    await fs.writeFile(lockPathFor(filePath), JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date(Date.now() - 5000).toISOString() }));
+    expect(withLockSync(filePath, () => 'taken over', { timeout: 500, stale: 1000 })).toBe('taken over');
+  });
+
+  it('should release the lock when the function throws', async () => {
+    await expect(withLock(filePath, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(() => withLockSync(filePath, () => { throw new Error('boom'); })).toThrow('boom');
+
+    await expect(fs.access(lockPathFor(filePath))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should fail updateStateFile while another process holds the lock', async () => {
+    await fs.mkdir(path.join(testDir, '.agentful'));
+    const statePath = path.join(testDir, '.agentful', 'state.json');
+    await fs.writeFile(statePath, JSON.stringify(getDefaultState('state.json')));
+    await fs.writeFile(lockPathFor(statePath), JSON.stringify({ pid: 1, hostname: 'other-host', acquiredAt: new Date().toISOString() }));
+
+    const result = updateStateFile(testDir, 'state.json', { current_task: 'blocked' }, { lock: { timeout: 100 } });
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('held by process 1');
+
+    expect(updateStateFile(testDir, 'state.json', { current_task: 'unlocked' }, { lock: false }).success).toBe(true);
+  });
+
+  it('should not lose atomicUpdate increments from parallel processes', async () => {
+    const counterPath = path.join(testDir, 'counter.txt');
+    await fs.writeFile(counterPath, '0');
+
+    const source = `
+      import { atomicUpdate } from ${JSON.stringify(pathToFileURL(path.join(LIB_DIR, 'atomic.js')).href)};
+      for (let i = 0; i < 15; i++) {
+        await atomicUpdate(${JSON.stringify(counterPath)}, content => String(Number(content) + 1), { lock: { retryInterval: 5 } });
+      }
+    `;
+    await Promise.all([runNode(source), runNode(source), runNode(source)]);
+
+    expect(await fs.readFile(counterPath, 'utf8')).toBe('45');
+  });
+
+  it('should not lose updateStateFile updates from parallel processes', async () => {
+    await fs.mkdir(path.join(testDir, '.agentful'));
+    await fs.writeFile(path.join(testDir, '.agentful', 'completion.json'), JSON.stringify(getDefaultState('completion.json')));
+
+    const source = (worker) => `
+      import { updateStateFile } from ${JSON.stringify(pathToFileURL(path.join(LIB_DIR, 'state-validator.js')).href)};
+      for (let i = 0; i < 10; i++) {
+        const result = updateStateFile(${JSON.stringify(testDir)}, 'completion.json', current => ({
+          ...current,
+          features: { ...current.features, ['${worker}-' + i]: { status: 'pending', progress: 0 } }
+        }), { lock: { retryInterval: 5 } });
+        if (!result.success) throw new Error(result.message);
+      }
+    `;
+    await Promise.all([runNode(source('a')), runNode(source('b'))]);
+
+    const completion = JSON.parse(await fs.readFile(path.join(testDir, '.agentful', 'completion.json'), 'utf8'));
+    expect(Object.keys(completion.features)).toHaveLength(20);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  listPipelineDefinitions,
+  loadPipelineDefinition,
+  parsePipelineDefinition,
+  validatePipelineDefinition
+} from '../../../lib/pipeline/definition.js';
+
+/**
+ * Pipeline Definition Unit Tests
+ */
+
+describe('Pipeline Definitions', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-pipeline-def-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const stage = (id, extra = {}) => ({ id, agent: 'backend', task: `Do ${id}`, ...extra });
+
+  it('should normalize dependencies and compute a topological order', () => {
+    const definition = validatePipelineDefinition({
+      name: 'delivery',
+      stages: [
+        stage('review', { depends_on: ['api', 'ui'] }),
+        stage('api'),
+        stage('ui', { depends_on: 'api' })
+      ]
+    });
+
+    expect(definition.stages.find(s => s.id === 'ui').depends_on).toEqual(['api']);
+    expect(definition.order).toEqual(['api', 'ui', 'review']);
+    expect(definition.variables).toEqual({});
+  });
+
+  it('should report schema errors', () => {
+    expect(() => validatePipelineDefinition({ name: 'x', stages: [{ id: 'a', agent: 'b' }] }))
+      .toThrow(/\/stages\/0: must have required property 'task'/);
+    expect(() => validatePipelineDefinition({ name: 'x', stages: [stage('a', { retries: -1 })] }))
+      .toThrow(/\/stages\/0\/retries: must be >= 0/);
+  });
+
+  it('should reject duplicate ids, unknown dependencies, cycles and bad conditions', () => {
+    expect(() => validatePipelineDefinition({ name: 'x', stages: [stage('a'), stage('a')] }))
+      .toThrow("duplicate stage id 'a'");
+    expect(() => validatePipelineDefinition({ name: 'x', stages: [stage('a', { depends_on: ['b'] })] }))
+      .toThrow("stage 'a' depends on unknown stage 'b'");
+    expect(() => validatePipelineDefinition({
+      name: 'x',
+      stages: [stage('a', { depends_on: ['b'] }), stage('b', { depends_on: ['a'] })]
+    })).toThrow('dependency cycle between stages: a, b');
+    expect(() => validatePipelineDefinition({ name: 'x', stages: [stage('a', { if: 'success(' })] }))
+      .toThrow("stage 'a' has an invalid condition");
+  });
+
+  it('should require a dependency on stages referenced in conditions and tasks', () => {
+    expect(() => validatePipelineDefinition({
+      name: 'x',
+      stages: [stage('a'), stage('b'), stage('c', { depends_on: ['b'], task: 'Use ${{ stages.a.data.summary }}' })]
+    })).toThrow("stage 'c' references stages.a but does not depend on it");
+
+    expect(() => validatePipelineDefinition({
+      name: 'x',
+      stages: [stage('a'), stage('b', { depends_on: ['a'] }), stage('c', { depends_on: ['b'], if: 'stages.a.data.ok' })]
+    })).not.toThrow();
+  });
+
+  it('should reject stage output and errors interpolated into tasks', () => {
+    expect(() => validatePipelineDefinition({
+      name: 'x',
+      stages: [stage('a'), stage('b', { depends_on: ['a'], task: 'Fix ${{ stages.a.output }} and ${{ stages.a.error }}' })]
+    })).toThrow(
+      "stage 'b' interpolates stages.a.output into its task; dependency output is passed to the agent as requirements instead\n" +
+      "- stage 'b' interpolates stages.a.error into its task"
+    );
+
+    expect(() => validatePipelineDefinition({
+      name: 'x',
+      stages: [stage('a'), stage('b', { depends_on: ['a'], if: "stages.a.output != ''", task: 'Fix ${{ stages.a.data.file }}' })]
+    })).not.toThrow();
+  });
+
+  it('should parse YAML and load named definitions from .agentful/pipelines', () => {
+    const dir = path.join(tempDir, '.agentful', 'pipelines');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'delivery.yml'), [
+      'name: delivery',
+      'variables:',
+      '  feature: auth',
+      'stages:',
+      '  - id: api',
+      '    agent: backend',
+      '    task: Build ${{ variables.feature }}'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'review.json'), JSON.stringify({ name: 'review', stages: [stage('a')] }));
+
+    const definition = loadPipelineDefinition('delivery', tempDir);
+
+    expect(definition.variables).toEqual({ feature: 'auth' });
+    expect(definition.source).toBe(path.join(dir, 'delivery.yml'));
+    expect(loadPipelineDefinition('.agentful/pipelines/review.json', tempDir).name).toBe('review');
+    expect(listPipelineDefinitions(tempDir)).toEqual(['delivery', 'review']);
+    expect(() => loadPipelineDefinition('missing', tempDir)).toThrow('Pipeline not found: missing');
+  });
+
+  it('should name the source in parse errors', () => {
+    expect(() => parsePipelineDefinition('name: [', 'bad.yml')).toThrow(/^Cannot parse bad.yml/);
+    expect(() => parsePipelineDefinition('name: x\nstages: []', 'empty.yml')).toThrow(/^empty.yml: Invalid pipeline definition/);
+  });
+});
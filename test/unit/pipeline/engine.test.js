@@ -0,0 +1,237 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PipelineEngine } from '../../../lib/pipeline/engine.js';
+import { RunStatus, StageStatus } from '../../../lib/pipeline/run-store.js';
+
+/**
+ * Pipeline Engine Unit Tests
+ *
+ * Uses a fake executor that answers each execution through a handler
+ */
+
+class FakeExecutor extends EventEmitter {
+  constructor(handler) {
+    super();
+    this.handler = handler;
+    this.calls = [];
+    this.running = 0;
+    this.maxRunning = 0;
+    this.pending = new Map();
+  }
+
+  async execute(agent, task, context, options) {
+    this.calls.push({ agent, task, context, options });
+    this.running++;
+    this.maxRunning = Math.max(this.maxRunning, this.running);
+    try {
+      await new Promise(resolve => setImmediate(resolve));
+      return await this.handler({ agent, task, context, options }, this);
+    } finally {
+      this.running--;
+    }
+  }
+
+  cancel(executionId) {
+    const pending = this.pending.get(executionId);
+    if (!pending) {
+      return false;
+    }
+    pending(new Error('Execution cancelled'));
+    return true;
+  }
+}
+
+const stage = (id, extra = {}) => ({ id, agent: id, task: `Do ${id}`, ...extra });
+
+describe('PipelineEngine', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-pipeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createEngine = (handler) => {
+    const executor = new FakeExecutor(handler);
+    const engine = new PipelineEngine({ projectRoot: tempDir, executor, concurrency: 4 });
+    return { engine, executor };
+  };
+
+  it('should run independent stages in parallel and dependents after them', async () => {
+    const { engine, executor } = createEngine(({ agent }) => ({ output: `${agent} done`, data: null }));
+
+    const run = await engine.run({
+      name: 'delivery',
+      variables: { feature: 'auth' },
+      stages: [
+        stage('api', { task: 'Build ${{ variables.feature }} API' }),
+        stage('ui'),
+        stage('review', { depends_on: ['api', 'ui'], task: 'Review: ${{ stages.api.status }}' })
+      ]
+    });
+
+    expect(run.status).toBe(RunStatus.COMPLETED);
+    expect(executor.maxRunning).toBe(2);
+    expect(executor.calls.map(call => call.task)).toEqual(['Build auth API', 'Do ui', 'Review: completed']);
+    expect(executor.calls[0].context).toEqual({ feature: 'auth', variables: { feature: 'auth' } });
+    expect(run.stages.review).toMatchObject({ status: StageStatus.COMPLETED, attempts: 1, output: 'review done' });
+  });
+
+  it('should pass dependency output through context instead of the task', async () => {
+    const review = 'Found issues:\n```js\nconst x = `${a}`;\n```\nRun $(npm test) after fixing';
+    const { engine, executor } = createEngine(({ agent }) => ({
+      output: agent === 'review' ? review : '',
+      data: agent === 'review' ? { approved: false } : null
+    }));
+
+    const run = await engine.run({
+      name: 'review-fix',
+      stages: [
+        stage('review'),
+        stage('fix', {
+          depends_on: ['review'],
+          if: 'stages.review.data.approved == false',
+          task: 'Fix the issues the review found',
+          context: { requirements: 'Keep the public API' }
+        })
+      ]
+    });
+
+    expect(run.status).toBe(RunStatus.COMPLETED);
+    const fix = executor.calls.find(call => call.agent === 'fix');
+    expect(fix.task).toBe('Fix the issues the review found');
+    expect(fix.context.requirements).toBe(`Keep the public API\n\n### Output of stage review\n\n${review}`);
+  });
+
+  it('should respect the pipeline concurrency', async () => {
+    const { engine, executor } = createEngine(() => ({ output: '' }));
+
+    await engine.run({ name: 'fan-out', concurrency: 1, stages: [stage('a'), stage('b'), stage('c')] });
+
+    expect(executor.maxRunning).toBe(1);
+    expect(executor.calls).toHaveLength(3);
+  });
+
+  it('should evaluate conditions against stage results', async () => {
+    const { engine, executor } = createEngine(({ agent }) => ({ output: '', data: agent === 'review' ? { approved: true } : null }));
+    const skipped = [];
+    engine.on('stage_skipped', event => skipped.push(event));
+
+    const run = await engine.run({
+      name: 'review',
+      stages: [
+        stage('review'),
+        stage('fix', { depends_on: ['review'], if: 'stages.review.data.approved == false' }),
+        stage('ship', { depends_on: ['fix'] }),
+        stage('notify', { depends_on: ['fix'], if: 'always()' })
+      ]
+    });
+
+    expect(run.status).toBe(RunStatus.COMPLETED);
+    expect(run.stages.fix).toMatchObject({ status: StageStatus.SKIPPED, reason: 'condition' });
+    expect(run.stages.ship).toMatchObject({ status: StageStatus.SKIPPED, reason: 'dependency' });
+    expect(run.stages.notify.status).toBe(StageStatus.COMPLETED);
+    expect(skipped.map(event => event.stageId)).toEqual(['fix', 'ship']);
+    expect(executor.calls.map(call => call.agent)).toEqual(['review', 'notify']);
+  });
+
+  it('should retry failed stages and run failure handlers', async () => {
+    let attempts = 0;
+    const { engine } = createEngine(({ agent }) => {
+      if (agent === 'flaky' && ++attempts < 2) {
+        throw new Error('transient');
+      }
+      if (agent === 'broken') {
+        throw new Error('always broken');
+      }
+      return { output: 'ok' };
+    });
+    const retries = [];
+    engine.on('stage_retry', event => retries.push(event));
+
+    const run = await engine.run({
+      name: 'retries',
+      stages: [
+        stage('flaky', { retries: 2 }),
+        stage('broken', { retries: 1 }),
+        stage('rollback', { depends_on: ['broken'], if: 'failure()' }),
+        stage('deploy', { depends_on: ['flaky', 'broken'] })
+      ]
+    });
+
+    expect(run.status).toBe(RunStatus.FAILED);
+    expect(run.stages.flaky).toMatchObject({ status: StageStatus.COMPLETED, attempts: 2 });
+    expect(run.stages.broken).toMatchObject({ status: StageStatus.FAILED, attempts: 2, error: 'always broken' });
+    expect(run.stages.rollback.status).toBe(StageStatus.COMPLETED);
+    expect(run.stages.deploy.status).toBe(StageStatus.SKIPPED);
+    expect(retries.map(event => `${event.stageId}:${event.attempt}`)).toEqual(['flaky:1', 'broken:1']);
+  });
+
+  it('should persist run state and resume from the failed stage', async () => {
+    let broken = true;
+    const { engine, executor } = createEngine(({ agent }) => {
+      if (agent === 'test' && broken) {
+        throw new Error('tests failed');
+      }
+      return { output: `${agent} output`, costUsd: 0.5 };
+    });
+    const definition = {
+      name: 'delivery',
+      stages: [stage('build'), stage('test', { depends_on: ['build'] }), stage('ship', { depends_on: ['test'] })]
+    };
+
+    const failed = await engine.run(definition, { runId: 'run-1' });
+    const persisted = JSON.parse(fs.readFileSync(path.join(tempDir, '.agentful', 'pipelines', 'runs', 'run-1.json'), 'utf-8'));
+
+    expect(failed.status).toBe(RunStatus.FAILED);
+    expect(persisted).toMatchObject({ id: 'run-1', pipeline: 'delivery', status: RunStatus.FAILED });
+    expect(persisted.stages.build).toMatchObject({ status: StageStatus.COMPLETED, output: 'build output', costUsd: 0.5 });
+    expect(persisted.stages.test.status).toBe(StageStatus.FAILED);
+    expect(persisted.stages.ship.status).toBe(StageStatus.SKIPPED);
+
+    broken = false;
+    executor.calls = [];
+    const resumed = await new PipelineEngine({ projectRoot: tempDir, executor }).resume('run-1');
+
+    expect(resumed.status).toBe(RunStatus.COMPLETED);
+    expect(resumed.resumes).toBe(1);
+    expect(executor.calls.map(call => call.agent)).toEqual(['test', 'ship']);
+    expect(engine.listRuns({ status: RunStatus.COMPLETED }).map(run => run.id)).toEqual(['run-1']);
+    expect(() => engine.resume('run-1')).toThrow('Pipeline run run-1 already completed');
+    expect(() => engine.resume('missing')).toThrow('Pipeline run not found: missing');
+  });
+
+  it('should cancel running and pending stages', async () => {
+    const { engine, executor } = createEngine(({ options }, fake) => new Promise((resolve, reject) => {
+      fake.pending.set(options.executionId, reject);
+    }));
+    const started = new Promise(resolve => engine.once('stage_started', resolve));
+
+    const promise = engine.run({ name: 'slow', stages: [stage('a'), stage('b', { depends_on: ['a'] })] });
+    await started;
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(engine.cancel(promise.runId)).toBe(true);
+    const run = await promise;
+
+    expect(run.status).toBe(RunStatus.CANCELLED);
+    expect(run.stages.a.status).toBe(StageStatus.CANCELLED);
+    expect(run.stages.b.status).toBe(StageStatus.CANCELLED);
+    expect(executor.calls).toHaveLength(1);
+    expect(engine.cancel(promise.runId)).toBe(false);
+  });
+
+  it('should reject invalid run IDs and definitions before running', () => {
+    const { engine } = createEngine(() => ({}));
+
+    expect(() => engine.run({ name: 'x', stages: [stage('a')] }, { runId: '../escape' }))
+      .toThrow('Invalid pipeline run ID: ../escape');
+    expect(() => engine.run('missing')).toThrow('Pipeline not found: missing');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateExpression, interpolate, parseExpression } from '../../../lib/pipeline/expressions.js';
+
+/**
+ * Pipeline Expression Unit Tests
+ */
+
+describe('Pipeline Expressions', () => {
+  const scope = {
+    variables: { env: 'staging', retries: 2 },
+    stages: {
+      review: { status: 'completed', data: { approved: false, findings: [{ severity: 'high' }] }, output: 'LGTM' },
+      'run-tests': { status: 'failed' }
+    },
+    functions: { success: () => false, failure: () => true, always: () => true }
+  };
+
+  it('should resolve paths, including hyphenated ids and indexes', () => {
+    expect(evaluateExpression('variables.env', scope)).toBe('staging');
+    expect(evaluateExpression('stages.run-tests.status', scope)).toBe('failed');
+    expect(evaluateExpression('stages.review.data.findings[0].severity', scope)).toBe('high');
+    expect(evaluateExpression('stages.missing.data.x', scope)).toBeNull();
+  });
+
+  it('should compare and combine values', () => {
+    expect(evaluateExpression("stages.review.data.approved == false && variables.env != 'prod'", scope)).toBe(true);
+    expect(evaluateExpression('variables.retries >= 3 || !(stages.review.status == "completed")', scope)).toBe(false);
+    expect(evaluateExpression('stages.missing == null', scope)).toBe(true);
+  });
+
+  it('should call the status functions', () => {
+    expect(evaluateExpression('failure()', scope)).toBe(true);
+    expect(evaluateExpression('success() || always()', scope)).toBe(true);
+  });
+
+  it('should reject invalid syntax and unknown functions', () => {
+    expect(() => parseExpression('variables.env ==')).toThrow(/Unexpected end/);
+    expect(() => parseExpression('process.exit()')).toThrow(/Unknown function 'exit\(\)'|Unexpected/);
+    expect(() => parseExpression('eval()')).toThrow("Unknown function 'eval()'");
+    expect(() => parseExpression('a; b')).toThrow(/Unexpected character/);
+  });
+
+  it('should interpolate placeholders in text', () => {
+    expect(interpolate('Deploy to ${{ variables.env }}: ${{ stages.review.output }}${{ stages.missing }}', scope))
+      .toBe('Deploy to staging: LGTM');
+    expect(interpolate('${{ stages.review.data.findings }}', scope)).toBe('[\n  {\n    "severity": "high"\n  }\n]');
+  });
+});
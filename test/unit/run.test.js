@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import { AgentRunStatus, RunExitCode, formatRunJSON, runAgent } from '../../lib/run.js';
+
+/**
+ * Agent Runner Unit Tests
+ *
+ * Uses a fake executor whose execute() is driven by a handler
+ */
+
+class FakeExecutor extends EventEmitter {
+  constructor(handler) {
+    super();
+    this.handler = handler;
+    this.calls = [];
+    this.pending = new Map();
+  }
+
+  async execute(agent, task, context, options) {
+    this.calls.push({ agent, task, context, options });
+    return this.handler({ agent, task, context, options }, this);
+  }
+
+  cancel(executionId) {
+    const pending = this.pending.get(executionId);
+    if (!pending) {
+      return false;
+    }
+    pending(new Error('Process exited with code 143'));
+    return true;
+  }
+}
+
+describe('runAgent', () => {
+  it('should stream chunks and exit 0 on success', async () => {
+    const executor = new FakeExecutor(({ options }, self) => {
+      self.emit('chunk', { executionId: options.executionId, chunk: 'Hello ' });
+      self.emit('chunk', { executionId: 'other', chunk: 'ignored' });
+      self.emit('chunk', { executionId: options.executionId, chunk: 'world' });
+      return { output: 'Hello world', data: { ok: true }, costUsd: 0.01 };
+    });
+    const chunks = [];
+
+    const run = await runAgent({ agent: 'backend', task: 'Add an endpoint', files: ['src/app.js'], executor, onChunk: chunk => chunks.push(chunk) });
+
+    expect(run).toMatchObject({ status: AgentRunStatus.COMPLETED, exitCode: RunExitCode.SUCCESS, agent: 'backend' });
+    expect(chunks).toEqual(['Hello ', 'world']);
+    expect(executor.calls[0].context).toEqual({ files: ['src/app.js'], inlineFiles: false });
+    expect(executor.listenerCount('chunk')).toBe(0);
+    expect(formatRunJSON(run)).toMatchObject({ status: 'completed', exitCode: 0, output: 'Hello world', data: { ok: true }, costUsd: 0.01, error: null });
+  });
+
+  it('should map failures and timeouts to exit codes', async () => {
+    const failed = await runAgent({
+      agent: 'backend',
+      task: 'Fix it',
+      executor: new FakeExecutor(() => { throw new Error('Agent not found: backend'); })
+    });
+    expect(failed).toMatchObject({ status: AgentRunStatus.FAILED, exitCode: RunExitCode.FAILURE });
+    expect(formatRunJSON(failed).error).toBe('Agent not found: backend');
+
+    const executor = new FakeExecutor(({ options }) => { throw new Error(`Execution timeout after ${options.timeout}ms`); });
+    const timedOut = await runAgent({ agent: 'backend', task: 'Fix it', timeout: 5000, executor });
+    expect(timedOut).toMatchObject({ status: AgentRunStatus.TIMEOUT, exitCode: 124 });
+    expect(executor.calls[0].options).toMatchObject({ timeout: 5000, maxRetries: 0 });
+  });
+
+  it('should cancel the execution when the signal aborts', async () => {
+    const controller = new AbortController();
+    const executor = new FakeExecutor(({ options }, self) => new Promise((resolve, reject) => {
+      // The process only becomes cancellable a little after execute() starts
+      setTimeout(() => self.pending.set(options.executionId, reject), 20);
+      setImmediate(() => controller.abort());
+    }));
+
+    const run = await runAgent({ agent: 'backend', task: 'Fix it', executor, signal: controller.signal });
+
+    expect(run).toMatchObject({ status: AgentRunStatus.CANCELLED, exitCode: RunExitCode.CANCELLED });
+  });
+
+  it('should reject invalid arguments', async () => {
+    const executor = new FakeExecutor(() => ({ output: '' }));
+
+    await expect(runAgent({ agent: '../x', task: 'Fix it', executor })).rejects.toThrow('Agent name');
+    await expect(runAgent({ agent: 'backend', task: ' ', executor })).rejects.toThrow('Task');
+    await expect(runAgent({ agent: 'backend', task: 'Fix it', mode: 'task-api', executor })).rejects.toThrow('Invalid mode');
+    await expect(runAgent({ agent: 'backend', task: 'Fix it', timeout: -1, executor })).rejects.toThrow('Timeout');
+    expect(executor.calls).toHaveLength(0);
+  });
+});
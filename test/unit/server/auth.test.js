@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApiKeyStore, ServerAuth, hashApiKey, signRequest } from '../../../lib/server/auth.js';
+import { AgentfulServer } from '../../../lib/server/index.js';
+
+/**
+ * Remote Execution Server Auth Unit Tests
+ */
+
+class FakeExecutor extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = new Map();
+  }
+
+  execute(agent, task, context, options) {
+    return new Promise((resolve, reject) => this.pending.set(options.executionId, reject));
+  }
+
+  cancel(executionId) {
+    this.pending.get(executionId)?.(new Error('Execution cancelled'));
+    return this.pending.delete(executionId);
+  }
+
+  getExecutionStatus() {
+    return null;
+  }
+}
+
+describe('Server Auth', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentful-auth-'));
+    store = new ApiKeyStore(tempDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('ApiKeyStore', () => {
+    it('should store only a hash of created keys', () => {
+      const { key, record } = store.create({ name: 'ci-reviewer', agents: ['reviewer'] });
+      const file = fs.readFileSync(path.join(tempDir, '.agentful', 'server-keys.json'), 'utf-8');
+
+      expect(key).toMatch(/^agf_[\w-]{43}$/);
+      expect(file).not.toContain(key);
+      expect(JSON.parse(file).keys[0].hash).toBe(hashApiKey(key));
+      expect(record).not.toHaveProperty('hash');
+      expect(record).toMatchObject({ name: 'ci-reviewer', agents: ['reviewer'], prefix: key.slice(0, 10) });
+      expect(fs.statSync(path.join(tempDir, '.agentful', 'server-keys.json')).mode & 0o777).toBe(0o600);
+    });
+
+    it('should verify, list and revoke keys', () => {
+      const { key, record } = store.create({ name: 'ci' });
+
+      expect(store.verify(key)).toMatchObject({ id: record.id, agents: ['*'] });
+      expect(store.verify(`${key}x`)).toBeNull();
+      expect(() => store.create({ name: 'ci' })).toThrow("An active key named 'ci' already exists");
+
+      store.revoke('ci');
+
+      expect(store.verify(key)).toBeNull();
+      expect(store.list()).toEqual([]);
+      expect(store.list({ includeRevoked: true })[0].revokedAt).toBeTruthy();
+      expect(() => store.revoke(record.id)).toThrow(`No active key with ID or name '${record.id}'`);
+    });
+
+    it('should validate names and agents', () => {
+      expect(() => store.create({ name: 'bad name' })).toThrow(/Key name/);
+      expect(() => store.create({ name: 'ok', agents: [] })).toThrow(/Key agents/);
+      expect(() => store.create({ name: 'ok', agents: ['../x'] })).toThrow(/Key agents/);
+    });
+  });
+
+  describe('ServerAuth', () => {
+    const request = (headers = {}, body = '') => ({ method: 'POST', path: '/executions', headers, body });
+
+    it('should allow everything until a key or secret exists', () => {
+      const auth = new ServerAuth({ keyStore: store, webhookSecret: '' });
+      expect(auth.isEnabled()).toBe(false);
+      expect(auth.authenticate(request())).toEqual({ type: 'anonymous', agents: ['*'] });
+    });
+
+    it('should authenticate bearer keys and enforce agent scopes', () => {
+      const { key } = store.create({ name: 'ci', agents: ['reviewer'] });
+      const auth = new ServerAuth({ keyStore: store, webhookSecret: '' });
+
+      const principal = auth.authenticate(request({ authorization: `Bearer ${key}` }));
+
+      expect(principal).toMatchObject({ type: 'api_key', name: 'ci', agents: ['reviewer'] });
+      expect(() => auth.authorize(principal, 'reviewer')).not.toThrow();
+      expect(() => auth.authorize(principal, 'backend')).toThrow("Not allowed to access agent 'backend'");
+      expect(() => auth.authenticate(request())).toThrow(/Authentication required/);
+      expect(() => auth.authenticate(request({ authorization: 'Bearer agf_wrong' }))).toThrow('Invalid API key');
+    });
+
+    it('should verify signatures, timestamps and replays', () => {
+      const auth = new ServerAuth({ keyStore: store, webhookSecret: 'secret', webhookAgents: ['reviewer'] });
+      const body = '{"agent":"reviewer","task":"Review"}';
+      const sign = (params = {}) => Object.fromEntries(Object.entries(signRequest({
+        secret: 'secret', method: 'POST', path: '/executions', body, ...params
+      })).map(([name, value]) => [name.toLowerCase(), value]));
+
+      const headers = sign();
+      expect(auth.authenticate(request(headers, body))).toEqual({ type: 'webhook', agents: ['reviewer'] });
+      expect(() => auth.authenticate(request(headers, body))).toThrow('Request signature was already used');
+
+      expect(() => auth.authenticate(request(sign(), `${body} `))).toThrow('Invalid request signature');
+      expect(() => auth.authenticate(request(sign({ secret: 'other' }), body))).toThrow('Invalid request signature');
+      expect(() => auth.authenticate(request(sign({ timestamp: Math.floor(Date.now() / 1000) - 600 }), body)))
+        .toThrow(/outside the 300s window/);
+    });
+  });
+
+  describe('AgentfulServer with auth', () => {
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      server = new AgentfulServer({ port: 0, projectRoot: tempDir, executor: new FakeExecutor() });
+      ({ url } = await server.start());
+    });
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    const post = (key, body) => fetch(`${url}/executions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key && { Authorization: `Bearer ${key}` }) },
+      body: JSON.stringify(body)
+    });
+
+    it('should require a key once one exists and scope executions to its agents', async () => {
+      const admin = store.create({ name: 'admin' }).key;
+      const reviewer = store.create({ name: 'reviewer', agents: ['reviewer'] }).key;
+
+      const anonymous = await post(null, { agent: 'reviewer', task: 'Review' });
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers.get('www-authenticate')).toBe('Bearer');
+      expect((await fetch(`${url}/health`)).status).toBe(200);
+
+      expect((await post(reviewer, { agent: 'backend', task: 'Build' })).status).toBe(403);
+      const backend = await (await post(admin, { agent: 'backend', task: 'Build' })).json();
+      const review = await (await post(reviewer, { agent: 'reviewer', task: 'Review' })).json();
+
+      const list = await (await fetch(`${url}/executions`, { headers: { Authorization: `Bearer ${reviewer}` } })).json();
+      expect(list.executions.map(execution => execution.id)).toEqual([review.id]);
+      expect((await fetch(`${url}/executions/${backend.id}`, { headers: { Authorization: `Bearer ${reviewer}` } })).status).toBe(404);
+
+      store.revoke('reviewer');
+      expect((await post(reviewer, { agent: 'reviewer', task: 'Review' })).status).toBe(401);
+    });
+  });
+});
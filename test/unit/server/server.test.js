@@ -0,0 +1,215 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import { AgentfulServer } from '../../../lib/server/index.js';
+
+/**
+ * Remote Execution Server Unit Tests
+ *
+ * Runs the HTTP server on a free port with a fake executor whose executions
+ * finish only when the test says so
+ */
+
+class FakeExecutor extends EventEmitter {
+  constructor() {
+    super();
+    this.calls = [];
+    this.pending = new Map();
+    this.answers = [];
+  }
+
+  execute(agent, task, context, options) {
+    this.calls.push({ agent, task, context, options });
+    return new Promise((resolve, reject) => {
+      this.pending.set(options.executionId, { resolve, reject });
+    });
+  }
+
+  finish(executionId, result) {
+    this.pending.get(executionId).resolve(result);
+    this.pending.delete(executionId);
+  }
+
+  cancel(executionId) {
+    const pending = this.pending.get(executionId);
+    if (!pending) {
+      return this.queue?.isQueued(executionId) ? this.queue.cancel(executionId) : false;
+    }
+    pending.reject(new Error('Execution cancelled'));
+    this.pending.delete(executionId);
+    return true;
+  }
+
+  getExecutionStatus(executionId) {
+    return this.pending.has(executionId) ? { id: executionId, outputLength: 5, pendingQuestion: null } : null;
+  }
+
+  async answer(executionId, text) {
+    this.answers.push({ executionId, text });
+    return { executionId, delivery: 'stdin', question: 'Which database?', decisionId: 'decision-1' };
+  }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Read SSE events until the stream closes
+ */
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n')
+    .filter(block => block.startsWith('id:'))
+    .map((block) => {
+      const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+describe('AgentfulServer', () => {
+  let executor;
+  let server;
+  let url;
+
+  const request = (path, options = {}) => fetch(`${url}${path}`, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json', ...options.headers } : options.headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  const start = async (body = { agent: 'backend', task: 'Build the API' }) => {
+    const response = await request('/executions', { method: 'POST', body });
+    await flush();
+    return response;
+  };
+
+  beforeEach(async () => {
+    executor = new FakeExecutor();
+    server = new AgentfulServer({ port: 0, executor, concurrency: 1, auth: false });
+    ({ url } = await server.start());
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should report health', async () => {
+    const response = await request('/health');
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ status: 'ok' });
+  });
+
+  it('should start an execution and report its status and result', async () => {
+    const response = await start({
+      agent: 'backend',
+      task: 'Build the API',
+      context: { feature: 'auth' },
+      options: { timeout: 1000 }
+    });
+    const execution = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(response.headers.get('location')).toBe(`/executions/${execution.id}`);
+    expect(execution).toMatchObject({ agent: 'backend', task: 'Build the API' });
+    expect(executor.calls[0]).toMatchObject({
+      agent: 'backend',
+      context: { feature: 'auth' },
+      options: { timeout: 1000, executionId: execution.id }
+    });
+
+    expect(await (await request(`/executions/${execution.id}`)).json())
+      .toMatchObject({ status: 'running', outputLength: 5 });
+
+    executor.finish(execution.id, { output: 'done', exitCode: 0, data: { ok: true } });
+    await flush();
+
+    expect(await (await request(`/executions/${execution.id}`)).json()).toMatchObject({
+      status: 'completed',
+      result: { output: 'done', exitCode: 0, data: { ok: true } }
+    });
+  });
+
+  it('should reject invalid requests', async () => {
+    expect((await start({ agent: '../etc', task: 'x' })).status).toBe(400);
+    expect((await start({ agent: 'backend', task: '' })).status).toBe(400);
+
+    const unsafe = await start({ agent: 'backend', task: 'x', options: { claudeCommand: 'rm' } });
+    expect(unsafe.status).toBe(400);
+    expect((await unsafe.json()).error).toMatch(/Unsupported option\(s\): claudeCommand/);
+
+    const notJson = await fetch(`${url}/executions`, { method: 'POST', body: 'agent=backend' });
+    expect(notJson.status).toBe(415);
+
+    const badJson = await fetch(`${url}/executions`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+    expect(badJson.status).toBe(400);
+
+    expect((await request('/executions/missing')).status).toBe(404);
+    expect((await request('/nowhere')).status).toBe(404);
+
+    const malformed = await request('/executions/%E0%A4%A');
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error).toMatch(/Malformed URL path/);
+
+    const wrongMethod = await request('/health', { method: 'PUT' });
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('allow')).toBe('GET');
+    expect(executor.calls).toHaveLength(0);
+  });
+
+  it('should stream events as SSE and replay them to late subscribers', async () => {
+    const { id } = await (await start()).json();
+    const stream = request(`/executions/${id}/stream`);
+    await flush();
+
+    executor.emit('chunk', { executionId: id, chunk: 'Hello', text: 'Hello' });
+    executor.emit('chunk', { executionId: 'other', chunk: 'ignored' });
+    executor.emit('progress', { executionId: id, progress: 50 });
+    executor.emit('question', { executionId: id, question: 'Which database?' });
+    await flush();
+    executor.finish(id, { output: 'Hello' });
+
+    const response = await stream;
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+    const events = await readEvents(response);
+    expect(events.map(event => event.type)).toEqual(['status', 'chunk', 'progress', 'question', 'end']);
+    expect(events[1].data).toEqual({ chunk: 'Hello', text: 'Hello' });
+    expect(events[4].data).toMatchObject({ status: 'completed', result: { output: 'Hello' } });
+
+    const replay = await readEvents(await request(`/executions/${id}/stream`, { headers: { 'Last-Event-ID': '3' } }));
+    expect(replay.map(event => event.type)).toEqual(['question', 'end']);
+  });
+
+  it('should cancel queued and running executions', async () => {
+    const running = await (await start()).json();
+    const queued = await (await start({ agent: 'frontend', task: 'Build the UI' })).json();
+
+    expect(queued).toMatchObject({ status: 'queued', position: 1 });
+
+    const cancelQueued = await request(`/executions/${queued.id}`, { method: 'DELETE' });
+    expect(cancelQueued.status).toBe(202);
+
+    const cancelRunning = await request(`/executions/${running.id}`, { method: 'DELETE' });
+    expect(cancelRunning.status).toBe(202);
+    await flush();
+
+    const { executions } = await (await request('/executions?status=cancelled')).json();
+    expect(executions.map(execution => execution.id)).toEqual([queued.id, running.id]);
+    expect(executor.calls).toHaveLength(1);
+
+    expect((await request(`/executions/${running.id}`, { method: 'DELETE' })).status).toBe(409);
+  });
+
+  it('should deliver answers to running executions', async () => {
+    const { id } = await (await start()).json();
+
+    const response = await request(`/executions/${id}/answer`, { method: 'POST', body: { answer: 'PostgreSQL' } });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ executionId: id, delivery: 'stdin', question: 'Which database?', decisionId: 'decision-1' });
+    expect(executor.answers).toEqual([{ executionId: id, text: 'PostgreSQL' }]);
+
+    executor.finish(id, { output: '' });
+    await flush();
+
+    expect((await request(`/executions/${id}/answer`, { method: 'POST', body: { answer: 'MySQL' } })).status).toBe(409);
+  });
+});